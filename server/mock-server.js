@@ -0,0 +1,137 @@
+/**
+ * Yerel REST mock sunucusu (geliştirme / test için)
+ *
+ *   npm run mock-api
+ *   VITE_API_URL=http://localhost:4000/api npm run dev
+ *
+ * Ortam değişkenleri:
+ * - PORT            (varsayılan 4000)
+ * - MOCK_DB_FILE    veriyi JSON dosyasında tutar (boşsa yalnızca bellekte)
+ * - MOCK_DELAY_MS   her isteğe gecikme ekler (yükleniyor durumlarını denemek için)
+ * - MOCK_FAIL_RATE  0..1 arası; bu oranda isteğe 500 döner (hata durumlarını denemek için)
+ */
+
+import http from "node:http";
+import fs from "node:fs";
+import crypto from "node:crypto";
+import { COLLECTIONS } from "../src/lib/api.js";
+
+const PREFIX = "/api";
+
+const PORT = Number(process.env.PORT || 4000);
+const DB_FILE = process.env.MOCK_DB_FILE || "";
+const DELAY_MS = Number(process.env.MOCK_DELAY_MS || 0);
+const FAIL_RATE = Number(process.env.MOCK_FAIL_RATE || 0);
+
+function loadDb() {
+  const empty = Object.fromEntries(COLLECTIONS.map((e) => [e, []]));
+  if (!DB_FILE || !fs.existsSync(DB_FILE)) return empty;
+  try {
+    return { ...empty, ...JSON.parse(fs.readFileSync(DB_FILE, "utf8")) };
+  } catch (e) {
+    console.warn(`[mock-api] ${DB_FILE} okunamadı, boş veriyle başlanıyor: ${e.message}`);
+    return empty;
+  }
+}
+
+const db = loadDb();
+
+function saveDb() {
+  if (!DB_FILE) return;
+  fs.writeFileSync(DB_FILE, JSON.stringify(db, null, 2));
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET,POST,PUT,DELETE,OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+    ...(body !== undefined ? { "Content-Type": "application/json; charset=utf-8" } : {}),
+  });
+  res.end(body !== undefined ? JSON.stringify(body) : undefined);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      if (!raw) return resolve(null);
+      try {
+        resolve(JSON.parse(raw));
+      } catch {
+        reject(new Error("Geçersiz JSON gövdesi."));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+async function handle(req, res) {
+  if (req.method === "OPTIONS") return send(res, 204);
+
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  if (!url.pathname.startsWith(PREFIX + "/")) return send(res, 404, { error: "Bulunamadı." });
+
+  const [entity, rawId, extra] = url.pathname.slice(PREFIX.length + 1).split("/");
+  if (!COLLECTIONS.includes(entity) || extra !== undefined) return send(res, 404, { error: `Bilinmeyen kaynak: ${url.pathname}` });
+
+  const id = rawId ? decodeURIComponent(rawId) : null;
+  const rows = db[entity];
+
+  if (FAIL_RATE > 0 && Math.random() < FAIL_RATE) return send(res, 500, { error: "Mock sunucu: yapay hata (MOCK_FAIL_RATE)." });
+
+  if (req.method === "GET" && !id) {
+    // ?invoiceId=... gibi basit eşitlik filtreleri
+    const filters = [...url.searchParams.entries()];
+    return send(res, 200, rows.filter((r) => filters.every(([k, v]) => String(r[k] ?? "") === v)));
+  }
+
+  if (req.method === "GET" && id) {
+    const row = rows.find((r) => r.id === id);
+    return row ? send(res, 200, row) : send(res, 404, { error: "Kayıt bulunamadı." });
+  }
+
+  if (req.method === "POST" && !id) {
+    const body = await readBody(req);
+    if (!body || typeof body !== "object") return send(res, 400, { error: "Kayıt gövdesi zorunludur." });
+    const row = { ...body, id: body.id || crypto.randomUUID() };
+    if (rows.some((r) => r.id === row.id)) return send(res, 409, { error: "Bu id ile kayıt zaten var." });
+    rows.push(row);
+    saveDb();
+    return send(res, 201, row);
+  }
+
+  if (req.method === "PUT" && id) {
+    const body = await readBody(req);
+    if (!body || typeof body !== "object") return send(res, 400, { error: "Kayıt gövdesi zorunludur." });
+    // Upsert: istemci yarıda kalan yazımı yeniden denediğinde kayıt zaten oluşmuş olabilir
+    const row = { ...body, id };
+    const idx = rows.findIndex((r) => r.id === id);
+    if (idx < 0) rows.push(row);
+    else rows[idx] = row;
+    saveDb();
+    return send(res, idx < 0 ? 201 : 200, row);
+  }
+
+  if (req.method === "DELETE" && id) {
+    const idx = rows.findIndex((r) => r.id === id);
+    if (idx < 0) return send(res, 404, { error: "Kayıt bulunamadı." });
+    rows.splice(idx, 1);
+    saveDb();
+    return send(res, 204);
+  }
+
+  return send(res, 405, { error: "Desteklenmeyen istek." });
+}
+
+const server = http.createServer((req, res) => {
+  setTimeout(() => {
+    handle(req, res).catch((e) => send(res, 400, { error: e.message }));
+  }, DELAY_MS);
+});
+
+server.listen(PORT, () => {
+  console.log(`[mock-api] http://localhost:${PORT}${PREFIX} (${DB_FILE ? DB_FILE : "bellekte"})`);
+});
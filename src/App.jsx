@@ -1,4 +1,85 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
+import { createBackend } from "./lib/backend.js";
+import { useDataStore } from "./lib/useDataStore.js";
+import {
+  UNIT_TYPES,
+  blankInvoiceLine,
+  calcLine,
+  clamp,
+  deriveFromUnitNet,
+  deriveFromUnitVatIncl,
+  formatForInput,
+  money,
+  sortComparator,
+  toNumber,
+  uid,
+} from "./lib/calc.js";
+import { Field, Filter, ReadOnly, SimpleBarChart, SimpleLineChart, SimpleModal, Th } from "./components/ui.jsx";
+import OrdersTab from "./components/OrdersTab.jsx";
+import RequestsTab from "./components/RequestsTab.jsx";
+import { MatchIssues } from "./components/MatchingView.jsx";
+import SupplierForm from "./components/SupplierForm.jsx";
+import ItemForm from "./components/ItemForm.jsx";
+import CurrencyFields from "./components/CurrencyFields.jsx";
+import ExchangeRatesModal from "./components/ExchangeRatesModal.jsx";
+import PayablesReport from "./components/PayablesReport.jsx";
+import PaymentForm from "./components/PaymentForm.jsx";
+import BudgetReport from "./components/BudgetReport.jsx";
+import BudgetForm from "./components/BudgetForm.jsx";
+import CostCenterPicker from "./components/CostCenterPicker.jsx";
+import CategoryManager from "./components/CategoryManager.jsx";
+import ItemPriceHistory from "./components/ItemPriceHistory.jsx";
+import SupplierPriceMatrix from "./components/SupplierPriceMatrix.jsx";
+import AuditHistory from "./components/AuditHistory.jsx";
+import UblImportReport from "./components/UblImportReport.jsx";
+import ImportMappingWizard from "./components/ImportMappingWizard.jsx";
+import ImportPreview from "./components/ImportPreview.jsx";
+import {
+  buildOrderTransfer,
+  invoiceDraftFromOrder,
+  isOrderLocked,
+  isSameSupplier,
+  orderInvoiceError,
+  orderStatus,
+  orderTransferError,
+  transferSelectionError,
+  uninvoicedOrderLines,
+} from "./lib/orders.js";
+import { DEFAULT_PRICE_TOLERANCE, INVOICE_MATCH_STATUSES, buildMatchRows, invoiceMatchStatus } from "./lib/matching.js";
+import { applyItemDefaults, blankItem, findCatalogItem, findItemByName, linkLinesToItems, normalizeItem, resolveItems, validateItem } from "./lib/items.js";
+import { calcLineTry, formatAmount, fxError, fxFields, invoiceFxRate, isForeign, lookupRate } from "./lib/currency.js";
+import { AGING_BUCKETS, invoiceDueDate, invoiceTermDays, invoiceTotalsById } from "./lib/payables.js";
+import { entityHistory, invoiceHistory } from "./lib/audit.js";
+import { PAYMENT_STATUSES, blankPayment, invoiceBalances, normalizePayment, paidByInvoice, supplierPaymentTotals, validatePayment } from "./lib/payments.js";
+import { buildUblInvoice, parseUblInvoice, readXmlDocuments } from "./lib/ubl.js";
+import { CSV_ENCODINGS, decodeText, parseCsv } from "./lib/csv.js";
+import { IMPORT_FIELDS } from "./lib/importMapping.js";
+import { validateImportRecords } from "./lib/importValidation.js";
+import { buildWorkbook, columnOf } from "./lib/xlsxExport.js";
+import { invoiceDocument, orderDocument, printHtml } from "./lib/printDocs.js";
+import {
+  PATH_SEP,
+  allCategoryPaths,
+  applyCategoryRules,
+  categoryBreakdown,
+  categoryPath,
+  descendantIds,
+  isUnder,
+  matchCategory,
+  missingCategoryNodes,
+  normalizeCategory,
+  normalizePath,
+  renameCategoryPath,
+  splitPath,
+  untrackedCategoryPaths,
+  validateCategory,
+} from "./lib/categories.js";
+import { itemPurchases, priceStatsByUnit } from "./lib/priceHistory.js";
+import { priceMatrixSheet, supplierPriceMatrix } from "./lib/priceComparison.js";
+import { blankRequest, blankRequestLine, decideRequest, submitRequest } from "./lib/requests.js";
+import { UNASSIGNED, costCenterBreakdown, formatCostSplits, lineCostSplits, normalizeCostSplits, validateCostSplits } from "./lib/costCenters.js";
+import { blankBudget, budgetOverruns, budgetUsage, normalizeBudget, periodLabel, validateBudget } from "./lib/budgets.js";
+import { blankSupplier, findSupplierByName, findSupplierByTaxId, normalizeSupplier, taxIdError, resolveSuppliers, validateSupplier } from "./lib/suppliers.js";
 
 /**
  * Satınalma SaaS — UI Prototip
@@ -6,89 +87,58 @@ import React, { useEffect, useMemo, useRef, useState } from "react";
  * - Satınalım ekleme: "Satınalım Ekle" full-screen (yeni fatura + kalemler)
  * - Satınalım düzenleme: satıra tıkla → sağ panel
  * - Fatura ekranı: full-screen
+ * - Talepler: satınalma talebi, kurallı çok seviyeli onay, yorum / onay geçmişi, onaylanınca siparişe dönüştürme
+ *   (src/components/RequestsTab.jsx, src/lib/requests.js)
+ * - Siparişler: satınalma siparişi listesi + full-screen sipariş ekranı (src/components/OrdersTab.jsx)
+ * - Mal kabul + üçlü eşleştirme (sipariş ↔ teslim ↔ fatura): src/lib/matching.js
+ * - Tedarikçiler: kart kayıtları (src/lib/suppliers.js); faturalar supplierId ile bağlanır
+ * - Tedarik Ürünleri: ürün kataloğu (src/lib/items.js); fatura kalemleri itemId ile bağlanır
+ * - Döviz: faturada para birimi + kur (src/lib/currency.js); rapor ve toplamlar TRY
+ * - Vade / borç yaşlandırma: src/lib/payables.js, Raporlar sekmesinde
+ * - Ödemeler: kısmi / çoklu fatura ödemesi (src/lib/payments.js); bakiye Tedarikçiler sekmesinde
+ * - Geri al / yinele (Ctrl+Z / Ctrl+Y): tüm veri değişiklikleri, src/lib/useDataStore.js
+ * - Değişiklik kaydı: fatura / kalem / tedarikçi / ürün değişiklikleri kullanıcı adıyla (src/lib/audit.js)
+ * - e-Fatura / e-Arşiv UBL-TR XML içe aktarma (tek dosya, çoklu seçim, klasör ya da zip) ve
+ *   Fatura Formu'ndan UBL-TR 1.2 XML dışa aktarma: src/lib/ubl.js
+ * - Excel / CSV içe aktarma: sütun eşleme sihirbazı + kayıtlı profiller (src/lib/importMapping.js, src/lib/csv.js),
+ *   ardından önizleme / satır kontrolü / mevcut fatura tespiti (src/lib/importValidation.js)
+ * - Excel dışa aktarma: Faturalar / Kalemler / Özet sayfaları, tipli hücreler ve isteğe bağlı formüller (src/lib/xlsxExport.js)
+ * - Fatura ve sipariş için yazdırılabilir belge / PDF (tarayıcının yazdır penceresi, çevrimdışı): src/lib/printDocs.js
+ * - Ürün kategorileri: ağaç ("Üst > Alt" yolu), anahtar kelime kuralları, filtre ve rapor kırılımı (src/lib/categories.js)
+ * - Ürün Detayı: alım geçmişi, fiyat trendi, min / ortalama / son fiyat (src/lib/priceHistory.js)
+ * - Tedarikçi fiyat karşılaştırması: ürün × tedarikçi matrisi, en ucuz tedarikçi, potansiyel tasarruf (src/lib/priceComparison.js)
+ * - Masraf merkezi: kalem bazında tek merkez ya da yüzdeyle dağıtım, boşsa fatura departmanı (src/lib/costCenters.js)
+ * - Bütçeler: dönem + departman / kategori bazında, Raporlar sekmesinde gerçekleşenle; yeni faturada aşım uyarısı (src/lib/budgets.js)
+ * - Veri: varsayılan IndexedDB (src/lib/db.js); VITE_API_URL verilirse REST backend (src/lib/api.js)
  * - Sayısal giriş: kullanıcının yazdığını anlık formatlamaz (binlik ayırıcı eklemez),
  *   virgül/nokta ondalık olarak kabul edilir.
  */
 
+const USER_KEY = "satinalma.user";
+// UBL-TR dışa aktarmada alıcı (firmamız) bilgisi
+const COMPANY_KEY = "satinalma.company";
+// Tablo içe aktarma sütun eşleme profilleri
+const IMPORT_PROFILES_KEY = "satinalma.importProfiles";
+
+/** localStorage'daki JSON değer; kayıt yoksa ya da bozuksa (elle düzenleme, eski sürüm) fallback */
+function readStoredJson(key, fallback) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch {
+    return fallback;
+  }
+}
+
 const TABS = [
   { key: "purchases", label: "Satınalımlar" },
+  { key: "requests", label: "Talepler" },
   { key: "orders", label: "Siparişler" },
   { key: "suppliers", label: "Tedarikçiler" },
   { key: "products", label: "Tedarik Ürünleri" },
   { key: "reports", label: "Raporlar" },
 ];
 
-const UNIT_TYPES = ["Adet", "Kg", "Lt", "Paket", "Kutu", "Hizmet", "Çift"];
-
-/** 3,56 ve 3.56 -> 3.56 (son ayırıcı ondalık varsayılır; tek ayırıcı + 3 hane ise binlik olma olasılığı için heuristik) */
-function parseSmartNumber(v) {
-  if (typeof v === "number") return Number.isFinite(v) ? v : 0;
-  const s0 = String(v ?? "").trim();
-  if (!s0) return 0;
-
-  // keep digits, separators, sign
-  let s = s0.replace(/\s+/g, "");
-  let sign = "";
-  if (s.startsWith("-")) {
-    sign = "-";
-    s = s.slice(1);
-  }
-
-  // allow only digits and separators
-  s = s.replace(/[^\d.,]/g, "");
-  if (!s) return 0;
-
-  const lastDot = s.lastIndexOf(".");
-  const lastComma = s.lastIndexOf(",");
-  const hasDot = lastDot >= 0;
-  const hasComma = lastComma >= 0;
-
-  let decSep = null;
-  if (hasDot && hasComma) {
-    decSep = lastDot > lastComma ? "." : ",";
-  } else if (hasDot || hasComma) {
-    const sep = hasDot ? "." : ",";
-    const parts = s.split(sep);
-
-    // if exactly one separator and exactly 3 digits after it, likely thousands (e.g., 3.856 => 3856)
-    if (parts.length === 2 && parts[1].length === 3 && parts[0].length > 0 && parts[0].length <= 3) {
-      decSep = null; // treat as thousands
-    } else {
-      decSep = sep;
-    }
-  }
-
-  let intPart = s;
-  let fracPart = "";
-  if (decSep) {
-    const idx = s.lastIndexOf(decSep);
-    intPart = s.slice(0, idx);
-    fracPart = s.slice(idx + 1);
-  }
-
-  // remove any leftover separators in both parts (thousands, etc.)
-  intPart = intPart.replace(/[.,]/g, "");
-  fracPart = fracPart.replace(/[.,]/g, "");
-
-  const normalized = sign + (intPart || "0") + (fracPart ? "." + fracPart : "");
-  const n = Number(normalized);
-  return Number.isFinite(n) ? n : 0;
-}
-
-function toNumber(v) {
-  return parseSmartNumber(v);
-}
-
-function clamp(n, min, max) {
-  return Math.min(max, Math.max(min, n));
-}
-
-/** Görsel raporlama / tablo için (TR locale, binlik ayırıcı dahil) */
-function money(n) {
-  const x = toNumber(n);
-  return x.toLocaleString("tr-TR", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
-}
-
+const backend = createBackend();
 
 function downloadBlob(filename, blob) {
   const url = URL.createObjectURL(blob);
@@ -113,139 +163,108 @@ function toCsv(rows, headers) {
   return "\n" + lines.join("\n");
 }
 
-async function exportToXlsx({ filename, sheetName, rows, headers }) {
-  // XLSX (SheetJS) yoksa CSV fallback
+/** sheets: [{ name, columns, rows, withFormulas?, totals? }] (src/lib/xlsxExport.js) */
+async function exportToXlsx({ filename, sheets }) {
+  // XLSX (SheetJS) yoksa ilk sayfa CSV olarak iner
   try {
-    const XLSX = await import("xlsx");
-    const data = rows.map((r) => {
-      const o = {};
-      for (const h of headers) o[h.label] = r[h.key];
-      return o;
-    });
-    const ws = XLSX.utils.json_to_sheet(data);
-    const wb = XLSX.utils.book_new();
-    XLSX.utils.book_append_sheet(wb, ws, sheetName || "Veri");
-    const out = XLSX.write(wb, { bookType: "xlsx", type: "array" });
+    const out = await buildWorkbook(sheets);
     downloadBlob(
       filename,
       new Blob([out], { type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" })
     );
-  } catch (e) {
-    const csv = toCsv(rows, headers);
+  } catch {
+    const csv = toCsv(sheets[0].rows, sheets[0].columns);
     downloadBlob(filename.replace(/\.xlsx$/i, ".csv"), new Blob([csv], { type: "text/csv;charset=utf-8" }));
     alert("XLSX kütüphanesi bulunamadı. CSV indirildi. XLSX için: npm i xlsx");
   }
 }
 
-function normHeader(s) {
-  return String(s || "")
-    .trim()
-    .toLowerCase()
-    .replace(/ı/g, "i")
-    .replace(/ğ/g, "g")
-    .replace(/ü/g, "u")
-    .replace(/ş/g, "s")
-    .replace(/ö/g, "o")
-    .replace(/ç/g, "c")
-    .replace(/\s+/g, " ")
-    .replace(/[^a-z0-9 ]/g, "");
-}
-
-
-/** Input içinde "binlik ayırıcı eklemeden" gösterim (kırpılmış ondalık) */
-function formatForInput(n, maxDecimals = 6) {
-  const x = toNumber(n);
-  if (!Number.isFinite(x)) return "";
-  const fixed = x.toFixed(maxDecimals);
-  // trim trailing zeros
-  let t = fixed.replace(/\.?0+$/, "");
-  // TR alışkanlığı için '.' -> ','
-  t = t.replace(".", ",");
-  return t;
-}
-
-function uid() {
-  return Math.random().toString(16).slice(2) + Date.now().toString(16);
-}
-
-function calcLine({ qty, unitPrice, discountRate, vatRate }) {
-  const q = Math.max(0, toNumber(qty));
-  const up = Math.max(0, toNumber(unitPrice));
-  const disc = clamp(toNumber(discountRate), 0, 100);
-  const vat = clamp(toNumber(vatRate), 0, 100);
-
-  const unitNet = up * (1 - disc / 100); // İskontolu birim (KDV hariç)
-  const unitVatIncl = unitNet * (1 + vat / 100);
-  const totalNet = unitNet * q;
-  const totalVatIncl = unitVatIncl * q;
-  const vatAmount = totalVatIncl - totalNet;
-
-  return { q, up, disc, vat, unitNet, unitVatIncl, totalNet, totalVatIncl, vatAmount };
-}
-
-function sortComparator(sortKey, sortDir, getValue) {
-  return (a, b) => {
-    const va = getValue(a);
-    const vb = getValue(b);
-    const da = typeof va === "string" ? va.toLowerCase() : va;
-    const db = typeof vb === "string" ? vb.toLowerCase() : vb;
-
-    let r = 0;
-    if (da < db) r = -1;
-    else if (da > db) r = 1;
-    return sortDir === "asc" ? r : -r;
-  };
-}
-
-function IconChevron({ dir }) {
-  return (
-    <span className="ml-1 inline-flex h-4 w-4 items-center justify-center rounded bg-slate-200 text-[10px] text-slate-700">
-      {dir === "asc" ? "▲" : "▼"}
-    </span>
-  );
-}
-
-/**
- * Çift yönlü hesaplama yardımcıları:
- * - kullanıcı "iskontolu birim" veya "kdv dahil birim" girince iskonto% (gerekirse birim fiyat) güncellenir.
- */
-function deriveFromUnitNet(draft, nextUnitNet) {
-  const unitNet = Math.max(0, toNumber(nextUnitNet));
-  const up = Math.max(0, toNumber(draft.unitPrice));
-  if (up > 0) {
-    // discountRate = 100 * (1 - unitNet/unitPrice)
-    let disc = 100 * (1 - unitNet / up);
-    // unitNet > unitPrice ise negatif iskonto oluşur; bu durumda birim fiyatı yükselt ve iskonto=0 yap
-    if (disc < 0) return { ...draft, unitPrice: String(unitNet), discountRate: "0" };
-    return { ...draft, discountRate: String(clamp(disc, 0, 100)) };
-  }
-  // unitPrice yoksa: unitPrice = unitNet, iskonto=0
-  return { ...draft, unitPrice: String(unitNet), discountRate: "0" };
-}
-
-function deriveFromUnitVatIncl(draft, nextUnitVatIncl) {
-  const vat = clamp(toNumber(draft.vatRate), 0, 100);
-  const uvi = Math.max(0, toNumber(nextUnitVatIncl));
-  const denom = 1 + vat / 100;
-  const unitNet = denom > 0 ? uvi / denom : uvi;
-  return deriveFromUnitNet(draft, unitNet);
-}
-
 const SAMPLE = (() => {
   const invA = uid();
   const invB = uid();
   const invC = uid();
+  const invD = uid();
+  const supA = uid();
+  const supB = uid();
+  const supC = uid();
+
+  const suppliers = [
+    {
+      id: supA,
+      name: "Aras Endüstri A.Ş.",
+      taxId: "0123456789",
+      taxOffice: "Kozyatağı",
+      address: "İçerenköy Mah. Sanayi Cad. No:12 Ataşehir / İstanbul",
+      iban: "TR570006200011900006298765",
+      paymentTermDays: "30",
+      contacts: [{ name: "Selin Aras", role: "Satış", phone: "0216 555 10 20", email: "satis@arasendustri.com.tr" }],
+      note: "",
+    },
+    {
+      id: supB,
+      name: "Delta Tedarik Ltd.",
+      taxId: "4567890128",
+      taxOffice: "Çankaya",
+      address: "Ostim OSB 1234. Cad. No:5 Yenimahalle / Ankara",
+      iban: "TR360001000123456789012345",
+      paymentTermDays: "45",
+      contacts: [],
+      note: "",
+    },
+    {
+      id: supC,
+      name: "Ege Kimya Sanayi",
+      taxId: "9876543217",
+      taxOffice: "Karşıyaka",
+      address: "Atatürk OSB 10003 Sk. No:8 Çiğli / İzmir",
+      iban: "TR060004600987000112233445",
+      paymentTermDays: "60",
+      contacts: [{ name: "Murat Ege", role: "Muhasebe", phone: "0232 555 30 40", email: "muhasebe@egekimya.com.tr" }],
+      note: "",
+    },
+  ];
 
   const invoices = [
-    { id: invA, invoiceNo: "A-2025-1205", date: "2025-12-05", supplierName: "Aras Endüstri A.Ş.", tevfikatRate: 0, discountTotal: 0 },
-    { id: invB, invoiceNo: "B-2025-1212", date: "2025-12-12", supplierName: "Delta Tedarik Ltd.", tevfikatRate: 0, discountTotal: 250 },
-    { id: invC, invoiceNo: "C-2025-1220", date: "2025-12-20", supplierName: "Ege Kimya Sanayi", tevfikatRate: 50, discountTotal: 0 },
+    { id: invA, invoiceNo: "A-2025-1205", date: "2025-12-05", supplierId: supA, supplierName: "Aras Endüstri A.Ş.", department: "İdari İşler", tevfikatRate: 0, discountTotal: 0 },
+    { id: invB, invoiceNo: "B-2025-1212", date: "2025-12-12", supplierId: supB, supplierName: "Delta Tedarik Ltd.", department: "Üretim", tevfikatRate: 0, discountTotal: 250 },
+    { id: invC, invoiceNo: "C-2025-1220", date: "2025-12-20", supplierId: supC, supplierName: "Ege Kimya Sanayi", department: "Üretim", tevfikatRate: 50, discountTotal: 0 },
+    {
+      id: invD,
+      invoiceNo: "A-2025-1229",
+      date: "2025-12-29",
+      supplierId: supA,
+      supplierName: "Aras Endüstri A.Ş.",
+      department: "İdari İşler",
+      currencyCode: "EUR",
+      exchangeRate: "50.12",
+      tevfikatRate: 0,
+      discountTotal: 0,
+    },
+  ];
+
+  const exchangeRates = [
+    { id: uid(), date: "2025-12-01", currencyCode: "EUR", rate: "49.45" },
+    { id: uid(), date: "2025-12-01", currencyCode: "USD", rate: "42.51" },
+    { id: uid(), date: "2025-12-15", currencyCode: "EUR", rate: "49.80" },
+    { id: uid(), date: "2025-12-15", currencyCode: "USD", rate: "42.68" },
+    { id: uid(), date: "2025-12-29", currencyCode: "EUR", rate: "50.12" },
+    { id: uid(), date: "2025-12-29", currencyCode: "USD", rate: "42.85" },
   ];
 
   const lines = [
     { id: uid(), invoiceId: invA, invoiceItem: "A4 Fotokopi Kağıdı", qty: "20", unitType: "Paket", unitPrice: "165", discountRate: "5", vatRate: "20" },
     { id: uid(), invoiceId: invA, invoiceItem: "Toner (Siyah)", qty: "3", unitType: "Adet", unitPrice: "980", discountRate: "0", vatRate: "20" },
-    { id: uid(), invoiceId: invA, invoiceItem: "Koli Bandı", qty: "12", unitType: "Adet", unitPrice: "42", discountRate: "10", vatRate: "20" },
+    {
+      id: uid(),
+      invoiceId: invA,
+      invoiceItem: "Koli Bandı",
+      qty: "12",
+      unitType: "Adet",
+      unitPrice: "42",
+      discountRate: "10",
+      vatRate: "20",
+      costCenters: [{ name: "İdari İşler", pct: "50" }, { name: "Depo", pct: "50" }],
+    },
     { id: uid(), invoiceId: invA, invoiceItem: "Zımba Teli", qty: "15", unitType: "Paket", unitPrice: "28", discountRate: "0", vatRate: "20" },
 
     { id: uid(), invoiceId: invB, invoiceItem: "Endüstriyel Eldiven", qty: "50", unitType: "Çift", unitPrice: "38", discountRate: "0", vatRate: "20" },
@@ -255,150 +274,137 @@ const SAMPLE = (() => {
     { id: uid(), invoiceId: invC, invoiceItem: "Temizlik Kimyasalı", qty: "60", unitType: "Lt", unitPrice: "52", discountRate: "3", vatRate: "20" },
     { id: uid(), invoiceId: invC, invoiceItem: "Dezenfektan", qty: "40", unitType: "Lt", unitPrice: "64", discountRate: "0", vatRate: "20" },
     { id: uid(), invoiceId: invC, invoiceItem: "Köpük Sabun", qty: "30", unitType: "Lt", unitPrice: "48", discountRate: "5", vatRate: "20" },
-  ];
-
-  return { invoices, lines };
-})();
-
-function blankInvoiceLine() {
-  return { _key: uid(), invoiceItem: "", qty: "1", unitType: UNIT_TYPES[0], unitPrice: "", discountRate: "", vatRate: "20" };
-}
-
-function Filter({ label, children }) {
-  return (
-    <label className="block">
-      <div className="mb-1 text-xs font-medium text-slate-700">{label}</div>
-      {children}
-    </label>
-  );
-}
-
-function Field({ label, hint, children }) {
-  return (
-    <label className="block">
-      <div className="mb-1 flex items-center justify-between gap-2">
-        <div className="text-xs font-medium text-slate-700">{label}</div>
-        {hint ? <div className="text-[11px] text-slate-500">{hint}</div> : null}
-      </div>
-      {children}
-    </label>
-  );
-}
-
-function ReadOnly({ label, value }) {
-  return (
-    <div className="rounded-xl bg-white p-3 ring-1 ring-slate-200">
-      <div className="text-[11px] font-medium text-slate-600">{label}</div>
-      <div className="mt-1 text-sm font-semibold text-slate-900 tabular-nums">{value}</div>
-    </div>
-  );
-}
 
+    { id: uid(), invoiceId: invD, invoiceItem: "Toner (Siyah)", qty: "10", unitType: "Adet", unitPrice: "18,5", discountRate: "0", vatRate: "20" },
+    { id: uid(), invoiceId: invD, invoiceItem: "Koruyucu Gözlük", qty: "40", unitType: "Adet", unitPrice: "1,2", discountRate: "0", vatRate: "20" },
+  ];
 
+  // Kategori ağacı; katalog, kalemlerin ad / birim / KDV bilgisinden açılır ve kurallarla kategorilenir
+  const catOffice = uid();
+  const catSafety = uid();
+  const categories = [
+    { id: catOffice, name: "Ofis Sarf", parentId: "", keywords: [] },
+    { id: uid(), name: "Kağıt", parentId: catOffice, keywords: ["kağıt", "fotokopi"] },
+    { id: uid(), name: "Kırtasiye", parentId: catOffice, keywords: ["toner", "zımba", "kalem"] },
+    { id: uid(), name: "Ambalaj", parentId: catOffice, keywords: ["koli", "bant"] },
+    { id: catSafety, name: "İş Güvenliği", parentId: "", keywords: ["eldiven", "gözlük"] },
+    { id: uid(), name: "Solunum", parentId: catSafety, keywords: ["maske"] },
+    { id: uid(), name: "Temizlik", parentId: "", keywords: ["temizlik", "dezenfektan", "sabun"] },
+  ];
+  const { byName, created } = resolveItems([], lines, (name) => matchCategory(categories, name));
+  const items = created;
+
+  // A faturasına kısmi ödeme
+  const payments = [
+    {
+      id: uid(),
+      date: "2026-01-02",
+      supplierId: supA,
+      supplierName: "Aras Endüstri A.Ş.",
+      currencyCode: "TRY",
+      exchangeRate: "1",
+      amount: "5000",
+      method: "Havale / EFT",
+      reference: "DEK-2026-0001",
+      note: "",
+      allocations: [{ invoiceId: invA, amount: "5000" }],
+    },
+  ];
 
-function SimpleBarChart({ title, data, labelKey = "label", valueKey = "value", height = 180 }) {
-  const max = Math.max(1, ...data.map((d) => toNumber(d[valueKey] ?? 0)));
-  const barW = 24;
-  const gap = 10;
-  const pad = 16;
-  const w = Math.max(320, pad * 2 + data.length * (barW + gap));
-  return (
-    <div className="rounded-2xl bg-white p-4 ring-1 ring-slate-200">
-      {title ? <div className="text-sm font-semibold text-slate-900">{title}</div> : null}
-      <div className="mt-3 overflow-x-auto">
-        <svg width={w} height={height}>
-          <line x1={pad} y1={height - pad} x2={w - pad} y2={height - pad} stroke="currentColor" opacity="0.15" />
-          {data.map((d, i) => {
-            const v = toNumber(d[valueKey] ?? 0);
-            const h = ((height - pad * 2) * v) / max;
-            const x = pad + i * (barW + gap);
-            const y = height - pad - h;
-            return (
-              <g key={i}>
-                <rect x={x} y={y} width={barW} height={h} rx="6" className="fill-slate-900 opacity-80" />
-                <text x={x + barW / 2} y={height - 4} textAnchor="middle" fontSize="10" className="fill-slate-600">
-                  {String(d[labelKey] ?? "").slice(0, 10)}
-                </text>
-              </g>
-            );
-          })}
-        </svg>
-      </div>
-    </div>
-  );
-}
+  // Aralık bütçeleri: İdari İşler sınıra yakın, İş Güvenliği aşılmış
+  const budgets = [
+    { id: uid(), periodType: "month", period: "2025-12", dimension: "department", key: "İdari İşler", amount: "22000", currencyCode: "TRY", note: "" },
+    { id: uid(), periodType: "quarter", period: "2025-Q4", dimension: "department", key: "Üretim", amount: "15000", currencyCode: "TRY", note: "" },
+    { id: uid(), periodType: "month", period: "2025-12", dimension: "category", key: "İş Güvenliği", amount: "4000", currencyCode: "TRY", note: "KKD alımları" },
+  ];
 
-function SimpleLineChart({ title, data, labelKey = "label", valueKey = "value", height = 180 }) {
-  const max = Math.max(1, ...data.map((d) => toNumber(d[valueKey] ?? 0)));
-  const pad = 18;
-  const w = Math.max(420, pad * 2 + data.length * 40);
-  const pts = data.map((d, i) => {
-    const x = pad + i * 40;
-    const v = toNumber(d[valueKey] ?? 0);
-    const y = height - pad - ((height - pad * 2) * v) / max;
-    return { x, y, v, label: d[labelKey] };
-  });
-  const dPath = pts.map((p, i) => `${i === 0 ? "M" : "L"} ${p.x} ${p.y}`).join(" ");
-  return (
-    <div className="rounded-2xl bg-white p-4 ring-1 ring-slate-200">
-      {title ? <div className="text-sm font-semibold text-slate-900">{title}</div> : null}
-      <div className="mt-3 overflow-x-auto">
-        <svg width={w} height={height}>
-          <line x1={pad} y1={height - pad} x2={w - pad} y2={height - pad} stroke="currentColor" opacity="0.15" />
-          <path d={dPath} fill="none" stroke="currentColor" strokeWidth="2" opacity="0.85" />
-          {pts.map((p, i) => (
-            <g key={i}>
-              <circle cx={p.x} cy={p.y} r="4" className="fill-slate-900" />
-              <text x={p.x} y={height - 4} textAnchor="middle" fontSize="10" className="fill-slate-600">
-                {String(p.label ?? "").slice(0, 10)}
-              </text>
-            </g>
-          ))}
-        </svg>
-      </div>
-    </div>
-  );
-}
+  // Onay kuralları + talepler: biri 1. seviyede bekliyor, KKD talebi iki seviyede onaylanmış
+  const approvalRules = [
+    { id: uid(), name: "Departman onayı", level: "1", minAmount: "0", category: "", approvers: ["Ayşe Yılmaz"] },
+    { id: uid(), name: "Finans onayı", level: "2", minAmount: "10000", category: "", approvers: ["Mehmet Kaya"] },
+    { id: uid(), name: "İSG onayı", level: "2", minAmount: "0", category: "İş Güvenliği", approvers: ["Zeynep Demir"] },
+  ];
+  const requestLine = (name, qty, estPrice) => {
+    const item = findItemByName(items, name);
+    return { ...blankRequestLine(), itemId: item?.id ?? "", invoiceItem: name, qty, unitType: item?.unitType ?? UNIT_TYPES[0], estPrice, category: item?.category ?? "" };
+  };
+  const reqA = {
+    ...blankRequest("Ali Çelik", "2026-01-05"),
+    requestNo: "TAL-2026-0001",
+    costCenter: "Depo",
+    justification: "Sevkiyat yoğunluğu; koli bandı stoku bitmek üzere.",
+    lines: [requestLine("Koli Bandı", "100", "40")],
+    comments: [{ id: uid(), at: "2026-01-05T11:20:00.000Z", user: "Ayşe Yılmaz", text: "Son alım iskontolu 37,80 idi; tedarikçiden teklif alalım." }],
+  };
+  const reqB = {
+    ...blankRequest("Ali Çelik", "2026-01-06"),
+    requestNo: "TAL-2026-0002",
+    costCenter: "Üretim",
+    supplierName: "Delta Tedarik Ltd.",
+    justification: "Yeni vardiya personeli için KKD.",
+    lines: [requestLine("Endüstriyel Eldiven", "120", "38"), requestLine("Koruyucu Gözlük", "40", "68")],
+  };
+  let approvedB = submitRequest(reqB, approvalRules, "Ali Çelik", "2026-01-06T08:30:00.000Z");
+  approvedB = decideRequest(approvedB, { user: "Ayşe Yılmaz", approve: true, at: "2026-01-06T10:05:00.000Z" });
+  approvedB = decideRequest(approvedB, { user: "Zeynep Demir", approve: true, comment: "EN 388 sertifikalı olsun.", at: "2026-01-06T14:40:00.000Z" });
+  const requests = [submitRequest(reqA, approvalRules, "Ali Çelik", "2026-01-05T09:12:00.000Z"), approvedB];
 
-function Th({ children, sortKey, sort, onSort, align }) {
-  const active = sort.key === sortKey;
-  const cls = "px-3 py-3 font-medium select-none whitespace-nowrap " + (align === "right" ? "text-right" : "text-left");
-  return (
-    <th className={cls} style={{ cursor: "pointer" }} onClick={() => onSort(sortKey)} title="Sırala">
-      <span className="inline-flex items-center">
-        {children}
-        {active && <IconChevron dir={sort.dir} />}
-      </span>
-    </th>
-  );
-}
+  return { invoices, lines: linkLinesToItems(lines, byName), suppliers, items, categories, exchangeRates, payments, budgets, requests, approvalRules };
+})();
 
-function SimpleModal({ title, onClose, children }) {
+function SyncBadge({ label, status, saving }) {
+  let text = "Kaydedildi";
+  let cls = "bg-emerald-50 text-emerald-800 ring-emerald-200";
+  if (status === "loading") {
+    text = "Yükleniyor…";
+    cls = "bg-slate-100 text-slate-700 ring-slate-200";
+  } else if (status === "error") {
+    text = "Bağlantı hatası";
+    cls = "bg-rose-50 text-rose-800 ring-rose-200";
+  } else if (saving) {
+    text = "Kaydediliyor…";
+    cls = "bg-amber-50 text-amber-800 ring-amber-200";
+  }
   return (
-    <div className="fixed inset-0 z-[60] flex items-center justify-center bg-black/40 p-4" onMouseDown={(e) => { if (e.target === e.currentTarget) onClose(); }}>
-      <div className="w-full max-w-xl rounded-2xl bg-white shadow-2xl ring-1 ring-slate-200" onMouseDown={(e) => e.stopPropagation()}>
-        <div className="flex items-start justify-between gap-4 border-b border-slate-200 p-5">
-          <div>
-            <h2 className="text-lg font-semibold">{title}</h2>
-            <p className="text-xs text-slate-600">Basit düzenleme ekranı (UI prototip).</p>
-          </div>
-          <button className="h-9 rounded-xl border border-slate-200 bg-white px-4 text-xs font-semibold text-slate-900 hover:bg-slate-50" onClick={onClose}>
-            Kapat
-          </button>
-        </div>
-        <div className="p-5">{children}</div>
-      </div>
+    <div className={"hidden rounded-lg px-2 py-1 text-[11px] font-medium ring-1 md:block " + cls} title={label}>
+      {text}
     </div>
   );
 }
 
-function TopNav({ activeTab, onChange }) {
+function TopNav({ activeTab, onChange, sync, history, user, onChangeUser }) {
   return (
     <div className="sticky top-0 z-40 border-b border-slate-200 bg-white/80 backdrop-blur">
       <div className="mx-auto flex max-w-[1650px] items-center justify-between px-6 py-3">
         <div className="flex items-center gap-3">
           <div className="text-sm font-semibold text-slate-900">Satınalma SaaS</div>
           <div className="hidden text-xs text-slate-500 md:block">UI Prototip</div>
+          <SyncBadge {...sync} />
+          <div className="flex gap-1">
+            <button
+              className="h-8 rounded-lg border border-slate-200 bg-white px-2 text-xs font-medium text-slate-800 hover:bg-slate-50 disabled:opacity-40"
+              disabled={!history.canUndo}
+              onClick={history.onUndo}
+              title="Geri Al (Ctrl+Z)"
+            >
+              ↶ Geri Al
+            </button>
+            <button
+              className="h-8 rounded-lg border border-slate-200 bg-white px-2 text-xs font-medium text-slate-800 hover:bg-slate-50 disabled:opacity-40"
+              disabled={!history.canRedo}
+              onClick={history.onRedo}
+              title="Yinele (Ctrl+Y)"
+            >
+              ↷ Yinele
+            </button>
+          </div>
+          <button
+            className="h-8 rounded-lg px-2 text-xs font-medium text-slate-600 hover:bg-slate-100"
+            onClick={onChangeUser}
+            title="Değişiklik kaydında görünen kullanıcı adı"
+          >
+            Kullanıcı: {user || "(belirtilmedi)"}
+          </button>
         </div>
 
         <div className="flex flex-wrap items-center gap-2">
@@ -426,16 +432,40 @@ function TopNav({ activeTab, onChange }) {
 export default function App() {
   const [activeTab, setActiveTab] = useState("purchases");
 
-  const [invoices, setInvoices] = useState(() => SAMPLE.invoices);
-  const [lines, setLines] = useState(() => SAMPLE.lines);
+  // Değişiklik kaydında görünen kullanıcı adı (oturum yönetimi yok; tarayıcıda saklanır)
+  const [currentUser, setCurrentUser] = useState(() => localStorage.getItem(USER_KEY) || "");
+  const store = useDataStore(backend, SAMPLE, { actor: currentUser || "Bilinmeyen" });
+  const { invoices, lines, orders, orderLines, receipts, receiptLines, suppliers, items, categories, exchangeRates, payments, budgets, requests, approvalRules, auditLog } = store.data;
+  const {
+    invoices: setInvoices,
+    lines: setLines,
+    orders: setOrders,
+    orderLines: setOrderLines,
+    receipts: setReceipts,
+    receiptLines: setReceiptLines,
+    suppliers: setSuppliers,
+    items: setItems,
+    categories: setCategories,
+    exchangeRates: setExchangeRates,
+    payments: setPayments,
+    budgets: setBudgets,
+    requests: setRequests,
+    approvalRules: setApprovalRules,
+  } = store.setters;
 
   // Satınalımlar sayfası filtre / sıralama
   const [search, setSearch] = useState("");
   const [supplierFilter, setSupplierFilter] = useState("ALL");
   const [itemFilter, setItemFilter] = useState("ALL");
+  const [categoryFilter, setCategoryFilter] = useState("ALL"); // kategori yolu; alt kategoriler dahil
   const [sort, setSort] = useState({ key: "date", dir: "desc" });
   const [hoveredInvoiceId, setHoveredInvoiceId] = useState(null);
 
+  // Satınalımlar → Siparişe aktar (seçili kalemler)
+  const [selectedLineIds, setSelectedLineIds] = useState(() => new Set());
+  const [orderTransferOpen, setOrderTransferOpen] = useState(false);
+  const [orderTransferDraft, setOrderTransferDraft] = useState(null); // { mode: "new" | "existing", orderId, supplierName, expectedDate }
+
   // Satır edit paneli
   const [linePanelOpen, setLinePanelOpen] = useState(false);
   const [editingLineId, setEditingLineId] = useState(null); // null | lineId
@@ -469,79 +499,174 @@ export default function App() {
 
   // Excel Import (Satınalımlar)
   const importInputRef = useRef(null);
+  const [csvEncoding, setCsvEncoding] = useState("auto");
+  const [importWizard, setImportWizard] = useState(null); // null | { fileName, sheets }
+  const [importPreview, setImportPreview] = useState(null); // null | validateImportRecords sonucu satırlar (eşleme ekranı altta açık kalır)
+  const [importProfiles, setImportProfiles] = useState(() => {
+    const saved = readStoredJson(IMPORT_PROFILES_KEY, []);
+    return Array.isArray(saved) ? saved : [];
+  });
+  const ublInputRef = useRef(null);
+  const ublFolderInputRef = useRef(null);
+  const [ublReport, setUblReport] = useState(null); // null | içe aktarma sonuçları
 
   // Rapor Filtreleri (prototip)
   const [reportFrom, setReportFrom] = useState("");
   const [reportTo, setReportTo] = useState("");
   const [reportSupplier, setReportSupplier] = useState("ALL");
   const [reportItem, setReportItem] = useState("ALL");
+  const [reportCategory, setReportCategory] = useState("ALL");
+  const [reportCategoryDrill, setReportCategoryDrill] = useState(""); // kategori kırılımında açık olan üst yol
   const [reportMetric, setReportMetric] = useState("totalVatIncl"); // totalNet | totalVatIncl
  // { [key]: string }
 
   // Tedarikçi / Kalem modalları (global)
-  const [supplierModalOpen, setSupplierModalOpen] = useState(false);
-  const [supplierModalOriginal, setSupplierModalOriginal] = useState("");
-  const [supplierModalDraft, setSupplierModalDraft] = useState("");
-
-  const [itemModalOpen, setItemModalOpen] = useState(false);
-  const [itemModalOriginal, setItemModalOriginal] = useState("");
-  const [itemModalDraft, setItemModalDraft] = useState("");
+  const [supplierForm, setSupplierForm] = useState(null); // null | { supplier, isNew }
+
+  const [itemForm, setItemForm] = useState(null); // null | { item, isNew }
+  const [showInactiveItems, setShowInactiveItems] = useState(false);
+  const [categoryManagerOpen, setCategoryManagerOpen] = useState(false);
+  const [itemDetail, setItemDetail] = useState(null); // null | { itemId, name } (fiyat geçmişi)
+  const [ratesModalOpen, setRatesModalOpen] = useState(false);
+  const [paymentForm, setPaymentForm] = useState(null); // null | { payment, isNew }
+  const [budgetForm, setBudgetForm] = useState(null); // null | { budget, isNew }
+  // Siparişler / Talepler sekmesinde taslak ekranı açık mı (sekmeler kendi taslaklarını bildirir)
+  const [tabDraftOpen, setTabDraftOpen] = useState(false);
 
   // ESC kapama önceliği
   useEffect(() => {
     function onKeyDown(e) {
       if (e.key !== "Escape") return;
-      if (supplierModalOpen) return setSupplierModalOpen(false);
-      if (itemModalOpen) return setItemModalOpen(false);
+      if (ublReport) return setUblReport(null);
+      if (importPreview) return setImportPreview(null);
+      if (importWizard) return setImportWizard(null);
+      if (paymentForm) return setPaymentForm(null);
+      if (budgetForm) return setBudgetForm(null);
+      if (supplierForm) return setSupplierForm(null);
+      if (orderTransferOpen) return setOrderTransferOpen(false);
+      if (itemForm) return setItemForm(null);
+      if (categoryManagerOpen) return setCategoryManagerOpen(false);
+      if (itemDetail) return setItemDetail(null);
+      if (ratesModalOpen) return setRatesModalOpen(false);
       if (invoiceCreateOpen) return setInvoiceCreateOpen(false);
       if (invoiceModalOpen) return setInvoiceModalOpen(false);
       if (linePanelOpen) return setLinePanelOpen(false);
     }
     window.addEventListener("keydown", onKeyDown);
     return () => window.removeEventListener("keydown", onKeyDown);
-  }, [supplierModalOpen, itemModalOpen, invoiceCreateOpen, invoiceModalOpen, linePanelOpen]);
+  }, [ublReport, importPreview, importWizard, paymentForm, budgetForm, supplierForm, orderTransferOpen, itemForm, categoryManagerOpen, itemDetail, ratesModalOpen, invoiceCreateOpen, invoiceModalOpen, linePanelOpen]);
+
+  // Taslak tutan ekranlar açıkken geri al kapalıdır (taslak, geri alınan veriyi yeniden yazmasın)
+  const editorOpen = !!(
+    tabDraftOpen ||
+    ublReport ||
+    importPreview ||
+    importWizard ||
+    paymentForm ||
+    budgetForm ||
+    supplierForm ||
+    orderTransferOpen ||
+    itemForm ||
+    categoryManagerOpen ||
+    itemDetail ||
+    ratesModalOpen ||
+    invoiceCreateOpen ||
+    invoiceModalOpen ||
+    linePanelOpen
+  );
 
-  const suppliers = useMemo(() => {
-    const list = Array.from(new Set(invoices.map((x) => x.supplierName))).filter(Boolean);
+  // Ctrl+Z / Ctrl+Y (Ctrl+Shift+Z); metin alanındayken tarayıcının kendi geri alması çalışır
+  const { undo, redo } = store;
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (!(e.ctrlKey || e.metaKey) || editorOpen) return;
+      const tag = e.target?.tagName?.toLowerCase();
+      if (tag === "input" || tag === "textarea" || tag === "select" || e.target?.isContentEditable) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if (key === "y" || (key === "z" && e.shiftKey)) {
+        e.preventDefault();
+        redo();
+      }
+    }
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [editorOpen, undo, redo]);
+
+  // Kartı olmayan eski faturaların adları da listede kalır
+  const supplierNames = useMemo(() => {
+    const list = Array.from(new Set([...suppliers.map((s) => s.name), ...invoices.map((x) => x.supplierName)])).filter(Boolean);
     return list.sort((a, b) => a.localeCompare(b, "tr"));
-  }, [invoices]);
+  }, [suppliers, invoices]);
 
-  const items = useMemo(() => {
-    const list = Array.from(new Set(lines.map((x) => x.invoiceItem))).filter(Boolean);
+  const itemNames = useMemo(() => {
+    const list = Array.from(new Set([...items.map((x) => x.name), ...lines.map((x) => x.invoiceItem)])).filter(Boolean);
     return list.sort((a, b) => a.localeCompare(b, "tr"));
-  }, [lines]);
+  }, [items, lines]);
+
+  // Otomatik tamamlamada önerilen katalog ürünleri
+  const activeItems = useMemo(
+    () => items.filter((x) => x.active !== false).sort((a, b) => a.name.localeCompare(b.name, "tr")),
+    [items]
+  );
 
   const joined = useMemo(() => {
     const invById = new Map(invoices.map((x) => [x.id, x]));
+    const itemById = new Map(items.map((x) => [x.id, x]));
     return lines
       .map((ln) => {
         const inv = invById.get(ln.invoiceId);
         return {
           ...ln,
           date: inv?.date ?? "",
+          supplierId: inv?.supplierId ?? "",
           supplierName: inv?.supplierName ?? "",
           invoiceNo: inv?.invoiceNo ?? "",
+          currencyCode: inv?.currencyCode || "TRY",
+          fxRate: invoiceFxRate(inv),
           tevfikatRate: inv?.tevfikatRate ?? 0,
           invoiceDiscountTotal: inv?.discountTotal ?? 0,
+          department: inv?.department ?? "",
+          category: itemById.get(ln.itemId)?.category ?? "",
         };
       })
       .filter((x) => x.invoiceId);
-  }, [invoices, lines]);
+  }, [invoices, lines, items]);
+
+  // Bütçe gerçekleşenleri (Raporlar → Bütçeler; yeni faturada aşım uyarısı)
+  const budgetUsageMap = useMemo(() => budgetUsage(budgets, joined, exchangeRates), [budgets, joined, exchangeRates]);
+
+  // Departman = masraf merkezi: fatura departmanları, kalem dağıtımları ve bütçelerdeki adlar
+  const departmentNames = useMemo(() => {
+    const list = Array.from(
+      new Set([
+        ...invoices.map((x) => x.department),
+        ...lines.flatMap((x) => (x.costCenters ?? []).map((s) => s.name)),
+        ...budgets.filter((b) => b.dimension === "department").map((b) => b.key),
+        ...requests.map((r) => r.costCenter),
+        ...orders.map((o) => o.department),
+      ])
+    ).filter(Boolean);
+    return list.sort((a, b) => a.localeCompare(b, "tr"));
+  }, [invoices, lines, budgets, requests, orders]);
 
   const filtered = useMemo(() => {
     const q = search.trim().toLowerCase();
     return joined.filter((r) => {
       if (supplierFilter !== "ALL" && r.supplierName !== supplierFilter) return false;
       if (itemFilter !== "ALL" && r.invoiceItem !== itemFilter) return false;
+      if (categoryFilter !== "ALL" && !(r.category && isUnder(r.category, categoryFilter))) return false;
       if (!q) return true;
       const hay = [r.date, r.supplierName, r.invoiceItem, r.unitType, r.invoiceNo, String(r.qty)].join(" ").toLowerCase();
       return hay.includes(q);
     });
-  }, [joined, supplierFilter, itemFilter, search]);
+  }, [joined, supplierFilter, itemFilter, categoryFilter, search]);
 
   const sorted = useMemo(() => {
     const getVal = (r) => {
-      const c = calcLine(r);
+      const c = calcLineTry(r);
       switch (sort.key) {
         case "date": return r.date;
         case "supplierName": return r.supplierName;
@@ -564,7 +689,7 @@ export default function App() {
   const totals = useMemo(() => {
     return sorted.reduce(
       (acc, r) => {
-        const c = calcLine(r);
+        const c = calcLineTry(r);
         acc.totalNet += c.totalNet;
         acc.totalVatIncl += c.totalVatIncl;
         return acc;
@@ -579,22 +704,63 @@ export default function App() {
 
   
 
-  const purchaseExportHeaders = [
-    { key: "date", label: "Tarih" },
-    { key: "supplierName", label: "Tedarikçi Adı" },
+  // Excel dışa aktarma: Kalemler / Faturalar / Özet; formula(ref) sütunları istenirse Excel formülü olarak yazılır
+  const lineExportColumns = [
+    { key: "date", label: "Tarih", type: "date" },
+    { key: "supplierName", label: "Tedarikçi Adı", width: 24 },
     { key: "invoiceNo", label: "Fatura No" },
-    { key: "invoiceItem", label: "Fatura Kalemi" },
-    { key: "qty", label: "Adet" },
-    { key: "unitType", label: "Birim Türü" },
-    { key: "unitPrice", label: "Birim Fiyat" },
-    { key: "discountRate", label: "İskonto Oranı" },
-    { key: "unitNet", label: "İskontolu Birim Fiyat" },
-    { key: "vatRate", label: "KDV Oranı" },
-    { key: "unitVatIncl", label: "KDV Dahil Birim Fiyat" },
-    { key: "totalNet", label: "KDV Hariç Toplam Tutar" },
-    { key: "totalVatIncl", label: "KDV Dahil Toplam Tutar" },
+    { key: "invoiceItem", label: "Fatura Kalemi", width: 28 },
+    { key: "costCenter", label: "Masraf Merkezi", width: 22 },
+    { key: "qty", label: "Adet", type: "number" },
+    { key: "unitType", label: "Birim Türü", width: 10 },
+    { key: "unitPrice", label: "Birim Fiyat", type: "money" },
+    { key: "discountRate", label: "İskonto Oranı", type: "number" },
+    { key: "unitNet", label: "İskontolu Birim Fiyat", type: "money", formula: (ref) => `${ref("unitPrice")}*(1-${ref("discountRate")}/100)` },
+    { key: "vatRate", label: "KDV Oranı", type: "number" },
+    { key: "unitVatIncl", label: "KDV Dahil Birim Fiyat", type: "money", formula: (ref) => `${ref("unitNet")}*(1+${ref("vatRate")}/100)` },
+    { key: "totalNet", label: "KDV Hariç Toplam Tutar", type: "money", formula: (ref) => `${ref("qty")}*${ref("unitNet")}` },
+    { key: "totalVatIncl", label: "KDV Dahil Toplam Tutar", type: "money", formula: (ref) => `${ref("qty")}*${ref("unitVatIncl")}` },
+    { key: "currencyCode", label: "Para Birimi", width: 8 },
+    { key: "exchangeRate", label: "Kur", type: "rate" },
+    { key: "totalNetTry", label: "KDV Hariç Toplam (TRY)", type: "money", total: true, formula: (ref) => `${ref("totalNet")}*${ref("exchangeRate")}` },
+    { key: "totalVatInclTry", label: "KDV Dahil Toplam (TRY)", type: "money", total: true, formula: (ref) => `${ref("totalVatIncl")}*${ref("exchangeRate")}` },
   ];
 
+  const invoiceExportColumns = [
+    { key: "date", label: "Tarih", type: "date" },
+    { key: "supplierName", label: "Tedarikçi Adı", width: 24 },
+    { key: "invoiceNo", label: "Fatura No" },
+    { key: "currencyCode", label: "Para Birimi", width: 8 },
+    { key: "exchangeRate", label: "Kur", type: "rate" },
+    { key: "dueDate", label: "Vade Tarihi", type: "date" },
+    { key: "totalNet", label: "KDV Hariç", type: "money" },
+    { key: "vatAmount", label: "KDV", type: "money" },
+    { key: "totalVatIncl", label: "KDV Dahil", type: "money", formula: (ref) => `${ref("totalNet")}+${ref("vatAmount")}` },
+    { key: "tevfikatRate", label: "Tevkifat Oranı", type: "number" },
+    { key: "payable", label: "Ödenecek", type: "money", formula: (ref) => `${ref("totalNet")}+${ref("vatAmount")}*(1-${ref("tevfikatRate")}/100)` },
+    { key: "paid", label: "Ödenen", type: "money" },
+    { key: "remaining", label: "Kalan", type: "money", formula: (ref) => `MAX(0,${ref("payable")}-${ref("paid")})` },
+    { key: "totalNetTry", label: "KDV Hariç (TRY)", type: "money", total: true, formula: (ref) => `${ref("totalNet")}*${ref("exchangeRate")}` },
+    { key: "totalVatInclTry", label: "KDV Dahil (TRY)", type: "money", total: true, formula: (ref) => `${ref("totalVatIncl")}*${ref("exchangeRate")}` },
+    { key: "payableTry", label: "Ödenecek (TRY)", type: "money", total: true, formula: (ref) => `${ref("payable")}*${ref("exchangeRate")}` },
+    { key: "remainingTry", label: "Kalan (TRY)", type: "money", total: true, formula: (ref) => `${ref("remaining")}*${ref("exchangeRate")}` },
+    { key: "status", label: "Ödeme Durumu", width: 12 },
+  ];
+
+  // Özet: Faturalar sayfasından tedarikçi başına (formüllü dosyada COUNTIF / SUMIF)
+  const summaryExportColumns = (() => {
+    const col = (key) => `Faturalar!$${columnOf(invoiceExportColumns, key)}:$${columnOf(invoiceExportColumns, key)}`;
+    const sumIf = (key) => (ref) => `SUMIF(${col("supplierName")},${ref("supplierName")},${col(key)})`;
+    return [
+      { key: "supplierName", label: "Tedarikçi Adı", width: 28 },
+      { key: "invoiceCount", label: "Fatura Sayısı", type: "number", total: true, formula: (ref) => `COUNTIF(${col("supplierName")},${ref("supplierName")})` },
+      { key: "totalNetTry", label: "KDV Hariç (TRY)", type: "money", total: true, formula: sumIf("totalNetTry") },
+      { key: "totalVatInclTry", label: "KDV Dahil (TRY)", type: "money", total: true, formula: sumIf("totalVatInclTry") },
+      { key: "payableTry", label: "Ödenecek (TRY)", type: "money", total: true, formula: sumIf("payableTry") },
+      { key: "remainingTry", label: "Kalan (TRY)", type: "money", total: true, formula: sumIf("remainingTry") },
+    ];
+  })();
+
   function buildExportRows(viewRows) {
     return viewRows.map((r) => {
       const c = calcLine(r);
@@ -603,125 +769,348 @@ export default function App() {
         supplierName: r.supplierName,
         invoiceNo: r.invoiceNo,
         invoiceItem: r.invoiceItem,
-        qty: r.qty,
+        costCenter: formatCostSplits(lineCostSplits(r, r.department)),
+        qty: c.q,
         unitType: r.unitType,
-        unitPrice: r.unitPrice,
-        discountRate: r.discountRate,
-        unitNet: c.unitNet ? String(c.unitNet) : "",
-        vatRate: r.vatRate,
-        unitVatIncl: c.unitVatIncl ? String(c.unitVatIncl) : "",
-        totalNet: c.totalNet ? String(c.totalNet) : "",
-        totalVatIncl: c.totalVatIncl ? String(c.totalVatIncl) : "",
+        unitPrice: c.up,
+        discountRate: c.disc,
+        unitNet: c.unitNet,
+        vatRate: c.vat,
+        unitVatIncl: c.unitVatIncl,
+        totalNet: c.totalNet,
+        totalVatIncl: c.totalVatIncl,
+        currencyCode: r.currencyCode,
+        exchangeRate: r.fxRate,
+        totalNetTry: c.totalNet * r.fxRate,
+        totalVatInclTry: c.totalVatIncl * r.fxRate,
       };
     });
   }
 
+  /** Görünümdeki kalemlerin faturaları (fatura toplamları tüm kalemlerden) */
+  function buildInvoiceExportRows(viewRows) {
+    const ids = [...new Set(viewRows.map((r) => r.invoiceId))];
+    return ids.flatMap((id) => {
+      const inv = invoices.find((x) => x.id === id);
+      if (!inv) return [];
+      const t = invoiceTotals.get(id);
+      const bal = invoiceBalance.get(id);
+      const rate = invoiceFxRate(inv);
+      const card = suppliers.find((s) => s.id === inv.supplierId);
+      return [
+        {
+          date: inv.date,
+          supplierName: inv.supplierName,
+          invoiceNo: inv.invoiceNo,
+          currencyCode: inv.currencyCode || "TRY",
+          exchangeRate: rate,
+          dueDate: invoiceDueDate(inv, card),
+          totalNet: t.totalNet,
+          vatAmount: t.vatAmount,
+          totalVatIncl: t.totalVatIncl,
+          tevfikatRate: clamp(toNumber(inv.tevfikatRate ?? 0), 0, 100),
+          payable: t.payable,
+          paid: bal.paid,
+          remaining: bal.remaining,
+          totalNetTry: t.totalNet * rate,
+          totalVatInclTry: t.totalVatIncl * rate,
+          payableTry: t.payableTry,
+          remainingTry: bal.remainingTry,
+          status: PAYMENT_STATUSES[bal.status].label,
+        },
+      ];
+    });
+  }
+
+  function buildSummaryExportRows(invoiceRows) {
+    const bySupplier = new Map();
+    for (const r of invoiceRows) {
+      if (!bySupplier.has(r.supplierName)) bySupplier.set(r.supplierName, { supplierName: r.supplierName, invoiceCount: 0, totalNetTry: 0, totalVatInclTry: 0, payableTry: 0, remainingTry: 0 });
+      const cur = bySupplier.get(r.supplierName);
+      cur.invoiceCount += 1;
+      cur.totalNetTry += r.totalNetTry;
+      cur.totalVatInclTry += r.totalVatInclTry;
+      cur.payableTry += r.payableTry;
+      cur.remainingTry += r.remainingTry;
+    }
+    return [...bySupplier.values()].sort((a, b) => b.payableTry - a.payableTry);
+  }
+
+  async function exportPurchaseWorkbook(viewRows, filename) {
+    if (viewRows.length === 0) return alert("Aktarılacak satır yok.");
+    const withFormulas = confirm("Hesaplanan sütunlar Excel formülü olarak yazılsın mı? (İptal: yalnızca değerler)");
+    const invoiceRows = buildInvoiceExportRows(viewRows);
+    await exportToXlsx({
+      filename,
+      sheets: [
+        { name: "Faturalar", columns: invoiceExportColumns, rows: invoiceRows, withFormulas, totals: true },
+        { name: "Kalemler", columns: lineExportColumns, rows: buildExportRows(viewRows), withFormulas, totals: true },
+        { name: "Özet", columns: summaryExportColumns, rows: buildSummaryExportRows(invoiceRows), withFormulas, totals: true },
+      ],
+    });
+  }
+
   async function exportPurchasesXlsx() {
-    const rows = buildExportRows(sorted); // filtre + sıralama uygulanmış görünüm
-    await exportToXlsx({ filename: "satinalim_gorunum.xlsx", sheetName: "Satınalımlar", rows, headers: purchaseExportHeaders });
+    await exportPurchaseWorkbook(sorted, "satinalim_gorunum.xlsx"); // filtre + sıralama uygulanmış görünüm
   }
 
+  /** Dosya sayfa sayfa okunur ve eşleme sihirbazı açılır; CSV tek sayfadır (ayırıcı + kodlama tespitli) */
   async function handleImportFile(file) {
     if (!file) return;
 
-    // CSV destek (kolay fallback)
     const name = String(file.name || "").toLowerCase();
-    if (name.endsWith(".csv")) {
-      const text = await file.text();
-      const linesCsv = text.split(/\r?\n/).filter(Boolean);
-      if (linesCsv.length < 2) return alert("CSV boş.");
-      const headers = linesCsv[0].split(",").map((h) => normHeader(h));
-      const rows = linesCsv.slice(1).map((ln) => {
-        const parts = ln.split(",");
-        const obj = {};
-        headers.forEach((h, i) => (obj[h] = (parts[i] ?? "").replace(/^"|"$/g, "")));
-        return obj;
-      });
-      // CSV için minimum mapping (tavsiye: XLSX)
-      return alert("CSV import prototipte sınırlı. XLSX önerilir (npm i xlsx).");
+    let sheets;
+    if (name.endsWith(".csv") || name.endsWith(".txt")) {
+      try {
+        sheets = [{ name: "CSV", rows: parseCsv(decodeText(await file.arrayBuffer(), csvEncoding)) }];
+      } catch (err) {
+        return alert("CSV okunamadı: " + err.message);
+      }
+    } else {
+      try {
+        const XLSX = await import("xlsx");
+        const buf = await file.arrayBuffer();
+        const wb = XLSX.read(buf, { type: "array", cellDates: true });
+        sheets = wb.SheetNames.map((n) => ({ name: n, rows: XLSX.utils.sheet_to_json(wb.Sheets[n], { header: 1, defval: "" }) }));
+      } catch {
+        return alert("XLSX okuma için kütüphane yok. Kurulum: npm i xlsx");
+      }
     }
+    sheets = sheets.filter((sh) => sh.rows.length > 0);
+    if (sheets.length === 0) return alert("Dosya boş.");
+    setImportWizard({ fileName: file.name, sheets });
+  }
 
-    try {
-      const XLSX = await import("xlsx");
-      const buf = await file.arrayBuffer();
-      const wb = XLSX.read(buf, { type: "array" });
-      const ws = wb.Sheets[wb.SheetNames[0]];
-      const raw = XLSX.utils.sheet_to_json(ws, { defval: "" });
-
-      // Header normalize
-      const mapped = raw.map((r) => {
-        const o = {};
-        for (const [k, v] of Object.entries(r)) o[normHeader(k)] = v;
-        return o;
-      });
+  function saveImportProfile(profile) {
+    const next = [...importProfiles.filter((p) => p.name !== profile.name), profile];
+    localStorage.setItem(IMPORT_PROFILES_KEY, JSON.stringify(next));
+    setImportProfiles(next);
+  }
+
+  function deleteImportProfile(name) {
+    const next = importProfiles.filter((p) => p.name !== name);
+    localStorage.setItem(IMPORT_PROFILES_KEY, JSON.stringify(next));
+    setImportProfiles(next);
+  }
+
+  /** Aktarılmayan satırlar: dosyadaki değerler + hata açıklaması */
+  async function exportRejectedRows(rows) {
+    const headers = [{ key: "rowNo", label: "Satır", type: "number" }, ...IMPORT_FIELDS.map((f) => ({ key: f.key, label: f.label })), { key: "reason", label: "Hata" }];
+    const data = rows.map((r) => ({
+      ...r.source,
+      reason: [...r.errors, ...(r.duplicateOf ? [`Kayıtlı fatura: ${r.duplicateOf}.`] : [])].join(" "),
+    }));
+    await exportToXlsx({ filename: "ice_aktarma_hatalari.xlsx", sheets: [{ name: "Hatalı Satırlar", columns: headers, rows: data }] });
+  }
+
+  /** Ön kontrolden geçmiş satırlar ({ date, supplierName, ... }) → fatura + kalemler */
+  function importRecords(records) {
+    const invoicesToAdd = [];
+    const linesToAdd = [];
+    const invoiceByKey = new Map();
+
+    records.forEach((r) => {
+      const { supplierName, invoiceNo, invoiceItem, qty, unitType, unitPrice, discountRate, vatRate, exchangeRate } = r;
+      const date = r.date.slice(0, 10);
+      const currencyCode = (r.currencyCode || "TRY").toUpperCase();
+
+      if (!supplierName || !date || !invoiceItem) return;
 
-      const invoicesToAdd = [];
-      const linesToAdd = [];
-      const invoiceByKey = new Map();
-
-      mapped.forEach((r, idx) => {
-        const date = String(r["tarih"] || r["date"] || "").slice(0, 10);
-        const supplierName = String(r["tedarikci adi"] || r["tedarikci"] || r["supplier"] || "").trim();
-        const invoiceNo = String(r["fatura no"] || r["fatura"] || r["invoice no"] || "").trim();
-        const invoiceItem = String(r["fatura kalemi"] || r["kalem"] || r["item"] || "").trim();
-        const qty = String(r["adet"] || r["qty"] || "").trim();
-        const unitType = String(r["birim turu"] || r["birim"] || r["unit"] || "").trim();
-        const unitPrice = String(r["birim fiyat"] || r["unit price"] || "").trim();
-        const discountRate = String(r["iskonto orani"] || r["iskonto"] || r["discount"] || "").trim();
-        const vatRate = String(r["kdv orani"] || r["kdv"] || r["vat"] || "").trim();
-
-        const manualUnitNet = String(r["iskontolu birim fiyat"] || r["iskontolu birim"] || r["unit net"] || "").trim();
-        const manualUnitVat = String(r["kdv dahil birim fiyat"] || r["kdv dahil birim"] || r["unit vat incl"] || "").trim();
-
-        if (!supplierName || !date || !invoiceItem) return;
-
-        const key = invoiceNo ? `${supplierName}__${invoiceNo}__${date}` : `${supplierName}__${date}__row${idx}`;
-        let inv = invoiceByKey.get(key);
-        if (!inv) {
-          inv = {
-            id: uid(),
-            date,
-            supplierName,
-            invoiceNo,
-            currencyCode: "TRY",
-            paymentTermDays: "30",
-            tevfikatRate: "0",
-            discountTotal: "",
-          };
-          invoiceByKey.set(key, inv);
-          invoicesToAdd.push(inv);
-        }
-
-        let ln = {
+      const key = invoiceNo ? `${supplierName}__${invoiceNo}__${date}` : `${supplierName}__${date}__row${r.rowNo}`;
+      let inv = invoiceByKey.get(key);
+      if (!inv) {
+        inv = {
           id: uid(),
-          invoiceId: inv.id,
-          invoiceItem,
-          qty: qty || "1",
-          unitType: unitType || "Adet",
-          unitPrice: unitPrice || "0",
-          discountRate: discountRate || "0",
-          vatRate: vatRate || "20",
+          date,
+          supplierName,
+          invoiceNo,
+          ...fxFields({ currencyCode, exchangeRate: exchangeRate || lookupRate(exchangeRates, currencyCode, date)?.rate }),
+          paymentTermDays: r.paymentTermDays,
+          tevfikatRate: "0",
+          discountTotal: "",
         };
+        invoiceByKey.set(key, inv);
+        invoicesToAdd.push(inv);
+      }
+
+      let ln = {
+        id: uid(),
+        invoiceId: inv.id,
+        invoiceItem,
+        qty: qty || "1",
+        unitType: unitType || "Adet",
+        unitPrice: unitPrice || "0",
+        discountRate: discountRate || "0",
+        vatRate: vatRate || "20",
+      };
 
-        // Çift yönlü manuel alanlar (öncelik: iskontolu birim, sonra KDV dahil birim)
-        if (manualUnitNet) ln = deriveFromUnitNet(ln, manualUnitNet);
-        else if (manualUnitVat) ln = deriveFromUnitVatIncl(ln, manualUnitVat);
+      // Çift yönlü manuel alanlar (öncelik: iskontolu birim, sonra KDV dahil birim)
+      if (r.unitNet) ln = deriveFromUnitNet(ln, r.unitNet);
+      else if (r.unitVatIncl) ln = deriveFromUnitVatIncl(ln, r.unitVatIncl);
 
-        linesToAdd.push(ln);
-      });
+      linesToAdd.push(ln);
+    });
 
-      if (invoicesToAdd.length === 0 || linesToAdd.length === 0) return alert("İçe aktarılacak satır bulunamadı.");
+    if (invoicesToAdd.length === 0 || linesToAdd.length === 0) return alert("İçe aktarılacak satır bulunamadı.");
 
+    const { byName, created } = resolveSuppliers(suppliers, invoicesToAdd.map((x) => x.supplierName));
+    if (created.length) setSuppliers((prev) => [...prev, ...created]);
+    const linked = invoicesToAdd.map((x) => {
+      const card = byName.get(x.supplierName);
+      return { ...x, supplierId: card.id, supplierName: card.name, paymentTermDays: String(invoiceTermDays(x, card)) };
+    });
+    setInvoices((prev) => [...linked, ...prev]);
+    const itemRes = resolveItems(items, linesToAdd, categorizeItem);
+    if (itemRes.created.length) setItems((prev) => [...prev, ...itemRes.created]);
+    setLines((prev) => [...linkLinesToItems(linesToAdd, itemRes.byName), ...prev]);
+
+    alert(`İçe aktarıldı: ${invoicesToAdd.length} fatura, ${linesToAdd.length} satır.`);
+  }
+
+  /**
+   * e-Fatura XML'leri: tedarikçi önce VKN/TCKN, sonra unvanla eşlenir (yoksa kart açılır);
+   * aynı ETTN ya da aynı tedarikçi + fatura no zaten varsa atlanır. Kuru XML'de ya da kur tablosunda olmayan
+   * dövizli fatura formdaki gibi kaydedilmez (hata olarak raporlanır; kur eklenip yeniden aktarılır).
+   */
+  async function importUblFiles(fileList) {
+    let docs;
+    try {
+      docs = await readXmlDocuments([...(fileList ?? [])]);
+    } catch (err) {
+      return alert("XML okunamadı: " + err.message);
+    }
+    const results = [];
+    const invoicesToAdd = [];
+    const linesToAdd = [];
+    const cards = [...suppliers];
+    const createdCards = [];
+
+    for (const d of docs) {
+      if (d.error) {
+        results.push({ fileName: d.fileName, status: "error", messages: [d.error] });
+        continue;
+      }
+      let parsed;
+      try {
+        parsed = parseUblInvoice(d.text);
+      } catch (err) {
+        results.push({ fileName: d.fileName, status: "error", messages: [err.message] });
+        continue;
+      }
+      const { invoice, lines: ublLines, supplier, warnings } = parsed;
+      const base = { fileName: d.fileName, invoiceNo: invoice.invoiceNo, supplierName: supplier.name };
+
+      const fx = fxFields({ currencyCode: invoice.currencyCode, exchangeRate: invoice.exchangeRate || lookupRate(exchangeRates, invoice.currencyCode, invoice.date)?.rate });
+      const fxErr = fxError(fx);
+      if (fxErr) {
+        results.push({ ...base, status: "error", messages: [fxErr] });
+        continue;
+      }
+
+      let card = findSupplierByTaxId(cards, supplier.taxId) ?? findSupplierByName(cards, supplier.name);
+      if (!card) {
+        card = { ...blankSupplier(supplier.name), taxId: supplier.taxId, taxOffice: supplier.taxOffice, address: supplier.address };
+        cards.push(card);
+        createdCards.push(card);
+        warnings.push(`Yeni tedarikçi kartı açıldı: ${supplier.name}${supplier.taxId ? ` (${supplier.taxIdScheme} ${supplier.taxId})` : ""}.`);
+      }
+
+      const all = [...invoices, ...invoicesToAdd];
+      const dup = all.find(
+        (x) => (invoice.ettn && x.ettn === invoice.ettn) || (invoice.invoiceNo && x.invoiceNo === invoice.invoiceNo && x.supplierId === card.id)
+      );
+      if (dup) {
+        results.push({ ...base, status: "skipped", messages: [`Bu fatura zaten kayıtlı (${dup.invoiceNo || dup.ettn}).`] });
+        continue;
+      }
+
+      const inv = {
+        id: uid(),
+        date: invoice.date,
+        supplierId: card.id,
+        supplierName: card.name,
+        invoiceNo: invoice.invoiceNo,
+        ettn: invoice.ettn,
+        ...fx,
+        paymentTermDays: String(invoiceTermDays(invoice, card)),
+        tevfikatRate: invoice.tevfikatRate,
+        discountTotal: invoice.discountTotal,
+      };
+      invoicesToAdd.push(inv);
+      for (const ln of ublLines) linesToAdd.push({ id: uid(), invoiceId: inv.id, ...ln });
+      results.push({ ...base, status: "imported", lineCount: ublLines.length, messages: warnings });
+    }
+
+    if (createdCards.length) setSuppliers((prev) => [...prev, ...createdCards]);
+    if (invoicesToAdd.length) {
       setInvoices((prev) => [...invoicesToAdd, ...prev]);
-      setLines((prev) => [...linesToAdd, ...prev]);
+      const itemRes = resolveItems(items, linesToAdd, categorizeItem);
+      if (itemRes.created.length) setItems((prev) => [...prev, ...itemRes.created]);
+      setLines((prev) => [...linkLinesToItems(linesToAdd, itemRes.byName), ...prev]);
+    }
+    setUblReport(results);
+  }
 
-      alert(`İçe aktarıldı: ${invoicesToAdd.length} fatura, ${linesToAdd.length} satır.`);
-    } catch (e) {
-      alert("XLSX okuma için kütüphane yok. Kurulum: npm i xlsx");
+  /** Alıcı bilgisi bir kez sorulur ve tarayıcıda saklanır */
+  function askCompany() {
+    const saved = savedCompany();
+    if (saved?.name && saved?.taxId) return saved;
+    const name = prompt("Alıcı (firmamız) unvanı:", saved?.name ?? "");
+    if (!name?.trim()) return null;
+    const taxId = prompt("Alıcı VKN / TCKN:", saved?.taxId ?? "");
+    if (taxId == null) return null;
+    const err = taxIdError(taxId) || (taxId.trim() ? "" : "VKN / TCKN zorunludur.");
+    if (err) {
+      alert(err);
+      return null;
     }
+    const company = { name: name.trim(), taxId: taxId.trim(), taxOffice: "", address: "" };
+    localStorage.setItem(COMPANY_KEY, JSON.stringify(company));
+    return company;
+  }
+
+  /** Faturayı UBL-TR 1.2 XML olarak indirir; ETTN yoksa üretilip faturaya yazılır */
+  function exportInvoiceUbl(invoiceId) {
+    const inv = invoices.find((x) => x.id === invoiceId);
+    if (!inv) return;
+    const invLines = lines.filter((x) => x.invoiceId === invoiceId);
+    if (invLines.length === 0) return alert("Kalemi olmayan fatura dışa aktarılamaz.");
+    const err = fxError(inv);
+    if (err) return alert(err);
+    const card = suppliers.find((s) => s.id === inv.supplierId) ?? { name: inv.supplierName };
+    if (!card.taxId && !confirm("Tedarikçi kartında VKN / TCKN yok. XML yine de oluşturulsun mu?")) return;
+    const buyer = askCompany();
+    if (!buyer) return;
+
+    const uuid = inv.ettn || crypto.randomUUID();
+    if (!inv.ettn) setInvoices((prev) => prev.map((x) => (x.id === inv.id ? { ...x, ettn: uuid } : x)));
+    const xml = buildUblInvoice({ invoice: inv, lines: invLines, supplier: card, buyer, uuid, dueDate: invoiceDueDate(inv, card) });
+    downloadBlob(`${inv.invoiceNo || uuid}.xml`, new Blob([xml], { type: "application/xml;charset=utf-8" }));
+  }
+
+  /** Yazdırma / PDF: alıcı bilgisi kayıtlıysa belgeye yazılır (sorulmaz) */
+  function savedCompany() {
+    return readStoredJson(COMPANY_KEY, null);
   }
 
-function openEditLine(lineId) {
+  /** draft: Fatura Formu başlığı (kaydedilmemiş değişiklikler dahil) */
+  function printInvoice(draft) {
+    const invoice = { ...invoices.find((x) => x.id === draft.id), ...draft };
+    const invLines = lines.filter((x) => x.invoiceId === invoice.id);
+    if (invLines.length === 0) return alert("Kalemi olmayan fatura yazdırılamaz.");
+    const card = suppliers.find((s) => s.id === invoice.supplierId && s.name === invoice.supplierName) ??
+      findSupplierByName(suppliers, invoice.supplierName) ?? { name: invoice.supplierName };
+    printHtml(invoiceDocument({ invoice, lines: invLines, supplier: card, buyer: savedCompany(), dueDate: invoiceDueDate(invoice, card) }));
+  }
+
+  function printOrder(order) {
+    const orderLinesToPrint = order.lines.filter((l) => String(l.invoiceItem || "").trim());
+    if (orderLinesToPrint.length === 0) return alert("Kalemi olmayan sipariş yazdırılamaz.");
+    const card = suppliers.find((s) => s.id === order.supplierId) ?? findSupplierByName(suppliers, order.supplierName) ?? { name: order.supplierName };
+    printHtml(orderDocument({ order, lines: orderLinesToPrint, supplier: card, buyer: savedCompany(), statusLabel: orderStatus(order.status).label }));
+  }
+
+  function openEditLine(lineId) {
     const ln = lines.find((x) => x.id === lineId);
     if (!ln) return;
     setEditingLineId(lineId);
@@ -733,12 +1122,39 @@ function openEditLine(lineId) {
       unitPrice: ln.unitPrice ?? "",
       discountRate: ln.discountRate ?? "",
       vatRate: ln.vatRate ?? "",
+      orderLineId: ln.orderLineId ?? "",
+      costCenters: ln.costCenters ?? [],
     });
     setLineUnitNetRaw("");
     setLineUnitVatRaw("");
     setLinePanelOpen(true);
   }
 
+  function changeUser() {
+    const name = prompt("Kullanıcı adı (değişiklik kaydında ve talep onaylarında görünür):", currentUser);
+    if (name == null) return;
+    const next = name.trim();
+    localStorage.setItem(USER_KEY, next);
+    setCurrentUser(next);
+  }
+
+  /** Faturayı kalemleriyle birlikte siler; ödeme dağıtımı olan fatura silinmez */
+  function removeInvoice(invoiceId) {
+    const inv = invoices.find((x) => x.id === invoiceId);
+    if (!inv) return;
+    if (payments.some((p) => (p.allocations ?? []).some((a) => a.invoiceId === invoiceId))) {
+      return alert("Ödemesi olan fatura silinemez. Önce ödeme kaydından bu faturayı çıkarın.");
+    }
+    const lineCount = lines.filter((x) => x.invoiceId === invoiceId).length;
+    const ok = confirm(`${inv.invoiceNo || "Numarasız"} faturası ve ${lineCount} kalemi silinsin mi? (Geri Al ile geri alınabilir)`);
+    if (!ok) return;
+    setInvoices((prev) => prev.filter((x) => x.id !== invoiceId));
+    setLines((prev) => prev.filter((x) => x.invoiceId !== invoiceId));
+    setSelectedLineIds(new Set());
+    setInvoiceModalOpen(false);
+    setLinePanelOpen(false);
+  }
+
   function removeLine(lineId) {
     const ok = confirm("Bu fatura kalemini silmek istiyor musunuz?");
     if (!ok) return;
@@ -749,19 +1165,25 @@ function openEditLine(lineId) {
     if (!lineDraft) return;
     if (!lineDraft.invoiceId) return alert("Fatura seçiniz.");
     if (!String(lineDraft.invoiceItem || "").trim()) return alert("Fatura kalemi zorunludur.");
+    const splitErr = validateCostSplits(lineDraft.costCenters);
+    if (splitErr) return alert(splitErr);
+    const item = ensureItem(lineDraft);
 
     const payload = {
       id: editingLineId,
       invoiceId: lineDraft.invoiceId,
-      invoiceItem: String(lineDraft.invoiceItem).trim(),
+      itemId: item.id,
+      invoiceItem: item.name,
       qty: String(lineDraft.qty ?? ""),
       unitType: lineDraft.unitType,
       unitPrice: String(lineDraft.unitPrice ?? ""),
       discountRate: String(lineDraft.discountRate ?? ""),
       vatRate: String(lineDraft.vatRate ?? ""),
+      costCenters: normalizeCostSplits(lineDraft.costCenters),
     };
 
-    setLines((prev) => prev.map((x) => (x.id === payload.id ? payload : x)));
+    // orderLineId gibi formda olmayan alanlar korunur
+    setLines((prev) => prev.map((x) => (x.id === payload.id ? { ...x, ...payload } : x)));
     setLinePanelOpen(false);
   }
 
@@ -775,6 +1197,10 @@ function openEditLine(lineId) {
       invoiceNo: inv.invoiceNo ?? "",
       date: inv.date ?? "",
       supplierName: inv.supplierName ?? "",
+      currencyCode: inv.currencyCode || "TRY",
+      exchangeRate: inv.exchangeRate ?? "",
+      paymentTermDays: String(inv.paymentTermDays ?? ""),
+      department: inv.department ?? "",
       tevfikatRate: String(inv.tevfikatRate ?? 0),
       discountTotal: String(inv.discountTotal ?? ""),
     });
@@ -860,9 +1286,26 @@ function openEditLine(lineId) {
 
 
 
+  /** Ada göre tedarikçi kartını bulur, yoksa yalnızca unvanla açar */
+  function ensureSupplier(name) {
+    const { byName, created } = resolveSuppliers(suppliers, [name]);
+    if (created.length) setSuppliers((prev) => [...prev, ...created]);
+    return byName.get(String(name).trim());
+  }
+
+  /** Kalem adına göre katalog ürününü bulur, yoksa satırın birim / KDV'siyle açar */
+  function ensureItem(line) {
+    const { byName, created } = resolveItems(items, [line], categorizeItem);
+    if (created.length) setItems((prev) => [...prev, ...created]);
+    return byName.get(String(line.invoiceItem).trim());
+  }
+
   function saveInvoiceHeader() {
     if (!invoiceDraft) return;
     if (!String(invoiceDraft.supplierName || "").trim()) return alert("Tedarikçi adı zorunludur.");
+    const fxErr = fxError(invoiceDraft);
+    if (fxErr) return alert(fxErr);
+    const supplier = ensureSupplier(invoiceDraft.supplierName);
 
     setInvoices((prev) =>
       prev.map((x) =>
@@ -871,7 +1314,11 @@ function openEditLine(lineId) {
               ...x,
               invoiceNo: String(invoiceDraft.invoiceNo ?? "").trim(),
               date: invoiceDraft.date,
-              supplierName: String(invoiceDraft.supplierName ?? "").trim(),
+              supplierId: supplier.id,
+              supplierName: supplier.name,
+              ...fxFields(invoiceDraft),
+              paymentTermDays: String(invoiceTermDays(invoiceDraft, supplier)),
+              department: String(invoiceDraft.department ?? "").trim(),
               tevfikatRate: clamp(toNumber(invoiceDraft.tevfikatRate), 0, 100),
               discountTotal: Math.max(0, toNumber(invoiceDraft.discountTotal)),
             }
@@ -951,11 +1398,13 @@ function openEditLine(lineId) {
   function saveInvoiceLineDraft() {
     if (!invoiceLineDraft) return;
     if (!String(invoiceLineDraft.invoiceItem || "").trim()) return alert("Fatura kalemi zorunludur.");
+    const item = ensureItem(invoiceLineDraft);
 
     const payload = {
       id: invoiceLineDraft.id,
       invoiceId: invoiceLineDraft.invoiceId,
-      invoiceItem: String(invoiceLineDraft.invoiceItem).trim(),
+      itemId: item.id,
+      invoiceItem: item.name,
       qty: String(invoiceLineDraft.qty ?? ""),
       unitType: invoiceLineDraft.unitType,
       unitPrice: String(invoiceLineDraft.unitPrice ?? ""),
@@ -963,7 +1412,7 @@ function openEditLine(lineId) {
       vatRate: String(invoiceLineDraft.vatRate ?? ""),
     };
 
-    setLines((prev) => prev.map((x) => (x.id === payload.id ? payload : x)));
+    setLines((prev) => prev.map((x) => (x.id === payload.id ? { ...x, ...payload } : x)));
     setInvoiceLineDraftOverrides((prev) => {
       const next = { ...prev };
       delete next[payload.id];
@@ -976,6 +1425,10 @@ function openEditLine(lineId) {
       invoiceNo: "",
       date: new Date().toISOString().slice(0, 10),
       supplierName: "",
+      currencyCode: "TRY",
+      exchangeRate: "1",
+      paymentTermDays: "",
+      department: "",
       tevfikatRate: "0",
       discountTotal: "",
     });
@@ -985,8 +1438,38 @@ function openEditLine(lineId) {
     setInvoiceCreateOpen(true);
   }
 
+  /** Siparişin faturalanmamış kalan miktarlarıyla "Satınalım Ekle" ekranını açar */
+  function openPurchaseCreateFromOrder(orderId) {
+    const order = orders.find((o) => o.id === orderId);
+    if (!order) return;
+    const remaining = uninvoicedOrderLines(orderId, orderLines, lines);
+    const err = orderInvoiceError(order, remaining);
+    if (err) return alert(err);
+
+    const { draft, lines: draftLines } = invoiceDraftFromOrder(order, remaining, new Date().toISOString().slice(0, 10));
+    setInvoiceCreateDraft(draft);
+    setInvoiceCreateLines(draftLines);
+    setCreateUnitNetRaw({});
+    setCreateUnitVatRaw({});
+    setInvoiceCreateOpen(true);
+  }
+
+  /** Katalogdan ürün seçilince (ad / SKU / barkod) birim ve KDV varsayılanları yazılır */
+  function setCreateLineItem(key, text) {
+    const item = findCatalogItem(activeItems, text);
+    setInvoiceCreateLines((prev) =>
+      prev.map((x) => {
+        if (x._key !== key) return x;
+        if (item && item.id !== x.itemId) return applyItemDefaults(x, item);
+        return { ...x, invoiceItem: item ? item.name : text, itemId: item?.id };
+      })
+    );
+  }
+
   function saveInvoiceCreate() {
     if (!String(invoiceCreateDraft.supplierName || "").trim()) return alert("Tedarikçi adı zorunludur.");
+    const fxErr = fxError(invoiceCreateDraft);
+    if (fxErr) return alert(fxErr);
 
     const meaningfulLines = invoiceCreateLines
       .filter((l) => String(l.invoiceItem || "").trim())
@@ -997,25 +1480,26 @@ function openEditLine(lineId) {
         unitPrice: String(l.unitPrice ?? ""),
         discountRate: String(l.discountRate ?? ""),
         vatRate: String(l.vatRate ?? ""),
+        costCenters: normalizeCostSplits(l.costCenters),
+        ...(l.orderLineId ? { orderLineId: l.orderLineId } : {}),
       }));
 
     if (meaningfulLines.length === 0) return alert("En az 1 kalem girmelisiniz.");
+    for (const l of invoiceCreateLines.filter((x) => String(x.invoiceItem || "").trim())) {
+      const splitErr = validateCostSplits(l.costCenters);
+      if (splitErr) return alert(`${l.invoiceItem}: ${splitErr}`);
+    }
 
     const invId = uid();
-    const inv = {
-      id: invId,
-      invoiceNo: String(invoiceCreateDraft.invoiceNo || "").trim() || `INV-${invId.slice(0, 6)}`,
-      date: invoiceCreateDraft.date,
-      supplierName: String(invoiceCreateDraft.supplierName || "").trim(),
-      tevfikatRate: clamp(toNumber(invoiceCreateDraft.tevfikatRate), 0, 100),
-      discountTotal: Math.max(0, toNumber(invoiceCreateDraft.discountTotal)),
-    };
+    const discountTotal = Math.max(0, toNumber(invoiceCreateDraft.discountTotal));
+    const department = String(invoiceCreateDraft.department ?? "").trim();
 
-    // Satırlar
-    let newLines = meaningfulLines.map((l) => ({ id: uid(), invoiceId: invId, ...l }));
+    // Satırlar (katalogda olmayan kalemler için ürün açılır)
+    const itemRes = resolveItems(items, meaningfulLines, categorizeItem);
+    let newLines = linkLinesToItems(meaningfulLines, itemRes.byName).map((l) => ({ id: uid(), invoiceId: invId, ...l }));
 
     // Eğer toplam iskonto girildiyse, sadece yeni satırlar üzerinde dağıt (state'e bakmadan)
-    if (inv.discountTotal > 0) {
+    if (discountTotal > 0) {
       const weights = newLines.map((ln) => Math.max(0, toNumber(ln.unitPrice)) * Math.max(0, toNumber(ln.qty)));
       const sumW = weights.reduce((a, b) => a + b, 0);
 
@@ -1023,7 +1507,7 @@ function openEditLine(lineId) {
         let allocated = 0;
         newLines = newLines.map((ln, idx) => {
           const w = weights[idx];
-          const share = idx === newLines.length - 1 ? inv.discountTotal - allocated : (inv.discountTotal * w) / sumW;
+          const share = idx === newLines.length - 1 ? discountTotal - allocated : (discountTotal * w) / sumW;
           allocated += share;
           const gross = w;
           const rate = gross > 0 ? (share / gross) * 100 : 0;
@@ -1032,82 +1516,480 @@ function openEditLine(lineId) {
       }
     }
 
+    // Bütçe aşımı kaydetmeden önce sorulur (yeni açılan ürünlerin kategorisi anahtar kelime kurallarından gelir)
+    const fx = fxFields(invoiceCreateDraft);
+    const itemById = new Map([...items, ...itemRes.created].map((it) => [it.id, it]));
+    const overruns = budgetOverruns(
+      budgets,
+      budgetUsageMap,
+      newLines.map((ln) => ({
+        ...ln,
+        date: invoiceCreateDraft.date,
+        department,
+        category: itemById.get(ln.itemId)?.category ?? "",
+        currencyCode: fx.currencyCode,
+        fxRate: invoiceFxRate(fx),
+      })),
+      exchangeRates
+    );
+    if (overruns.length) {
+      const over = overruns.filter((o) => o.over).map((o) => {
+        const code = o.budget.currencyCode;
+        return `• ${periodLabel(o.budget)} · ${o.budget.key}: ${formatAmount(o.after, code)} / ${formatAmount(toNumber(o.budget.amount), code)} (bu fatura: ${formatAmount(o.added, code)})`;
+      });
+      const noRate = overruns.filter((o) => o.missingRate > 0).map((o) => `• ${periodLabel(o.budget)} · ${o.budget.key}: ${o.missingRate} kalem (${o.budget.currencyCode} kuru yok)`);
+      const parts = [
+        over.length ? `Bu fatura ile bütçe aşılıyor:\n${over.join("\n")}` : "",
+        noRate.length ? `Kur bulunamadığı için bu bütçelerin aşımı denetlenemedi:\n${noRate.join("\n")}` : "",
+      ].filter(Boolean);
+      if (!confirm(`${parts.join("\n\n")}\n\nYine de kaydedilsin mi?`)) return;
+    }
+
+    const supplier = ensureSupplier(invoiceCreateDraft.supplierName);
+    const inv = {
+      id: invId,
+      invoiceNo: String(invoiceCreateDraft.invoiceNo || "").trim() || `INV-${invId.slice(0, 6)}`,
+      date: invoiceCreateDraft.date,
+      supplierId: supplier.id,
+      supplierName: supplier.name,
+      ...fx,
+      paymentTermDays: String(invoiceTermDays(invoiceCreateDraft, supplier)),
+      department,
+      tevfikatRate: clamp(toNumber(invoiceCreateDraft.tevfikatRate), 0, 100),
+      discountTotal,
+    };
+
+    if (itemRes.created.length) setItems((prev) => [...prev, ...itemRes.created]);
     setInvoices((prev) => [inv, ...prev]);
     setLines((prev) => [...newLines, ...prev]);
     setInvoiceCreateOpen(false);
   }
 
-  function openSupplierModal(name) {
-    setSupplierModalOriginal(name);
-    setSupplierModalDraft(name);
-    setSupplierModalOpen(true);
+  /** Kartı id ile, bulunamazsa adla açar; kartı olmayan ad için yeni kart formu (unvan dolu) */
+  function openSupplierModal(supplierId, name) {
+    const found = suppliers.find((s) => s.id === supplierId) ?? findSupplierByName(suppliers, name);
+    setSupplierForm(found ? { supplier: found, isNew: false } : { supplier: blankSupplier(name ?? ""), isNew: true });
   }
-  function saveSupplierModal() {
-    const next = String(supplierModalDraft || "").trim();
-    if (!next) return alert("Tedarikçi adı boş olamaz.");
-    const prevName = supplierModalOriginal;
-    setInvoices((prev) => prev.map((x) => (x.supplierName === prevName ? { ...x, supplierName: next } : x)));
-    setSupplierModalOpen(false);
+
+  function saveSupplier(draft) {
+    const err = validateSupplier(draft, suppliers);
+    if (err) return alert(err);
+    const next = normalizeSupplier(draft);
+    const prev = suppliers.find((s) => s.id === next.id);
+
+    setSuppliers((list) => (prev ? list.map((s) => (s.id === next.id ? next : s)) : [...list, next]));
+    // Fatura ve siparişteki unvan kopyası: bağlı kayıtlar + (yeni kartta) aynı adla kayıtlı eski kayıtlar
+    const prevName = prev?.name ?? (String(supplierForm?.supplier.name || "").trim() || next.name);
+    const relink = (x) => (x.supplierId === next.id || (!x.supplierId && x.supplierName === prevName) ? { ...x, supplierId: next.id, supplierName: next.name } : x);
+    setInvoices((list) => list.map(relink));
+    setOrders((list) => list.map(relink));
+    if (prev && prev.name !== next.name) {
+      setPayments((list) => list.map((x) => (x.supplierId === next.id ? { ...x, supplierName: next.name } : x)));
+      setRequests((list) => list.map((r) => (r.supplierName === prev.name ? { ...r, supplierName: next.name } : r)));
+    }
+    setSupplierForm(null);
   }
 
-  function openItemModal(name) {
-    setItemModalOriginal(name);
-    setItemModalDraft(name);
-    setItemModalOpen(true);
+  function removeSupplier(supplierId) {
+    const s = suppliers.find((x) => x.id === supplierId);
+    if (!s) return;
+    if (invoices.some((x) => x.supplierId === supplierId)) return alert("Faturası olan tedarikçi silinemez.");
+    if (payments.some((x) => x.supplierId === supplierId)) return alert("Ödemesi olan tedarikçi silinemez.");
+    if (orders.some((x) => x.supplierId === supplierId)) return alert("Siparişi olan tedarikçi silinemez.");
+    if (!confirm(`${s.name} silinsin mi?`)) return;
+    setSuppliers((list) => list.filter((x) => x.id !== supplierId));
+    setSupplierForm(null);
   }
-  function saveItemModal() {
-    const next = String(itemModalDraft || "").trim();
-    if (!next) return alert("Kalem adı boş olamaz.");
-    const prevName = itemModalOriginal;
-    setLines((prev) => prev.map((x) => (x.invoiceItem === prevName ? { ...x, invoiceItem: next } : x)));
-    setItemModalOpen(false);
+
+  /** Yeni ödeme; invoiceId verilirse o faturanın kalanı önerilir */
+  function openNewPayment(supplierId, supplierName, invoiceId) {
+    const inv = invoices.find((x) => x.id === invoiceId);
+    const card = suppliers.find((s) => s.id === (inv?.supplierId ?? supplierId));
+    const payment = blankPayment({
+      supplierId: card?.id ?? "",
+      supplierName: card?.name ?? inv?.supplierName ?? supplierName ?? "",
+      ...(inv ? fxFields(inv) : {}),
+    });
+    const remaining = inv ? invoiceBalance.get(inv.id)?.remaining ?? 0 : 0;
+    if (remaining > 0) {
+      payment.amount = remaining.toFixed(2);
+      payment.allocations = [{ invoiceId: inv.id, amount: remaining.toFixed(2) }];
+    }
+    setPaymentForm({ payment, isNew: true });
+  }
+
+  function openPayment(paymentId) {
+    const found = payments.find((x) => x.id === paymentId);
+    if (found) setPaymentForm({ payment: found, isNew: false });
+  }
+
+  function savePayment(draft) {
+    // Bu ödemenin eski dağıtımları hariç kalanlar
+    const paidOthers = paidByInvoice(payments, draft.id);
+    const remainingById = new Map(invoices.map((inv) => [inv.id, Math.max(0, (invoiceTotals.get(inv.id)?.payable ?? 0) - (paidOthers.get(inv.id) ?? 0))]));
+    const err = validatePayment(draft, remainingById);
+    if (err) return alert(err);
+    const supplier = ensureSupplier(draft.supplierName);
+    const next = { ...normalizePayment(draft), supplierId: supplier?.id ?? "", supplierName: supplier?.name ?? draft.supplierName.trim() };
+    setPayments((list) => (list.some((x) => x.id === next.id) ? list.map((x) => (x.id === next.id ? next : x)) : [...list, next]));
+    setPaymentForm(null);
+  }
+
+  function removePayment(paymentId) {
+    if (!confirm("Bu ödeme kaydı silinsin mi? Faturalardaki ödenen tutarlar geri alınır.")) return;
+    setPayments((list) => list.filter((x) => x.id !== paymentId));
+    setPaymentForm(null);
+  }
+
+  function saveBudget(draft) {
+    const err = validateBudget(draft, budgets);
+    if (err) return alert(err);
+    const next = normalizeBudget(draft);
+    setBudgets((list) => (list.some((x) => x.id === next.id) ? list.map((x) => (x.id === next.id ? next : x)) : [...list, next]));
+    setBudgetForm(null);
+  }
+
+  function removeBudget(budgetId) {
+    if (!confirm("Bu bütçe silinsin mi?")) return;
+    setBudgets((list) => list.filter((x) => x.id !== budgetId));
+    setBudgetForm(null);
+  }
+
+  async function clearAllData() {
+    const ok = confirm("Tüm faturalar ve kalemler kalıcı olarak silinecek. Devam edilsin mi?");
+    if (!ok) return;
+    await store.clearAll();
+  }
+
+  async function reseedSampleData() {
+    const ok = confirm("Mevcut veriler silinip örnek veri yeniden yüklenecek. Devam edilsin mi?");
+    if (!ok) return;
+    await store.reseed();
+  }
+
+  /** Ürünü id ile, bulunamazsa adla açar; katalogda olmayan ad için yeni ürün formu */
+  function openItemModal(itemId, name) {
+    const found = items.find((x) => x.id === itemId) ?? findItemByName(items, name);
+    setItemForm(found ? { item: found, isNew: false } : { item: blankItem(name ?? ""), isNew: true });
+  }
+
+  function saveItem(draft) {
+    const err = validateItem(draft, items);
+    if (err) return alert(err);
+    const next = { ...normalizeItem(draft, items), category: normalizePath(draft.category) };
+    const prev = items.find((x) => x.id === next.id);
+
+    // Elle yazılan yeni yol ("Üst > Alt") ağaca eklenir
+    const newNodes = next.category ? missingCategoryNodes(categories, [next.category]) : [];
+    if (newNodes.length) setCategories((list) => [...list, ...newNodes]);
+
+    setItems((list) => (prev ? list.map((x) => (x.id === next.id ? next : x)) : [...list, next]));
+    // Kalemlerdeki ad kopyası: bağlı kalemler + (yeni üründe) aynı adla kayıtlı eski kalemler
+    const prevName = prev?.name ?? (String(itemForm?.item.name || "").trim() || next.name);
+    setLines((list) =>
+      list.map((x) => (x.itemId === next.id || (!x.itemId && x.invoiceItem === prevName) ? { ...x, itemId: next.id, invoiceItem: next.name } : x))
+    );
+    if (prev && prev.name !== next.name) {
+      setOrderLines((list) => list.map((x) => (x.invoiceItem === prev.name ? { ...x, invoiceItem: next.name } : x)));
+    }
+    setItemForm(null);
+  }
+
+  // Ürün Detayı: katalog kaydı (yoksa yalnızca ad) + alım geçmişi
+  const itemDetailData = useMemo(() => {
+    if (!itemDetail) return null;
+    const item = items.find((x) => x.id === itemDetail.itemId) ?? findItemByName(items, itemDetail.name) ?? { id: "", name: itemDetail.name };
+    const purchases = itemPurchases(joined, item);
+    return { item, purchases, units: priceStatsByUnit(purchases) };
+  }, [itemDetail, items, joined]);
+
+  /** Yeni ürünlerin kategorisi anahtar kelime kurallarından */
+  function categorizeItem(name) {
+    return matchCategory(categories, name);
+  }
+
+  function saveCategory(draft) {
+    const err = validateCategory(draft, categories);
+    if (err) {
+      alert(err);
+      return false;
+    }
+    const next = normalizeCategory(draft);
+    const exists = categories.some((c) => c.id === next.id);
+    const list = exists ? categories.map((c) => (c.id === next.id ? next : c)) : [...categories, next];
+    setCategories(list);
+
+    // Ad / üst kategori değişince ürünlerdeki yol (alt kategoriler dahil) güncellenir
+    const oldPath = exists ? categoryPath(categories, next.id) : "";
+    const newPath = categoryPath(list, next.id);
+    if (oldPath && oldPath !== newPath) {
+      setItems((prev) => prev.map((it) => (it.category && isUnder(it.category, oldPath) ? { ...it, category: renameCategoryPath(it.category, oldPath, newPath) } : it)));
+    }
+    return true;
+  }
+
+  function removeCategory(categoryId) {
+    const path = categoryPath(categories, categoryId);
+    const ids = descendantIds(categories, categoryId);
+    const affected = items.filter((it) => it.category && isUnder(it.category, path)).length;
+    const parent = splitPath(path).slice(0, -1).join(PATH_SEP);
+    const msg =
+      `"${path}"` +
+      (ids.size > 1 ? ` ve ${ids.size - 1} alt kategorisi` : "") +
+      " silinsin mi?" +
+      (affected ? `\n${affected} ürünün kategorisi ${parent ? `"${parent}"` : "boş"} olacak.` : "");
+    if (!confirm(msg)) return;
+    setCategories((list) => list.filter((c) => !ids.has(c.id)));
+    if (affected) setItems((prev) => prev.map((it) => (it.category && isUnder(it.category, path) ? { ...it, category: parent } : it)));
+  }
+
+  function addMissingCategories() {
+    const nodes = missingCategoryNodes(categories, untrackedCategoryPaths(categories, items));
+    if (nodes.length) setCategories((list) => [...list, ...nodes]);
+  }
+
+  function runCategoryRules(overwrite) {
+    const changed = applyCategoryRules(items, categories, { overwrite });
+    if (changed.length === 0) return alert("Kurallara uyan (değişecek) ürün yok.");
+    if (!confirm(`${changed.length} ürünün kategorisi kurallara göre atanacak. Devam edilsin mi?`)) return;
+    const byId = new Map(changed.map((it) => [it.id, it]));
+    setItems((prev) => prev.map((it) => byId.get(it.id) ?? it));
+  }
+
+  function removeItem(itemId) {
+    const it = items.find((x) => x.id === itemId);
+    if (!it) return;
+    if (lines.some((x) => x.itemId === itemId)) return alert("Kalemde kullanılan ürün silinemez; pasife alabilirsiniz.");
+    if (!confirm(`${it.name} silinsin mi?`)) return;
+    setItems((list) => list.filter((x) => x.id !== itemId));
+    setItemForm(null);
+  }
+
+  // Sipariş kalemi id → { orderId, orderNo } (fatura kaleminin kaynağını göstermek için)
+  const orderLineRefs = useMemo(() => {
+    const orderById = new Map(orders.map((o) => [o.id, o]));
+    return new Map(orderLines.map((ol) => [ol.id, { orderId: ol.orderId, orderNo: orderById.get(ol.orderId)?.orderNo ?? "?" }]));
+  }, [orders, orderLines]);
+
+  // Üçlü eşleştirme (fiyat toleransı % — oturum boyunca)
+  const [matchTolerance, setMatchTolerance] = useState(String(DEFAULT_PRICE_TOLERANCE));
+  const matchRows = useMemo(
+    () => buildMatchRows({ orders, orderLines, receiptLines, invoices, invoiceLines: lines, tolerancePct: matchTolerance }),
+    [orders, orderLines, receiptLines, invoices, lines, matchTolerance]
+  );
+  const matchRowByOrderLine = useMemo(() => new Map(matchRows.map((r) => [r.orderLineId, r])), [matchRows]);
+
+  const selectedRows = useMemo(() => joined.filter((r) => selectedLineIds.has(r.id)), [joined, selectedLineIds]);
+
+  function toggleLineSelected(lineId) {
+    setSelectedLineIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(lineId)) next.delete(lineId);
+      else next.add(lineId);
+      return next;
+    });
+  }
+
+  function toggleAllVisibleSelected() {
+    const allSelected = sorted.length > 0 && sorted.every((r) => selectedLineIds.has(r.id));
+    setSelectedLineIds(allSelected ? new Set() : new Set(sorted.map((r) => r.id)));
+  }
+
+  function openOrderTransfer() {
+    const err = transferSelectionError(selectedRows);
+    if (err) return alert(err);
+    setOrderTransferDraft({
+      mode: "new",
+      orderId: "",
+      supplierName: selectedRows[0].supplierName ?? "",
+      expectedDate: "",
+    });
+    setOrderTransferOpen(true);
+  }
+
+  function saveOrderTransfer() {
+    if (!orderTransferDraft || selectedRows.length === 0) return;
+    const today = new Date().toISOString().slice(0, 10);
+    const err = orderTransferError(orderTransferDraft, selectedRows, orders, today);
+    if (err) return alert(err);
+
+    const { order, isNew, orderLines: newOrderLines } = buildOrderTransfer(orderTransferDraft, selectedRows, orders, today, suppliers);
+    if (isNew) setOrders((prev) => [order, ...prev]);
+    setOrderLines((prev) => [...prev, ...newOrderLines]);
+
+    setSelectedLineIds(new Set());
+    setOrderTransferOpen(false);
+    alert(`${newOrderLines.length} kalem ${order.orderNo} siparişine aktarıldı.`);
+    setActiveTab("orders");
   }
 
   const lineDraftComputed = useMemo(() => calcLine(lineDraft ?? {}), [lineDraft]);
   const invoiceLineDraftComputed = useMemo(() => calcLine(invoiceLineDraft ?? {}), [invoiceLineDraft]);
 
+  // Fatura başına ödenecek tutar (tevkifat düşülmüş) ve ödeme durumu
+  const invoiceTotals = useMemo(() => invoiceTotalsById(invoices, lines), [invoices, lines]);
+  const invoiceBalance = useMemo(() => invoiceBalances(invoices, invoiceTotals, payments), [invoices, invoiceTotals, payments]);
+
   // Sekmelerde kullanılacak özetler
+  // Kart kayıtları + faturalardan toplamlar (kartı olmayan eski faturalar ada göre gruplanır)
   const supplierStats = useMemo(() => {
     const bySupplier = new Map();
+    const blank = (key, supplierName, card) => ({
+      key,
+      supplierId: card?.id ?? "",
+      supplierName,
+      taxId: card?.taxId ?? "",
+      taxOffice: card?.taxOffice ?? "",
+      paymentTermDays: card?.paymentTermDays ?? "",
+      invoiceCount: 0,
+      lineCount: 0,
+      totalNet: 0,
+      totalVatIncl: 0,
+      paidTry: 0,
+      openBalance: 0,
+    });
+    const entry = (supplierId, supplierName) => {
+      const key = supplierId || supplierName || "(Bilinmeyen)";
+      if (!bySupplier.has(key)) bySupplier.set(key, blank(key, supplierName || "(Bilinmeyen)", null));
+      return bySupplier.get(key);
+    };
+
+    for (const s of suppliers) bySupplier.set(s.id, blank(s.id, s.name, s));
     for (const r of joined) {
-      const c = calcLine(r);
-      const key = r.supplierName || "(Bilinmeyen)";
-      const cur = bySupplier.get(key) || { supplierName: key, invoiceCount: 0, lineCount: 0, totalNet: 0, totalVatIncl: 0 };
+      const c = calcLineTry(r);
+      const cur = entry(r.supplierId, r.supplierName);
       cur.lineCount += 1;
       cur.totalNet += c.totalNet;
       cur.totalVatIncl += c.totalVatIncl;
-      bySupplier.set(key, cur);
     }
-    // invoiceCount
     for (const inv of invoices) {
-      const key = inv.supplierName || "(Bilinmeyen)";
-      const cur = bySupplier.get(key) || { supplierName: key, invoiceCount: 0, lineCount: 0, totalNet: 0, totalVatIncl: 0 };
+      const cur = entry(inv.supplierId, inv.supplierName);
       cur.invoiceCount += 1;
-      bySupplier.set(key, cur);
+      cur.openBalance += invoiceBalance.get(inv.id).remainingTry;
+    }
+    // Avans (faturaya dağıtılmamış ödeme) açık bakiyeden düşülür
+    for (const [key, t] of supplierPaymentTotals(payments)) {
+      const cur = entry(suppliers.some((s) => s.id === key) ? key : "", key);
+      cur.paidTry += t.paidTry;
+      cur.openBalance -= t.advanceTry;
     }
     return [...bySupplier.values()].sort((a, b) => b.totalVatIncl - a.totalVatIncl);
-  }, [joined, invoices]);
+  }, [suppliers, joined, invoices, invoiceBalance, payments]);
 
+  // Katalog ürünleri + kalem toplamları (katalogda olmayan eski kalemler ada göre gruplanır)
   const productStats = useMemo(() => {
     const byItem = new Map();
+    const blank = (key, invoiceItem, item) => ({
+      key,
+      itemId: item?.id ?? "",
+      invoiceItem,
+      sku: item?.sku ?? "",
+      category: item?.category ?? "",
+      unitType: item?.unitType ?? "",
+      vatRate: item?.vatRate ?? "",
+      barcode: item?.barcode ?? "",
+      active: item ? item.active !== false : true,
+      lineCount: 0,
+      qty: 0,
+      totalNet: 0,
+      totalVatIncl: 0,
+    });
+
+    for (const it of items) byItem.set(it.id, blank(it.id, it.name, it));
     for (const r of joined) {
-      const c = calcLine(r);
-      const key = r.invoiceItem || "(Bilinmeyen)";
-      const cur = byItem.get(key) || { invoiceItem: key, lineCount: 0, qty: 0, totalNet: 0, totalVatIncl: 0 };
+      const c = calcLineTry(r);
+      const key = r.itemId || r.invoiceItem || "(Bilinmeyen)";
+      if (!byItem.has(key)) byItem.set(key, blank(key, r.invoiceItem || "(Bilinmeyen)", null));
+      const cur = byItem.get(key);
       cur.lineCount += 1;
       cur.qty += c.q;
       cur.totalNet += c.totalNet;
       cur.totalVatIncl += c.totalVatIncl;
-      byItem.set(key, cur);
     }
     return [...byItem.values()].sort((a, b) => b.totalVatIncl - a.totalVatIncl);
-  }, [joined]);
+  }, [items, joined]);
+
+  // Ağaçtaki yollar + ürünlerde kullanılan tanımsız yollar (form önerileri ve filtreler)
+  const itemCategories = useMemo(() => allCategoryPaths(categories, items), [categories, items]);
+  const categoryOptions = useMemo(
+    () =>
+      itemCategories.map((path) => {
+        const parts = splitPath(path);
+        return { path, label: "\u00a0\u00a0".repeat(parts.length - 1) + parts[parts.length - 1] };
+      }),
+    [itemCategories]
+  );
+
+  // Fatura başına açık kalan tutar + vade (vade takibi ve yaşlandırma); tamamı ödenenler listelenmez
+  const payableRows = useMemo(() => {
+    const supplierById = new Map(suppliers.map((s) => [s.id, s]));
+    return invoices
+      .filter((inv) => invoiceBalance.get(inv.id).status !== "paid")
+      .map((inv) => {
+        const b = invoiceBalance.get(inv.id);
+        return {
+          invoiceId: inv.id,
+          invoiceNo: inv.invoiceNo,
+          supplierName: inv.supplierName,
+          date: inv.date,
+          dueDate: invoiceDueDate(inv, supplierById.get(inv.supplierId)),
+          currencyCode: inv.currencyCode || "TRY",
+          amount: b.remaining,
+          amountTry: b.remainingTry,
+        };
+      });
+  }, [invoices, invoiceBalance, suppliers]);
+
+  // Ödeme Formu dağıtım listesi: düzenlenen ödeme hariç ödenenler
+  const paymentInvoiceRows = useMemo(() => {
+    if (!paymentForm) return [];
+    const paidOthers = paidByInvoice(payments, paymentForm.payment.id);
+    const supplierById = new Map(suppliers.map((s) => [s.id, s]));
+    return invoices.map((inv) => ({
+      invoiceId: inv.id,
+      invoiceNo: inv.invoiceNo,
+      supplierName: inv.supplierName,
+      date: inv.date,
+      dueDate: invoiceDueDate(inv, supplierById.get(inv.supplierId)),
+      currencyCode: inv.currencyCode || "TRY",
+      payable: invoiceTotals.get(inv.id)?.payable ?? 0,
+      paidOthers: paidOthers.get(inv.id) ?? 0,
+    }));
+  }, [paymentForm, payments, invoices, invoiceTotals, suppliers]);
+
+  async function exportAgingXlsx(agingRows) {
+    const columns = [
+      { key: "supplierName", label: "Tedarikçi", width: 28 },
+      ...AGING_BUCKETS.map((b) => ({ key: b.key, label: b.label, type: "money", total: true })),
+      { key: "total", label: "Toplam", type: "money", total: true },
+    ];
+    await exportToXlsx({ filename: "borc_yaslandirma.xlsx", sheets: [{ name: "Yaşlandırma", columns, rows: agingRows, totals: true }] });
+  }
+
+  // Fiyat matrisi: tedarikçi / ürün filtresi karşılaştırmayı anlamsızlaştırır, yalnızca tarih ve kategori
+  const priceMatrix = useMemo(
+    () =>
+      supplierPriceMatrix(
+        joined.filter((r) => {
+          if (reportCategory !== "ALL" && !(r.category && isUnder(r.category, reportCategory))) return false;
+          if (reportFrom && r.date < reportFrom) return false;
+          if (reportTo && r.date > reportTo) return false;
+          return true;
+        })
+      ),
+    [joined, reportCategory, reportFrom, reportTo]
+  );
+
+  async function exportPriceMatrixXlsx(matrix) {
+    const { columns, rows } = priceMatrixSheet(matrix);
+    await exportToXlsx({ filename: "tedarikci_fiyat_karsilastirma.xlsx", sheets: [{ name: "Fiyat Karşılaştırma", columns, rows, totals: true }] });
+  }
 
   const reportKpis = useMemo(() => {
     const totalInvoices = invoices.length;
     const totalLines = lines.length;
-    const totalNet = joined.reduce((a, r) => a + calcLine(r).totalNet, 0);
-    const totalVatIncl = joined.reduce((a, r) => a + calcLine(r).totalVatIncl, 0);
+    const totalNet = joined.reduce((a, r) => a + calcLineTry(r).totalNet, 0);
+    const totalVatIncl = joined.reduce((a, r) => a + calcLineTry(r).totalVatIncl, 0);
     const topSupplier = supplierStats[0]?.supplierName || "-";
     const topProduct = productStats[0]?.invoiceItem || "-";
     return { totalInvoices, totalLines, totalNet, totalVatIncl, topSupplier, topProduct };
@@ -1115,11 +1997,55 @@ function openEditLine(lineId) {
 
   return (
     <div className="min-h-screen bg-slate-50">
-      <TopNav activeTab={activeTab} onChange={setActiveTab} />
+      <TopNav
+        activeTab={activeTab}
+        onChange={setActiveTab}
+        sync={{ label: backend.label, status: store.status, saving: store.saving }}
+        history={{ canUndo: store.canUndo && !editorOpen, canRedo: store.canRedo && !editorOpen, onUndo: undo, onRedo: redo }}
+        user={currentUser}
+        onChangeUser={changeUser}
+      />
+
+      {store.status === "loading" && (
+        <div className="mx-auto max-w-[1650px] px-6 pt-4">
+          <div className="rounded-xl bg-white px-4 py-3 text-sm text-slate-600 ring-1 ring-slate-200">Veriler yükleniyor…</div>
+        </div>
+      )}
+      {store.status === "error" && (
+        <div className="mx-auto max-w-[1650px] px-6 pt-4">
+          <div className="flex flex-wrap items-center justify-between gap-3 rounded-xl bg-rose-50 px-4 py-3 text-sm text-rose-800 ring-1 ring-rose-200">
+            <div>
+              {backend.label}: {String(store.error?.message || store.error || "bilinmeyen hata")}. Yazılamayan değişiklikler sonraki değişiklikte yeniden gönderilir;
+              yeniden yüklemede kaybolur.
+            </div>
+            <div className="flex gap-2">
+              <button
+                className="h-8 rounded-lg border border-rose-200 bg-white px-3 text-xs font-medium text-rose-700 hover:bg-rose-50"
+                onClick={store.retry}
+              >
+                Yeniden Dene
+              </button>
+              <button
+                className="h-8 rounded-lg border border-rose-200 bg-white px-3 text-xs font-medium text-rose-700 hover:bg-rose-50"
+                onClick={store.reload}
+              >
+                Yeniden Yükle
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
 
       {/* datalist'ler (global) */}
-      <datalist id="supplierList">{suppliers.map((s) => <option key={s} value={s} />)}</datalist>
-      <datalist id="itemList">{items.map((s) => <option key={s} value={s} />)}</datalist>
+      <datalist id="supplierList">{supplierNames.map((s) => <option key={s} value={s} />)}</datalist>
+      <datalist id="departmentList">{departmentNames.map((s) => <option key={s} value={s} />)}</datalist>
+      <datalist id="itemList">
+        {activeItems.map((it) => (
+          <option key={it.id} value={it.name}>
+            {[it.sku, it.category].filter(Boolean).join(" · ")}
+          </option>
+        ))}
+      </datalist>
 
       {/* Sayfalar */}
       {activeTab === "purchases" && (
@@ -1152,23 +2078,78 @@ function openEditLine(lineId) {
                 Excel’e Aktar
               </button>
 
-              <button
-                onClick={() => importInputRef.current?.click()}
-                className="h-10 rounded-xl border border-slate-300 bg-white px-4 text-sm font-semibold text-slate-900 hover:bg-slate-50"
-                title="Excel (.xlsx) dosyasından içe aktar."
-              >
-                Excel’den İçe Aktar
-              </button>
+              <div className="flex">
+                <button
+                  onClick={() => importInputRef.current?.click()}
+                  className="h-10 rounded-l-xl border border-slate-300 bg-white px-4 text-sm font-semibold text-slate-900 hover:bg-slate-50"
+                  title="Excel (.xlsx) ya da CSV dosyasından içe aktar. CSV ayırıcısı (; , sekme |) otomatik bulunur."
+                >
+                  Excel’den İçe Aktar
+                </button>
+                <select
+                  className="h-10 rounded-r-xl border border-l-0 border-slate-300 bg-white px-2 text-xs text-slate-700 outline-none focus:ring-2 focus:ring-slate-300"
+                  value={csvEncoding}
+                  onChange={(e) => setCsvEncoding(e.target.value)}
+                  title="CSV karakter kodlaması (Türkçe Excel çıktıları genelde Windows-1254)."
+                >
+                  {CSV_ENCODINGS.map((x) => (
+                    <option key={x.key} value={x.key}>
+                      CSV: {x.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <input
+                ref={importInputRef}
+                type="file"
+                accept=".xlsx,.xls,.csv,.txt"
+                className="hidden"
+                onChange={(e) => {
+                  const f = e.target.files?.[0];
+                  e.target.value = "";
+                  handleImportFile(f);
+                }}
+              />
+
+              <div className="flex">
+                <button
+                  onClick={() => ublInputRef.current?.click()}
+                  className="h-10 rounded-l-xl border border-slate-300 bg-white px-4 text-sm font-semibold text-slate-900 hover:bg-slate-50"
+                  title="e-Fatura / e-Arşiv UBL-TR XML dosyaları ya da bunları içeren .zip (çoklu seçim)."
+                >
+                  e-Fatura XML
+                </button>
+                <button
+                  onClick={() => ublFolderInputRef.current?.click()}
+                  className="h-10 rounded-r-xl border border-l-0 border-slate-300 bg-white px-3 text-sm font-semibold text-slate-900 hover:bg-slate-50"
+                  title="Bir klasördeki tüm XML / zip dosyalarını içe aktar."
+                >
+                  Klasör
+                </button>
+              </div>
 
               <input
-                ref={importInputRef}
+                ref={ublInputRef}
                 type="file"
-                accept=".xlsx,.xls,.csv"
+                accept=".xml,.zip"
+                multiple
                 className="hidden"
                 onChange={(e) => {
-                  const f = e.target.files?.[0];
+                  const files = [...(e.target.files ?? [])];
                   e.target.value = "";
-                  handleImportFile(f);
+                  importUblFiles(files);
+                }}
+              />
+              <input
+                ref={ublFolderInputRef}
+                type="file"
+                webkitdirectory=""
+                className="hidden"
+                onChange={(e) => {
+                  const files = [...(e.target.files ?? [])];
+                  e.target.value = "";
+                  importUblFiles(files);
                 }}
               />
 
@@ -1177,7 +2158,7 @@ function openEditLine(lineId) {
 
           {/* Filtre Bar */}
           <section className="mt-4 rounded-2xl bg-white p-4 shadow-sm ring-1 ring-slate-200">
-            <div className="grid grid-cols-1 gap-3 md:grid-cols-3">
+            <div className="grid grid-cols-1 gap-3 md:grid-cols-4">
               <Filter label="Tedarikçi">
                 <select
                   className="h-10 w-full rounded-xl border border-slate-200 bg-white px-3 text-sm outline-none focus:ring-2 focus:ring-slate-300"
@@ -1185,7 +2166,7 @@ function openEditLine(lineId) {
                   onChange={(e) => setSupplierFilter(e.target.value)}
                 >
                   <option value="ALL">Tümü</option>
-                  {suppliers.map((s) => <option key={s} value={s}>{s}</option>)}
+                  {supplierNames.map((s) => <option key={s} value={s}>{s}</option>)}
                 </select>
               </Filter>
 
@@ -1196,7 +2177,18 @@ function openEditLine(lineId) {
                   onChange={(e) => setItemFilter(e.target.value)}
                 >
                   <option value="ALL">Tümü</option>
-                  {items.map((s) => <option key={s} value={s}>{s}</option>)}
+                  {itemNames.map((s) => <option key={s} value={s}>{s}</option>)}
+                </select>
+              </Filter>
+
+              <Filter label="Kategori">
+                <select
+                  className="h-10 w-full rounded-xl border border-slate-200 bg-white px-3 text-sm outline-none focus:ring-2 focus:ring-slate-300"
+                  value={categoryFilter}
+                  onChange={(e) => setCategoryFilter(e.target.value)}
+                >
+                  <option value="ALL">Tümü</option>
+                  {categoryOptions.map((c) => <option key={c.path} value={c.path}>{c.label}</option>)}
                 </select>
               </Filter>
 
@@ -1204,14 +2196,14 @@ function openEditLine(lineId) {
                 <div className="text-xs text-slate-600">
                   <div>Görünen satır: <span className="font-semibold text-slate-900">{sorted.length}</span></div>
                   <div>
-                    KDV Hariç Toplam: <span className="font-semibold text-slate-900">{money(totals.totalNet)}</span> ·
-                    KDV Dahil Toplam: <span className="font-semibold text-slate-900">{money(totals.totalVatIncl)}</span>
+                    KDV Hariç Toplam: <span className="font-semibold text-slate-900">{money(totals.totalNet)} ₺</span> ·
+                    KDV Dahil Toplam: <span className="font-semibold text-slate-900">{money(totals.totalVatIncl)} ₺</span>
                   </div>
                 </div>
 
                 <button
                   className="h-10 rounded-xl border border-slate-200 bg-white px-4 text-sm font-medium text-slate-900 hover:bg-slate-50"
-                  onClick={() => { setSupplierFilter("ALL"); setItemFilter("ALL"); setSearch(""); }}
+                  onClick={() => { setSupplierFilter("ALL"); setItemFilter("ALL"); setCategoryFilter("ALL"); setSearch(""); }}
                 >
                   Filtreleri Sıfırla
                 </button>
@@ -1219,12 +2211,43 @@ function openEditLine(lineId) {
             </div>
           </section>
 
+          {selectedRows.length > 0 && (
+            <section className="mt-4 flex flex-wrap items-center justify-between gap-3 rounded-2xl bg-amber-50 px-4 py-3 ring-1 ring-amber-200">
+              <div className="text-sm text-amber-900">
+                <span className="font-semibold">{selectedRows.length}</span> kalem seçili
+              </div>
+              <div className="flex gap-2">
+                <button
+                  className="h-9 rounded-xl bg-slate-900 px-4 text-xs font-semibold text-white hover:bg-slate-800"
+                  onClick={openOrderTransfer}
+                  title="Seçili kalemleri yeni veya mevcut bir siparişe ekler."
+                >
+                  Siparişe Aktar
+                </button>
+                <button
+                  className="h-9 rounded-xl border border-slate-200 bg-white px-4 text-xs font-semibold text-slate-900 hover:bg-slate-50"
+                  onClick={() => setSelectedLineIds(new Set())}
+                >
+                  Seçimi Temizle
+                </button>
+              </div>
+            </section>
+          )}
+
           {/* Liste */}
           <section className="mt-4 rounded-2xl bg-white shadow-sm ring-1 ring-slate-200">
             <div className="overflow-x-auto">
               <table className="min-w-[1550px] w-full text-sm">
                 <thead className="bg-slate-100 text-slate-700 sticky top-0 z-10">
                   <tr>
+                    <th className="px-3 py-3 text-left">
+                      <input
+                        type="checkbox"
+                        checked={sorted.length > 0 && sorted.every((r) => selectedLineIds.has(r.id))}
+                        onChange={toggleAllVisibleSelected}
+                        title="Görünen tüm kalemleri seç"
+                      />
+                    </th>
                     <Th sortKey="date" sort={sort} onSort={setSortKey} align="left">Tarih</Th>
                     <Th sortKey="supplierName" sort={sort} onSort={setSortKey} align="left">Tedarikçi Adı</Th>
                     <Th sortKey="invoiceItem" sort={sort} onSort={setSortKey} align="left">Fatura Kalemi</Th>
@@ -1243,7 +2266,7 @@ function openEditLine(lineId) {
 
                 <tbody>
                   {sorted.length === 0 ? (
-                    <tr><td colSpan={13} className="px-4 py-12 text-center text-slate-500">Kayıt bulunamadı.</td></tr>
+                    <tr><td colSpan={14} className="px-4 py-12 text-center text-slate-500">Kayıt bulunamadı.</td></tr>
                   ) : (
                     sorted.map((r) => {
                       const c = calcLine(r);
@@ -1269,12 +2292,15 @@ function openEditLine(lineId) {
                           style={{ cursor: "pointer" }}
                           title={`Fatura: ${r.invoiceNo}`}
                         >
+                          <td className="px-3 py-3">
+                            <input type="checkbox" checked={selectedLineIds.has(r.id)} onChange={() => toggleLineSelected(r.id)} />
+                          </td>
                           <td className="px-3 py-3 whitespace-nowrap">{r.date}</td>
 
                           <td className="px-3 py-3">
                             <button
                               className="text-left font-medium text-slate-900 hover:underline"
-                              onClick={(e) => { e.stopPropagation(); openSupplierModal(r.supplierName); }}
+                              onClick={(e) => { e.stopPropagation(); openSupplierModal(r.supplierId, r.supplierName); }}
                               title="Tedarikçi formunu aç"
                             >
                               {r.supplierName}
@@ -1285,7 +2311,7 @@ function openEditLine(lineId) {
                           <td className="px-3 py-3">
                             <button
                               className="text-left text-slate-900 hover:underline"
-                              onClick={(e) => { e.stopPropagation(); openItemModal(r.invoiceItem); }}
+                              onClick={(e) => { e.stopPropagation(); openItemModal(r.itemId, r.invoiceItem); }}
                               title="Kalem formunu aç"
                             >
                               {r.invoiceItem}
@@ -1294,13 +2320,15 @@ function openEditLine(lineId) {
 
                           <td className="px-3 py-3 text-right tabular-nums">{money(c.q)}</td>
                           <td className="px-3 py-3">{r.unitType}</td>
-                          <td className="px-3 py-3 text-right tabular-nums">{money(c.up)}</td>
+                          <td className="px-3 py-3 text-right tabular-nums">{formatAmount(c.up, r.currencyCode)}</td>
                           <td className="px-3 py-3 text-right tabular-nums">{money(c.disc)}</td>
-                          <td className="px-3 py-3 text-right tabular-nums">{money(c.unitNet)}</td>
+                          <td className="px-3 py-3 text-right tabular-nums">{formatAmount(c.unitNet, r.currencyCode)}</td>
                           <td className="px-3 py-3 text-right tabular-nums">{money(c.vat)}</td>
-                          <td className="px-3 py-3 text-right tabular-nums">{money(c.unitVatIncl)}</td>
-                          <td className="px-3 py-3 text-right tabular-nums">{money(c.totalNet)}</td>
-                          <td className="px-3 py-3 text-right tabular-nums">{money(c.totalVatIncl)}</td>
+                          <td className="px-3 py-3 text-right tabular-nums">{formatAmount(c.unitVatIncl, r.currencyCode)}</td>
+                          <td className="px-3 py-3 text-right tabular-nums">{formatAmount(c.totalNet, r.currencyCode)}</td>
+                          <td className="px-3 py-3 text-right tabular-nums" title={isForeign(r.currencyCode) ? `${money(c.totalVatIncl * r.fxRate)} ₺ (kur ${r.fxRate})` : undefined}>
+                            {formatAmount(c.totalVatIncl, r.currencyCode)}
+                          </td>
 
                           <td className="px-3 py-3 text-right">
                             <div className="flex justify-end gap-2">
@@ -1335,34 +2363,88 @@ function openEditLine(lineId) {
             </div>
           </section>
 
-          <footer className="mt-4 text-xs text-slate-500">
-            Not: Bu ekran UI prototipidir. Backend/DB entegrasyonu ayrıca yapılır.
+          <footer className="mt-4 flex flex-wrap items-center justify-between gap-2 text-xs text-slate-500">
+            <div>Veri kaynağı: {backend.label}</div>
+            <div className="flex gap-2">
+              <button
+                className="h-8 rounded-lg border border-slate-200 bg-white px-3 text-xs font-medium text-slate-800 hover:bg-slate-50"
+                onClick={reseedSampleData}
+                title="Tüm veriyi silip örnek faturaları yeniden yükler."
+              >
+                Örnek Veriyi Yükle
+              </button>
+              <button
+                className="h-8 rounded-lg border border-rose-200 bg-white px-3 text-xs font-medium text-rose-700 hover:bg-rose-50"
+                onClick={clearAllData}
+              >
+                Tüm Veriyi Temizle
+              </button>
+            </div>
           </footer>
         </div>
       )}
 
+      {activeTab === "requests" && (
+        <RequestsTab
+          requests={requests}
+          approvalRules={approvalRules}
+          orders={orders}
+          items={items}
+          suppliers={suppliers}
+          categoryOptions={categoryOptions}
+          currentUser={currentUser}
+          setRequests={setRequests}
+          setApprovalRules={setApprovalRules}
+          setOrders={setOrders}
+          setOrderLines={setOrderLines}
+          onOpenOrders={() => setActiveTab("orders")}
+          onDraftOpenChange={setTabDraftOpen}
+        />
+      )}
+
       {activeTab === "orders" && (
-        <div className="mx-auto max-w-[1650px] px-6 py-6">
-          <h1 className="text-2xl font-semibold tracking-tight">Siparişler</h1>
-          <p className="mt-2 text-sm text-slate-600">
-            Bu sekme MVP’de placeholder’dır. Sonraki adımda satınalımlardan siparişe dönüşüm ve sipariş takibi eklenecek.
-          </p>
-
-          <div className="mt-4 rounded-2xl bg-white p-4 ring-1 ring-slate-200">
-            <div className="text-sm font-semibold text-slate-900">Önerilen Bağlantılar</div>
-            <ul className="mt-2 list-disc pl-5 text-sm text-slate-700">
-              <li>Satınalımlar → seçili kalemden “Siparişe aktar”</li>
-              <li>Tedarikçiler → açık siparişler</li>
-              <li>Raporlar → teslimat performansı (planlanan)</li>
-            </ul>
-          </div>
-        </div>
+        <OrdersTab
+          orders={orders}
+          orderLines={orderLines}
+          invoiceLines={lines}
+          receipts={receipts}
+          receiptLines={receiptLines}
+          matchRows={matchRows}
+          matchTolerance={matchTolerance}
+          setOrders={setOrders}
+          setOrderLines={setOrderLines}
+          setReceipts={setReceipts}
+          setReceiptLines={setReceiptLines}
+          setMatchTolerance={setMatchTolerance}
+          onConvertToInvoice={openPurchaseCreateFromOrder}
+          onPrintOrder={printOrder}
+          suppliers={suppliers}
+          onDraftOpenChange={setTabDraftOpen}
+        />
       )}
 
       {activeTab === "suppliers" && (
         <div className="mx-auto max-w-[1650px] px-6 py-6">
-          <h1 className="text-2xl font-semibold tracking-tight">Tedarikçiler</h1>
-          <p className="mt-2 text-sm text-slate-600">Bu liste, Satınalımlar/Faturalar verisinden türetilir. Tedarikçi adına tıklayınca form açılır.</p>
+          <div className="flex flex-col gap-3 lg:flex-row lg:items-end lg:justify-between">
+            <div>
+              <h1 className="text-2xl font-semibold tracking-tight">Tedarikçiler</h1>
+              <p className="mt-2 text-sm text-slate-600">Tedarikçi kartları, fatura toplamları ve açık bakiye. Tedarikçi adına tıklayınca “Tedarikçi Formu” açılır.</p>
+            </div>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => openNewPayment()}
+                className="h-10 rounded-xl border border-slate-300 bg-white px-4 text-sm font-semibold text-slate-900 shadow-sm hover:bg-slate-50"
+              >
+                Ödeme Ekle
+              </button>
+              <button
+                onClick={() => setSupplierForm({ supplier: blankSupplier(), isNew: true })}
+                className="h-10 rounded-xl bg-slate-900 px-4 text-sm font-semibold text-white shadow-sm hover:bg-slate-800"
+              >
+                Tedarikçi Ekle
+              </button>
+            </div>
+          </div>
 
           <section className="mt-4 rounded-2xl bg-white shadow-sm ring-1 ring-slate-200">
             <div className="overflow-x-auto">
@@ -1370,27 +2452,49 @@ function openEditLine(lineId) {
                 <thead className="bg-slate-100 text-slate-700 sticky top-0 z-10">
                   <tr>
                     <th className="px-3 py-3 text-left font-medium">Tedarikçi</th>
+                    <th className="px-3 py-3 text-left font-medium">VKN / TCKN</th>
+                    <th className="px-3 py-3 text-left font-medium">Vergi Dairesi</th>
+                    <th className="px-3 py-3 text-right font-medium">Vade (gün)</th>
                     <th className="px-3 py-3 text-right font-medium">Fatura</th>
                     <th className="px-3 py-3 text-right font-medium">Satır</th>
                     <th className="px-3 py-3 text-right font-medium">KDV Hariç</th>
                     <th className="px-3 py-3 text-right font-medium">KDV Dahil</th>
+                    <th className="px-3 py-3 text-right font-medium">Ödenen</th>
+                    <th className="px-3 py-3 text-right font-medium">Açık Bakiye</th>
+                    <th className="px-3 py-3 text-right font-medium"> </th>
                   </tr>
                 </thead>
                 <tbody>
                   {supplierStats.length === 0 ? (
-                    <tr><td colSpan={5} className="px-4 py-12 text-center text-slate-500">Kayıt yok.</td></tr>
+                    <tr><td colSpan={11} className="px-4 py-12 text-center text-slate-500">Kayıt yok.</td></tr>
                   ) : (
                     supplierStats.map((s) => (
-                      <tr key={s.supplierName} className="border-t border-slate-200 hover:bg-slate-50">
+                      <tr key={s.key} className="border-t border-slate-200 hover:bg-slate-50">
                         <td className="px-3 py-3">
-                          <button className="text-left font-semibold text-slate-900 hover:underline" onClick={() => openSupplierModal(s.supplierName)}>
+                          <button className="text-left font-semibold text-slate-900 hover:underline" onClick={() => openSupplierModal(s.supplierId, s.supplierName)}>
                             {s.supplierName}
                           </button>
+                          {!s.supplierId && <div className="text-[11px] text-amber-700">Kartı yok</div>}
                         </td>
+                        <td className="px-3 py-3 tabular-nums">{s.taxId || "-"}</td>
+                        <td className="px-3 py-3">{s.taxOffice || "-"}</td>
+                        <td className="px-3 py-3 text-right tabular-nums">{s.paymentTermDays || "-"}</td>
                         <td className="px-3 py-3 text-right tabular-nums">{money(s.invoiceCount)}</td>
                         <td className="px-3 py-3 text-right tabular-nums">{money(s.lineCount)}</td>
                         <td className="px-3 py-3 text-right tabular-nums">{money(s.totalNet)}</td>
                         <td className="px-3 py-3 text-right tabular-nums">{money(s.totalVatIncl)}</td>
+                        <td className="px-3 py-3 text-right tabular-nums">{money(s.paidTry)}</td>
+                        <td className={"px-3 py-3 text-right tabular-nums font-semibold " + (s.openBalance > 0.005 ? "text-rose-700" : "text-slate-900")}>
+                          {money(s.openBalance)}
+                        </td>
+                        <td className="px-3 py-3 text-right">
+                          <button
+                            className="h-8 rounded-lg border border-slate-200 bg-white px-3 text-xs font-medium text-slate-900 hover:bg-slate-50"
+                            onClick={() => openNewPayment(s.supplierId, s.supplierName)}
+                          >
+                            Ödeme Gir
+                          </button>
+                        </td>
                       </tr>
                     ))
                   )}
@@ -1398,20 +2502,85 @@ function openEditLine(lineId) {
               </table>
             </div>
           </section>
+
+          <section className="mt-4 rounded-2xl bg-white shadow-sm ring-1 ring-slate-200">
+            <div className="px-4 py-3 text-sm font-semibold text-slate-900">Ödemeler</div>
+            <div className="overflow-x-auto">
+              <table className="min-w-[1100px] w-full text-sm">
+                <thead className="bg-slate-100 text-slate-700">
+                  <tr>
+                    <th className="px-3 py-3 text-left font-medium">Tarih</th>
+                    <th className="px-3 py-3 text-left font-medium">Tedarikçi</th>
+                    <th className="px-3 py-3 text-left font-medium">Yöntem</th>
+                    <th className="px-3 py-3 text-left font-medium">Referans</th>
+                    <th className="px-3 py-3 text-left font-medium">Faturalar</th>
+                    <th className="px-3 py-3 text-right font-medium">Tutar</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {payments.length === 0 ? (
+                    <tr><td colSpan={6} className="px-4 py-10 text-center text-slate-500">Ödeme kaydı yok.</td></tr>
+                  ) : (
+                    [...payments]
+                      .sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0))
+                      .map((p) => (
+                        <tr key={p.id} className="border-t border-slate-200 hover:bg-slate-50" style={{ cursor: "pointer" }} onClick={() => openPayment(p.id)}>
+                          <td className="px-3 py-3 whitespace-nowrap">{p.date}</td>
+                          <td className="px-3 py-3">{p.supplierName}</td>
+                          <td className="px-3 py-3">{p.method}</td>
+                          <td className="px-3 py-3">{p.reference || "-"}</td>
+                          <td className="px-3 py-3 text-xs text-slate-600">
+                            {(p.allocations ?? []).map((a) => invoices.find((x) => x.id === a.invoiceId)?.invoiceNo || "?").join(", ") || "Avans"}
+                          </td>
+                          <td className="px-3 py-3 text-right tabular-nums">{formatAmount(toNumber(p.amount), p.currencyCode)}</td>
+                        </tr>
+                      ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </section>
         </div>
       )}
 
       {activeTab === "products" && (
         <div className="mx-auto max-w-[1650px] px-6 py-6">
-          <h1 className="text-2xl font-semibold tracking-tight">Tedarik Ürünleri</h1>
-          <p className="mt-2 text-sm text-slate-600">Bu liste, fatura kalemlerinden türetilir. Kaleme tıklayınca “Kalem Formu” açılır.</p>
+          <div className="flex flex-col gap-3 lg:flex-row lg:items-end lg:justify-between">
+            <div>
+              <h1 className="text-2xl font-semibold tracking-tight">Tedarik Ürünleri</h1>
+              <p className="mt-2 text-sm text-slate-600">Ürün kataloğu ve kalem toplamları. Ürüne tıklayınca fiyat geçmişi açılır; düzenleme “Kalem Formu”ndan.</p>
+            </div>
+            <div className="flex items-center gap-3">
+              <label className="inline-flex items-center gap-2 text-sm text-slate-700">
+                <input type="checkbox" checked={showInactiveItems} onChange={(e) => setShowInactiveItems(e.target.checked)} />
+                Pasifleri göster
+              </label>
+              <button
+                onClick={() => setCategoryManagerOpen(true)}
+                className="h-10 rounded-xl border border-slate-300 bg-white px-4 text-sm font-semibold text-slate-900 hover:bg-slate-50"
+              >
+                Kategoriler
+              </button>
+              <button
+                onClick={() => setItemForm({ item: blankItem(), isNew: true })}
+                className="h-10 rounded-xl bg-slate-900 px-4 text-sm font-semibold text-white shadow-sm hover:bg-slate-800"
+              >
+                Ürün Ekle
+              </button>
+            </div>
+          </div>
 
           <section className="mt-4 rounded-2xl bg-white shadow-sm ring-1 ring-slate-200">
             <div className="overflow-x-auto">
               <table className="min-w-[1100px] w-full text-sm">
                 <thead className="bg-slate-100 text-slate-700 sticky top-0 z-10">
                   <tr>
+                    <th className="px-3 py-3 text-left font-medium">Kod</th>
                     <th className="px-3 py-3 text-left font-medium">Kalem</th>
+                    <th className="px-3 py-3 text-left font-medium">Kategori</th>
+                    <th className="px-3 py-3 text-left font-medium">Birim</th>
+                    <th className="px-3 py-3 text-right font-medium">KDV %</th>
+                    <th className="px-3 py-3 text-left font-medium">Barkod</th>
                     <th className="px-3 py-3 text-right font-medium">Satır</th>
                     <th className="px-3 py-3 text-right font-medium">Toplam Adet</th>
                     <th className="px-3 py-3 text-right font-medium">KDV Hariç</th>
@@ -1420,15 +2589,22 @@ function openEditLine(lineId) {
                 </thead>
                 <tbody>
                   {productStats.length === 0 ? (
-                    <tr><td colSpan={5} className="px-4 py-12 text-center text-slate-500">Kayıt yok.</td></tr>
+                    <tr><td colSpan={10} className="px-4 py-12 text-center text-slate-500">Kayıt yok.</td></tr>
                   ) : (
-                    productStats.map((p) => (
-                      <tr key={p.invoiceItem} className="border-t border-slate-200 hover:bg-slate-50">
+                    productStats.filter((p) => showInactiveItems || p.active).map((p) => (
+                      <tr key={p.key} className={"border-t border-slate-200 hover:bg-slate-50 " + (p.active ? "" : "text-slate-400")}>
+                        <td className="px-3 py-3 whitespace-nowrap tabular-nums">{p.sku || "-"}</td>
                         <td className="px-3 py-3">
-                          <button className="text-left font-semibold text-slate-900 hover:underline" onClick={() => openItemModal(p.invoiceItem)}>
+                          <button className="text-left font-semibold text-slate-900 hover:underline" onClick={() => setItemDetail({ itemId: p.itemId, name: p.invoiceItem })}>
                             {p.invoiceItem}
                           </button>
+                          {!p.itemId && <div className="text-[11px] text-amber-700">Katalogda yok</div>}
+                          {!p.active && <div className="text-[11px] text-slate-500">Pasif</div>}
                         </td>
+                        <td className="px-3 py-3">{p.category || "-"}</td>
+                        <td className="px-3 py-3">{p.unitType || "-"}</td>
+                        <td className="px-3 py-3 text-right tabular-nums">{p.vatRate === "" ? "-" : p.vatRate}</td>
+                        <td className="px-3 py-3 tabular-nums">{p.barcode || "-"}</td>
                         <td className="px-3 py-3 text-right tabular-nums">{money(p.lineCount)}</td>
                         <td className="px-3 py-3 text-right tabular-nums">{money(p.qty)}</td>
                         <td className="px-3 py-3 text-right tabular-nums">{money(p.totalNet)}</td>
@@ -1449,8 +2625,16 @@ function openEditLine(lineId) {
           <header className="flex flex-col gap-3 lg:flex-row lg:items-end lg:justify-between">
             <div>
               <h1 className="text-2xl font-semibold tracking-tight">Raporlar</h1>
-              <p className="mt-2 text-sm text-slate-600">Filtrelenmiş veri üzerinden tedarikçi / ürün / tarih bazlı özet ve basit grafikler.</p>
+              <p className="mt-2 text-sm text-slate-600">
+                Filtrelenmiş veri üzerinden tedarikçi / ürün / tarih bazlı özet ve basit grafikler. Dövizli faturalar fatura kuruyla TRY'ye çevrilir.
+              </p>
             </div>
+            <button
+              className="h-10 rounded-xl border border-slate-300 bg-white px-4 text-sm font-semibold text-slate-900 hover:bg-slate-50"
+              onClick={() => setRatesModalOpen(true)}
+            >
+              Kur Tablosu
+            </button>
           </header>
 
           {/* Filtreler */}
@@ -1474,13 +2658,23 @@ function openEditLine(lineId) {
                 <Field label="Tedarikçi">
                   <select className="h-10 w-full rounded-xl border border-slate-300 bg-white px-3 text-sm outline-none focus:ring-2 focus:ring-slate-300" value={reportSupplier} onChange={(e) => setReportSupplier(e.target.value)}>
                     <option value="ALL">Tümü</option>
-                    {suppliers.map((s) => <option key={s} value={s}>{s}</option>)}
+                    {supplierNames.map((s) => <option key={s} value={s}>{s}</option>)}
                   </select>
                 </Field>
                 <Field label="Ürün / Kalem">
                   <select className="h-10 w-full rounded-xl border border-slate-300 bg-white px-3 text-sm outline-none focus:ring-2 focus:ring-slate-300" value={reportItem} onChange={(e) => setReportItem(e.target.value)}>
                     <option value="ALL">Tümü</option>
-                    {items.map((s) => <option key={s} value={s}>{s}</option>)}
+                    {itemNames.map((s) => <option key={s} value={s}>{s}</option>)}
+                  </select>
+                </Field>
+                <Field label="Kategori" hint="(alt kategoriler dahil)">
+                  <select
+                    className="h-10 w-full rounded-xl border border-slate-300 bg-white px-3 text-sm outline-none focus:ring-2 focus:ring-slate-300"
+                    value={reportCategory}
+                    onChange={(e) => { setReportCategory(e.target.value); setReportCategoryDrill(e.target.value === "ALL" ? "" : e.target.value); }}
+                  >
+                    <option value="ALL">Tümü</option>
+                    {categoryOptions.map((c) => <option key={c.path} value={c.path}>{c.label}</option>)}
                   </select>
                 </Field>
               </div>
@@ -1497,7 +2691,7 @@ function openEditLine(lineId) {
                 </Field>
                 <button
                   className="h-10 rounded-xl border border-slate-300 bg-white px-4 text-sm font-semibold text-slate-900 hover:bg-slate-50"
-                  onClick={() => { setReportFrom(""); setReportTo(""); setReportSupplier("ALL"); setReportItem("ALL"); }}
+                  onClick={() => { setReportFrom(""); setReportTo(""); setReportSupplier("ALL"); setReportItem("ALL"); setReportCategory("ALL"); setReportCategoryDrill(""); }}
                 >
                   Filtreleri Temizle
                 </button>
@@ -1506,8 +2700,8 @@ function openEditLine(lineId) {
 
             <div className="lg:col-span-3 grid grid-cols-1 gap-3">
               <ReadOnly label="Toplam Fatura" value={money(reportKpis.totalInvoices)} />
-              <ReadOnly label="Toplam Harcama (KDV Dahil)" value={money(reportKpis.totalVatIncl)} />
-              <ReadOnly label="Toplam Harcama (KDV Hariç)" value={money(reportKpis.totalNet)} />
+              <ReadOnly label="Toplam Harcama (KDV Dahil, ₺)" value={money(reportKpis.totalVatIncl)} />
+              <ReadOnly label="Toplam Harcama (KDV Hariç, ₺)" value={money(reportKpis.totalNet)} />
             </div>
           </div>
 
@@ -1515,6 +2709,7 @@ function openEditLine(lineId) {
             const rows = joined.filter((r) => {
               if (reportSupplier !== "ALL" && r.supplierName !== reportSupplier) return false;
               if (reportItem !== "ALL" && r.invoiceItem !== reportItem) return false;
+              if (reportCategory !== "ALL" && !(r.category && isUnder(r.category, reportCategory))) return false;
               if (reportFrom && r.date < reportFrom) return false;
               if (reportTo && r.date > reportTo) return false;
               return true;
@@ -1524,7 +2719,7 @@ function openEditLine(lineId) {
             const topSup = [];
             const mSup = new Map();
             for (const r of rows) {
-              const c = calcLine(r);
+              const c = calcLineTry(r);
               const v = metricKey === "totalNet" ? c.totalNet : c.totalVatIncl;
               mSup.set(r.supplierName, (mSup.get(r.supplierName) || 0) + v);
             }
@@ -1536,7 +2731,7 @@ function openEditLine(lineId) {
             const topProd = [];
             const mProd = new Map();
             for (const r of rows) {
-              const c = calcLine(r);
+              const c = calcLineTry(r);
               const v = metricKey === "totalNet" ? c.totalNet : c.totalVatIncl;
               mProd.set(r.invoiceItem, (mProd.get(r.invoiceItem) || 0) + v);
             }
@@ -1545,10 +2740,25 @@ function openEditLine(lineId) {
               .slice(0, 8)
               .forEach(([label, value]) => topProd.push({ label, value }));
 
+            // Bölünmüş kalemler yüzdeye göre paylaştırılır; kalemde dağıtım yoksa fatura departmanı
+            const byCenter = costCenterBreakdown(rows, (r) => {
+              const c = calcLineTry(r);
+              return metricKey === "totalNet" ? c.totalNet : c.totalVatIncl;
+            });
+            const centerTotal = byCenter.reduce((sum, x) => sum + x.value, 0);
+
+            // Kategori kırılımı: açık yolun bir alt seviyesi; satıra tıklayınca alt kategorilere inilir
+            const byCategory = categoryBreakdown(rows, reportCategoryDrill, (r) => {
+              const c = calcLineTry(r);
+              return metricKey === "totalNet" ? c.totalNet : c.totalVatIncl;
+            });
+            const categoryTotal = byCategory.reduce((sum, x) => sum + x.value, 0);
+            const drillParts = splitPath(reportCategoryDrill);
+
             const trend = [];
             const mTrend = new Map();
             for (const r of rows) {
-              const c = calcLine(r);
+              const c = calcLineTry(r);
               const v = metricKey === "totalNet" ? c.totalNet : c.totalVatIncl;
               const month = String(r.date || "").slice(0, 7);
               if (!month) continue;
@@ -1564,6 +2774,96 @@ function openEditLine(lineId) {
                 <div className="lg:col-span-6">
                   <SimpleBarChart title="Ürüne Göre Harcama (Top 8)" data={topProd} />
                 </div>
+                <div className="lg:col-span-6">
+                  <SimpleBarChart
+                    title={`Kategoriye Göre Harcama${reportCategoryDrill ? ` — ${reportCategoryDrill}` : ""} (Top 8)`}
+                    data={byCategory.slice(0, 8).map((x) => ({ label: x.name, value: x.value }))}
+                  />
+                </div>
+                <div className="lg:col-span-6 rounded-2xl bg-white p-4 ring-1 ring-slate-200">
+                  <div className="flex flex-wrap items-center gap-1 text-sm">
+                    <button className="font-semibold text-slate-900 hover:underline" onClick={() => setReportCategoryDrill("")}>
+                      Tüm Kategoriler
+                    </button>
+                    {drillParts.map((name, i) => (
+                      <React.Fragment key={i}>
+                        <span className="text-slate-400">›</span>
+                        <button className="font-semibold text-slate-900 hover:underline" onClick={() => setReportCategoryDrill(drillParts.slice(0, i + 1).join(PATH_SEP))}>
+                          {name}
+                        </button>
+                      </React.Fragment>
+                    ))}
+                  </div>
+                  <div className="mt-3 max-h-[260px] overflow-y-auto rounded-2xl ring-1 ring-slate-200">
+                    <table className="w-full text-sm">
+                      <thead className="sticky top-0 bg-slate-100 text-slate-700">
+                        <tr>
+                          <th className="px-3 py-2 text-left font-medium">Kategori</th>
+                          <th className="px-3 py-2 text-right font-medium">Kalem</th>
+                          <th className="px-3 py-2 text-right font-medium">{metricKey === "totalNet" ? "KDV Hariç (₺)" : "KDV Dahil (₺)"}</th>
+                          <th className="px-3 py-2 text-right font-medium">Pay</th>
+                        </tr>
+                      </thead>
+                      <tbody className="bg-white">
+                        {byCategory.length === 0 ? (
+                          <tr><td colSpan={4} className="px-3 py-6 text-center text-slate-500">Kayıt yok.</td></tr>
+                        ) : (
+                          byCategory.map((x) => (
+                            <tr
+                              key={x.name}
+                              className={"border-t border-slate-200 " + (x.hasChildren ? "hover:bg-slate-50" : "") + (x.path ? "" : " text-slate-500")}
+                              style={x.hasChildren ? { cursor: "pointer" } : undefined}
+                              onClick={x.hasChildren ? () => setReportCategoryDrill(x.path) : undefined}
+                              title={x.hasChildren ? "Alt kategorileri göster" : undefined}
+                            >
+                              <td className="px-3 py-2">
+                                {x.name}
+                                {x.hasChildren ? " ›" : ""}
+                              </td>
+                              <td className="px-3 py-2 text-right tabular-nums">{x.lineCount}</td>
+                              <td className="px-3 py-2 text-right tabular-nums">{money(x.value)}</td>
+                              <td className="px-3 py-2 text-right tabular-nums">%{categoryTotal > 0 ? ((x.value / categoryTotal) * 100).toFixed(1) : "0.0"}</td>
+                            </tr>
+                          ))
+                        )}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+
+                <div className="lg:col-span-6">
+                  <SimpleBarChart title="Masraf Merkezine Göre Harcama (Top 8)" data={byCenter.slice(0, 8).map((x) => ({ label: x.name, value: x.value }))} />
+                </div>
+                <div className="lg:col-span-6 rounded-2xl bg-white p-4 ring-1 ring-slate-200">
+                  <div className="text-sm font-semibold text-slate-900">Masraf Merkezi Dağılımı</div>
+                  <div className="mt-3 max-h-[260px] overflow-y-auto rounded-2xl ring-1 ring-slate-200">
+                    <table className="w-full text-sm">
+                      <thead className="sticky top-0 bg-slate-100 text-slate-700">
+                        <tr>
+                          <th className="px-3 py-2 text-left font-medium">Masraf Merkezi</th>
+                          <th className="px-3 py-2 text-right font-medium">Kalem</th>
+                          <th className="px-3 py-2 text-right font-medium">{metricKey === "totalNet" ? "KDV Hariç (₺)" : "KDV Dahil (₺)"}</th>
+                          <th className="px-3 py-2 text-right font-medium">Pay</th>
+                        </tr>
+                      </thead>
+                      <tbody className="bg-white">
+                        {byCenter.length === 0 ? (
+                          <tr><td colSpan={4} className="px-3 py-6 text-center text-slate-500">Kayıt yok.</td></tr>
+                        ) : (
+                          byCenter.map((x) => (
+                            <tr key={x.name} className={"border-t border-slate-200 " + (x.name === UNASSIGNED ? "text-slate-500" : "")}>
+                              <td className="px-3 py-2">{x.name}</td>
+                              <td className="px-3 py-2 text-right tabular-nums">{x.lineCount}</td>
+                              <td className="px-3 py-2 text-right tabular-nums">{money(x.value)}</td>
+                              <td className="px-3 py-2 text-right tabular-nums">%{centerTotal > 0 ? ((x.value / centerTotal) * 100).toFixed(1) : "0.0"}</td>
+                            </tr>
+                          ))
+                        )}
+                      </tbody>
+                    </table>
+                  </div>
+                  <div className="mt-2 text-xs text-slate-600">Bölünmüş kalemler her merkezde ayrı sayılır.</div>
+                </div>
                 <div className="lg:col-span-12">
                   <SimpleLineChart title="Aylık Trend" data={trend} />
                 </div>
@@ -1574,8 +2874,7 @@ function openEditLine(lineId) {
                     <button
                       className="h-9 rounded-xl border border-slate-300 bg-white px-4 text-xs font-semibold text-slate-900 hover:bg-slate-50"
                       onClick={async () => {
-                        const exportRows = buildExportRows(rows.slice(0, 200));
-                        await exportToXlsx({ filename: "rapor_detay.xlsx", sheetName: "Detay", rows: exportRows, headers: purchaseExportHeaders });
+                        await exportPurchaseWorkbook(rows.slice(0, 200), "rapor_detay.xlsx");
                       }}
                       title="Filtrelenmiş detayın ilk 200 satırını Excel'e aktarır."
                     >
@@ -1596,7 +2895,7 @@ function openEditLine(lineId) {
                       </thead>
                       <tbody className="bg-white">
                         {rows.slice(0, 200).map((r) => {
-                          const c = calcLine(r);
+                          const c = calcLineTry(r);
                           return (
                             <tr key={r.id} className="border-t border-slate-200 hover:bg-slate-50">
                               <td className="px-3 py-3">{r.date}</td>
@@ -1616,6 +2915,17 @@ function openEditLine(lineId) {
               </div>
             );
           })()}
+
+          <PayablesReport rows={payableRows} today={new Date().toISOString().slice(0, 10)} onOpenInvoice={openInvoice} onExportAging={exportAgingXlsx} />
+
+          <BudgetReport
+            budgets={budgets}
+            usage={budgetUsageMap}
+            onAdd={() => setBudgetForm({ budget: blankBudget(), isNew: true })}
+            onEdit={(budget) => setBudgetForm({ budget, isNew: false })}
+          />
+
+          <SupplierPriceMatrix matrix={priceMatrix} onOpenItem={(item) => setItemDetail({ itemId: item.itemId, name: item.name })} onExport={exportPriceMatrixXlsx} />
         </div>
       )}
 {linePanelOpen && lineDraft && (
@@ -1649,7 +2959,10 @@ function openEditLine(lineId) {
                   </Field>
                 </div>
 
-                <div className="mt-3 flex justify-end">
+                <div className="mt-3 flex items-center justify-between gap-3">
+                  <div className="text-xs text-slate-600">
+                    {lineDraft.orderLineId ? `Kaynak sipariş: ${orderLineRefs.get(lineDraft.orderLineId)?.orderNo ?? "(silinmiş)"}` : null}
+                  </div>
                   <button
                     className="h-9 rounded-xl border border-slate-200 bg-white px-4 text-xs font-semibold text-slate-900 hover:bg-slate-50"
                     onClick={() => { if (lineDraft.invoiceId) openInvoice(lineDraft.invoiceId); }}
@@ -1669,6 +2982,16 @@ function openEditLine(lineId) {
                   />
                 </Field>
 
+                <div className="md:col-span-2">
+                  <Field label="Masraf Merkezi" hint="(boşsa fatura departmanı)">
+                    <CostCenterPicker
+                      value={lineDraft.costCenters}
+                      onChange={(costCenters) => setLineDraft((p) => ({ ...p, costCenters }))}
+                      fallback={invoices.find((x) => x.id === lineDraft.invoiceId)?.department ?? ""}
+                    />
+                  </Field>
+                </div>
+
                 <div className="grid grid-cols-2 gap-3">
                   <Field label="Adet">
                     <input
@@ -1757,6 +3080,12 @@ function openEditLine(lineId) {
                 </div>
               </div>
 
+              {editingLineId && (
+                <div className="mt-4">
+                  <AuditHistory entries={entityHistory(auditLog, "lines", editingLineId)} />
+                </div>
+              )}
+
               <div className="mt-4 text-xs text-slate-500">Kaydetmeden kapatırsanız değişiklikler kaybolur.</div>
             </div>
 
@@ -1780,12 +3109,44 @@ function openEditLine(lineId) {
             <div className="sticky top-0 z-20 border-b border-slate-200 bg-white px-6 py-4">
               <div className="flex items-start justify-between gap-4">
                 <div>
-                  <h2 className="text-lg font-semibold">Fatura Formu</h2>
+                  <div className="flex items-center gap-2">
+                    <h2 className="text-lg font-semibold">Fatura Formu</h2>
+                    {(() => {
+                      const st = INVOICE_MATCH_STATUSES[invoiceMatchStatus(invoiceLines, matchRowByOrderLine, matchTolerance, invoices.find((x) => x.id === activeInvoiceId))];
+                      return (
+                        <span className={"rounded-lg px-2 py-0.5 text-[11px] font-semibold ring-1 " + st.cls} title="Sipariş / mal kabul / fatura eşleştirmesi">
+                          {st.label}
+                        </span>
+                      );
+                    })()}
+                  </div>
                   <p className="text-xs text-slate-600">Üst: fatura bilgileri ve mali döküm. Alt: kalemler; kaleme tıkla → sağdaki düzenleme alanı değişir.</p>
                 </div>
-                <button className="h-9 rounded-xl border border-slate-200 bg-white px-4 text-xs font-semibold text-slate-900 hover:bg-slate-50" onClick={() => setInvoiceModalOpen(false)}>
-                  Kapat
-                </button>
+                <div className="flex gap-2">
+                  <button
+                    className="h-9 rounded-xl border border-slate-200 bg-white px-4 text-xs font-semibold text-slate-900 hover:bg-slate-50"
+                    onClick={() => { saveInvoiceHeader(); exportInvoiceUbl(invoiceDraft.id); }}
+                    title="e-Fatura entegratörüne / muhasebe paketine aktarmak için UBL-TR 1.2 XML indirir."
+                  >
+                    UBL-TR XML
+                  </button>
+                  <button
+                    className="h-9 rounded-xl border border-slate-200 bg-white px-4 text-xs font-semibold text-slate-900 hover:bg-slate-50"
+                    onClick={() => { saveInvoiceHeader(); printInvoice(invoiceDraft); }}
+                    title="Yazdırılabilir fatura belgesi; yazdır penceresinden PDF olarak kaydedilebilir."
+                  >
+                    Yazdır / PDF
+                  </button>
+                  <button
+                    className="h-9 rounded-xl border border-rose-200 bg-white px-4 text-xs font-semibold text-rose-700 hover:bg-rose-50"
+                    onClick={() => removeInvoice(invoiceDraft.id)}
+                  >
+                    Faturayı Sil
+                  </button>
+                  <button className="h-9 rounded-xl border border-slate-200 bg-white px-4 text-xs font-semibold text-slate-900 hover:bg-slate-50" onClick={() => setInvoiceModalOpen(false)}>
+                    Kapat
+                  </button>
+                </div>
               </div>
             </div>
 
@@ -1824,6 +3185,39 @@ function openEditLine(lineId) {
                         onBlur={saveInvoiceHeader}
                       />
                     </Field>
+
+                    <Field label="Departman" hint="(bütçe)">
+                      <input
+                        list="departmentList"
+                        className="h-10 w-full rounded-xl border border-slate-200 bg-white px-3 text-sm outline-none focus:ring-2 focus:ring-slate-300"
+                        value={invoiceDraft.department}
+                        onChange={(e) => setInvoiceDraft((p) => ({ ...p, department: e.target.value }))}
+                        onBlur={saveInvoiceHeader}
+                      />
+                    </Field>
+
+                    <CurrencyFields
+                      currencyCode={invoiceDraft.currencyCode}
+                      exchangeRate={invoiceDraft.exchangeRate}
+                      date={invoiceDraft.date}
+                      rates={exchangeRates}
+                      onChange={(patch) => setInvoiceDraft((p) => ({ ...p, ...patch }))}
+                      onBlur={saveInvoiceHeader}
+                    />
+
+                    <div className="grid grid-cols-2 gap-3">
+                      <Field label="Vade (gün)">
+                        <input
+                          inputMode="numeric"
+                          className="h-10 w-full rounded-xl border border-slate-200 bg-white px-3 text-sm outline-none focus:ring-2 focus:ring-slate-300"
+                          value={invoiceDraft.paymentTermDays}
+                          placeholder={String(invoiceTermDays({}, findSupplierByName(suppliers, invoiceDraft.supplierName)))}
+                          onChange={(e) => setInvoiceDraft((p) => ({ ...p, paymentTermDays: e.target.value }))}
+                          onBlur={saveInvoiceHeader}
+                        />
+                      </Field>
+                      <ReadOnly label="Vade Tarihi" value={invoiceDueDate(invoiceDraft, findSupplierByName(suppliers, invoiceDraft.supplierName)) || "-"} />
+                    </div>
                   </div>
                 </div>
 
@@ -1855,7 +3249,7 @@ function openEditLine(lineId) {
                         onBlur={saveInvoiceHeader}
                       />
                     </Field>
-                    <Field label="Toplam İskonto (₺)" hint="(opsiyonel)">
+                    <Field label={`Toplam İskonto (${isForeign(invoiceDraft.currencyCode) ? invoiceDraft.currencyCode : "₺"})`} hint="(opsiyonel)">
                       <input
                         inputMode="decimal"
                         className="h-10 w-full rounded-xl border border-slate-200 bg-white px-3 text-sm outline-none focus:ring-2 focus:ring-slate-300"
@@ -1867,17 +3261,65 @@ function openEditLine(lineId) {
                   </div>
 
                   <div className="mt-3 grid grid-cols-1 gap-3 md:grid-cols-2">
-                    <ReadOnly label="Kalemlerin Toplamı (KDV Hariç)" value={money(invoiceComputed.totalNet)} />
-                    <ReadOnly label="Toplam İskonto (Hesaplanan)" value={money(invoiceComputed.discountComputed)} />
-                    <ReadOnly label="Toplam KDV" value={money(invoiceComputed.vatAmount)} />
-                    <ReadOnly label="Toplam Tevkifat (KDV)" value={money(invoiceComputed.withheldVat)} />
+                    <ReadOnly label="Kalemlerin Toplamı (KDV Hariç)" value={formatAmount(invoiceComputed.totalNet, invoiceDraft.currencyCode)} />
+                    <ReadOnly label="Toplam İskonto (Hesaplanan)" value={formatAmount(invoiceComputed.discountComputed, invoiceDraft.currencyCode)} />
+                    <ReadOnly label="Toplam KDV" value={formatAmount(invoiceComputed.vatAmount, invoiceDraft.currencyCode)} />
+                    <ReadOnly label="Toplam Tevkifat (KDV)" value={formatAmount(invoiceComputed.withheldVat, invoiceDraft.currencyCode)} />
                   </div>
 
-                  <div className="mt-3">
-                    <ReadOnly label="KDV Dahil Genel Toplam" value={money(invoiceComputed.totalVatIncl)} />
+                  <div className="mt-3 grid grid-cols-1 gap-3 md:grid-cols-2">
+                    <ReadOnly label="KDV Dahil Genel Toplam" value={formatAmount(invoiceComputed.totalVatIncl, invoiceDraft.currencyCode)} />
+                    {isForeign(invoiceDraft.currencyCode) && (
+                      <ReadOnly
+                        label={`TRY Karşılığı (kur ${invoiceDraft.exchangeRate || "-"})`}
+                        value={money(invoiceComputed.totalVatIncl * invoiceFxRate(invoiceDraft)) + " ₺"}
+                      />
+                    )}
                   </div>
 
                   <div className="mt-3 text-xs text-slate-600">Not: Tevkifat hesabı prototipte KDV tutarı üzerinden gösterim amaçlıdır.</div>
+
+                  {/* Ödeme durumu */}
+                  {(() => {
+                    const b = invoiceBalance.get(invoiceDraft.id);
+                    if (!b) return null;
+                    const st = PAYMENT_STATUSES[b.status];
+                    const invPayments = payments.filter((p) => (p.allocations ?? []).some((a) => a.invoiceId === invoiceDraft.id));
+                    return (
+                      <div className="mt-4 border-t border-slate-200 pt-3">
+                        <div className="flex items-center justify-between gap-3">
+                          <div className="flex items-center gap-2">
+                            <div className="text-sm font-semibold text-slate-900">Ödeme</div>
+                            <span className={"rounded-lg px-2 py-0.5 text-[11px] font-semibold ring-1 " + st.cls}>{st.label}</span>
+                          </div>
+                          <button
+                            className="h-9 rounded-xl border border-slate-200 bg-white px-4 text-xs font-semibold text-slate-900 hover:bg-slate-50 disabled:opacity-50"
+                            disabled={b.status === "paid"}
+                            onClick={() => openNewPayment(invoiceDraft.supplierId, invoiceDraft.supplierName, invoiceDraft.id)}
+                          >
+                            Ödeme Ekle
+                          </button>
+                        </div>
+                        <div className="mt-3 grid grid-cols-1 gap-3 md:grid-cols-3">
+                          <ReadOnly label="Ödenecek (Tevkifat Sonrası)" value={formatAmount(b.payable, invoiceDraft.currencyCode)} />
+                          <ReadOnly label="Ödenen" value={formatAmount(b.paid, invoiceDraft.currencyCode)} />
+                          <ReadOnly label="Kalan" value={formatAmount(b.remaining, invoiceDraft.currencyCode)} />
+                        </div>
+                        {invPayments.length > 0 && (
+                          <div className="mt-2 grid grid-cols-1 gap-1">
+                            {invPayments.map((p) => (
+                              <button key={p.id} className="flex justify-between rounded-lg px-2 py-1 text-left text-xs text-slate-700 hover:bg-slate-50" onClick={() => openPayment(p.id)}>
+                                <span>{p.date} · {p.method}{p.reference ? ` · ${p.reference}` : ""}</span>
+                                <span className="tabular-nums">
+                                  {formatAmount(toNumber(p.allocations.find((a) => a.invoiceId === invoiceDraft.id).amount), invoiceDraft.currencyCode)}
+                                </span>
+                              </button>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    );
+                  })()}
                 </div>
 
                 {/* Kalem Düzenleme */}
@@ -2013,15 +3455,18 @@ function openEditLine(lineId) {
                           <th className="px-3 py-3 text-right font-medium">KDV %</th>
                           <th className="px-3 py-3 text-right font-medium">KDV Hariç</th>
                           <th className="px-3 py-3 text-right font-medium">KDV Dahil</th>
+                          <th className="px-3 py-3 text-left font-medium">Sipariş</th>
+                          <th className="px-3 py-3 text-left font-medium">Eşleştirme</th>
                         </tr>
                       </thead>
                       <tbody>
                         {invoiceLines.length === 0 ? (
-                          <tr><td colSpan={9} className="px-3 py-10 text-center text-slate-500">Bu faturada kalem yok.</td></tr>
+                          <tr><td colSpan={11} className="px-3 py-10 text-center text-slate-500">Bu faturada kalem yok.</td></tr>
                         ) : (
                           invoiceLines.map((ln) => {
                             const c = calcLine(ln);
                             const active = ln.id === activeInvoiceLineId;
+                            const mr = ln.orderLineId ? matchRowByOrderLine.get(ln.orderLineId) : null;
                             return (
                               <tr
                                 key={ln.id}
@@ -2038,6 +3483,13 @@ function openEditLine(lineId) {
                                 <td className="px-3 py-3 text-right tabular-nums">{money(c.vat)}</td>
                                 <td className="px-3 py-3 text-right tabular-nums">{money(c.totalNet)}</td>
                                 <td className="px-3 py-3 text-right tabular-nums">{money(c.totalVatIncl)}</td>
+                                <td className="px-3 py-3 whitespace-nowrap">{ln.orderLineId ? orderLineRefs.get(ln.orderLineId)?.orderNo ?? "(silinmiş)" : "-"}</td>
+                                <td
+                                  className="px-3 py-3"
+                                  title={mr ? `Sipariş ${money(mr.orderedQty)} · Teslim ${money(mr.receivedQty)} · Faturalanan ${money(mr.invoicedQty)}` : undefined}
+                                >
+                                  {mr ? <MatchIssues issues={mr.issues} /> : "-"}
+                                </td>
                               </tr>
                             );
                           })
@@ -2048,6 +3500,10 @@ function openEditLine(lineId) {
 
                   <div className="mt-3 text-xs text-slate-500">Kaydetmeden kapatırsanız değişiklikler kaybolur.</div>
                 </div>
+
+                <div className="lg:col-span-12">
+                  <AuditHistory entries={invoiceHistory(auditLog, invoiceDraft.id)} showEntity />
+                </div>
               </div>
             </div>
 
@@ -2113,6 +3569,37 @@ function openEditLine(lineId) {
                       />
                     </Field>
 
+                    <Field label="Departman" hint="(bütçe)">
+                      <input
+                        list="departmentList"
+                        className="h-10 w-full rounded-xl border border-slate-200 bg-white px-3 text-sm outline-none focus:ring-2 focus:ring-slate-300"
+                        value={invoiceCreateDraft.department ?? ""}
+                        onChange={(e) => setInvoiceCreateDraft((p) => ({ ...p, department: e.target.value }))}
+                        placeholder="Örn: Üretim"
+                      />
+                    </Field>
+
+                    <CurrencyFields
+                      currencyCode={invoiceCreateDraft.currencyCode}
+                      exchangeRate={invoiceCreateDraft.exchangeRate}
+                      date={invoiceCreateDraft.date}
+                      rates={exchangeRates}
+                      onChange={(patch) => setInvoiceCreateDraft((p) => ({ ...p, ...patch }))}
+                    />
+
+                    <div className="grid grid-cols-2 gap-3">
+                      <Field label="Vade (gün)" hint="(boşsa tedarikçi vadesi)">
+                        <input
+                          inputMode="numeric"
+                          className="h-10 w-full rounded-xl border border-slate-200 bg-white px-3 text-sm outline-none focus:ring-2 focus:ring-slate-300"
+                          value={invoiceCreateDraft.paymentTermDays}
+                          placeholder={String(invoiceTermDays({}, findSupplierByName(suppliers, invoiceCreateDraft.supplierName)))}
+                          onChange={(e) => setInvoiceCreateDraft((p) => ({ ...p, paymentTermDays: e.target.value }))}
+                        />
+                      </Field>
+                      <ReadOnly label="Vade Tarihi" value={invoiceDueDate(invoiceCreateDraft, findSupplierByName(suppliers, invoiceCreateDraft.supplierName)) || "-"} />
+                    </div>
+
                     <div className="grid grid-cols-2 gap-3">
                       <Field label="Tevkifat %">
                         <input
@@ -2122,7 +3609,7 @@ function openEditLine(lineId) {
                           onChange={(e) => setInvoiceCreateDraft((p) => ({ ...p, tevfikatRate: e.target.value }))}
                         />
                       </Field>
-                      <Field label="Toplam İskonto (₺)" hint="(opsiyonel)">
+                      <Field label={`Toplam İskonto (${isForeign(invoiceCreateDraft.currencyCode) ? invoiceCreateDraft.currencyCode : "₺"})`} hint="(opsiyonel)">
                         <input
                           inputMode="decimal"
                           className="h-10 w-full rounded-xl border border-slate-200 bg-white px-3 text-sm outline-none focus:ring-2 focus:ring-slate-300"
@@ -2169,7 +3656,7 @@ function openEditLine(lineId) {
                       />
                     </Field>
 
-                    <Field label="Toplam İskonto (₺)" hint="(opsiyonel)">
+                    <Field label={`Toplam İskonto (${isForeign(invoiceCreateDraft.currencyCode) ? invoiceCreateDraft.currencyCode : "₺"})`} hint="(opsiyonel)">
                       <input
                         inputMode="decimal"
                         className="h-10 w-full rounded-xl border border-slate-300 bg-white px-3 text-sm outline-none focus:ring-2 focus:ring-slate-300"
@@ -2180,14 +3667,20 @@ function openEditLine(lineId) {
                   </div>
 
                   <div className="mt-3 grid grid-cols-1 gap-3 md:grid-cols-2">
-                    <ReadOnly label="Kalem Toplamı (KDV Hariç)" value={money(createComputed.totalNet)} />
-                    <ReadOnly label="Toplam İskonto (Hesaplanan)" value={money(createComputed.discountComputed)} />
-                    <ReadOnly label="Toplam KDV" value={money(createComputed.vatAmount)} />
-                    <ReadOnly label="Toplam Tevkifat (KDV)" value={money(createComputed.withheldVat)} />
+                    <ReadOnly label="Kalem Toplamı (KDV Hariç)" value={formatAmount(createComputed.totalNet, invoiceCreateDraft.currencyCode)} />
+                    <ReadOnly label="Toplam İskonto (Hesaplanan)" value={formatAmount(createComputed.discountComputed, invoiceCreateDraft.currencyCode)} />
+                    <ReadOnly label="Toplam KDV" value={formatAmount(createComputed.vatAmount, invoiceCreateDraft.currencyCode)} />
+                    <ReadOnly label="Toplam Tevkifat (KDV)" value={formatAmount(createComputed.withheldVat, invoiceCreateDraft.currencyCode)} />
                   </div>
 
-                  <div className="mt-3">
-                    <ReadOnly label="KDV Dahil Genel Toplam" value={money(createComputed.totalVatIncl)} />
+                  <div className="mt-3 grid grid-cols-1 gap-3 md:grid-cols-2">
+                    <ReadOnly label="KDV Dahil Genel Toplam" value={formatAmount(createComputed.totalVatIncl, invoiceCreateDraft.currencyCode)} />
+                    {isForeign(invoiceCreateDraft.currencyCode) && (
+                      <ReadOnly
+                        label={`TRY Karşılığı (kur ${invoiceCreateDraft.exchangeRate || "-"})`}
+                        value={money(createComputed.totalVatIncl * invoiceFxRate(invoiceCreateDraft)) + " ₺"}
+                      />
+                    )}
                   </div>
                 </div>
 
@@ -2199,10 +3692,11 @@ function openEditLine(lineId) {
                   </div>
 
                   <div className="overflow-x-auto rounded-2xl ring-1 ring-slate-200">
-                    <table className="min-w-[1350px] w-full text-sm">
+                    <table className="min-w-[1600px] w-full text-sm">
                       <thead className="bg-slate-100 text-slate-700 sticky top-0 z-10">
                         <tr>
                           <th className="px-3 py-3 text-left font-medium">Fatura Kalemi</th>
+                          <th className="px-3 py-3 text-left font-medium">Masraf Merkezi</th>
                           <th className="px-3 py-3 text-right font-medium">Adet</th>
                           <th className="px-3 py-3 text-left font-medium">Birim</th>
                           <th className="px-3 py-3 text-right font-medium">Birim Fiyat</th>
@@ -2229,8 +3723,21 @@ function openEditLine(lineId) {
                                   list="itemList"
                                   className="h-9 w-full rounded-xl border border-slate-200 bg-white px-3 text-sm outline-none focus:ring-2 focus:ring-slate-300"
                                   value={ln.invoiceItem}
-                                  onChange={(e) => setInvoiceCreateLines((prev) => prev.map((x) => (x._key === ln._key ? { ...x, invoiceItem: e.target.value } : x)))}
+                                  onChange={(e) => setCreateLineItem(ln._key, e.target.value)}
                                   placeholder={`Kalem ${idx + 1}`}
+                                  title="Ürün adı, kodu (SKU) veya barkodu"
+                                />
+                                {ln.orderLineId ? (
+                                  <div className="mt-0.5 text-[11px] text-slate-500">Sipariş: {orderLineRefs.get(ln.orderLineId)?.orderNo ?? "?"}</div>
+                                ) : null}
+                              </td>
+
+                              <td className="w-64 px-3 py-2">
+                                <CostCenterPicker
+                                  compact
+                                  value={ln.costCenters}
+                                  onChange={(costCenters) => setInvoiceCreateLines((prev) => prev.map((x) => (x._key === ln._key ? { ...x, costCenters } : x)))}
+                                  fallback={invoiceCreateDraft.department ?? ""}
                                 />
                               </td>
 
@@ -2350,60 +3857,186 @@ function openEditLine(lineId) {
       )}
 
       {/* Tedarikçi Modal */}
-      {supplierModalOpen && (
-        <SimpleModal title="Tedarikçi Formu" onClose={() => setSupplierModalOpen(false)}>
-          <div className="grid grid-cols-1 gap-3">
-            <Field label="Tedarikçi Adı">
-              <input
-                className="h-10 w-full rounded-xl border border-slate-200 bg-white px-3 text-sm outline-none focus:ring-2 focus:ring-slate-300"
-                value={supplierModalDraft}
-                onChange={(e) => setSupplierModalDraft(e.target.value)}
-              />
-            </Field>
+      {supplierForm && (
+        <SupplierForm
+          key={supplierForm.supplier.id}
+          supplier={supplierForm.supplier}
+          isNew={supplierForm.isNew}
+          invoiceCount={invoices.filter((x) => x.supplierId === supplierForm.supplier.id).length}
+          onSave={saveSupplier}
+          onRemove={removeSupplier}
+          onClose={() => setSupplierForm(null)}
+        />
+      )}
 
-            <div className="text-xs text-slate-600">
-              Bu prototipte tedarikçi adı değişikliği, bu tedarikçiye bağlı tüm faturaları günceller.
-            </div>
+      {ublReport && <UblImportReport results={ublReport} onClose={() => setUblReport(null)} />}
+
+      {importWizard && (
+        <ImportMappingWizard
+          fileName={importWizard.fileName}
+          sheets={importWizard.sheets}
+          profiles={importProfiles}
+          onSaveProfile={saveImportProfile}
+          onDeleteProfile={deleteImportProfile}
+          onConfirm={(records) => setImportPreview(validateImportRecords(records, { invoices, suppliers, exchangeRates }))}
+          onClose={() => setImportWizard(null)}
+        />
+      )}
 
-            <div className="flex justify-end gap-2 pt-2">
-              <button className="h-10 rounded-xl border border-slate-200 bg-white px-4 text-sm font-medium text-slate-900 hover:bg-slate-50" onClick={() => setSupplierModalOpen(false)}>
-                Kapat
-              </button>
-              <button className="h-10 rounded-xl bg-slate-900 px-4 text-sm font-medium text-white hover:bg-slate-800" onClick={saveSupplierModal}>
-                Kaydet
-              </button>
-            </div>
-          </div>
-        </SimpleModal>
+      {importWizard && importPreview && (
+        <ImportPreview
+          fileName={importWizard.fileName}
+          rows={importPreview}
+          suppliers={suppliers}
+          onBack={() => setImportPreview(null)}
+          onDownloadRejected={exportRejectedRows}
+          onConfirm={(records) => {
+            setImportPreview(null);
+            setImportWizard(null);
+            importRecords(records);
+          }}
+          onClose={() => {
+            setImportPreview(null);
+            setImportWizard(null);
+          }}
+        />
       )}
 
-      {/* Kalem Modal */}
-      {itemModalOpen && (
-        <SimpleModal title="Kalem Formu" onClose={() => setItemModalOpen(false)}>
-          <div className="grid grid-cols-1 gap-3">
-            <Field label="Kalem Adı">
-              <input
-                className="h-10 w-full rounded-xl border border-slate-200 bg-white px-3 text-sm outline-none focus:ring-2 focus:ring-slate-300"
-                value={itemModalDraft}
-                onChange={(e) => setItemModalDraft(e.target.value)}
-              />
-            </Field>
+      {paymentForm && (
+        <PaymentForm
+          key={paymentForm.payment.id}
+          payment={paymentForm.payment}
+          isNew={paymentForm.isNew}
+          invoiceRows={paymentInvoiceRows}
+          rates={exchangeRates}
+          onSave={savePayment}
+          onRemove={removePayment}
+          onClose={() => setPaymentForm(null)}
+        />
+      )}
 
+      {budgetForm && (
+        <BudgetForm
+          key={budgetForm.budget.id}
+          budget={budgetForm.budget}
+          isNew={budgetForm.isNew}
+          departments={departmentNames}
+          categories={itemCategories}
+          onSave={saveBudget}
+          onRemove={removeBudget}
+          onClose={() => setBudgetForm(null)}
+        />
+      )}
+
+      {/* Siparişe Aktar Modal */}
+      {orderTransferOpen && orderTransferDraft && (
+        <SimpleModal title="Siparişe Aktar" onClose={() => setOrderTransferOpen(false)}>
+          <div className="grid grid-cols-1 gap-3">
             <div className="text-xs text-slate-600">
-              Bu prototipte kalem adı değişikliği, aynı isimdeki tüm satırları günceller.
+              {selectedRows.length} kalem, adet / fiyat / iskonto / KDV bilgileriyle sipariş kalemi olarak eklenecek.
+            </div>
+
+            <div className="flex gap-4 text-sm">
+              <label className="inline-flex items-center gap-2">
+                <input type="radio" checked={orderTransferDraft.mode === "new"} onChange={() => setOrderTransferDraft((p) => ({ ...p, mode: "new" }))} />
+                Yeni sipariş
+              </label>
+              <label className="inline-flex items-center gap-2">
+                <input type="radio" checked={orderTransferDraft.mode === "existing"} onChange={() => setOrderTransferDraft((p) => ({ ...p, mode: "existing" }))} />
+                Mevcut siparişe ekle
+              </label>
             </div>
 
+            {orderTransferDraft.mode === "new" ? (
+              <div className="grid grid-cols-1 gap-3 md:grid-cols-2">
+                <Field label="Tedarikçi Adı" hint="(autocomplete)">
+                  <input
+                    list="supplierList"
+                    className="h-10 w-full rounded-xl border border-slate-200 bg-white px-3 text-sm outline-none focus:ring-2 focus:ring-slate-300"
+                    value={orderTransferDraft.supplierName}
+                    onChange={(e) => setOrderTransferDraft((p) => ({ ...p, supplierName: e.target.value }))}
+                  />
+                </Field>
+                <Field label="Beklenen Teslim" hint="(opsiyonel)">
+                  <input
+                    type="date"
+                    className="h-10 w-full rounded-xl border border-slate-200 bg-white px-3 text-sm outline-none focus:ring-2 focus:ring-slate-300"
+                    value={orderTransferDraft.expectedDate}
+                    onChange={(e) => setOrderTransferDraft((p) => ({ ...p, expectedDate: e.target.value }))}
+                  />
+                </Field>
+              </div>
+            ) : (
+              <Field label="Sipariş" hint={`(${selectedRows[0]?.supplierName || "-"} tedarikçisinin açık siparişleri)`}>
+                <select
+                  className="h-10 w-full rounded-xl border border-slate-200 bg-white px-3 text-sm outline-none focus:ring-2 focus:ring-slate-300"
+                  value={orderTransferDraft.orderId}
+                  onChange={(e) => setOrderTransferDraft((p) => ({ ...p, orderId: e.target.value }))}
+                >
+                  <option value="">Seçiniz…</option>
+                  {orders.filter((o) => !isOrderLocked(o) && isSameSupplier(o, selectedRows[0])).map((o) => (
+                    <option key={o.id} value={o.id}>
+                      {o.orderNo} · {o.supplierName} · {o.date}
+                    </option>
+                  ))}
+                </select>
+              </Field>
+            )}
+
             <div className="flex justify-end gap-2 pt-2">
-              <button className="h-10 rounded-xl border border-slate-200 bg-white px-4 text-sm font-medium text-slate-900 hover:bg-slate-50" onClick={() => setItemModalOpen(false)}>
-                Kapat
+              <button className="h-10 rounded-xl border border-slate-200 bg-white px-4 text-sm font-medium text-slate-900 hover:bg-slate-50" onClick={() => setOrderTransferOpen(false)}>
+                Vazgeç
               </button>
-              <button className="h-10 rounded-xl bg-slate-900 px-4 text-sm font-medium text-white hover:bg-slate-800" onClick={saveItemModal}>
-                Kaydet
+              <button className="h-10 rounded-xl bg-slate-900 px-4 text-sm font-medium text-white hover:bg-slate-800" onClick={saveOrderTransfer}>
+                Aktar
               </button>
             </div>
           </div>
         </SimpleModal>
       )}
+
+      {ratesModalOpen && <ExchangeRatesModal rates={exchangeRates} setRates={setExchangeRates} onClose={() => setRatesModalOpen(false)} />}
+
+      {/* Kalem Formu */}
+      {itemForm && (
+        <ItemForm
+          key={itemForm.item.id}
+          item={itemForm.item}
+          isNew={itemForm.isNew}
+          lineCount={lines.filter((x) => x.itemId === itemForm.item.id).length}
+          categories={itemCategories}
+          onSave={saveItem}
+          onRemove={removeItem}
+          onClose={() => setItemForm(null)}
+        />
+      )}
+
+      {itemDetailData && (
+        <ItemPriceHistory
+          item={itemDetailData.item}
+          purchases={itemDetailData.purchases}
+          units={itemDetailData.units}
+          onEdit={() => openItemModal(itemDetailData.item.id, itemDetailData.item.name)}
+          onOpenInvoice={(invoiceId) => {
+            setItemDetail(null);
+            openInvoice(invoiceId);
+          }}
+          onClose={() => setItemDetail(null)}
+        />
+      )}
+
+      {categoryManagerOpen && (
+        <CategoryManager
+          categories={categories}
+          items={items}
+          missingPaths={untrackedCategoryPaths(categories, items)}
+          onSave={saveCategory}
+          onRemove={removeCategory}
+          onAddMissing={addMissingCategories}
+          onApplyRules={runCategoryRules}
+          onClose={() => setCategoryManagerOpen(false)}
+        />
+      )}
     </div>
   );
 }
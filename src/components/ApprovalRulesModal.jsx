@@ -0,0 +1,110 @@
+import React, { useState } from "react";
+import { money, toNumber } from "../lib/calc.js";
+import { blankApprovalRule, parseApprovers } from "../lib/requests.js";
+import { Field, SimpleModal } from "./ui.jsx";
+
+/**
+ * Onay kuralları: seviye + tutar eşiği (₺, KDV hariç) + isteğe bağlı kategori + onaylayıcılar (kullanıcı adları).
+ * onSave(rule) doğrulama hatasında false döner. Bekleyen talepler gönderildikleri andaki adımlarla devam eder.
+ */
+
+const inputCls = "h-10 w-full rounded-xl border border-slate-200 bg-white px-3 text-sm outline-none focus:ring-2 focus:ring-slate-300";
+
+export default function ApprovalRulesModal({ rules, categoryOptions, onSave, onRemove, onClose }) {
+  const [editing, setEditing] = useState(null); // null | { draft, approversText }
+
+  const sorted = [...rules].sort((a, b) => Number(a.level) - Number(b.level) || toNumber(a.minAmount) - toNumber(b.minAmount));
+  const set = (patch) => setEditing((p) => ({ ...p, draft: { ...p.draft, ...patch } }));
+
+  function save() {
+    const ok = onSave({ ...editing.draft, approvers: parseApprovers(editing.approversText) });
+    if (ok) setEditing(null);
+  }
+
+  return (
+    <SimpleModal title="Onay Kuralları" onClose={onClose}>
+      <div className="grid max-h-[70vh] grid-cols-1 gap-3 overflow-y-auto pr-1">
+        <div className="text-xs text-slate-600">
+          Talep tutarı eşiği geçen (ve kategori verilmişse o kategoride kalemi olan) her kural uygulanır. Seviyeler sırayla onaylanır; aynı seviyede listedeki tek kişinin onayı yeter.
+          Bir seviyeyi onaylayan kişi sonraki seviyeleri onaylayamaz; talep sahibi ve önceki seviyeyi onaylayanlar dışında onaylayıcısı kalmayan seviye atlanır.
+        </div>
+
+        {editing ? (
+          <div className="rounded-2xl bg-slate-50 p-3 ring-1 ring-slate-200">
+            <div className="grid grid-cols-1 gap-3 md:grid-cols-2">
+              <Field label="Kural Adı">
+                <input className={inputCls} value={editing.draft.name} onChange={(e) => set({ name: e.target.value })} placeholder="Örn: Finans onayı" autoFocus />
+              </Field>
+              <Field label="Seviye" hint="(1 = ilk onay)">
+                <input inputMode="numeric" className={inputCls} value={editing.draft.level} onChange={(e) => set({ level: e.target.value })} />
+              </Field>
+              <Field label="Tutar Eşiği (₺)" hint="(bu tutar ve üzeri)">
+                <input inputMode="decimal" className={inputCls} value={editing.draft.minAmount} onChange={(e) => set({ minAmount: e.target.value })} />
+              </Field>
+              <Field label="Kategori" hint="(alt kategoriler dahil)">
+                <select className={inputCls} value={editing.draft.category} onChange={(e) => set({ category: e.target.value })}>
+                  <option value="">Tüm kategoriler</option>
+                  {categoryOptions.map((c) => <option key={c.path} value={c.path}>{c.label}</option>)}
+                </select>
+              </Field>
+            </div>
+            <div className="mt-3">
+              <Field label="Onaylayıcılar" hint="(kullanıcı adları, virgülle)">
+                <input className={inputCls} value={editing.approversText} onChange={(e) => setEditing((p) => ({ ...p, approversText: e.target.value }))} placeholder="Örn: Ayşe Yılmaz, Mehmet Kaya" />
+              </Field>
+            </div>
+            <div className="mt-3 flex justify-end gap-2">
+              <button className="h-9 rounded-xl border border-slate-200 bg-white px-4 text-xs font-semibold text-slate-900 hover:bg-slate-50" onClick={() => setEditing(null)}>
+                Vazgeç
+              </button>
+              <button className="h-9 rounded-xl bg-slate-900 px-4 text-xs font-semibold text-white hover:bg-slate-800" onClick={save}>
+                Kaydet
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div className="flex justify-end">
+            <button
+              className="h-9 rounded-xl bg-slate-900 px-4 text-xs font-semibold text-white hover:bg-slate-800"
+              onClick={() => setEditing({ draft: blankApprovalRule(), approversText: "" })}
+            >
+              Kural Ekle
+            </button>
+          </div>
+        )}
+
+        <div className="rounded-2xl ring-1 ring-slate-200">
+          {sorted.length === 0 ? (
+            <div className="px-3 py-8 text-center text-sm text-slate-500">Kural tanımlı değil; talepler onaya gönderilince doğrudan onaylanır.</div>
+          ) : (
+            sorted.map((r) => (
+              <div key={r.id} className="flex items-center justify-between gap-2 border-t border-slate-200 px-3 py-2 first:border-t-0">
+                <div className="min-w-0">
+                  <div className="text-sm font-medium text-slate-900">
+                    <span className="mr-2 rounded-lg bg-slate-100 px-2 py-0.5 text-[11px] font-semibold text-slate-700">{r.level}. seviye</span>
+                    {r.name}
+                  </div>
+                  <div className="truncate text-[11px] text-slate-500">
+                    {toNumber(r.minAmount) > 0 ? `${money(toNumber(r.minAmount))} ₺ ve üzeri` : "Her tutar"}
+                    {r.category ? ` · ${r.category}` : ""} · {r.approvers.join(", ")}
+                  </div>
+                </div>
+                <div className="flex shrink-0 gap-1">
+                  <button
+                    className="h-8 rounded-lg border border-slate-200 bg-white px-2 text-xs font-medium text-slate-800 hover:bg-slate-50"
+                    onClick={() => setEditing({ draft: r, approversText: r.approvers.join(", ") })}
+                  >
+                    Düzenle
+                  </button>
+                  <button className="h-8 rounded-lg border border-rose-200 bg-white px-2 text-xs font-medium text-rose-700 hover:bg-rose-50" onClick={() => onRemove(r.id)}>
+                    Sil
+                  </button>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </SimpleModal>
+  );
+}
@@ -0,0 +1,78 @@
+import React, { useState } from "react";
+import { AUDITED, AUDIT_ACTIONS, FIELD_LABELS } from "../lib/audit.js";
+
+/**
+ * "Geçmiş" paneli: değişiklik kayıtları (yeniden eskiye).
+ * entries: invoiceHistory / entityHistory sonucu; showEntity → kayıt türü ve adı da gösterilir (fatura + kalemleri).
+ */
+
+const VIA_LABELS = { undo: "geri al", redo: "yinele" };
+
+function formatAt(iso) {
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return iso;
+  return d.toLocaleString("tr-TR", { dateStyle: "short", timeStyle: "medium" });
+}
+
+function Value({ value }) {
+  if (!value) return <span className="text-slate-400">—</span>;
+  return (
+    <span className="break-all" title={value.length > 60 ? value : undefined}>
+      {value.length > 60 ? value.slice(0, 60) + "…" : value}
+    </span>
+  );
+}
+
+export default function AuditHistory({ entries, showEntity = false }) {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div className="rounded-2xl bg-white ring-1 ring-slate-200">
+      <button className="flex w-full items-center justify-between px-4 py-3 text-left" onClick={() => setOpen((v) => !v)}>
+        <span className="text-sm font-semibold text-slate-900">Geçmiş ({entries.length})</span>
+        <span className="text-xs text-slate-600">{open ? "Gizle" : "Göster"}</span>
+      </button>
+
+      {open && (
+        <div className="max-h-[320px] overflow-y-auto border-t border-slate-200">
+          {entries.length === 0 ? (
+            <div className="px-4 py-6 text-center text-xs text-slate-500">Kayıtlı değişiklik yok.</div>
+          ) : (
+            <table className="w-full text-xs">
+              <thead className="sticky top-0 bg-slate-100 text-slate-700">
+                <tr>
+                  <th className="px-3 py-2 text-left font-medium">Zaman</th>
+                  <th className="px-3 py-2 text-left font-medium">Kullanıcı</th>
+                  {showEntity && <th className="px-3 py-2 text-left font-medium">Kayıt</th>}
+                  <th className="px-3 py-2 text-left font-medium">Alan</th>
+                  <th className="px-3 py-2 text-left font-medium">Eski</th>
+                  <th className="px-3 py-2 text-left font-medium">Yeni</th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map((e) => (
+                  <tr key={e.id} className="border-t border-slate-200 align-top">
+                    <td className="px-3 py-2 whitespace-nowrap tabular-nums">{formatAt(e.at)}</td>
+                    <td className="px-3 py-2">
+                      {e.user || "-"}
+                      {e.via ? <span className="ml-1 text-slate-500">({VIA_LABELS[e.via] ?? e.via})</span> : null}
+                    </td>
+                    {showEntity && (
+                      <td className="px-3 py-2">
+                        {AUDITED[e.entity]}
+                        {e.label ? <span className="text-slate-500"> · {e.label}</span> : null}
+                      </td>
+                    )}
+                    <td className="px-3 py-2">{e.action === "update" ? FIELD_LABELS[e.field] ?? e.field : <span className="font-semibold">{AUDIT_ACTIONS[e.action]}</span>}</td>
+                    <td className="px-3 py-2"><Value value={e.oldValue} /></td>
+                    <td className="px-3 py-2"><Value value={e.newValue} /></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
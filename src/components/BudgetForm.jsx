@@ -0,0 +1,109 @@
+import React, { useState } from "react";
+import { CURRENCIES } from "../lib/currency.js";
+import { BUDGET_DIMENSIONS, BUDGET_PERIOD_TYPES, periodOf } from "../lib/budgets.js";
+import { Field, SimpleModal } from "./ui.jsx";
+
+/**
+ * Bütçe Formu: dönem (yıl / çeyrek / ay), boyut (departman ya da kategori), tutar, para birimi.
+ * departments / categories: öneri listeleri (serbest metin de girilebilir).
+ */
+
+const inputCls = "h-10 w-full rounded-xl border border-slate-200 bg-white px-3 text-sm outline-none focus:ring-2 focus:ring-slate-300";
+
+const MONTH_OPTIONS = ["01", "02", "03", "04", "05", "06", "07", "08", "09", "10", "11", "12"];
+
+export default function BudgetForm({ budget, isNew, departments, categories, onSave, onRemove, onClose }) {
+  const [draft, setDraft] = useState(budget);
+
+  const set = (key) => (e) => setDraft((p) => ({ ...p, [key]: e.target.value }));
+  const year = String(draft.period).slice(0, 4);
+
+  function setPeriodType(periodType) {
+    setDraft((p) => ({ ...p, periodType, period: periodOf(periodType, `${String(p.period).slice(0, 4)}-01-01`) }));
+  }
+
+  function setYear(value) {
+    const y = value.replace(/\D/g, "").slice(0, 4);
+    setDraft((p) => ({ ...p, period: y + String(p.period).slice(4) }));
+  }
+
+  const suggestions = draft.dimension === "category" ? categories : departments;
+
+  return (
+    <SimpleModal title="Bütçe Formu" onClose={onClose}>
+      <div className="grid grid-cols-1 gap-3">
+        <div className="grid grid-cols-1 gap-3 md:grid-cols-3">
+          <Field label="Dönem Tipi">
+            <select className={inputCls} value={draft.periodType} onChange={(e) => setPeriodType(e.target.value)}>
+              {BUDGET_PERIOD_TYPES.map((t) => <option key={t.key} value={t.key}>{t.label}</option>)}
+            </select>
+          </Field>
+          <Field label="Yıl">
+            <input inputMode="numeric" className={inputCls} value={year} onChange={(e) => setYear(e.target.value)} />
+          </Field>
+          {draft.periodType === "quarter" && (
+            <Field label="Çeyrek">
+              <select className={inputCls} value={String(draft.period).slice(6)} onChange={(e) => setDraft((p) => ({ ...p, period: `${year}-Q${e.target.value}` }))}>
+                {[1, 2, 3, 4].map((q) => <option key={q} value={String(q)}>{q}. Çeyrek</option>)}
+              </select>
+            </Field>
+          )}
+          {draft.periodType === "month" && (
+            <Field label="Ay">
+              <select className={inputCls} value={String(draft.period).slice(5, 7)} onChange={(e) => setDraft((p) => ({ ...p, period: `${year}-${e.target.value}` }))}>
+                {MONTH_OPTIONS.map((m) => <option key={m} value={m}>{m}</option>)}
+              </select>
+            </Field>
+          )}
+        </div>
+
+        <div className="grid grid-cols-1 gap-3 md:grid-cols-3">
+          <Field label="Boyut">
+            <select className={inputCls} value={draft.dimension} onChange={set("dimension")}>
+              {BUDGET_DIMENSIONS.map((d) => <option key={d.key} value={d.key}>{d.label}</option>)}
+            </select>
+          </Field>
+          <div className="md:col-span-2">
+            <Field label={BUDGET_DIMENSIONS.find((d) => d.key === draft.dimension)?.label ?? "Ad"} hint="(autocomplete)">
+              <input list="budgetKeyList" className={inputCls} value={draft.key} onChange={set("key")} autoFocus={isNew} />
+              <datalist id="budgetKeyList">{suggestions.map((s) => <option key={s} value={s} />)}</datalist>
+            </Field>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 gap-3 md:grid-cols-2">
+          <Field label="Tutar" hint="(KDV hariç)">
+            <input inputMode="decimal" className={inputCls} value={draft.amount} onChange={set("amount")} />
+          </Field>
+          <Field label="Para Birimi">
+            <select className={inputCls} value={draft.currencyCode} onChange={set("currencyCode")}>
+              {CURRENCIES.map((c) => <option key={c.code} value={c.code}>{c.code} — {c.label}</option>)}
+            </select>
+          </Field>
+        </div>
+
+        <Field label="Not">
+          <input className={inputCls} value={draft.note} onChange={set("note")} />
+        </Field>
+
+        <div className="flex justify-between gap-2 pt-2">
+          <div>
+            {!isNew && (
+              <button className="h-10 rounded-xl border border-rose-200 bg-white px-4 text-sm font-medium text-rose-700 hover:bg-rose-50" onClick={() => onRemove(draft.id)}>
+                Sil
+              </button>
+            )}
+          </div>
+          <div className="flex gap-2">
+            <button className="h-10 rounded-xl border border-slate-200 bg-white px-4 text-sm font-medium text-slate-900 hover:bg-slate-50" onClick={onClose}>
+              Kapat
+            </button>
+            <button className="h-10 rounded-xl bg-slate-900 px-4 text-sm font-medium text-white hover:bg-slate-800" onClick={() => onSave(draft)}>
+              Kaydet
+            </button>
+          </div>
+        </div>
+      </div>
+    </SimpleModal>
+  );
+}
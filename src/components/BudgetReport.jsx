@@ -0,0 +1,91 @@
+import React, { useMemo } from "react";
+import { formatAmount } from "../lib/currency.js";
+import { BUDGET_DIMENSIONS, USAGE_LEVELS, periodLabel } from "../lib/budgets.js";
+
+/**
+ * Raporlar → bütçe / gerçekleşen (KDV hariç, bütçe para biriminde).
+ * usage: budgetUsage sonucu (budgetId → { amount, spent, remaining, pct, level, missingRate }).
+ * Satıra tıklayınca bütçe düzenlenir.
+ */
+
+const LEVEL_CLS = {
+  ok: "bg-emerald-50 text-emerald-800 ring-emerald-200",
+  near: "bg-amber-50 text-amber-800 ring-amber-200",
+  over: "bg-rose-50 text-rose-800 ring-rose-200",
+};
+
+export default function BudgetReport({ budgets, usage, onAdd, onEdit }) {
+  const rows = useMemo(
+    () =>
+      [...budgets].sort((a, b) => (a.period !== b.period ? (a.period < b.period ? 1 : -1) : a.key.localeCompare(b.key, "tr"))),
+    [budgets]
+  );
+
+  return (
+    <div className="mt-4 rounded-2xl bg-white p-4 ring-1 ring-slate-200">
+      <div className="flex items-center justify-between">
+        <div>
+          <div className="text-sm font-semibold text-slate-900">Bütçeler</div>
+          <div className="text-xs text-slate-600">Departman / kategori bütçesine karşı gerçekleşen (KDV hariç, tüm faturalar).</div>
+        </div>
+        <button className="h-9 rounded-xl bg-slate-900 px-4 text-xs font-semibold text-white hover:bg-slate-800" onClick={onAdd}>
+          Bütçe Ekle
+        </button>
+      </div>
+
+      <div className="mt-3 overflow-x-auto rounded-2xl ring-1 ring-slate-200">
+        <table className="min-w-[900px] w-full text-sm">
+          <thead className="bg-slate-100 text-slate-700">
+            <tr>
+              <th className="px-3 py-3 text-left font-medium">Dönem</th>
+              <th className="px-3 py-3 text-left font-medium">Boyut</th>
+              <th className="px-3 py-3 text-left font-medium">Ad</th>
+              <th className="px-3 py-3 text-right font-medium">Bütçe</th>
+              <th className="px-3 py-3 text-right font-medium">Gerçekleşen</th>
+              <th className="px-3 py-3 text-right font-medium">Kalan</th>
+              <th className="px-3 py-3 text-left font-medium">Kullanım</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white">
+            {rows.length === 0 ? (
+              <tr><td colSpan={7} className="px-3 py-10 text-center text-slate-500">Bütçe tanımlı değil.</td></tr>
+            ) : (
+              rows.map((b) => {
+                const u = usage.get(b.id);
+                if (!u) return null;
+                return (
+                  <tr key={b.id} className="border-t border-slate-200 hover:bg-slate-50" style={{ cursor: "pointer" }} onClick={() => onEdit(b)}>
+                    <td className="px-3 py-3 whitespace-nowrap">{periodLabel(b)}</td>
+                    <td className="px-3 py-3">{BUDGET_DIMENSIONS.find((d) => d.key === b.dimension)?.label ?? b.dimension}</td>
+                    <td className="px-3 py-3">
+                      {b.key}
+                      {b.note && <div className="text-xs text-slate-500">{b.note}</div>}
+                    </td>
+                    <td className="px-3 py-3 text-right tabular-nums">{formatAmount(u.amount, b.currencyCode)}</td>
+                    <td className="px-3 py-3 text-right tabular-nums">
+                      {formatAmount(u.spent, b.currencyCode)}
+                      {u.missingRate > 0 && (
+                        <div className="text-[11px] text-amber-700" title="Bu kalemler için kur tablosunda kur bulunamadı">{u.missingRate} kalem kursuz</div>
+                      )}
+                    </td>
+                    <td className={"px-3 py-3 text-right tabular-nums " + (u.remaining < 0 ? "text-rose-700" : "")}>{formatAmount(u.remaining, b.currencyCode)}</td>
+                    <td className="px-3 py-3">
+                      <div className="flex items-center gap-2">
+                        <div className="h-2 w-32 overflow-hidden rounded-full bg-slate-100">
+                          <div className={"h-full " + USAGE_LEVELS[u.level].cls} style={{ width: `${Math.min(100, u.pct)}%` }} />
+                        </div>
+                        <span className={"rounded-lg px-2 py-0.5 text-[11px] font-semibold tabular-nums ring-1 " + LEVEL_CLS[u.level]} title={USAGE_LEVELS[u.level].label}>
+                          %{u.pct.toFixed(1)}
+                        </span>
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
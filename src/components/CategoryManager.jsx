@@ -0,0 +1,122 @@
+import React, { useMemo, useState } from "react";
+import { blankCategory, descendantIds, flattenCategories, isUnder, parseKeywords } from "../lib/categories.js";
+import { Field, SimpleModal } from "./ui.jsx";
+
+/**
+ * Kategori ağacı: ekle / alt kategori / yeniden adlandır / taşı / sil, düğüm başına anahtar kelime kuralları.
+ * missingPaths: ürünlerde kullanılan ama ağaçta olmayan yollar (onAddMissing ile ağaca eklenir).
+ * onApplyRules(overwrite): kuralları ürünlere uygular (overwrite yoksa yalnızca kategorisiz ürünler).
+ */
+
+const inputCls = "h-10 w-full rounded-xl border border-slate-200 bg-white px-3 text-sm outline-none focus:ring-2 focus:ring-slate-300";
+
+export default function CategoryManager({ categories, items, missingPaths, onSave, onRemove, onAddMissing, onApplyRules, onClose }) {
+  const [editing, setEditing] = useState(null); // null | { draft, keywordsText }
+  const [overwrite, setOverwrite] = useState(false);
+
+  const flat = useMemo(() => flattenCategories(categories), [categories]);
+  const itemCount = useMemo(() => new Map(flat.map((c) => [c.id, items.filter((it) => isUnder(it.category, c.path) && String(it.category ?? "").trim()).length])), [flat, items]);
+
+  // Taşıma hedefi olarak kendisi ve alt ağacı gösterilmez
+  const parentOptions = useMemo(() => {
+    if (!editing) return [];
+    const blocked = descendantIds(categories, editing.draft.id);
+    return flat.filter((c) => !blocked.has(c.id));
+  }, [editing, categories, flat]);
+
+  const open = (draft) => setEditing({ draft, keywordsText: (draft.keywords ?? []).join(", ") });
+
+  function save() {
+    const ok = onSave({ ...editing.draft, keywords: parseKeywords(editing.keywordsText) });
+    if (ok) setEditing(null);
+  }
+
+  return (
+    <SimpleModal title="Kategoriler" onClose={onClose}>
+      <div className="grid max-h-[70vh] grid-cols-1 gap-3 overflow-y-auto pr-1">
+        {missingPaths.length > 0 && (
+          <div className="flex items-center justify-between gap-3 rounded-xl bg-amber-50 px-3 py-2 text-xs text-amber-900 ring-1 ring-amber-200">
+            <span>Ürünlerde kullanılan {missingPaths.length} kategori ağaçta yok: {missingPaths.slice(0, 3).join(", ")}{missingPaths.length > 3 ? "…" : ""}</span>
+            <button className="h-8 shrink-0 rounded-lg border border-amber-300 bg-white px-3 font-semibold hover:bg-amber-100" onClick={onAddMissing}>
+              Ağaca Ekle
+            </button>
+          </div>
+        )}
+
+        {editing ? (
+          <div className="rounded-2xl bg-slate-50 p-3 ring-1 ring-slate-200">
+            <div className="grid grid-cols-1 gap-3 md:grid-cols-2">
+              <Field label="Kategori Adı">
+                <input className={inputCls} value={editing.draft.name} onChange={(e) => setEditing((p) => ({ ...p, draft: { ...p.draft, name: e.target.value } }))} autoFocus />
+              </Field>
+              <Field label="Üst Kategori">
+                <select className={inputCls} value={editing.draft.parentId || ""} onChange={(e) => setEditing((p) => ({ ...p, draft: { ...p.draft, parentId: e.target.value } }))}>
+                  <option value="">— Kök —</option>
+                  {parentOptions.map((c) => <option key={c.id} value={c.id}>{c.path}</option>)}
+                </select>
+              </Field>
+            </div>
+            <div className="mt-3">
+              <Field label="Anahtar Kelimeler" hint="(virgülle; kalem adında geçerse bu kategori)">
+                <input className={inputCls} value={editing.keywordsText} onChange={(e) => setEditing((p) => ({ ...p, keywordsText: e.target.value }))} placeholder="Örn: a4, fotokopi" />
+              </Field>
+            </div>
+            <div className="mt-3 flex justify-end gap-2">
+              <button className="h-9 rounded-xl border border-slate-200 bg-white px-4 text-xs font-semibold text-slate-900 hover:bg-slate-50" onClick={() => setEditing(null)}>
+                Vazgeç
+              </button>
+              <button className="h-9 rounded-xl bg-slate-900 px-4 text-xs font-semibold text-white hover:bg-slate-800" onClick={save}>
+                Kaydet
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div className="flex justify-end">
+            <button className="h-9 rounded-xl bg-slate-900 px-4 text-xs font-semibold text-white hover:bg-slate-800" onClick={() => open(blankCategory())}>
+              Kök Kategori Ekle
+            </button>
+          </div>
+        )}
+
+        <div className="rounded-2xl ring-1 ring-slate-200">
+          {flat.length === 0 ? (
+            <div className="px-3 py-8 text-center text-sm text-slate-500">Kategori tanımlı değil.</div>
+          ) : (
+            flat.map((c) => (
+              <div key={c.id} className="flex items-center justify-between gap-2 border-t border-slate-200 px-3 py-2 first:border-t-0">
+                <div className="min-w-0" style={{ paddingLeft: c.depth * 16 }}>
+                  <div className="text-sm font-medium text-slate-900">
+                    {c.depth > 0 ? "└ " : ""}
+                    {c.name} <span className="text-xs font-normal text-slate-500">({itemCount.get(c.id)} ürün)</span>
+                  </div>
+                  {c.keywords?.length > 0 && <div className="truncate text-[11px] text-slate-500">Kural: {c.keywords.join(", ")}</div>}
+                </div>
+                <div className="flex shrink-0 gap-1">
+                  <button className="h-8 rounded-lg border border-slate-200 bg-white px-2 text-xs font-medium text-slate-800 hover:bg-slate-50" onClick={() => open(blankCategory(c.id))}>
+                    Alt Ekle
+                  </button>
+                  <button className="h-8 rounded-lg border border-slate-200 bg-white px-2 text-xs font-medium text-slate-800 hover:bg-slate-50" onClick={() => open(c)}>
+                    Düzenle
+                  </button>
+                  <button className="h-8 rounded-lg border border-rose-200 bg-white px-2 text-xs font-medium text-rose-700 hover:bg-rose-50" onClick={() => onRemove(c.id)}>
+                    Sil
+                  </button>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+
+        <div className="flex flex-wrap items-center justify-between gap-3 rounded-2xl bg-slate-50 p-3 ring-1 ring-slate-200">
+          <label className="inline-flex items-center gap-2 text-xs text-slate-700">
+            <input type="checkbox" checked={overwrite} onChange={(e) => setOverwrite(e.target.checked)} />
+            Kategorisi olan ürünlerde de uygula
+          </label>
+          <button className="h-9 rounded-xl border border-slate-300 bg-white px-4 text-xs font-semibold text-slate-900 hover:bg-slate-50" onClick={() => onApplyRules(overwrite)}>
+            Kuralları Ürünlere Uygula
+          </button>
+        </div>
+      </div>
+    </SimpleModal>
+  );
+}
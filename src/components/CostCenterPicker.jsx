@@ -0,0 +1,66 @@
+import React from "react";
+import { toNumber } from "../lib/calc.js";
+
+/**
+ * Masraf merkezi seçici: tek merkez (autocomplete) ya da yüzdeyle bölünmüş dağıtım.
+ * value: [{ name, pct }]; onChange(next). Öneriler global "departmentList" datalist'inden gelir (departman = masraf merkezi).
+ * fallback: kalemde seçim yoksa geçerli olan fatura departmanı (placeholder olarak gösterilir).
+ */
+
+export default function CostCenterPicker({ value, onChange, fallback = "", compact = false }) {
+  const splits = value ?? [];
+  const h = compact ? "h-9" : "h-10";
+  const inputCls = `${h} w-full rounded-xl border border-slate-200 bg-white px-3 text-sm outline-none focus:ring-2 focus:ring-slate-300`;
+  const btnCls = `${h} shrink-0 rounded-xl border border-slate-200 bg-white px-3 text-xs font-semibold text-slate-900 hover:bg-slate-50`;
+
+  const setRow = (idx, patch) => onChange(splits.map((s, i) => (i === idx ? { ...s, ...patch } : s)));
+
+  if (splits.length <= 1) {
+    return (
+      <div className="flex gap-2">
+        <input
+          list="departmentList"
+          className={inputCls}
+          value={splits[0]?.name ?? ""}
+          onChange={(e) => onChange(e.target.value ? [{ name: e.target.value, pct: "100" }] : [])}
+          placeholder={fallback || "Masraf merkezi"}
+          title={fallback ? `Boş bırakılırsa fatura departmanı: ${fallback}` : undefined}
+        />
+        <button
+          className={btnCls}
+          onClick={() => onChange([{ name: splits[0]?.name || fallback, pct: "50" }, { name: "", pct: "50" }])}
+          title="Yüzdeyle birden fazla merkeze böl"
+        >
+          Böl
+        </button>
+      </div>
+    );
+  }
+
+  const total = splits.reduce((s, x) => s + toNumber(x.pct), 0);
+  return (
+    <div className="grid gap-1">
+      {splits.map((s, idx) => (
+        <div key={idx} className="flex gap-1">
+          <input list="departmentList" className={inputCls} value={s.name} onChange={(e) => setRow(idx, { name: e.target.value })} placeholder="Masraf merkezi" />
+          <input
+            inputMode="decimal"
+            className={`${h} w-20 shrink-0 rounded-xl border border-slate-200 bg-white px-2 text-right text-sm outline-none focus:ring-2 focus:ring-slate-300`}
+            value={s.pct}
+            onChange={(e) => setRow(idx, { pct: e.target.value })}
+            title="Yüzde"
+          />
+          <button className={btnCls} onClick={() => onChange(splits.filter((_, i) => i !== idx))} title="Satırı kaldır">
+            ×
+          </button>
+        </div>
+      ))}
+      <div className="flex items-center justify-between gap-2 text-[11px]">
+        <button className="font-semibold text-slate-700 hover:text-slate-900" onClick={() => onChange([...splits, { name: "", pct: String(Math.max(0, 100 - total)) }])}>
+          + Merkez Ekle
+        </button>
+        <span className={"tabular-nums " + (Math.abs(total - 100) > 0.01 ? "font-semibold text-rose-700" : "text-slate-500")}>Toplam %{Number(total.toFixed(2))}</span>
+      </div>
+    </div>
+  );
+}
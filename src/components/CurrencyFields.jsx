@@ -0,0 +1,47 @@
+import React from "react";
+import { CURRENCIES, isForeign, lookupRate } from "../lib/currency.js";
+import { Field } from "./ui.jsx";
+
+/**
+ * Fatura para birimi + kur alanları (Fatura Formu ve Satınalım Ekle ortak).
+ * Para birimi değişince kur, fatura tarihine göre kur tablosundan doldurulur; elle değiştirilebilir.
+ */
+
+const inputCls = "h-10 w-full rounded-xl border border-slate-200 bg-white px-3 text-sm outline-none focus:ring-2 focus:ring-slate-300";
+
+export default function CurrencyFields({ currencyCode, exchangeRate, date, rates, onChange, onBlur }) {
+  const code = currencyCode || "TRY";
+  const tableRate = lookupRate(rates, code, date);
+
+  function changeCurrency(next) {
+    onChange({ currencyCode: next, exchangeRate: isForeign(next) ? lookupRate(rates, next, date)?.rate ?? "" : "1" });
+  }
+
+  return (
+    <div className="grid grid-cols-2 gap-3">
+      <Field label="Para Birimi">
+        <select className={inputCls} value={code} onChange={(e) => changeCurrency(e.target.value)} onBlur={onBlur}>
+          {CURRENCIES.map((c) => <option key={c.code} value={c.code}>{c.code} · {c.label}</option>)}
+        </select>
+      </Field>
+      {isForeign(code) ? (
+        <Field label="Kur (₺)" hint={tableRate ? `tablo: ${tableRate.rate} (${tableRate.date})` : "tabloda kur yok"}>
+          <div className="flex gap-2">
+            <input inputMode="decimal" className={inputCls} value={exchangeRate ?? ""} onChange={(e) => onChange({ exchangeRate: e.target.value })} onBlur={onBlur} />
+            <button
+              type="button"
+              className="h-10 whitespace-nowrap rounded-xl border border-slate-200 bg-white px-3 text-xs font-semibold text-slate-900 hover:bg-slate-50 disabled:opacity-40"
+              disabled={!tableRate}
+              onClick={() => onChange({ exchangeRate: tableRate.rate })}
+              title="Fatura tarihine eşit ya da önceki en güncel tablo kurunu yazar."
+            >
+              Tablodan Al
+            </button>
+          </div>
+        </Field>
+      ) : (
+        <div className="flex items-end pb-2 text-xs text-slate-500">Tutarlar TRY.</div>
+      )}
+    </div>
+  );
+}
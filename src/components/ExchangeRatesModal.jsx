@@ -0,0 +1,103 @@
+import React, { useMemo, useState } from "react";
+import { toNumber, uid } from "../lib/calc.js";
+import { CURRENCIES, isForeign } from "../lib/currency.js";
+import { Field, SimpleModal } from "./ui.jsx";
+
+/**
+ * Kur Tablosu: tarih + para birimi başına 1 birimin TRY karşılığı.
+ * Faturada "Tablodan Al" fatura tarihine eşit ya da önceki en güncel kuru kullanır.
+ */
+
+const inputCls = "h-10 w-full rounded-xl border border-slate-200 bg-white px-3 text-sm outline-none focus:ring-2 focus:ring-slate-300";
+
+const FOREIGN = CURRENCIES.filter((c) => isForeign(c.code));
+
+export default function ExchangeRatesModal({ rates, setRates, onClose }) {
+  const [draft, setDraft] = useState({ date: new Date().toISOString().slice(0, 10), currencyCode: FOREIGN[0].code, rate: "" });
+  const [currencyFilter, setCurrencyFilter] = useState("ALL");
+
+  const visible = useMemo(
+    () =>
+      rates
+        .filter((r) => currencyFilter === "ALL" || r.currencyCode === currencyFilter)
+        .sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : a.currencyCode.localeCompare(b.currencyCode))),
+    [rates, currencyFilter]
+  );
+
+  function addRate() {
+    if (!draft.date) return alert("Tarih zorunludur.");
+    if (toNumber(draft.rate) <= 0) return alert("Kur 0'dan büyük olmalıdır.");
+    const existing = rates.find((r) => r.date === draft.date && r.currencyCode === draft.currencyCode);
+    const rec = { id: existing?.id ?? uid(), date: draft.date, currencyCode: draft.currencyCode, rate: String(draft.rate).trim() };
+    // aynı gün + para birimi için tek kayıt tutulur
+    setRates((prev) => (existing ? prev.map((r) => (r.id === existing.id ? rec : r)) : [...prev, rec]));
+    setDraft((p) => ({ ...p, rate: "" }));
+  }
+
+  return (
+    <SimpleModal title="Kur Tablosu" onClose={onClose}>
+      <div className="grid grid-cols-1 gap-3">
+        <div className="grid grid-cols-1 gap-3 md:grid-cols-4">
+          <Field label="Tarih">
+            <input type="date" className={inputCls} value={draft.date} onChange={(e) => setDraft((p) => ({ ...p, date: e.target.value }))} />
+          </Field>
+          <Field label="Para Birimi">
+            <select className={inputCls} value={draft.currencyCode} onChange={(e) => setDraft((p) => ({ ...p, currencyCode: e.target.value }))}>
+              {FOREIGN.map((c) => <option key={c.code} value={c.code}>{c.code}</option>)}
+            </select>
+          </Field>
+          <Field label="Kur (₺)">
+            <input inputMode="decimal" className={inputCls} value={draft.rate} onChange={(e) => setDraft((p) => ({ ...p, rate: e.target.value }))} />
+          </Field>
+          <div className="flex items-end">
+            <button className="h-10 w-full rounded-xl bg-slate-900 px-4 text-sm font-medium text-white hover:bg-slate-800" onClick={addRate}>
+              Ekle / Güncelle
+            </button>
+          </div>
+        </div>
+
+        <div className="flex items-center justify-between gap-2">
+          <select className={inputCls + " w-40"} value={currencyFilter} onChange={(e) => setCurrencyFilter(e.target.value)}>
+            <option value="ALL">Tüm para birimleri</option>
+            {FOREIGN.map((c) => <option key={c.code} value={c.code}>{c.code}</option>)}
+          </select>
+          <div className="text-xs text-slate-600">{visible.length} kayıt</div>
+        </div>
+
+        <div className="max-h-[45vh] overflow-y-auto rounded-2xl ring-1 ring-slate-200">
+          <table className="w-full text-sm">
+            <thead className="bg-slate-100 text-slate-700 sticky top-0">
+              <tr>
+                <th className="px-3 py-2 text-left font-medium">Tarih</th>
+                <th className="px-3 py-2 text-left font-medium">Para Birimi</th>
+                <th className="px-3 py-2 text-right font-medium">Kur (₺)</th>
+                <th className="px-3 py-2 text-right font-medium"> </th>
+              </tr>
+            </thead>
+            <tbody>
+              {visible.length === 0 ? (
+                <tr><td colSpan={4} className="px-3 py-8 text-center text-slate-500">Kur kaydı yok.</td></tr>
+              ) : (
+                visible.map((r) => (
+                  <tr key={r.id} className="border-t border-slate-200">
+                    <td className="px-3 py-2 whitespace-nowrap">{r.date}</td>
+                    <td className="px-3 py-2">{r.currencyCode}</td>
+                    <td className="px-3 py-2 text-right tabular-nums">{r.rate}</td>
+                    <td className="px-3 py-2 text-right">
+                      <button
+                        className="h-8 rounded-lg border border-rose-200 bg-white px-3 text-xs font-medium text-rose-700 hover:bg-rose-50"
+                        onClick={() => setRates((prev) => prev.filter((x) => x.id !== r.id))}
+                      >
+                        Sil
+                      </button>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </SimpleModal>
+  );
+}
@@ -0,0 +1,194 @@
+import React, { useMemo, useState } from "react";
+import {
+  IMPORT_FIELDS,
+  applyMapping,
+  columnCount,
+  columnSamples,
+  guessMapping,
+  headerCells,
+  mappingError,
+  mappingToProfile,
+  profileToMapping,
+} from "../lib/importMapping.js";
+import { columnLetter } from "../lib/calc.js";
+import { Field, SimpleModal } from "./ui.jsx";
+
+/**
+ * İçe Aktarma Eşleme: sayfa + başlık satırı seçimi, sütun → alan eşlemesi (örnek değerlerle), kayıtlı profiller.
+ * sheets: [{ name, rows }] (rows: hücre dizileri). onConfirm(records): applyMapping sonucu (önizlemeye gider).
+ * Açılışta başlıkları tümüyle bulunan ilk profil uygulanır; yoksa başlık adlarından tahmin edilir.
+ */
+
+const inputCls = "h-10 w-full rounded-xl border border-slate-200 bg-white px-3 text-sm outline-none focus:ring-2 focus:ring-slate-300";
+
+function firstFilledRow(rows) {
+  const i = rows.findIndex((r) => r.some((c) => String(c ?? "").trim()));
+  return i < 0 ? 0 : i;
+}
+
+function initialView(sheets, profiles) {
+  for (const p of profiles) {
+    const found = sheets.findIndex((s) => s.name === p.sheetName);
+    const sheetIdx = found < 0 ? 0 : found;
+    const headerRow = p.headerRow ?? 0;
+    const { mapping, missing } = profileToMapping(p, headerCells(sheets[sheetIdx].rows, headerRow));
+    if (!missing && !mappingError(mapping)) return { sheetIdx, headerRow, mapping, profileName: p.name };
+  }
+  const headerRow = firstFilledRow(sheets[0].rows);
+  return { sheetIdx: 0, headerRow, mapping: guessMapping(headerCells(sheets[0].rows, headerRow)), profileName: "" };
+}
+
+export default function ImportMappingWizard({ fileName, sheets, profiles, onSaveProfile, onDeleteProfile, onConfirm, onClose }) {
+  const [view, setView] = useState(() => initialView(sheets, profiles));
+  const { sheetIdx, headerRow, mapping, profileName } = view;
+  const grid = sheets[sheetIdx].rows;
+
+  const headers = useMemo(() => headerCells(grid, headerRow), [grid, headerRow]);
+  const cols = useMemo(() => Array.from({ length: columnCount(grid, headerRow) }, (_, i) => i), [grid, headerRow]);
+  const fieldByCol = useMemo(() => new Map(Object.entries(mapping).map(([field, col]) => [col, field])), [mapping]);
+  const records = useMemo(() => applyMapping(grid, headerRow, mapping), [grid, headerRow, mapping]);
+  const error = mappingError(mapping);
+
+  function selectSheet(idx) {
+    const rows = sheets[idx].rows;
+    const hr = firstFilledRow(rows);
+    setView({ sheetIdx: idx, headerRow: hr, mapping: guessMapping(headerCells(rows, hr)), profileName: "" });
+  }
+
+  function selectHeaderRow(value) {
+    const hr = Math.min(Math.max(0, Math.trunc(Number(value) || 1) - 1), Math.max(0, grid.length - 1));
+    setView((v) => ({ ...v, headerRow: hr, mapping: guessMapping(headerCells(grid, hr)), profileName: "" }));
+  }
+
+  function assign(col, field) {
+    setView((v) => {
+      const next = {};
+      for (const [f, c] of Object.entries(v.mapping)) if (c !== col && f !== field) next[f] = c;
+      if (field) next[field] = col;
+      return { ...v, mapping: next };
+    });
+  }
+
+  function applyProfile(name) {
+    const p = profiles.find((x) => x.name === name);
+    if (!p) return setView((v) => ({ ...v, profileName: "" }));
+    const found = sheets.findIndex((s) => s.name === p.sheetName);
+    const idx = found < 0 ? sheetIdx : found;
+    const hr = p.headerRow ?? 0;
+    const res = profileToMapping(p, headerCells(sheets[idx].rows, hr));
+    if (res.missing) alert(`Profildeki ${res.missing} sütun bu dosyada bulunamadı; eşlemeyi kontrol edin.`);
+    setView({ sheetIdx: idx, headerRow: hr, mapping: res.mapping, profileName: p.name });
+  }
+
+  function saveProfile() {
+    const name = prompt("Profil adı:", profileName || sheets[sheetIdx].name);
+    if (!name?.trim()) return;
+    if (profiles.some((p) => p.name === name.trim()) && name.trim() !== profileName && !confirm("Bu adda bir profil var. Üzerine yazılsın mı?")) return;
+    onSaveProfile(mappingToProfile(name.trim(), { sheetName: sheets[sheetIdx].name, headerRow, headers, mapping }));
+    setView((v) => ({ ...v, profileName: name.trim() }));
+  }
+
+  function removeProfile() {
+    if (!profileName || !confirm(`"${profileName}" profili silinsin mi?`)) return;
+    onDeleteProfile(profileName);
+    setView((v) => ({ ...v, profileName: "" }));
+  }
+
+  return (
+    <SimpleModal title="İçe Aktarma: Sütun Eşleme" onClose={onClose}>
+      <div className="grid grid-cols-1 gap-3">
+        <div className="truncate text-xs text-slate-600" title={fileName}>{fileName}</div>
+
+        <div className="grid grid-cols-1 gap-3 md:grid-cols-3">
+          <Field label="Sayfa">
+            <select className={inputCls} value={sheetIdx} onChange={(e) => selectSheet(Number(e.target.value))} disabled={sheets.length < 2}>
+              {sheets.map((s, i) => <option key={i} value={i}>{s.name}</option>)}
+            </select>
+          </Field>
+          <Field label="Başlık Satırı">
+            <input type="number" min="1" className={inputCls} value={headerRow + 1} onChange={(e) => selectHeaderRow(e.target.value)} />
+          </Field>
+          <Field label="Profil">
+            <div className="flex gap-2">
+              <select className={inputCls} value={profileName} onChange={(e) => applyProfile(e.target.value)}>
+                <option value="">— Yok —</option>
+                {profiles.map((p) => <option key={p.name} value={p.name}>{p.name}</option>)}
+              </select>
+              {profileName && (
+                <button className="h-10 shrink-0 rounded-xl border border-rose-200 bg-white px-3 text-xs font-semibold text-rose-700 hover:bg-rose-50" onClick={removeProfile}>
+                  Sil
+                </button>
+              )}
+            </div>
+          </Field>
+        </div>
+
+        <div className="max-h-[45vh] overflow-y-auto rounded-2xl ring-1 ring-slate-200">
+          {cols.length === 0 ? (
+            <div className="px-3 py-8 text-center text-sm text-slate-500">Bu sayfada veri yok.</div>
+          ) : (
+            <table className="w-full text-xs">
+              <thead className="sticky top-0 bg-slate-100 text-slate-700">
+                <tr>
+                  <th className="px-3 py-2 text-left font-medium">Sütun</th>
+                  <th className="px-3 py-2 text-left font-medium">Örnek Değerler</th>
+                  <th className="px-3 py-2 text-left font-medium">Alan</th>
+                </tr>
+              </thead>
+              <tbody>
+                {cols.map((c) => {
+                  const samples = columnSamples(grid, headerRow, c);
+                  return (
+                    <tr key={c} className={"border-t border-slate-200 " + (fieldByCol.has(c) ? "" : "text-slate-500")}>
+                      <td className="px-3 py-2">
+                        <span className="mr-1 font-mono text-slate-400">{columnLetter(c)}</span>
+                        <span className="font-medium">{headers[c] || "—"}</span>
+                      </td>
+                      <td className="max-w-[180px] truncate px-3 py-2" title={samples.join("\n")}>{samples.join(" · ") || "—"}</td>
+                      <td className="px-3 py-2">
+                        <select
+                          className="h-8 w-full rounded-lg border border-slate-200 bg-white px-2 text-xs outline-none focus:ring-2 focus:ring-slate-300"
+                          value={fieldByCol.get(c) ?? ""}
+                          onChange={(e) => assign(c, e.target.value)}
+                        >
+                          <option value="">— Aktarılmaz —</option>
+                          {IMPORT_FIELDS.map((f) => (
+                            <option key={f.key} value={f.key}>
+                              {f.label}
+                              {f.required ? " *" : ""}
+                            </option>
+                          ))}
+                        </select>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div className="text-xs text-slate-600">
+          {records.length} veri satırı. Zorunlu alanlar * ile işaretli; net / brüt birim eşlenirse birim fiyat ondan hesaplanır.
+        </div>
+        {error && <div className="rounded-xl bg-rose-50 px-3 py-2 text-xs text-rose-800 ring-1 ring-rose-200">{error}</div>}
+
+        <div className="flex flex-wrap justify-end gap-2">
+          <button className="h-10 rounded-xl border border-slate-300 bg-white px-4 text-sm font-medium text-slate-900 hover:bg-slate-50" onClick={saveProfile}>
+            Profil Olarak Kaydet
+          </button>
+          <button className="h-10 rounded-xl border border-slate-300 bg-white px-4 text-sm font-medium text-slate-900 hover:bg-slate-50" onClick={onClose}>
+            İptal
+          </button>
+          <button
+            className="h-10 rounded-xl bg-slate-900 px-4 text-sm font-medium text-white hover:bg-slate-800 disabled:opacity-40"
+            disabled={!!error || records.length === 0}
+            onClick={() => onConfirm(records)}
+          >
+            Önizle
+          </button>
+        </div>
+      </div>
+    </SimpleModal>
+  );
+}
@@ -0,0 +1,131 @@
+import React, { useMemo, useState } from "react";
+import { IMPORT_ROW_STATUSES, importSummary } from "../lib/importValidation.js";
+import { SimpleModal } from "./ui.jsx";
+
+/**
+ * İçe Aktarma Önizleme: validateImportRecords sonucu satırlar, durum + hata / uyarılar.
+ * Hatalı satırlar aktarılmaz; kayıtlı faturayla çakışanlar (Mevcut) isteğe bağlı aktarılır.
+ * onConfirm(records): aktarılacak düzeltilmiş satırlar; onDownloadRejected(rows): aktarılmayanlar.
+ */
+
+export default function ImportPreview({ fileName, rows, suppliers, onBack, onDownloadRejected, onConfirm, onClose }) {
+  const [includeDuplicates, setIncludeDuplicates] = useState(false);
+  const [statusFilter, setStatusFilter] = useState("ALL");
+
+  const summary = useMemo(() => importSummary(rows, suppliers, includeDuplicates), [rows, suppliers, includeDuplicates]);
+  const visible = statusFilter === "ALL" ? rows : rows.filter((r) => r.status === statusFilter);
+
+  return (
+    <SimpleModal title="İçe Aktarma Önizleme" onClose={onClose}>
+      <div className="grid grid-cols-1 gap-3">
+        <div className="truncate text-xs text-slate-600" title={fileName}>{fileName}</div>
+
+        <div className="flex flex-wrap gap-2 text-xs">
+          <button
+            className={"rounded-lg px-2 py-1 font-semibold ring-1 " + (statusFilter === "ALL" ? "bg-slate-900 text-white ring-slate-900" : "bg-white text-slate-700 ring-slate-200")}
+            onClick={() => setStatusFilter("ALL")}
+          >
+            Tümü: {rows.length}
+          </button>
+          {Object.entries(IMPORT_ROW_STATUSES).map(([key, st]) => (
+            <button
+              key={key}
+              className={"rounded-lg px-2 py-1 font-semibold ring-1 " + st.cls + (statusFilter === key ? " ring-2" : "")}
+              onClick={() => setStatusFilter(key)}
+            >
+              {st.label}: {summary.counts[key]}
+            </button>
+          ))}
+        </div>
+
+        <div className="max-h-[45vh] overflow-auto rounded-2xl ring-1 ring-slate-200">
+          <table className="w-full text-xs">
+            <thead className="sticky top-0 bg-slate-100 text-slate-700">
+              <tr>
+                <th className="px-2 py-2 text-right font-medium">Satır</th>
+                <th className="px-2 py-2 text-left font-medium">Tarih</th>
+                <th className="px-2 py-2 text-left font-medium">Tedarikçi</th>
+                <th className="px-2 py-2 text-left font-medium">Fatura No</th>
+                <th className="px-2 py-2 text-left font-medium">Kalem</th>
+                <th className="px-2 py-2 text-right font-medium">Miktar</th>
+                <th className="px-2 py-2 text-right font-medium">Fiyat</th>
+                <th className="px-2 py-2 text-right font-medium">KDV</th>
+                <th className="px-2 py-2 text-left font-medium">Durum</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visible.length === 0 ? (
+                <tr>
+                  <td colSpan={9} className="px-3 py-6 text-center text-slate-500">Satır yok.</td>
+                </tr>
+              ) : (
+                visible.map((r) => {
+                  const rec = r.record;
+                  const messages = [...r.errors, ...(r.duplicateOf ? [`Kayıtlı fatura: ${r.duplicateOf}.`] : []), ...r.warnings];
+                  return (
+                    <tr key={r.rowNo} className="border-t border-slate-200 align-top">
+                      <td className="px-2 py-1.5 text-right tabular-nums text-slate-500">{r.rowNo}</td>
+                      <td className="px-2 py-1.5 whitespace-nowrap">{rec.date || r.source.date}</td>
+                      <td className="px-2 py-1.5">{rec.supplierName}</td>
+                      <td className="px-2 py-1.5">{rec.invoiceNo}</td>
+                      <td className="px-2 py-1.5">{rec.invoiceItem}</td>
+                      <td className="px-2 py-1.5 text-right tabular-nums whitespace-nowrap">
+                        {rec.qty} {rec.unitType}
+                      </td>
+                      <td className="px-2 py-1.5 text-right tabular-nums whitespace-nowrap">
+                        {rec.unitPrice || rec.unitNet || rec.unitVatIncl} {rec.currencyCode}
+                      </td>
+                      <td className="px-2 py-1.5 text-right tabular-nums">{rec.vatRate ? `%${rec.vatRate}` : ""}</td>
+                      <td className="px-2 py-1.5">
+                        <span className={"rounded-lg px-2 py-0.5 text-[11px] font-semibold ring-1 " + IMPORT_ROW_STATUSES[r.status].cls}>{IMPORT_ROW_STATUSES[r.status].label}</span>
+                        {messages.length > 0 && (
+                          <ul className="mt-1 min-w-[180px] list-disc pl-4 text-[11px] text-slate-700">
+                            {messages.map((m, i) => <li key={i}>{m}</li>)}
+                          </ul>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {summary.counts.duplicate > 0 && (
+          <label className="flex items-center gap-2 text-xs text-slate-700">
+            <input type="checkbox" checked={includeDuplicates} onChange={(e) => setIncludeDuplicates(e.target.checked)} />
+            Kayıtlı faturayla çakışan satırları da aktar
+          </label>
+        )}
+
+        <div className="rounded-xl bg-slate-50 px-3 py-2 text-xs text-slate-700 ring-1 ring-slate-200">
+          Aktarılacak: <b>{summary.accepted.length}</b> satır, <b>{summary.invoiceCount}</b> fatura
+          {summary.newSupplierCount ? `, ${summary.newSupplierCount} yeni tedarikçi kartı` : ""}. Aktarılmayacak: <b>{summary.rejected.length}</b> satır.
+        </div>
+
+        <div className="flex flex-wrap justify-end gap-2">
+          {summary.rejected.length > 0 && (
+            <button
+              className="h-10 rounded-xl border border-slate-300 bg-white px-4 text-sm font-medium text-slate-900 hover:bg-slate-50"
+              onClick={() => onDownloadRejected(summary.rejected)}
+              title="Aktarılmayan satırları hata açıklamasıyla Excel olarak indirir."
+            >
+              Hatalı Satırları İndir
+            </button>
+          )}
+          <button className="h-10 rounded-xl border border-slate-300 bg-white px-4 text-sm font-medium text-slate-900 hover:bg-slate-50" onClick={onBack}>
+            Eşlemeye Dön
+          </button>
+          <button
+            className="h-10 rounded-xl bg-slate-900 px-4 text-sm font-medium text-white hover:bg-slate-800 disabled:opacity-40"
+            disabled={summary.accepted.length === 0}
+            onClick={() => onConfirm(summary.accepted.map((r) => r.record))}
+          >
+            İçe Aktar ({summary.accepted.length})
+          </button>
+        </div>
+      </div>
+    </SimpleModal>
+  );
+}
@@ -0,0 +1,89 @@
+import React, { useState } from "react";
+import { UNIT_TYPES } from "../lib/calc.js";
+import { isValidBarcode } from "../lib/items.js";
+import { Field, SimpleModal } from "./ui.jsx";
+
+/**
+ * Kalem Formu: katalog ürünü (kod, ad, kategori, varsayılan birim / KDV, barkod, aktiflik).
+ * SKU boş bırakılırsa kaydederken sıradaki URN-#### kodu verilir.
+ */
+
+const inputCls = "h-10 w-full rounded-xl border border-slate-200 bg-white px-3 text-sm outline-none focus:ring-2 focus:ring-slate-300";
+
+export default function ItemForm({ item, isNew, lineCount, categories, onSave, onRemove, onClose }) {
+  const [draft, setDraft] = useState(item);
+
+  const set = (key) => (e) => setDraft((p) => ({ ...p, [key]: e.target.value }));
+  const barcodeErr = isValidBarcode(draft.barcode) ? "" : "Kontrol hanesi hatalı.";
+
+  return (
+    <SimpleModal title="Kalem Formu" onClose={onClose}>
+      <div className="grid grid-cols-1 gap-3">
+        <div className="grid grid-cols-1 gap-3 md:grid-cols-3">
+          <Field label="Kod (SKU)" hint={isNew ? "(boşsa otomatik)" : ""}>
+            <input className={inputCls} value={draft.sku} onChange={set("sku")} />
+          </Field>
+          <div className="md:col-span-2">
+            <Field label="Ürün Adı">
+              <input className={inputCls} value={draft.name} onChange={set("name")} autoFocus />
+            </Field>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 gap-3 md:grid-cols-3">
+          <Field label="Kategori" hint="(Üst > Alt)">
+            <input list="itemCategoryList" className={inputCls} value={draft.category} onChange={set("category")} />
+            <datalist id="itemCategoryList">{categories.map((c) => <option key={c} value={c} />)}</datalist>
+          </Field>
+          <Field label="Varsayılan Birim">
+            <select className={inputCls} value={draft.unitType} onChange={set("unitType")}>
+              {UNIT_TYPES.map((u) => <option key={u} value={u}>{u}</option>)}
+            </select>
+          </Field>
+          <Field label="Varsayılan KDV %">
+            <input inputMode="decimal" className={inputCls} value={draft.vatRate} onChange={set("vatRate")} />
+          </Field>
+        </div>
+
+        <Field label="Barkod" hint={barcodeErr ? "" : "(EAN-8 / EAN-13)"}>
+          <input inputMode="numeric" className={inputCls + (barcodeErr ? " border-rose-300" : "")} value={draft.barcode} onChange={set("barcode")} />
+          {barcodeErr ? <div className="mt-1 text-[11px] text-rose-700">{barcodeErr}</div> : null}
+        </Field>
+
+        <label className="inline-flex items-center gap-2 text-sm text-slate-700">
+          <input type="checkbox" checked={draft.active !== false} onChange={(e) => setDraft((p) => ({ ...p, active: e.target.checked }))} />
+          Aktif (pasif ürünler kalem seçiminde önerilmez)
+        </label>
+
+        {!isNew && (
+          <div className="text-xs text-slate-600">
+            Bu ürüne bağlı {lineCount} fatura kalemi var. Ad değişikliği bu kalemlerdeki adı da günceller; birim / KDV varsayılanları yalnızca yeni kalemlere uygulanır.
+          </div>
+        )}
+
+        <div className="flex justify-between gap-2 pt-2">
+          <div>
+            {!isNew && (
+              <button
+                className="h-10 rounded-xl border border-rose-200 bg-white px-4 text-sm font-medium text-rose-700 hover:bg-rose-50 disabled:opacity-40"
+                disabled={lineCount > 0}
+                title={lineCount > 0 ? "Kalemde kullanılan ürün silinemez; pasife alabilirsiniz." : undefined}
+                onClick={() => onRemove(draft.id)}
+              >
+                Sil
+              </button>
+            )}
+          </div>
+          <div className="flex gap-2">
+            <button className="h-10 rounded-xl border border-slate-200 bg-white px-4 text-sm font-medium text-slate-900 hover:bg-slate-50" onClick={onClose}>
+              Kapat
+            </button>
+            <button className="h-10 rounded-xl bg-slate-900 px-4 text-sm font-medium text-white hover:bg-slate-800" onClick={() => onSave(draft)}>
+              Kaydet
+            </button>
+          </div>
+        </div>
+      </div>
+    </SimpleModal>
+  );
+}
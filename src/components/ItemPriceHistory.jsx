@@ -0,0 +1,178 @@
+import React, { useState } from "react";
+import { money } from "../lib/calc.js";
+import { formatAmount, isForeign } from "../lib/currency.js";
+import { ReadOnly } from "./ui.jsx";
+
+/**
+ * Ürün Detayı: alım geçmişi, fiyat trendi ve özet (TRY, iskontolu birim KDV hariç).
+ * purchases / units: src/lib/priceHistory.js (itemPurchases, priceStatsByUnit). Satıra tıklayınca fatura açılır.
+ * Birden fazla birimle alım yapıldıysa özet ve trend seçilen birim için gösterilir; tablo tüm alımları listeler.
+ */
+
+function changeText(pct) {
+  if (pct == null) return "-";
+  if (Math.abs(pct) < 0.05) return "%0,0";
+  return (pct > 0 ? "▲ %" : "▼ %") + Math.abs(pct).toFixed(1).replace(".", ",");
+}
+
+function changeCls(pct) {
+  if (pct == null || Math.abs(pct) < 0.05) return "text-slate-500";
+  return pct > 0 ? "text-rose-700" : "text-emerald-700";
+}
+
+/** Fiyat ekseni min–max aralığına ölçeklenir; kesikli çizgi miktar ağırlıklı ortalama */
+function PriceTrendChart({ purchases, avg, height = 220 }) {
+  const pad = { top: 16, right: 16, bottom: 28, left: 64 };
+  const step = 56;
+  const w = Math.max(480, pad.left + pad.right + Math.max(0, purchases.length - 1) * step);
+  const values = purchases.map((p) => p.unitNet);
+  const lo = Math.min(...values, avg);
+  const hi = Math.max(...values, avg);
+  const span = hi - lo || Math.max(1, hi * 0.1);
+  const yMin = Math.max(0, lo - span * 0.15);
+  const yMax = hi + span * 0.15;
+  const y = (v) => pad.top + ((yMax - v) / (yMax - yMin)) * (height - pad.top - pad.bottom);
+  const x = (i) => pad.left + i * step;
+  const d = purchases.map((p, i) => `${i === 0 ? "M" : "L"} ${x(i)} ${y(p.unitNet)}`).join(" ");
+  const ticks = [yMax, (yMax + yMin) / 2, yMin];
+
+  return (
+    <div className="overflow-x-auto">
+      <svg width={w} height={height}>
+        {ticks.map((t, i) => (
+          <g key={i}>
+            <line x1={pad.left} y1={y(t)} x2={w - pad.right} y2={y(t)} stroke="currentColor" opacity="0.08" />
+            <text x={pad.left - 6} y={y(t) + 3} textAnchor="end" fontSize="10" className="fill-slate-500">{money(t)}</text>
+          </g>
+        ))}
+        <line x1={pad.left} y1={y(avg)} x2={w - pad.right} y2={y(avg)} stroke="currentColor" strokeDasharray="4 4" opacity="0.35" />
+        <path d={d} fill="none" stroke="currentColor" strokeWidth="2" opacity="0.85" />
+        {purchases.map((p, i) => (
+          <g key={p.id}>
+            <circle cx={x(i)} cy={y(p.unitNet)} r="4" className={p.change > 0.05 ? "fill-rose-600" : p.change < -0.05 ? "fill-emerald-600" : "fill-slate-900"}>
+              <title>{`${p.date} · ${p.supplierName}\n${money(p.unitNet)} ₺ (${changeText(p.change)})`}</title>
+            </circle>
+            <text x={x(i)} y={height - 8} textAnchor="middle" fontSize="10" className="fill-slate-600">
+              {String(p.date ?? "").slice(2, 10)}
+            </text>
+          </g>
+        ))}
+      </svg>
+    </div>
+  );
+}
+
+export default function ItemPriceHistory({ item, purchases, units, onEdit, onOpenInvoice, onClose }) {
+  const newestFirst = [...purchases].reverse();
+  const [unitType, setUnitType] = useState(() => (units.some((u) => u.unitType === item.unitType) ? item.unitType : units[0]?.unitType));
+  const unit = units.find((u) => u.unitType === unitType) ?? units[0];
+  const stats = unit?.stats;
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/40" onMouseDown={(e) => { if (e.target === e.currentTarget) onClose(); }}>
+      <div className="absolute inset-0 bg-white flex flex-col" onMouseDown={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="sticky top-0 z-20 border-b border-slate-200 bg-white px-6 py-4">
+          <div className="flex items-start justify-between gap-4">
+            <div>
+              <h2 className="text-lg font-semibold">{item.name}</h2>
+              <p className="text-xs text-slate-600">
+                {[item.sku, item.category, item.unitType].filter(Boolean).join(" · ")} — fiyatlar iskontolu birim, TRY (fatura kuruyla).
+              </p>
+            </div>
+            <div className="flex gap-2">
+              <button className="h-9 rounded-xl border border-slate-200 bg-white px-4 text-xs font-semibold text-slate-900 hover:bg-slate-50" onClick={onEdit}>
+                Kalem Formu
+              </button>
+              <button className="h-9 rounded-xl border border-slate-200 bg-white px-4 text-xs font-semibold text-slate-900 hover:bg-slate-50" onClick={onClose}>
+                Kapat
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {/* Body */}
+        <div className="flex-1 overflow-y-auto px-6 py-5">
+          {!stats ? (
+            <div className="rounded-2xl bg-white px-4 py-12 text-center text-sm text-slate-500 ring-1 ring-slate-200">Bu ürün için alım kaydı yok.</div>
+          ) : (
+            <div className="grid grid-cols-1 gap-4">
+              {units.length > 1 && (
+                <div className="flex flex-wrap items-center gap-2 rounded-2xl bg-amber-50 px-4 py-3 text-xs text-amber-900 ring-1 ring-amber-200">
+                  <span>Bu ürün farklı birimlerle alınmış; fiyatlar birimler arasında karşılaştırılmaz.</span>
+                  {units.map((u) => (
+                    <button
+                      key={u.unitType}
+                      className={
+                        "h-7 rounded-lg px-3 font-semibold ring-1 " +
+                        (u === unit ? "bg-slate-900 text-white ring-slate-900" : "bg-white text-slate-900 ring-slate-200 hover:bg-slate-50")
+                      }
+                      onClick={() => setUnitType(u.unitType)}
+                    >
+                      {u.unitType || "Birimsiz"} ({u.purchases.length})
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              <div className="grid grid-cols-2 gap-3 md:grid-cols-6">
+                <ReadOnly label="Alım Sayısı" value={stats.count} />
+                <ReadOnly label="Toplam Miktar" value={`${money(stats.totalQty)} ${unit.unitType}`} />
+                <ReadOnly label="En Düşük (₺)" value={money(stats.min)} />
+                <ReadOnly label="Ortalama (₺, miktar ağırlıklı)" value={money(stats.avg)} />
+                <ReadOnly label="En Yüksek (₺)" value={money(stats.max)} />
+                <div className="rounded-xl bg-white p-3 ring-1 ring-slate-200">
+                  <div className="text-[11px] font-medium text-slate-600">Son Fiyat ({stats.lastDate})</div>
+                  <div className="mt-1 text-sm font-semibold text-slate-900 tabular-nums">
+                    {money(stats.last)} <span className={"text-xs " + changeCls(stats.lastChange)}>{changeText(stats.lastChange)}</span>
+                  </div>
+                </div>
+              </div>
+
+              <div className="rounded-2xl bg-white p-4 ring-1 ring-slate-200">
+                <div className="text-sm font-semibold text-slate-900">Fiyat Trendi</div>
+                <div className="mt-1 text-xs text-slate-600">Kesikli çizgi: ortalama. Noktanın üzerine gelince tedarikçi ve değişim görünür.</div>
+                <div className="mt-3">
+                  <PriceTrendChart purchases={unit.purchases} avg={stats.avg} />
+                </div>
+              </div>
+
+              <div className="overflow-x-auto rounded-2xl ring-1 ring-slate-200">
+                <table className="min-w-[1000px] w-full text-sm">
+                  <thead className="bg-slate-100 text-slate-700">
+                    <tr>
+                      <th className="px-3 py-3 text-left font-medium">Tarih</th>
+                      <th className="px-3 py-3 text-left font-medium">Tedarikçi</th>
+                      <th className="px-3 py-3 text-left font-medium">Fatura No</th>
+                      <th className="px-3 py-3 text-right font-medium">Miktar</th>
+                      <th className="px-3 py-3 text-right font-medium">İskontolu Birim (₺)</th>
+                      <th className="px-3 py-3 text-right font-medium">KDV Dahil Birim (₺)</th>
+                      <th className="px-3 py-3 text-right font-medium">Fatura Para Birimi</th>
+                      <th className="px-3 py-3 text-right font-medium">Önceki Alıma Göre</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white">
+                    {newestFirst.map((p) => (
+                      <tr key={p.id} className="border-t border-slate-200 hover:bg-slate-50" style={{ cursor: "pointer" }} onClick={() => onOpenInvoice(p.invoiceId)}>
+                        <td className="px-3 py-3 whitespace-nowrap">{p.date}</td>
+                        <td className="px-3 py-3">{p.supplierName}</td>
+                        <td className="px-3 py-3">{p.invoiceNo}</td>
+                        <td className="px-3 py-3 text-right tabular-nums">
+                          {money(p.qty)} {p.unitType}
+                        </td>
+                        <td className="px-3 py-3 text-right tabular-nums">{money(p.unitNet)}</td>
+                        <td className="px-3 py-3 text-right tabular-nums">{money(p.unitVatIncl)}</td>
+                        <td className="px-3 py-3 text-right tabular-nums text-slate-600">{isForeign(p.currencyCode) ? formatAmount(p.unitNetOrig, p.currencyCode) : "-"}</td>
+                        <td className={"px-3 py-3 text-right tabular-nums " + changeCls(p.change)}>{changeText(p.change)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,111 @@
+import React, { useMemo, useState } from "react";
+import { money } from "../lib/calc.js";
+import { MATCH_ISSUE_LABELS } from "../lib/matching.js";
+import { Field, Filter } from "./ui.jsx";
+
+/**
+ * Üçlü eşleştirme görünümü: sipariş kalemi başına sipariş / teslim / fatura karşılaştırması.
+ * Satıra tıklayınca ilgili sipariş açılır.
+ */
+
+const inputCls = "h-10 w-full rounded-xl border border-slate-200 bg-white px-3 text-sm outline-none focus:ring-2 focus:ring-slate-300";
+
+export function MatchIssues({ issues }) {
+  if (issues.length === 0) return <span className="text-[11px] font-semibold text-emerald-700">Uyumlu</span>;
+  return (
+    <div className="flex flex-wrap gap-1">
+      {issues.map((k) => (
+        <span key={k} className="rounded-lg bg-rose-50 px-2 py-0.5 text-[11px] font-semibold text-rose-800 ring-1 ring-rose-200">
+          {MATCH_ISSUE_LABELS[k]}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+export default function MatchingView({ rows, tolerance, onToleranceChange, onOpenOrder }) {
+  const [onlyIssues, setOnlyIssues] = useState(false);
+  const [search, setSearch] = useState("");
+
+  const visible = useMemo(() => {
+    const q = search.trim().toLowerCase();
+    return rows.filter((r) => {
+      if (onlyIssues && r.issues.length === 0) return false;
+      if (!q) return true;
+      return [r.orderNo, r.supplierName, r.invoiceItem].join(" ").toLowerCase().includes(q);
+    });
+  }, [rows, onlyIssues, search]);
+
+  const issueCount = rows.filter((r) => r.issues.length > 0).length;
+
+  return (
+    <>
+      <section className="mt-4 rounded-2xl bg-white p-4 shadow-sm ring-1 ring-slate-200">
+        <div className="grid grid-cols-1 gap-3 md:grid-cols-4">
+          <Filter label="Ara">
+            <input className={inputCls} placeholder="Sipariş no, tedarikçi, kalem..." value={search} onChange={(e) => setSearch(e.target.value)} />
+          </Filter>
+          <Field label="Fiyat Toleransı %" hint="(iskontolu birim)">
+            <input inputMode="decimal" className={inputCls} value={tolerance} onChange={(e) => onToleranceChange(e.target.value)} />
+          </Field>
+          <label className="flex items-end gap-2 pb-2 text-sm text-slate-700">
+            <input type="checkbox" checked={onlyIssues} onChange={(e) => setOnlyIssues(e.target.checked)} />
+            Yalnızca sorunlu kalemler
+          </label>
+          <div className="flex items-end text-xs text-slate-600">
+            <div>
+              Kalem: <span className="font-semibold text-slate-900">{rows.length}</span> · Sorunlu:{" "}
+              <span className="font-semibold text-rose-700">{issueCount}</span>
+            </div>
+          </div>
+        </div>
+      </section>
+
+      <section className="mt-4 rounded-2xl bg-white shadow-sm ring-1 ring-slate-200">
+        <div className="overflow-x-auto">
+          <table className="min-w-[1300px] w-full text-sm">
+            <thead className="bg-slate-100 text-slate-700 sticky top-0 z-10">
+              <tr>
+                <th className="px-3 py-3 text-left font-medium">Sipariş</th>
+                <th className="px-3 py-3 text-left font-medium">Tedarikçi</th>
+                <th className="px-3 py-3 text-left font-medium">Kalem</th>
+                <th className="px-3 py-3 text-right font-medium">Sipariş Adet</th>
+                <th className="px-3 py-3 text-right font-medium">Teslim Alınan</th>
+                <th className="px-3 py-3 text-right font-medium">Faturalanan</th>
+                <th className="px-3 py-3 text-right font-medium">Sipariş Birim</th>
+                <th className="px-3 py-3 text-right font-medium">Fatura Birim (₺)</th>
+                <th className="px-3 py-3 text-right font-medium">Sapma %</th>
+                <th className="px-3 py-3 text-left font-medium">Sonuç</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visible.length === 0 ? (
+                <tr><td colSpan={10} className="px-4 py-12 text-center text-slate-500">Kayıt yok. (Taslak / iptal siparişler eşleştirmeye girmez.)</td></tr>
+              ) : (
+                visible.map((r) => (
+                  <tr
+                    key={r.orderLineId}
+                    className={"border-t border-slate-200 hover:bg-slate-50 " + (r.issues.length ? "bg-rose-50/40" : "")}
+                    style={{ cursor: "pointer" }}
+                    onClick={() => onOpenOrder(r.orderId)}
+                  >
+                    <td className="px-3 py-3 font-semibold text-slate-900 whitespace-nowrap">{r.orderNo}</td>
+                    <td className="px-3 py-3">{r.supplierName}</td>
+                    <td className="px-3 py-3">{r.invoiceItem}</td>
+                    <td className="px-3 py-3 text-right tabular-nums">{money(r.orderedQty)} {r.unitType}</td>
+                    <td className="px-3 py-3 text-right tabular-nums">{money(r.receivedQty)}</td>
+                    <td className="px-3 py-3 text-right tabular-nums">{money(r.invoicedQty)}</td>
+                    <td className="px-3 py-3 text-right tabular-nums">{money(r.orderUnitNet)}</td>
+                    <td className="px-3 py-3 text-right tabular-nums">{r.invoicedQty > 0 ? money(r.invoiceUnitNet) : "-"}</td>
+                    <td className="px-3 py-3 text-right tabular-nums">{r.invoicedQty > 0 ? money(r.deviation) : "-"}</td>
+                    <td className="px-3 py-3"><MatchIssues issues={r.issues} /></td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </section>
+    </>
+  );
+}
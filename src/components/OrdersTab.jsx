@@ -0,0 +1,765 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { UNIT_TYPES, blankInvoiceLine, calcLine, formatForInput, money, quantity, sumLines, toNumber, uid } from "../lib/calc.js";
+import { receivedQtyByOrderLine, statusAfterReceipt } from "../lib/matching.js";
+import {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  canInvoiceOrder,
+  invoicedQtyByOrderLine,
+  isOrderLocked,
+  isOrderOverdue,
+  nextOrderNo,
+  orderStatus,
+  orderSupplierFields,
+} from "../lib/orders.js";
+import { Field, Filter, ReadOnly, SimpleModal } from "./ui.jsx";
+import MatchingView from "./MatchingView.jsx";
+
+/**
+ * Siparişler sekmesi
+ * - Liste: durum / tedarikçi / arama filtreleri, gecikmiş siparişler işaretlenir
+ * - Sipariş ekranı: full-screen; başlık + kalemler taslak üzerinde düzenlenir, "Kaydet" ile yazılır
+ * - "Faturaya Dönüştür": teslim alınmış siparişin faturalanmamış miktarları "Satınalım Ekle" ekranına aktarılır (App)
+ * - Mal kabul: sipariş ekranından girilir, teslim miktarına göre durum Kısmi Teslim / Kapandı olur
+ * - Eşleştirme görünümü: sipariş ↔ mal kabul ↔ fatura karşılaştırması (MatchingView)
+ * - Yazdır / PDF: sipariş belgesi App'te üretilir (onPrintOrder, src/lib/printDocs.js)
+ */
+
+const inputCls = "h-10 w-full rounded-xl border border-slate-200 bg-white px-3 text-sm outline-none focus:ring-2 focus:ring-slate-300";
+const cellInputCls = "h-9 rounded-xl border border-slate-200 bg-white px-3 text-sm outline-none focus:ring-2 focus:ring-slate-300 disabled:bg-slate-50";
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+export function StatusBadge({ status }) {
+  const s = orderStatus(status);
+  return <span className={"inline-flex rounded-lg px-2 py-0.5 text-[11px] font-semibold ring-1 " + s.cls}>{s.label}</span>;
+}
+
+function draftFromOrder(order, lines) {
+  return {
+    id: order.id,
+    orderNo: order.orderNo ?? "",
+    date: order.date ?? "",
+    supplierName: order.supplierName ?? "",
+    department: order.department ?? "",
+    expectedDate: order.expectedDate ?? "",
+    status: order.status ?? "draft",
+    note: order.note ?? "",
+    lines: lines.map((ln) => ({ ...ln, _key: ln.id })),
+  };
+}
+
+function blankOrderDraft() {
+  return {
+    id: null,
+    orderNo: "",
+    date: today(),
+    supplierName: "",
+    department: "",
+    expectedDate: "",
+    status: "draft",
+    note: "",
+    lines: Array.from({ length: 3 }).map(() => blankInvoiceLine()),
+  };
+}
+
+export default function OrdersTab({
+  orders,
+  orderLines,
+  invoiceLines,
+  receipts,
+  receiptLines,
+  matchRows,
+  matchTolerance,
+  setOrders,
+  setOrderLines,
+  setReceipts,
+  setReceiptLines,
+  setMatchTolerance,
+  onConvertToInvoice,
+  onPrintOrder,
+  suppliers,
+  onDraftOpenChange,
+}) {
+  const [view, setView] = useState("orders"); // orders | matching
+  const [search, setSearch] = useState("");
+  const [statusFilter, setStatusFilter] = useState("OPEN");
+  const [supplierFilter, setSupplierFilter] = useState("ALL");
+  const [draft, setDraft] = useState(null); // null | sipariş taslağı (full-screen)
+  const [receiptDraft, setReceiptDraft] = useState(null); // null | { orderId, date, receiver, note, qtys: { [orderLineId]: string } }
+
+  useEffect(() => {
+    if (!draft) return;
+    function onKeyDown(e) {
+      if (e.key !== "Escape") return;
+      if (receiptDraft) setReceiptDraft(null);
+      else setDraft(null);
+    }
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [draft, receiptDraft]);
+
+  // Taslak açıkken App geri al / yineleyi kapatır
+  const draftOpen = !!(draft || receiptDraft);
+  useEffect(() => {
+    onDraftOpenChange?.(draftOpen);
+  }, [draftOpen, onDraftOpenChange]);
+  useEffect(() => () => onDraftOpenChange?.(false), [onDraftOpenChange]);
+
+  const linesByOrder = useMemo(() => {
+    const m = new Map();
+    for (const ln of orderLines) {
+      if (!m.has(ln.orderId)) m.set(ln.orderId, []);
+      m.get(ln.orderId).push(ln);
+    }
+    return m;
+  }, [orderLines]);
+
+  const invoiced = useMemo(() => invoicedQtyByOrderLine(invoiceLines), [invoiceLines]);
+  const received = useMemo(() => receivedQtyByOrderLine(receiptLines), [receiptLines]);
+
+  const orderSuppliers = useMemo(() => {
+    const list = Array.from(new Set(orders.map((o) => o.supplierName))).filter(Boolean);
+    return list.sort((a, b) => a.localeCompare(b, "tr"));
+  }, [orders]);
+
+  const rows = useMemo(() => {
+    const q = search.trim().toLowerCase();
+    const now = today();
+    return orders
+      .filter((o) => {
+        if (statusFilter === "OPEN" && isOrderLocked(o)) return false;
+        if (statusFilter !== "ALL" && statusFilter !== "OPEN" && o.status !== statusFilter) return false;
+        if (supplierFilter !== "ALL" && o.supplierName !== supplierFilter) return false;
+        if (!q) return true;
+        const items = (linesByOrder.get(o.id) ?? []).map((l) => l.invoiceItem);
+        return [o.orderNo, o.supplierName, o.date, o.expectedDate, ...items].join(" ").toLowerCase().includes(q);
+      })
+      .map((o) => {
+        const lines = linesByOrder.get(o.id) ?? [];
+        return { ...o, lineCount: lines.length, ...sumLines(lines), overdue: isOrderOverdue(o, now) };
+      })
+      .sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0));
+  }, [orders, linesByOrder, search, statusFilter, supplierFilter]);
+
+  function openCreate() {
+    setDraft(blankOrderDraft());
+  }
+
+  function openOrder(orderId) {
+    const order = orders.find((o) => o.id === orderId);
+    if (!order) return;
+    setDraft(draftFromOrder(order, linesByOrder.get(orderId) ?? []));
+  }
+
+  /** Taslağı kaydeder; başarılıysa kaydedilen taslağı döner */
+  function saveOrder(d) {
+    const fail = (msg) => {
+      alert(msg);
+      return null;
+    };
+    if (!String(d.supplierName || "").trim()) return fail("Tedarikçi adı zorunludur.");
+    if (d.expectedDate && d.date && d.expectedDate < d.date) return fail("Beklenen teslim tarihi sipariş tarihinden önce olamaz.");
+
+    const meaningful = d.lines.filter((l) => String(l.invoiceItem || "").trim());
+    if (meaningful.length === 0) return fail("En az 1 kalem girmelisiniz.");
+
+    const id = d.id || uid();
+    const stored = orders.find((o) => o.id === id);
+    // Unvan değişmediyse kayıtlı kart korunur (aynı adlı iki kartta yanlışına geçmesin)
+    const supplier =
+      stored?.supplierId && stored.supplierName === String(d.supplierName).trim()
+        ? { supplierId: stored.supplierId, supplierName: stored.supplierName }
+        : orderSupplierFields(d.supplierName, suppliers);
+    const header = {
+      ...(stored ?? {}),
+      id,
+      orderNo: String(d.orderNo || "").trim() || nextOrderNo(orders, d.date),
+      date: d.date,
+      ...supplier,
+      department: String(d.department || "").trim(),
+      expectedDate: d.expectedDate || "",
+      status: d.status,
+      note: String(d.note || "").trim(),
+    };
+
+    const newLines = meaningful.map((l) => {
+      const { _key, ...rest } = l;
+      return {
+        ...rest,
+        id: rest.id || uid(),
+        orderId: id,
+        invoiceItem: String(l.invoiceItem).trim(),
+        qty: String(l.qty ?? ""),
+        unitPrice: String(l.unitPrice ?? ""),
+        discountRate: String(l.discountRate ?? ""),
+        vatRate: String(l.vatRate ?? ""),
+      };
+    });
+
+    setOrders((prev) => (prev.some((o) => o.id === id) ? prev.map((o) => (o.id === id ? header : o)) : [header, ...prev]));
+    setOrderLines((prev) => [...newLines, ...prev.filter((l) => l.orderId !== id)]);
+    return draftFromOrder(header, newLines);
+  }
+
+  function changeStatus(nextStatus) {
+    if (!draft) return;
+    if (nextStatus === "cancelled" && !confirm("Sipariş iptal edilecek. Devam edilsin mi?")) return;
+    const saved = saveOrder({ ...draft, status: nextStatus });
+    if (saved) setDraft(saved);
+  }
+
+  function convertToInvoice() {
+    if (!draft?.id) return;
+    setDraft(null);
+    onConvertToInvoice(draft.id);
+  }
+
+  function openReceipt() {
+    if (!draft?.id) return;
+    const lines = linesByOrder.get(draft.id) ?? [];
+    const qtys = {};
+    for (const l of lines) qtys[l.id] = formatForInput(Math.max(0, toNumber(l.qty) - (received.get(l.id) || 0)));
+    setReceiptDraft({ orderId: draft.id, date: today(), receiver: "", note: "", qtys });
+  }
+
+  /** Teslim miktarları değiştikten sonra sipariş durumunu günceller */
+  function applyReceivedStatus(orderId, nextReceiptLines) {
+    const order = orders.find((o) => o.id === orderId);
+    if (!order) return;
+    const status = statusAfterReceipt(order, linesByOrder.get(orderId) ?? [], receivedQtyByOrderLine(nextReceiptLines));
+    if (status === order.status) return;
+    setOrders((prev) => prev.map((o) => (o.id === orderId ? { ...o, status } : o)));
+    setDraft((p) => (p && p.id === orderId ? { ...p, status } : p));
+  }
+
+  function saveReceipt() {
+    if (!receiptDraft) return;
+    if (!String(receiptDraft.receiver || "").trim()) return alert("Teslim alan kişi zorunludur.");
+
+    const receiptId = uid();
+    const newLines = Object.entries(receiptDraft.qtys)
+      .map(([orderLineId, qty]) => ({ id: uid(), receiptId, orderLineId, qty: String(qty ?? "") }))
+      .filter((l) => toNumber(l.qty) > 0);
+    if (newLines.length === 0) return alert("En az 1 kalem için teslim miktarı girmelisiniz.");
+
+    const receipt = {
+      id: receiptId,
+      orderId: receiptDraft.orderId,
+      date: receiptDraft.date,
+      receiver: String(receiptDraft.receiver).trim(),
+      note: String(receiptDraft.note || "").trim(),
+    };
+    setReceipts((prev) => [receipt, ...prev]);
+    setReceiptLines((prev) => [...prev, ...newLines]);
+    applyReceivedStatus(receipt.orderId, [...receiptLines, ...newLines]);
+    setReceiptDraft(null);
+  }
+
+  function removeReceipt(receiptId) {
+    const receipt = receipts.find((r) => r.id === receiptId);
+    if (!receipt) return;
+    if (!confirm(`${receipt.date} tarihli mal kabul silinsin mi?`)) return;
+    const remaining = receiptLines.filter((l) => l.receiptId !== receiptId);
+    setReceipts((prev) => prev.filter((r) => r.id !== receiptId));
+    setReceiptLines((prev) => prev.filter((l) => l.receiptId !== receiptId));
+    applyReceivedStatus(receipt.orderId, remaining);
+  }
+
+  function removeOrder(orderId) {
+    const order = orders.find((o) => o.id === orderId);
+    if (!order) return;
+    if (order.status !== "draft" && order.status !== "cancelled") return alert("Yalnızca taslak veya iptal edilmiş siparişler silinebilir.");
+    if ((linesByOrder.get(orderId) ?? []).some((l) => invoiced.has(l.id))) return alert("Faturalanmış kalemi olan sipariş silinemez.");
+    if (receipts.some((r) => r.orderId === orderId)) return alert("Mal kabulü olan sipariş silinemez.");
+    if (!confirm(`${order.orderNo} silinsin mi?`)) return;
+    setOrders((prev) => prev.filter((o) => o.id !== orderId));
+    setOrderLines((prev) => prev.filter((l) => l.orderId !== orderId));
+    setDraft(null);
+  }
+
+  return (
+    <div className="mx-auto max-w-[1650px] px-6 py-6">
+      <header className="flex flex-col gap-3 lg:flex-row lg:items-end lg:justify-between">
+        <div>
+          <h1 className="text-2xl font-semibold tracking-tight">Siparişler</h1>
+          <p className="text-sm text-slate-600">Satınalma siparişleri. Satıra tıkla → full ekran sipariş ekranı.</p>
+        </div>
+
+        <div className="flex w-full flex-col gap-2 lg:w-auto lg:flex-row lg:items-center">
+          <div className="flex gap-1 rounded-xl bg-slate-100 p-1">
+            {[
+              { key: "orders", label: "Sipariş Listesi" },
+              { key: "matching", label: "Üçlü Eşleştirme" },
+            ].map((v) => (
+              <button
+                key={v.key}
+                className={"h-8 rounded-lg px-3 text-xs font-semibold " + (view === v.key ? "bg-white text-slate-900 shadow-sm" : "text-slate-600 hover:text-slate-900")}
+                onClick={() => setView(v.key)}
+              >
+                {v.label}
+              </button>
+            ))}
+          </div>
+          {view === "orders" && (
+            <>
+              <input
+                className={inputCls + " lg:w-[420px]"}
+                placeholder="Ara: sipariş no, tedarikçi, kalem..."
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+              />
+              <button onClick={openCreate} className="h-10 rounded-xl bg-slate-900 px-4 text-sm font-semibold text-white shadow-sm hover:bg-slate-800">
+                Sipariş Oluştur
+              </button>
+            </>
+          )}
+        </div>
+      </header>
+
+      {view === "matching" ? (
+        <MatchingView rows={matchRows} tolerance={matchTolerance} onToleranceChange={setMatchTolerance} onOpenOrder={openOrder} />
+      ) : (
+      <>
+      <section className="mt-4 rounded-2xl bg-white p-4 shadow-sm ring-1 ring-slate-200">
+        <div className="grid grid-cols-1 gap-3 md:grid-cols-3">
+          <Filter label="Durum">
+            <select className={inputCls} value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+              <option value="OPEN">Açık (Kapanmamış)</option>
+              <option value="ALL">Tümü</option>
+              {ORDER_STATUSES.map((s) => <option key={s.key} value={s.key}>{s.label}</option>)}
+            </select>
+          </Filter>
+
+          <Filter label="Tedarikçi">
+            <select className={inputCls} value={supplierFilter} onChange={(e) => setSupplierFilter(e.target.value)}>
+              <option value="ALL">Tümü</option>
+              {orderSuppliers.map((s) => <option key={s} value={s}>{s}</option>)}
+            </select>
+          </Filter>
+
+          <div className="flex items-end justify-between gap-2">
+            <div className="text-xs text-slate-600">
+              <div>Görünen sipariş: <span className="font-semibold text-slate-900">{rows.length}</span></div>
+              <div>
+                KDV Dahil Toplam: <span className="font-semibold text-slate-900">{money(rows.reduce((a, r) => a + r.totalVatIncl, 0))}</span>
+              </div>
+            </div>
+            <button
+              className="h-10 rounded-xl border border-slate-200 bg-white px-4 text-sm font-medium text-slate-900 hover:bg-slate-50"
+              onClick={() => { setStatusFilter("OPEN"); setSupplierFilter("ALL"); setSearch(""); }}
+            >
+              Filtreleri Sıfırla
+            </button>
+          </div>
+        </div>
+      </section>
+
+      <section className="mt-4 rounded-2xl bg-white shadow-sm ring-1 ring-slate-200">
+        <div className="overflow-x-auto">
+          <table className="min-w-[1100px] w-full text-sm">
+            <thead className="bg-slate-100 text-slate-700 sticky top-0 z-10">
+              <tr>
+                <th className="px-3 py-3 text-left font-medium">Sipariş No</th>
+                <th className="px-3 py-3 text-left font-medium">Tarih</th>
+                <th className="px-3 py-3 text-left font-medium">Tedarikçi</th>
+                <th className="px-3 py-3 text-left font-medium">Beklenen Teslim</th>
+                <th className="px-3 py-3 text-left font-medium">Durum</th>
+                <th className="px-3 py-3 text-right font-medium">Kalem</th>
+                <th className="px-3 py-3 text-right font-medium">KDV Hariç</th>
+                <th className="px-3 py-3 text-right font-medium">KDV Dahil</th>
+                <th className="px-3 py-3 text-right font-medium">İşlemler</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.length === 0 ? (
+                <tr><td colSpan={9} className="px-4 py-12 text-center text-slate-500">Sipariş bulunamadı.</td></tr>
+              ) : (
+                rows.map((o) => (
+                  <tr key={o.id} className="border-t border-slate-200 hover:bg-slate-50" style={{ cursor: "pointer" }} onClick={() => openOrder(o.id)}>
+                    <td className="px-3 py-3 font-semibold text-slate-900">{o.orderNo}</td>
+                    <td className="px-3 py-3 whitespace-nowrap">{o.date}</td>
+                    <td className="px-3 py-3">{o.supplierName}</td>
+                    <td className="px-3 py-3 whitespace-nowrap">
+                      {o.expectedDate || "-"}
+                      {o.overdue ? <span className="ml-2 text-[11px] font-semibold text-rose-700">Gecikmiş</span> : null}
+                    </td>
+                    <td className="px-3 py-3"><StatusBadge status={o.status} /></td>
+                    <td className="px-3 py-3 text-right tabular-nums">{o.lineCount}</td>
+                    <td className="px-3 py-3 text-right tabular-nums">{money(o.totalNet)}</td>
+                    <td className="px-3 py-3 text-right tabular-nums">{money(o.totalVatIncl)}</td>
+                    <td className="px-3 py-3 text-right">
+                      <button
+                        className="h-8 rounded-lg border border-rose-200 bg-white px-3 text-xs font-medium text-rose-700 hover:bg-rose-50 disabled:opacity-40"
+                        onClick={(e) => { e.stopPropagation(); removeOrder(o.id); }}
+                        disabled={o.status !== "draft" && o.status !== "cancelled"}
+                        title="Yalnızca taslak / iptal siparişler silinebilir"
+                      >
+                        Sil
+                      </button>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </section>
+      </>
+      )}
+
+      {draft && (
+        <OrderScreen
+          draft={draft}
+          setDraft={setDraft}
+          invoiced={invoiced}
+          received={received}
+          receipts={draft.id ? receipts.filter((r) => r.orderId === draft.id) : []}
+          onAddReceipt={openReceipt}
+          onRemoveReceipt={removeReceipt}
+          onConvert={convertToInvoice}
+          onSave={() => { if (saveOrder(draft)) setDraft(null); }}
+          onStatus={changeStatus}
+          onRemove={() => removeOrder(draft.id)}
+          onPrint={() => onPrintOrder(draft)}
+          onClose={() => setDraft(null)}
+        />
+      )}
+
+      {receiptDraft && (
+        <SimpleModal title="Mal Kabul" onClose={() => setReceiptDraft(null)}>
+          <div className="grid grid-cols-1 gap-3">
+            <div className="grid grid-cols-1 gap-3 md:grid-cols-2">
+              <Field label="Teslim Tarihi">
+                <input type="date" className={inputCls} value={receiptDraft.date} onChange={(e) => setReceiptDraft((p) => ({ ...p, date: e.target.value }))} />
+              </Field>
+              <Field label="Teslim Alan">
+                <input className={inputCls} value={receiptDraft.receiver} onChange={(e) => setReceiptDraft((p) => ({ ...p, receiver: e.target.value }))} />
+              </Field>
+            </div>
+
+            <div className="overflow-x-auto rounded-2xl ring-1 ring-slate-200">
+              <table className="w-full text-sm">
+                <thead className="bg-slate-100 text-slate-700">
+                  <tr>
+                    <th className="px-3 py-2 text-left font-medium">Kalem</th>
+                    <th className="px-3 py-2 text-right font-medium">Sipariş</th>
+                    <th className="px-3 py-2 text-right font-medium">Önceki Teslim</th>
+                    <th className="px-3 py-2 text-right font-medium">Bu Teslim</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {(linesByOrder.get(receiptDraft.orderId) ?? []).map((l) => (
+                    <tr key={l.id} className="border-t border-slate-200">
+                      <td className="px-3 py-2">{l.invoiceItem}</td>
+                      <td className="px-3 py-2 text-right tabular-nums">{quantity(l.qty)} {l.unitType}</td>
+                      <td className="px-3 py-2 text-right tabular-nums">{quantity(received.get(l.id) || 0)}</td>
+                      <td className="px-3 py-2 text-right">
+                        <input
+                          inputMode="decimal"
+                          className={cellInputCls + " w-24 text-right"}
+                          value={receiptDraft.qtys[l.id] ?? ""}
+                          onChange={(e) => setReceiptDraft((p) => ({ ...p, qtys: { ...p.qtys, [l.id]: e.target.value } }))}
+                        />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <Field label="Not" hint="(opsiyonel)">
+              <input className={inputCls} value={receiptDraft.note} onChange={(e) => setReceiptDraft((p) => ({ ...p, note: e.target.value }))} />
+            </Field>
+
+            <div className="flex justify-end gap-2 pt-2">
+              <button className="h-10 rounded-xl border border-slate-200 bg-white px-4 text-sm font-medium text-slate-900 hover:bg-slate-50" onClick={() => setReceiptDraft(null)}>
+                Vazgeç
+              </button>
+              <button className="h-10 rounded-xl bg-slate-900 px-4 text-sm font-medium text-white hover:bg-slate-800" onClick={saveReceipt}>
+                Kaydet
+              </button>
+            </div>
+          </div>
+        </SimpleModal>
+      )}
+    </div>
+  );
+}
+
+function OrderScreen({ draft, setDraft, invoiced, received, receipts, onAddReceipt, onRemoveReceipt, onConvert, onSave, onStatus, onRemove, onPrint, onClose }) {
+  const locked = isOrderLocked(draft);
+  const totals = useMemo(() => sumLines(draft.lines.filter((l) => String(l.invoiceItem || "").trim())), [draft.lines]);
+  const transitions = draft.id ? ORDER_TRANSITIONS[draft.status] ?? [] : [];
+
+  function setLine(key, patch) {
+    setDraft((p) => ({ ...p, lines: p.lines.map((x) => (x._key === key ? { ...x, ...patch } : x)) }));
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/40" onMouseDown={(e) => { if (e.target === e.currentTarget) onClose(); }}>
+      <div className="absolute inset-0 bg-white flex flex-col" onMouseDown={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="sticky top-0 z-20 border-b border-slate-200 bg-white px-6 py-4">
+          <div className="flex items-start justify-between gap-4">
+            <div>
+              <h2 className="flex items-center gap-2 text-lg font-semibold">
+                {draft.id ? `Sipariş ${draft.orderNo}` : "Yeni Sipariş"}
+                <StatusBadge status={draft.status} />
+              </h2>
+              <p className="text-xs text-slate-600">
+                {locked ? "Kapanmış / iptal edilmiş sipariş salt okunurdur." : "Başlık ve kalemleri düzenleyip kaydedin. Durum butonları değişikliği hemen kaydeder."}
+              </p>
+            </div>
+            <div className="flex gap-2">
+              <button
+                className="h-9 rounded-xl border border-slate-200 bg-white px-4 text-xs font-semibold text-slate-900 hover:bg-slate-50"
+                onClick={onPrint}
+                title="Yazdırılabilir sipariş belgesi (ekrandaki hali); yazdır penceresinden PDF olarak kaydedilebilir."
+              >
+                Yazdır / PDF
+              </button>
+              <button className="h-9 rounded-xl border border-slate-200 bg-white px-4 text-xs font-semibold text-slate-900 hover:bg-slate-50" onClick={onClose}>
+                Kapat
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {/* Body */}
+        <div className="flex-1 overflow-y-auto px-6 py-5">
+          <div className="grid grid-cols-1 gap-4 lg:grid-cols-12">
+            <div className="lg:col-span-5 rounded-2xl bg-white p-4 ring-1 ring-slate-200">
+              <div className="text-sm font-semibold text-slate-900">Sipariş Bilgileri</div>
+              <div className="mt-3 grid grid-cols-1 gap-3 md:grid-cols-2">
+                <Field label="Sipariş No" hint="(boşsa otomatik)">
+                  <input className={inputCls} value={draft.orderNo} disabled={locked} onChange={(e) => setDraft((p) => ({ ...p, orderNo: e.target.value }))} />
+                </Field>
+                <Field label="Tedarikçi Adı" hint="(autocomplete)">
+                  <input list="supplierList" className={inputCls} value={draft.supplierName} disabled={locked} onChange={(e) => setDraft((p) => ({ ...p, supplierName: e.target.value }))} />
+                </Field>
+                <Field label="Sipariş Tarihi">
+                  <input type="date" className={inputCls} value={draft.date} disabled={locked} onChange={(e) => setDraft((p) => ({ ...p, date: e.target.value }))} />
+                </Field>
+                <Field label="Beklenen Teslim">
+                  <input type="date" className={inputCls} value={draft.expectedDate} disabled={locked} onChange={(e) => setDraft((p) => ({ ...p, expectedDate: e.target.value }))} />
+                </Field>
+                <Field label="Masraf Merkezi" hint="(faturaya departman olarak geçer)">
+                  <input list="departmentList" className={inputCls} value={draft.department} disabled={locked} onChange={(e) => setDraft((p) => ({ ...p, department: e.target.value }))} />
+                </Field>
+                <div>
+                  <Field label="Not">
+                    <input className={inputCls} value={draft.note} disabled={locked} onChange={(e) => setDraft((p) => ({ ...p, note: e.target.value }))} />
+                  </Field>
+                </div>
+              </div>
+            </div>
+
+            <div className="lg:col-span-4 rounded-2xl bg-white p-4 ring-1 ring-slate-200">
+              <div className="text-sm font-semibold text-slate-900">Sipariş Tutarı</div>
+              <div className="mt-3 grid grid-cols-1 gap-3 md:grid-cols-2">
+                <ReadOnly label="Kalem Toplamı (KDV Hariç)" value={money(totals.totalNet)} />
+                <ReadOnly label="Toplam İskonto" value={money(Math.max(0, totals.grossNet - totals.totalNet))} />
+                <ReadOnly label="Toplam KDV" value={money(totals.vatAmount)} />
+                <ReadOnly label="KDV Dahil Genel Toplam" value={money(totals.totalVatIncl)} />
+              </div>
+            </div>
+
+            <div className="lg:col-span-3 rounded-2xl bg-white p-4 ring-1 ring-slate-200">
+              <div className="text-sm font-semibold text-slate-900">Durum</div>
+              <div className="mt-3 grid grid-cols-1 gap-2">
+                {!draft.id ? (
+                  <div className="text-xs text-slate-600">Sipariş taslak olarak kaydedilir; ardından tedarikçiye gönderildi olarak işaretlenebilir.</div>
+                ) : transitions.length === 0 ? (
+                  <div className="text-xs text-slate-600">Bu durumdan başka bir duruma geçilemez.</div>
+                ) : (
+                  transitions.map((t) => (
+                    <button
+                      key={t}
+                      className={
+                        "h-10 rounded-xl px-4 text-sm font-semibold ring-1 " +
+                        (t === "cancelled" ? "bg-white text-rose-700 ring-rose-200 hover:bg-rose-50" : "bg-white text-slate-900 ring-slate-200 hover:bg-slate-50")
+                      }
+                      onClick={() => onStatus(t)}
+                    >
+                      {orderStatus(t).label} olarak işaretle
+                    </button>
+                  ))
+                )}
+
+                {draft.id && canInvoiceOrder(draft) && (
+                  <button
+                    className="h-10 rounded-xl bg-slate-900 px-4 text-sm font-semibold text-white shadow-sm hover:bg-slate-800"
+                    onClick={onConvert}
+                    title="Faturalanmamış miktarlarla Satınalım Ekle ekranını açar. Kaydedilmemiş değişiklikler aktarılmaz."
+                  >
+                    Faturaya Dönüştür
+                  </button>
+                )}
+              </div>
+            </div>
+
+            <div className="lg:col-span-12 rounded-2xl bg-white p-4 ring-1 ring-slate-200">
+              <div className="mb-3 flex items-center justify-between">
+                <div className="text-sm font-semibold text-slate-900">Sipariş Kalemleri</div>
+                <div className="flex items-center gap-3">
+                  <div className="text-xs text-slate-600">Kalem adı boş olan satırlar kaydedilmez.</div>
+                  {!locked && (
+                    <button
+                      className="h-9 rounded-xl border border-slate-200 bg-white px-4 text-xs font-semibold text-slate-900 hover:bg-slate-50"
+                      onClick={() => setDraft((p) => ({ ...p, lines: [...p.lines, blankInvoiceLine()] }))}
+                    >
+                      Satır Ekle
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              <div className="overflow-x-auto rounded-2xl ring-1 ring-slate-200">
+                <table className="min-w-[1250px] w-full text-sm">
+                  <thead className="bg-slate-100 text-slate-700">
+                    <tr>
+                      <th className="px-3 py-3 text-left font-medium">Kalem</th>
+                      <th className="px-3 py-3 text-right font-medium">Adet</th>
+                      <th className="px-3 py-3 text-left font-medium">Birim</th>
+                      <th className="px-3 py-3 text-right font-medium">Birim Fiyat</th>
+                      <th className="px-3 py-3 text-right font-medium">İskonto %</th>
+                      <th className="px-3 py-3 text-right font-medium">İskontolu Birim</th>
+                      <th className="px-3 py-3 text-right font-medium">KDV %</th>
+                      <th className="px-3 py-3 text-right font-medium">KDV Hariç</th>
+                      <th className="px-3 py-3 text-right font-medium">KDV Dahil</th>
+                      <th className="px-3 py-3 text-right font-medium">Teslim Alınan</th>
+                      <th className="px-3 py-3 text-right font-medium">Faturalanan</th>
+                      <th className="px-3 py-3 text-right font-medium"> </th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {draft.lines.map((ln, idx) => {
+                      const c = calcLine(ln);
+                      return (
+                        <tr key={ln._key} className="border-t border-slate-200">
+                          <td className="px-3 py-2">
+                            <input list="itemList" className={cellInputCls + " w-full"} value={ln.invoiceItem} disabled={locked} placeholder={`Kalem ${idx + 1}`} onChange={(e) => setLine(ln._key, { invoiceItem: e.target.value })} />
+                          </td>
+                          <td className="px-3 py-2 text-right">
+                            <input inputMode="decimal" className={cellInputCls + " w-24 text-right"} value={ln.qty} disabled={locked} onChange={(e) => setLine(ln._key, { qty: e.target.value })} />
+                          </td>
+                          <td className="px-3 py-2">
+                            <select className={cellInputCls + " w-32"} value={ln.unitType} disabled={locked} onChange={(e) => setLine(ln._key, { unitType: e.target.value })}>
+                              {UNIT_TYPES.map((u) => <option key={u} value={u}>{u}</option>)}
+                            </select>
+                          </td>
+                          <td className="px-3 py-2 text-right">
+                            <input inputMode="decimal" className={cellInputCls + " w-28 text-right"} value={ln.unitPrice} disabled={locked} onChange={(e) => setLine(ln._key, { unitPrice: e.target.value })} />
+                          </td>
+                          <td className="px-3 py-2 text-right">
+                            <input inputMode="decimal" className={cellInputCls + " w-24 text-right"} value={ln.discountRate} disabled={locked} onChange={(e) => setLine(ln._key, { discountRate: e.target.value })} />
+                          </td>
+                          <td className="px-3 py-2 text-right tabular-nums">{money(c.unitNet)}</td>
+                          <td className="px-3 py-2 text-right">
+                            <input inputMode="decimal" className={cellInputCls + " w-20 text-right"} value={ln.vatRate} disabled={locked} onChange={(e) => setLine(ln._key, { vatRate: e.target.value })} />
+                          </td>
+                          <td className="px-3 py-2 text-right tabular-nums">{money(c.totalNet)}</td>
+                          <td className="px-3 py-2 text-right tabular-nums">{money(c.totalVatIncl)}</td>
+                          <td className="px-3 py-2 text-right tabular-nums">{ln.id ? quantity(received.get(ln.id) || 0) : "-"}</td>
+                          <td className="px-3 py-2 text-right tabular-nums">{ln.id ? quantity(invoiced.get(ln.id) || 0) : "-"}</td>
+                          <td className="px-3 py-2 text-right">
+                            {!locked && !invoiced.has(ln.id) && (
+                              <button
+                                className="h-9 rounded-xl border border-rose-200 bg-white px-3 text-xs font-semibold text-rose-700 hover:bg-rose-50"
+                                onClick={() => setDraft((p) => ({ ...p, lines: p.lines.filter((x) => x._key !== ln._key) }))}
+                                title="Satırı kaldır"
+                              >
+                                Sil
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="mt-3 text-xs text-slate-500">Kaydetmeden kapatırsanız değişiklikler kaybolur.</div>
+            </div>
+
+            {draft.id && draft.status !== "draft" && (
+              <div className="lg:col-span-12 rounded-2xl bg-white p-4 ring-1 ring-slate-200">
+                <div className="mb-3 flex items-center justify-between">
+                  <div className="text-sm font-semibold text-slate-900">Mal Kabuller</div>
+                  {(draft.status === "sent" || draft.status === "partial") && (
+                    <button
+                      className="h-9 rounded-xl border border-slate-200 bg-white px-4 text-xs font-semibold text-slate-900 hover:bg-slate-50"
+                      onClick={onAddReceipt}
+                      title="Kayıtlı sipariş kalemleri üzerinden teslim miktarı girer."
+                    >
+                      Mal Kabul Ekle
+                    </button>
+                  )}
+                </div>
+
+                {receipts.length === 0 ? (
+                  <div className="text-sm text-slate-600">Henüz mal kabul yok.</div>
+                ) : (
+                  <div className="overflow-x-auto rounded-2xl ring-1 ring-slate-200">
+                    <table className="w-full text-sm">
+                      <thead className="bg-slate-100 text-slate-700">
+                        <tr>
+                          <th className="px-3 py-2 text-left font-medium">Tarih</th>
+                          <th className="px-3 py-2 text-left font-medium">Teslim Alan</th>
+                          <th className="px-3 py-2 text-left font-medium">Not</th>
+                          <th className="px-3 py-2 text-right font-medium"> </th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {receipts.map((r) => (
+                          <tr key={r.id} className="border-t border-slate-200">
+                            <td className="px-3 py-2 whitespace-nowrap">{r.date}</td>
+                            <td className="px-3 py-2">{r.receiver}</td>
+                            <td className="px-3 py-2">{r.note || "-"}</td>
+                            <td className="px-3 py-2 text-right">
+                              <button
+                                className="h-8 rounded-lg border border-rose-200 bg-white px-3 text-xs font-medium text-rose-700 hover:bg-rose-50"
+                                onClick={() => onRemoveReceipt(r.id)}
+                              >
+                                Sil
+                              </button>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="sticky bottom-0 z-20 border-t border-slate-200 bg-white px-6 py-4 flex justify-between gap-2">
+          <div>
+            {draft.id && (draft.status === "draft" || draft.status === "cancelled") && (
+              <button className="h-10 rounded-xl border border-rose-200 bg-white px-4 text-sm font-medium text-rose-700 hover:bg-rose-50" onClick={onRemove}>
+                Siparişi Sil
+              </button>
+            )}
+          </div>
+          <div className="flex gap-2">
+            <button className="h-10 rounded-xl border border-slate-200 bg-white px-4 text-sm font-medium text-slate-900 hover:bg-slate-50" onClick={onClose}>
+              Vazgeç
+            </button>
+            {!locked && (
+              <button className="h-10 rounded-xl bg-slate-900 px-4 text-sm font-semibold text-white shadow-sm hover:bg-slate-800" onClick={onSave}>
+                Kaydet
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,144 @@
+import React, { useMemo, useState } from "react";
+import { money } from "../lib/calc.js";
+import { formatAmount } from "../lib/currency.js";
+import { AGING_BUCKETS, DUE_FILTERS, buildAging, daysBetween, dueStatus, matchesDueFilter } from "../lib/payables.js";
+
+/**
+ * Raporlar → vade takibi + tedarikçi bazlı borç yaşlandırma (bugüne göre, TRY).
+ * rows: fatura başına { invoiceId, invoiceNo, supplierName, date, dueDate, currencyCode, amount, amountTry }
+ */
+
+const DUE_CLS = {
+  overdue: "bg-rose-50 text-rose-800 ring-rose-200",
+  due7: "bg-amber-50 text-amber-800 ring-amber-200",
+  due30: "bg-sky-50 text-sky-800 ring-sky-200",
+  later: "bg-slate-100 text-slate-700 ring-slate-200",
+};
+
+export default function PayablesReport({ rows, today, onOpenInvoice, onExportAging }) {
+  const [dueFilter, setDueFilter] = useState("overdue");
+
+  const withStatus = useMemo(() => rows.map((r) => ({ ...r, status: dueStatus(r.dueDate, today), days: daysBetween(today, r.dueDate) })), [rows, today]);
+
+  const counts = useMemo(
+    () => Object.fromEntries(DUE_FILTERS.map((f) => [f.key, withStatus.filter((r) => matchesDueFilter(r.status, f.key)).length])),
+    [withStatus]
+  );
+
+  const visible = useMemo(
+    () => withStatus.filter((r) => matchesDueFilter(r.status, dueFilter)).sort((a, b) => (a.dueDate < b.dueDate ? -1 : a.dueDate > b.dueDate ? 1 : 0)),
+    [withStatus, dueFilter]
+  );
+
+  const aging = useMemo(() => buildAging(rows.map((r) => ({ supplierName: r.supplierName, dueDate: r.dueDate, amount: r.amountTry })), today), [rows, today]);
+  const agingTotal = useMemo(() => {
+    const t = { supplierName: "Toplam", total: 0, ...Object.fromEntries(AGING_BUCKETS.map((b) => [b.key, 0])) };
+    for (const r of aging) {
+      for (const b of AGING_BUCKETS) t[b.key] += r[b.key];
+      t.total += r.total;
+    }
+    return t;
+  }, [aging]);
+
+  return (
+    <div className="mt-4 grid grid-cols-1 gap-3 lg:grid-cols-12">
+      <div className="lg:col-span-12 rounded-2xl bg-white p-4 ring-1 ring-slate-200">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div className="text-sm font-semibold text-slate-900">Vade Takibi</div>
+          <div className="flex gap-1 rounded-xl bg-slate-100 p-1">
+            {DUE_FILTERS.map((f) => (
+              <button
+                key={f.key}
+                className={"h-8 rounded-lg px-3 text-xs font-semibold " + (dueFilter === f.key ? "bg-white text-slate-900 shadow-sm" : "text-slate-600 hover:text-slate-900")}
+                onClick={() => setDueFilter(f.key)}
+              >
+                {f.label} ({counts[f.key]})
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="mt-3 overflow-x-auto rounded-2xl ring-1 ring-slate-200">
+          <table className="min-w-[900px] w-full text-sm">
+            <thead className="bg-slate-100 text-slate-700">
+              <tr>
+                <th className="px-3 py-3 text-left font-medium">Vade</th>
+                <th className="px-3 py-3 text-left font-medium">Durum</th>
+                <th className="px-3 py-3 text-left font-medium">Tedarikçi</th>
+                <th className="px-3 py-3 text-left font-medium">Fatura No</th>
+                <th className="px-3 py-3 text-left font-medium">Fatura Tarihi</th>
+                <th className="px-3 py-3 text-right font-medium">Tutar</th>
+                <th className="px-3 py-3 text-right font-medium">Tutar (₺)</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white">
+              {visible.length === 0 ? (
+                <tr><td colSpan={7} className="px-3 py-10 text-center text-slate-500">Kayıt yok.</td></tr>
+              ) : (
+                visible.map((r) => (
+                  <tr key={r.invoiceId} className="border-t border-slate-200 hover:bg-slate-50" style={{ cursor: "pointer" }} onClick={() => onOpenInvoice(r.invoiceId)}>
+                    <td className="px-3 py-3 whitespace-nowrap">{r.dueDate}</td>
+                    <td className="px-3 py-3">
+                      <span className={"rounded-lg px-2 py-0.5 text-[11px] font-semibold ring-1 " + DUE_CLS[r.status]}>
+                        {r.days < 0 ? `${-r.days} gün gecikme` : r.days === 0 ? "Bugün" : `${r.days} gün kaldı`}
+                      </span>
+                    </td>
+                    <td className="px-3 py-3">{r.supplierName}</td>
+                    <td className="px-3 py-3">{r.invoiceNo}</td>
+                    <td className="px-3 py-3 whitespace-nowrap">{r.date}</td>
+                    <td className="px-3 py-3 text-right tabular-nums">{formatAmount(r.amount, r.currencyCode)}</td>
+                    <td className="px-3 py-3 text-right tabular-nums">{money(r.amountTry)}</td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="lg:col-span-12 rounded-2xl bg-white p-4 ring-1 ring-slate-200">
+        <div className="flex items-center justify-between">
+          <div>
+            <div className="text-sm font-semibold text-slate-900">Borç Yaşlandırma (₺)</div>
+            <div className="text-xs text-slate-600">Vade tarihinden bugüne geçen gün; {today} itibarıyla.</div>
+          </div>
+          <button
+            className="h-9 rounded-xl border border-slate-300 bg-white px-4 text-xs font-semibold text-slate-900 hover:bg-slate-50"
+            onClick={() => onExportAging(aging)}
+          >
+            Excel’e Aktar
+          </button>
+        </div>
+
+        <div className="mt-3 overflow-x-auto rounded-2xl ring-1 ring-slate-200">
+          <table className="min-w-[900px] w-full text-sm">
+            <thead className="bg-slate-100 text-slate-700">
+              <tr>
+                <th className="px-3 py-3 text-left font-medium">Tedarikçi</th>
+                {AGING_BUCKETS.map((b) => <th key={b.key} className="px-3 py-3 text-right font-medium">{b.label}</th>)}
+                <th className="px-3 py-3 text-right font-medium">Toplam</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white">
+              {aging.length === 0 ? (
+                <tr><td colSpan={AGING_BUCKETS.length + 2} className="px-3 py-10 text-center text-slate-500">Açık borç yok.</td></tr>
+              ) : (
+                [...aging, agingTotal].map((r) => (
+                  <tr key={r === agingTotal ? "__total" : r.supplierName} className={"border-t border-slate-200 " + (r === agingTotal ? "bg-slate-50 font-semibold" : "")}>
+                    <td className="px-3 py-3">{r.supplierName}</td>
+                    {AGING_BUCKETS.map((b) => (
+                      <td key={b.key} className={"px-3 py-3 text-right tabular-nums " + (b.key !== "current" && r[b.key] > 0 ? "text-rose-700" : "")}>
+                        {money(r[b.key])}
+                      </td>
+                    ))}
+                    <td className="px-3 py-3 text-right tabular-nums">{money(r.total)}</td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,160 @@
+import React, { useMemo, useState } from "react";
+import { money, toNumber } from "../lib/calc.js";
+import { formatAmount } from "../lib/currency.js";
+import { PAYMENT_METHODS, allocatedTotal, autoAllocate } from "../lib/payments.js";
+import CurrencyFields from "./CurrencyFields.jsx";
+import { Field, ReadOnly, SimpleModal } from "./ui.jsx";
+
+/**
+ * Ödeme Formu: tarih, tutar, yöntem, referans + faturalara dağıtım.
+ * invoiceRows: tüm faturalar { invoiceId, invoiceNo, supplierName, date, dueDate, currencyCode, payable, paidOthers }
+ * (paidOthers = bu ödeme dışındaki ödemelerle kapanan tutar). Listede yalnızca seçili tedarikçinin,
+ * ödemeyle aynı para birimindeki açık (ya da bu ödemeye bağlı) faturaları görünür.
+ */
+
+const inputCls = "h-10 w-full rounded-xl border border-slate-200 bg-white px-3 text-sm outline-none focus:ring-2 focus:ring-slate-300";
+
+export default function PaymentForm({ payment, isNew, invoiceRows, rates, onSave, onRemove, onClose }) {
+  const [draft, setDraft] = useState(payment);
+
+  const set = (key) => (e) => setDraft((p) => ({ ...p, [key]: e.target.value }));
+  const code = draft.currencyCode || "TRY";
+
+  const allocById = useMemo(() => new Map((draft.allocations ?? []).map((a) => [a.invoiceId, a.amount])), [draft.allocations]);
+
+  const open = useMemo(
+    () =>
+      invoiceRows
+        .filter((r) => r.supplierName === draft.supplierName.trim() && (r.currencyCode || "TRY") === code)
+        .map((r) => ({ ...r, remaining: Math.max(0, r.payable - r.paidOthers) }))
+        .filter((r) => r.remaining > 0.005 || allocById.has(r.invoiceId))
+        .sort((a, b) => (a.dueDate < b.dueDate ? -1 : a.dueDate > b.dueDate ? 1 : 0)),
+    [invoiceRows, draft.supplierName, code, allocById]
+  );
+
+  const allocated = allocatedTotal(draft);
+  const advance = toNumber(draft.amount) - allocated;
+
+  function setAlloc(invoiceId, amount) {
+    setDraft((p) => {
+      const rest = (p.allocations ?? []).filter((a) => a.invoiceId !== invoiceId);
+      return { ...p, allocations: amount === "" ? rest : [...rest, { invoiceId, amount }] };
+    });
+  }
+
+  return (
+    <SimpleModal title="Ödeme Formu" onClose={onClose}>
+      <div className="grid max-h-[70vh] grid-cols-1 gap-3 overflow-y-auto pr-1">
+        <div className="grid grid-cols-1 gap-3 md:grid-cols-2">
+          <Field label="Tedarikçi" hint="(autocomplete)">
+            <input
+              list="supplierList"
+              className={inputCls}
+              value={draft.supplierName}
+              onChange={(e) => setDraft((p) => ({ ...p, supplierName: e.target.value, supplierId: "", allocations: [] }))}
+              autoFocus={isNew && !draft.supplierName}
+            />
+          </Field>
+          <Field label="Ödeme Tarihi">
+            <input type="date" className={inputCls} value={draft.date} onChange={set("date")} />
+          </Field>
+        </div>
+
+        <div className="grid grid-cols-1 gap-3 md:grid-cols-3">
+          <Field label={`Tutar (${code})`}>
+            <input inputMode="decimal" className={inputCls} value={draft.amount} onChange={set("amount")} />
+          </Field>
+          <Field label="Ödeme Yöntemi">
+            <select className={inputCls} value={draft.method} onChange={set("method")}>
+              {PAYMENT_METHODS.map((m) => <option key={m} value={m}>{m}</option>)}
+            </select>
+          </Field>
+          <Field label="Referans" hint="(dekont / çek no)">
+            <input className={inputCls} value={draft.reference} onChange={set("reference")} />
+          </Field>
+        </div>
+
+        <CurrencyFields
+          currencyCode={draft.currencyCode}
+          exchangeRate={draft.exchangeRate}
+          date={draft.date}
+          rates={rates}
+          onChange={(patch) => setDraft((p) => ({ ...p, ...patch, ...(patch.currencyCode && patch.currencyCode !== p.currencyCode ? { allocations: [] } : {}) }))}
+        />
+
+        <div className="rounded-2xl ring-1 ring-slate-200">
+          <div className="flex items-center justify-between gap-2 px-3 py-2">
+            <div className="text-sm font-semibold text-slate-900">Faturalara Dağıtım</div>
+            <button
+              className="h-8 rounded-lg border border-slate-300 bg-white px-3 text-xs font-semibold text-slate-900 hover:bg-slate-50 disabled:opacity-40"
+              disabled={open.length === 0 || toNumber(draft.amount) <= 0}
+              onClick={() => setDraft((p) => ({ ...p, allocations: autoAllocate(p.amount, open) }))}
+            >
+              Vadeye Göre Dağıt
+            </button>
+          </div>
+          <table className="w-full text-sm">
+            <thead className="bg-slate-100 text-slate-700">
+              <tr>
+                <th className="px-3 py-2 text-left font-medium">Fatura No</th>
+                <th className="px-3 py-2 text-left font-medium">Vade</th>
+                <th className="px-3 py-2 text-right font-medium">Ödenecek</th>
+                <th className="px-3 py-2 text-right font-medium">Kalan</th>
+                <th className="px-3 py-2 text-right font-medium">Bu Ödeme</th>
+              </tr>
+            </thead>
+            <tbody>
+              {open.length === 0 ? (
+                <tr><td colSpan={5} className="px-3 py-6 text-center text-slate-500">{draft.supplierName.trim() ? "Açık fatura yok." : "Önce tedarikçi seçiniz."}</td></tr>
+              ) : (
+                open.map((r) => (
+                  <tr key={r.invoiceId} className="border-t border-slate-200">
+                    <td className="px-3 py-2">{r.invoiceNo || "-"}</td>
+                    <td className="px-3 py-2 whitespace-nowrap">{r.dueDate}</td>
+                    <td className="px-3 py-2 text-right tabular-nums">{formatAmount(r.payable, code)}</td>
+                    <td className="px-3 py-2 text-right tabular-nums">{formatAmount(r.remaining, code)}</td>
+                    <td className="px-3 py-2 text-right">
+                      <input
+                        inputMode="decimal"
+                        className="h-8 w-28 rounded-lg border border-slate-200 bg-white px-2 text-right text-sm outline-none focus:ring-2 focus:ring-slate-300"
+                        value={allocById.get(r.invoiceId) ?? ""}
+                        onChange={(e) => setAlloc(r.invoiceId, e.target.value)}
+                      />
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="grid grid-cols-2 gap-3">
+          <ReadOnly label="Dağıtılan" value={formatAmount(allocated, code)} />
+          <ReadOnly label="Avans (dağıtılmayan)" value={advance > 0.005 ? formatAmount(advance, code) : money(0)} />
+        </div>
+
+        <Field label="Not">
+          <input className={inputCls} value={draft.note} onChange={set("note")} />
+        </Field>
+
+        <div className="flex justify-between gap-2 pt-2">
+          <div>
+            {!isNew && (
+              <button className="h-10 rounded-xl border border-rose-200 bg-white px-4 text-sm font-medium text-rose-700 hover:bg-rose-50" onClick={() => onRemove(draft.id)}>
+                Sil
+              </button>
+            )}
+          </div>
+          <div className="flex gap-2">
+            <button className="h-10 rounded-xl border border-slate-200 bg-white px-4 text-sm font-medium text-slate-900 hover:bg-slate-50" onClick={onClose}>
+              Kapat
+            </button>
+            <button className="h-10 rounded-xl bg-slate-900 px-4 text-sm font-medium text-white hover:bg-slate-800" onClick={() => onSave(draft)}>
+              Kaydet
+            </button>
+          </div>
+        </div>
+      </div>
+    </SimpleModal>
+  );
+}
@@ -0,0 +1,721 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { UNIT_TYPES, money, uid } from "../lib/calc.js";
+import { findCatalogItem } from "../lib/items.js";
+import { nextOrderNo } from "../lib/orders.js";
+import {
+  HISTORY_ACTIONS,
+  REQUEST_STATUSES,
+  addHistory,
+  approvalBlocker,
+  approvalState,
+  awaitingUser,
+  blankRequest,
+  blankRequestLine,
+  decideRequest,
+  isRequestEditable,
+  normalizeApprovalRule,
+  normalizeRequest,
+  requestLineTotal,
+  requestStatus,
+  requestTotal,
+  stalledReason,
+  submitRequest,
+  validateApprovalRule,
+  validateRequest,
+} from "../lib/requests.js";
+import { Field, Filter, ReadOnly, SimpleModal } from "./ui.jsx";
+import ApprovalRulesModal from "./ApprovalRulesModal.jsx";
+
+/**
+ * Talepler sekmesi
+ * - Çalışan satınalma talebi açar (kalem, miktar, tahmini fiyat, gerekçe, masraf merkezi) ve onaya gönderir.
+ * - Onaylayıcılar onay kurallarına göre sırayla onaylar / reddeder (src/lib/requests.js); kullanıcı = üst çubuktaki ad.
+ * - Talep ekranı: full-screen; onay adımları, geçmiş ve yorumlar. Onaylanan talep taslak siparişe dönüştürülür:
+ *   tedarikçi kartlardan seçilir, masraf merkezi siparişe (department) ve oradan faturaya taşınır.
+ */
+
+const inputCls = "h-10 w-full rounded-xl border border-slate-200 bg-white px-3 text-sm outline-none focus:ring-2 focus:ring-slate-300 disabled:bg-slate-50";
+const cellInputCls = "h-9 rounded-xl border border-slate-200 bg-white px-3 text-sm outline-none focus:ring-2 focus:ring-slate-300 disabled:bg-slate-50";
+
+function stamp(at) {
+  return String(at ?? "").slice(0, 16).replace("T", " ");
+}
+
+export function RequestStatusBadge({ status }) {
+  const s = requestStatus(status);
+  return <span className={"inline-flex rounded-lg px-2 py-0.5 text-[11px] font-semibold ring-1 " + s.cls}>{s.label}</span>;
+}
+
+export default function RequestsTab({
+  requests,
+  approvalRules,
+  orders,
+  items,
+  suppliers,
+  categoryOptions,
+  currentUser,
+  setRequests,
+  setApprovalRules,
+  setOrders,
+  setOrderLines,
+  onOpenOrders,
+  onDraftOpenChange,
+}) {
+  const [search, setSearch] = useState("");
+  const [statusFilter, setStatusFilter] = useState("OPEN");
+  const [draft, setDraft] = useState(null); // null | talep taslağı (full-screen)
+  const [rulesOpen, setRulesOpen] = useState(false);
+  const [convertDraft, setConvertDraft] = useState(null); // null | { supplierId }
+
+  useEffect(() => {
+    if (!draft && !rulesOpen) return;
+    function onKeyDown(e) {
+      if (e.key !== "Escape") return;
+      if (convertDraft) setConvertDraft(null);
+      else if (rulesOpen) setRulesOpen(false);
+      else setDraft(null);
+    }
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [draft, rulesOpen, convertDraft]);
+
+  // Taslak açıkken App geri al / yineleyi kapatır
+  const draftOpen = !!(draft || rulesOpen || convertDraft);
+  useEffect(() => {
+    onDraftOpenChange?.(draftOpen);
+  }, [draftOpen, onDraftOpenChange]);
+  useEffect(() => () => onDraftOpenChange?.(false), [onDraftOpenChange]);
+
+  const supplierOptions = useMemo(() => suppliers.filter((s) => s.name).sort((a, b) => a.name.localeCompare(b.name, "tr")), [suppliers]);
+
+  const orderNoById = useMemo(() => new Map(orders.map((o) => [o.id, o.orderNo])), [orders]);
+  const awaitingMe = useMemo(() => new Set(awaitingUser(requests, currentUser).map((r) => r.id)), [requests, currentUser]);
+
+  const rows = useMemo(() => {
+    const q = search.trim().toLocaleLowerCase("tr");
+    return requests
+      .filter((r) => {
+        if (statusFilter === "OPEN" && !["draft", "pending", "approved", "rejected"].includes(r.status)) return false;
+        if (statusFilter === "MINE" && !awaitingMe.has(r.id)) return false;
+        if (!["ALL", "OPEN", "MINE"].includes(statusFilter) && r.status !== statusFilter) return false;
+        if (!q) return true;
+        return [r.requestNo, r.requester, r.costCenter, r.justification, ...r.lines.map((l) => l.invoiceItem)].join(" ").toLocaleLowerCase("tr").includes(q);
+      })
+      .map((r) => ({ ...r, total: requestTotal(r), current: approvalState(r).current, stalled: stalledReason(r) }))
+      .sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : String(b.requestNo).localeCompare(String(a.requestNo))));
+  }, [requests, search, statusFilter, awaitingMe]);
+
+  function openCreate() {
+    if (!currentUser) return alert("Talep açmak için önce üst çubuktan kullanıcı adı giriniz.");
+    setDraft(blankRequest(currentUser));
+  }
+
+  function openRequest(id) {
+    const r = requests.find((x) => x.id === id);
+    if (r) setDraft({ ...r, lines: r.lines.length ? r.lines : [blankRequestLine()] });
+  }
+
+  /** Kaydı yazar ve ekrandaki taslağı günceller */
+  function persist(next) {
+    setRequests((prev) => (prev.some((r) => r.id === next.id) ? prev.map((r) => (r.id === next.id ? next : r)) : [next, ...prev]));
+    setDraft(next);
+  }
+
+  /** Taslağı doğrulayıp kaydeder; başarılıysa kaydedilen talebi döner */
+  function saveDraft() {
+    const err = validateRequest(draft);
+    if (err) {
+      alert(err);
+      return null;
+    }
+    const saved = normalizeRequest(draft, requests);
+    persist(saved);
+    return saved;
+  }
+
+  function submit() {
+    const saved = saveDraft();
+    if (!saved) return;
+    const next = submitRequest(saved, approvalRules, currentUser || saved.requester);
+    persist(next);
+    if (next.status === "approved") alert("Uygulanan onay kuralı yok; talep onaylandı.");
+    else if (stalledReason(next)) alert(stalledReason(next));
+  }
+
+  function decide(approve) {
+    const stored = requests.find((r) => r.id === draft.id);
+    if (!stored) return;
+    const blocker = approvalBlocker(stored, currentUser);
+    if (blocker) return alert(blocker);
+    const comment = prompt(approve ? "Onay notu (opsiyonel):" : "Red gerekçesi:", "");
+    if (comment == null) return;
+    if (!approve && !comment.trim()) return alert("Red gerekçesi zorunludur.");
+    const next = decideRequest(stored, { user: currentUser, approve, comment });
+    persist(next);
+    if (stalledReason(next)) alert(stalledReason(next));
+  }
+
+  function addComment(text) {
+    const stored = requests.find((r) => r.id === draft.id);
+    if (!stored) return false;
+    if (!currentUser) {
+      alert("Yorum için önce üst çubuktan kullanıcı adı giriniz.");
+      return false;
+    }
+    const comment = { id: uid(), at: new Date().toISOString(), user: currentUser, text: text.trim() };
+    const next = { ...stored, comments: [...(stored.comments ?? []), comment] };
+    setRequests((prev) => prev.map((r) => (r.id === next.id ? next : r)));
+    setDraft((p) => ({ ...p, comments: next.comments }));
+    return true;
+  }
+
+  function cancelRequest() {
+    const stored = requests.find((r) => r.id === draft.id);
+    if (!stored) return;
+    if (!confirm(`${stored.requestNo} iptal edilecek. Devam edilsin mi?`)) return;
+    persist({ ...addHistory(stored, "cancelled", currentUser || "Bilinmeyen"), status: "cancelled" });
+  }
+
+  /** Tedarikçi seçimi: talepteki öneri bir tedarikçi kartıyla eşleşiyorsa seçili gelir */
+  function convertToOrder() {
+    const stored = requests.find((r) => r.id === draft.id);
+    if (!stored || stored.status !== "approved") return;
+    if (supplierOptions.length === 0) return alert("Siparişe dönüştürmek için önce Tedarikçiler sekmesinden tedarikçi kartı ekleyiniz.");
+    const suggested = String(stored.supplierName ?? "").trim().toLocaleLowerCase("tr");
+    setConvertDraft({ supplierId: supplierOptions.find((s) => s.name.toLocaleLowerCase("tr") === suggested)?.id ?? "" });
+  }
+
+  function confirmConvert() {
+    const stored = requests.find((r) => r.id === draft.id);
+    if (!stored || stored.status !== "approved") return;
+    const supplier = suppliers.find((s) => s.id === convertDraft.supplierId);
+    if (!supplier) return alert("Tedarikçi seçiniz.");
+
+    const today = new Date().toISOString().slice(0, 10);
+    const order = {
+      id: uid(),
+      orderNo: nextOrderNo(orders, today),
+      date: today,
+      supplierId: supplier.id,
+      supplierName: supplier.name,
+      department: stored.costCenter,
+      expectedDate: "",
+      status: "draft",
+      note: `Talep ${stored.requestNo}: ${stored.justification}`,
+      requestId: stored.id,
+    };
+    // Tahmini fiyat sipariş birim fiyatı olur; KDV ürün kartından (yoksa %20)
+    const newLines = stored.lines.map((l) => {
+      const item = items.find((it) => it.id === l.itemId) ?? findCatalogItem(items, l.invoiceItem);
+      return {
+        id: uid(),
+        orderId: order.id,
+        invoiceItem: l.invoiceItem,
+        qty: String(l.qty ?? ""),
+        unitType: l.unitType,
+        unitPrice: String(l.estPrice ?? ""),
+        discountRate: "",
+        vatRate: String(item?.vatRate ?? "20"),
+      };
+    });
+    setOrders((prev) => [order, ...prev]);
+    setOrderLines((prev) => [...prev, ...newLines]);
+    persist({ ...addHistory(stored, "ordered", currentUser || "Bilinmeyen", undefined, { comment: order.orderNo }), status: "ordered", orderId: order.id });
+    alert(`${order.orderNo} taslak siparişi oluşturuldu.`);
+    setConvertDraft(null);
+    setDraft(null);
+    onOpenOrders();
+  }
+
+  function removeRequest(id) {
+    const r = requests.find((x) => x.id === id);
+    if (!r) return;
+    if (r.status !== "draft" || (r.history ?? []).length) return alert("Yalnızca onaya hiç gönderilmemiş taslak talepler silinebilir; diğerleri iptal edilir.");
+    if (!confirm(`${r.requestNo} silinsin mi?`)) return;
+    setRequests((prev) => prev.filter((x) => x.id !== id));
+    setDraft(null);
+  }
+
+  function saveRule(draftRule) {
+    const err = validateApprovalRule(draftRule);
+    if (err) {
+      alert(err);
+      return false;
+    }
+    const rule = normalizeApprovalRule(draftRule);
+    setApprovalRules((prev) => (prev.some((r) => r.id === rule.id) ? prev.map((r) => (r.id === rule.id ? rule : r)) : [...prev, rule]));
+    return true;
+  }
+
+  function removeRule(id) {
+    const rule = approvalRules.find((r) => r.id === id);
+    if (!rule) return;
+    if (!confirm(`"${rule.name}" kuralı silinsin mi? Onay bekleyen talepler etkilenmez.`)) return;
+    setApprovalRules((prev) => prev.filter((r) => r.id !== id));
+  }
+
+  return (
+    <div className="mx-auto max-w-[1650px] px-6 py-6">
+      <header className="flex flex-col gap-3 lg:flex-row lg:items-end lg:justify-between">
+        <div>
+          <h1 className="text-2xl font-semibold tracking-tight">Talepler</h1>
+          <p className="text-sm text-slate-600">Satınalma talepleri ve onay akışı. Onaylanan talep siparişe dönüştürülür. Satıra tıkla → full ekran talep ekranı.</p>
+          <p className="text-xs text-slate-500">
+            Onaylayan kişi üst çubuktaki kullanıcı adıdır (serbest metin, giriş/şifre yok); onay akışı iş kuralıdır, yetki denetimi değildir.
+          </p>
+        </div>
+
+        <div className="flex w-full flex-col gap-2 lg:w-auto lg:flex-row lg:items-center">
+          <input className={inputCls + " lg:w-[360px]"} placeholder="Ara: talep no, talep eden, kalem..." value={search} onChange={(e) => setSearch(e.target.value)} />
+          <button
+            onClick={() => setRulesOpen(true)}
+            className="h-10 rounded-xl border border-slate-300 bg-white px-4 text-sm font-semibold text-slate-900 shadow-sm hover:bg-slate-50"
+          >
+            Onay Kuralları
+          </button>
+          <button onClick={openCreate} className="h-10 rounded-xl bg-slate-900 px-4 text-sm font-semibold text-white shadow-sm hover:bg-slate-800">
+            Talep Oluştur
+          </button>
+        </div>
+      </header>
+
+      <section className="mt-4 rounded-2xl bg-white p-4 shadow-sm ring-1 ring-slate-200">
+        <div className="grid grid-cols-1 gap-3 md:grid-cols-3">
+          <Filter label="Durum">
+            <select className={inputCls} value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+              <option value="OPEN">Açık (Sonuçlanmamış)</option>
+              <option value="MINE">Onayımı Bekleyenler ({awaitingMe.size})</option>
+              <option value="ALL">Tümü</option>
+              {REQUEST_STATUSES.map((s) => <option key={s.key} value={s.key}>{s.label}</option>)}
+            </select>
+          </Filter>
+
+          <div className="flex items-end text-xs text-slate-600">
+            <div>
+              <div>Görünen talep: <span className="font-semibold text-slate-900">{rows.length}</span></div>
+              <div>
+                Tahmini Toplam (₺): <span className="font-semibold text-slate-900">{money(rows.reduce((a, r) => a + r.total, 0))}</span>
+              </div>
+            </div>
+          </div>
+
+          <div className="flex items-end justify-end">
+            <button
+              className="h-10 rounded-xl border border-slate-200 bg-white px-4 text-sm font-medium text-slate-900 hover:bg-slate-50"
+              onClick={() => { setStatusFilter("OPEN"); setSearch(""); }}
+            >
+              Filtreleri Sıfırla
+            </button>
+          </div>
+        </div>
+      </section>
+
+      <section className="mt-4 rounded-2xl bg-white shadow-sm ring-1 ring-slate-200">
+        <div className="overflow-x-auto">
+          <table className="min-w-[1100px] w-full text-sm">
+            <thead className="bg-slate-100 text-slate-700 sticky top-0 z-10">
+              <tr>
+                <th className="px-3 py-3 text-left font-medium">Talep No</th>
+                <th className="px-3 py-3 text-left font-medium">Tarih</th>
+                <th className="px-3 py-3 text-left font-medium">Talep Eden</th>
+                <th className="px-3 py-3 text-left font-medium">Masraf Merkezi</th>
+                <th className="px-3 py-3 text-left font-medium">Durum</th>
+                <th className="px-3 py-3 text-left font-medium">Bekleyen Onay</th>
+                <th className="px-3 py-3 text-right font-medium">Kalem</th>
+                <th className="px-3 py-3 text-right font-medium">Tahmini Tutar (₺)</th>
+                <th className="px-3 py-3 text-left font-medium">Sipariş</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.length === 0 ? (
+                <tr><td colSpan={9} className="px-4 py-12 text-center text-slate-500">Talep bulunamadı.</td></tr>
+              ) : (
+                rows.map((r) => (
+                  <tr key={r.id} className="border-t border-slate-200 hover:bg-slate-50" style={{ cursor: "pointer" }} onClick={() => openRequest(r.id)}>
+                    <td className="px-3 py-3 font-semibold text-slate-900">{r.requestNo}</td>
+                    <td className="px-3 py-3 whitespace-nowrap">{r.date}</td>
+                    <td className="px-3 py-3">{r.requester}</td>
+                    <td className="px-3 py-3">{r.costCenter}</td>
+                    <td className="px-3 py-3"><RequestStatusBadge status={r.status} /></td>
+                    <td className="px-3 py-3 text-xs">
+                      {r.current ? (
+                        <span className={r.stalled ? "font-semibold text-rose-700" : awaitingMe.has(r.id) ? "font-semibold text-amber-800" : "text-slate-600"} title={r.stalled || undefined}>
+                          {r.current.level}. seviye · {r.stalled ? "uygun onaylayıcı yok" : r.current.approvers.join(", ")}
+                        </span>
+                      ) : (
+                        "-"
+                      )}
+                    </td>
+                    <td className="px-3 py-3 text-right tabular-nums">{r.lines.length}</td>
+                    <td className="px-3 py-3 text-right tabular-nums">{money(r.total)}</td>
+                    <td className="px-3 py-3">{r.orderId ? orderNoById.get(r.orderId) ?? "?" : "-"}</td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </section>
+
+      {draft && (
+        <RequestScreen
+          draft={draft}
+          setDraft={setDraft}
+          stored={requests.find((r) => r.id === draft.id) ?? null}
+          items={items}
+          categoryOptions={categoryOptions}
+          currentUser={currentUser}
+          orderNo={draft.orderId ? orderNoById.get(draft.orderId) ?? "?" : ""}
+          onSave={() => { if (saveDraft()) setDraft(null); }}
+          onSubmit={submit}
+          onDecide={decide}
+          onComment={addComment}
+          onCancel={cancelRequest}
+          onConvert={convertToOrder}
+          onRemove={() => removeRequest(draft.id)}
+          onClose={() => setDraft(null)}
+        />
+      )}
+
+      {rulesOpen && (
+        <ApprovalRulesModal rules={approvalRules} categoryOptions={categoryOptions} onSave={saveRule} onRemove={removeRule} onClose={() => setRulesOpen(false)} />
+      )}
+
+      {convertDraft && draft && (
+        <SimpleModal title="Siparişe Dönüştür" onClose={() => setConvertDraft(null)}>
+          <div className="grid grid-cols-1 gap-3">
+            <div className="text-xs text-slate-600">
+              {draft.requestNo} için taslak sipariş oluşturulur. Masraf merkezi ({draft.costCenter}) siparişe taşınır; tahmini fiyatlar sipariş birim fiyatı olur.
+            </div>
+            <Field label="Tedarikçi" hint={draft.supplierName ? `(talepteki öneri: ${draft.supplierName})` : "(tedarikçi kartlarından)"}>
+              <select className={inputCls} value={convertDraft.supplierId} onChange={(e) => setConvertDraft({ supplierId: e.target.value })} autoFocus>
+                <option value="">Seçiniz…</option>
+                {supplierOptions.map((s) => <option key={s.id} value={s.id}>{s.name}{s.taxId ? ` (${s.taxId})` : ""}</option>)}
+              </select>
+            </Field>
+            <div className="flex justify-end gap-2">
+              <button className="h-9 rounded-xl border border-slate-200 bg-white px-4 text-xs font-semibold text-slate-900 hover:bg-slate-50" onClick={() => setConvertDraft(null)}>
+                Vazgeç
+              </button>
+              <button className="h-9 rounded-xl bg-slate-900 px-4 text-xs font-semibold text-white hover:bg-slate-800" onClick={confirmConvert}>
+                Sipariş Oluştur
+              </button>
+            </div>
+          </div>
+        </SimpleModal>
+      )}
+    </div>
+  );
+}
+
+function RequestScreen({ draft, setDraft, stored, items, categoryOptions, currentUser, orderNo, onSave, onSubmit, onDecide, onComment, onCancel, onConvert, onRemove, onClose }) {
+  const [commentText, setCommentText] = useState("");
+  const editable = isRequestEditable(draft);
+  const total = requestTotal(draft);
+  // Onay durumu kayıttan okunur (ekrandaki taslak değil)
+  const { steps, current } = useMemo(() => approvalState(stored ?? draft), [stored, draft]);
+  const blocker = stored ? approvalBlocker(stored, currentUser) : "Talep kaydedilmedi.";
+  const stalled = stored ? stalledReason(stored) : "";
+  const canCancel = !!stored && !["ordered", "cancelled"].includes(stored.status);
+
+  function setLine(id, patch) {
+    setDraft((p) => ({ ...p, lines: p.lines.map((x) => (x.id === id ? { ...x, ...patch } : x)) }));
+  }
+
+  // Katalogdaki ürün seçilince birim ve kategori karttan gelir
+  function setLineItem(id, text) {
+    const item = findCatalogItem(items, text);
+    if (!item) return setLine(id, { invoiceItem: text, itemId: "" });
+    setLine(id, { invoiceItem: item.name, itemId: item.id, unitType: item.unitType || UNIT_TYPES[0], category: item.category ?? "" });
+  }
+
+  function sendComment() {
+    if (!commentText.trim()) return;
+    if (onComment(commentText)) setCommentText("");
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/40" onMouseDown={(e) => { if (e.target === e.currentTarget) onClose(); }}>
+      <div className="absolute inset-0 bg-white flex flex-col" onMouseDown={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="sticky top-0 z-20 border-b border-slate-200 bg-white px-6 py-4">
+          <div className="flex items-start justify-between gap-4">
+            <div>
+              <h2 className="flex items-center gap-2 text-lg font-semibold">
+                {draft.requestNo ? `Talep ${draft.requestNo}` : "Yeni Talep"}
+                <RequestStatusBadge status={draft.status} />
+              </h2>
+              <p className="text-xs text-slate-600">
+                {editable ? "Kalemleri girip kaydedin ya da doğrudan onaya gönderin." : "Onaya gönderilmiş talep salt okunurdur; reddedilirse düzeltilip yeniden gönderilebilir."}
+              </p>
+            </div>
+            <div className="flex gap-2">
+              {editable && (
+                <button className="h-9 rounded-xl border border-slate-200 bg-white px-4 text-xs font-semibold text-slate-900 hover:bg-slate-50" onClick={onSave}>
+                  Kaydet
+                </button>
+              )}
+              <button className="h-9 rounded-xl border border-slate-200 bg-white px-4 text-xs font-semibold text-slate-900 hover:bg-slate-50" onClick={onClose}>
+                Kapat
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {/* Body */}
+        <div className="flex-1 overflow-y-auto px-6 py-5">
+          <div className="grid grid-cols-1 gap-4 lg:grid-cols-12">
+            <div className="lg:col-span-5 rounded-2xl bg-white p-4 ring-1 ring-slate-200">
+              <div className="text-sm font-semibold text-slate-900">Talep Bilgileri</div>
+              <div className="mt-3 grid grid-cols-1 gap-3 md:grid-cols-2">
+                <Field label="Talep Eden">
+                  <input className={inputCls} value={draft.requester} disabled />
+                </Field>
+                <Field label="Talep Tarihi">
+                  <input type="date" className={inputCls} value={draft.date} disabled={!editable} onChange={(e) => setDraft((p) => ({ ...p, date: e.target.value }))} />
+                </Field>
+                <Field label="Masraf Merkezi" hint="(autocomplete)">
+                  <input list="departmentList" className={inputCls} value={draft.costCenter} disabled={!editable} onChange={(e) => setDraft((p) => ({ ...p, costCenter: e.target.value }))} />
+                </Field>
+                <Field label="Önerilen Tedarikçi" hint="(opsiyonel)">
+                  <input list="supplierList" className={inputCls} value={draft.supplierName} disabled={!editable} onChange={(e) => setDraft((p) => ({ ...p, supplierName: e.target.value }))} />
+                </Field>
+                <div className="md:col-span-2">
+                  <Field label="Gerekçe">
+                    <textarea
+                      rows={3}
+                      className="w-full rounded-xl border border-slate-200 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-slate-300 disabled:bg-slate-50"
+                      value={draft.justification}
+                      disabled={!editable}
+                      onChange={(e) => setDraft((p) => ({ ...p, justification: e.target.value }))}
+                    />
+                  </Field>
+                </div>
+              </div>
+            </div>
+
+            <div className="lg:col-span-4 rounded-2xl bg-white p-4 ring-1 ring-slate-200">
+              <div className="text-sm font-semibold text-slate-900">Onay Adımları</div>
+              <div className="mt-3">
+                <ReadOnly label="Tahmini Tutar (KDV Hariç, ₺)" value={money(total)} />
+              </div>
+              <div className="mt-3 grid gap-2">
+                {steps.length === 0 ? (
+                  <div className="text-xs text-slate-600">
+                    {draft.status === "draft" || draft.status === "rejected" ? "Adımlar onaya gönderilince kurallardan belirlenir." : "Bu talebe onay kuralı uygulanmadı."}
+                  </div>
+                ) : (
+                  steps.map((s) => (
+                    <div
+                      key={s.level}
+                      className={
+                        "rounded-xl px-3 py-2 text-xs ring-1 " +
+                        (s.decision?.action === "approved"
+                          ? "bg-emerald-50 ring-emerald-200"
+                          : s.decision?.action === "rejected"
+                            ? "bg-rose-50 ring-rose-200"
+                            : s === current
+                              ? stalled
+                                ? "bg-rose-50 ring-rose-200"
+                                : "bg-amber-50 ring-amber-200"
+                              : "bg-white ring-slate-200")
+                      }
+                    >
+                      <div className="font-semibold text-slate-900">
+                        {s.level}. seviye · {s.rules.join(", ")}
+                      </div>
+                      <div className="text-slate-600">
+                        {s.decision ? `${HISTORY_ACTIONS[s.decision.action]}: ${s.decision.user} (${stamp(s.decision.at)})` : `Onaylayıcı: ${s.approvers.join(", ")}`}
+                      </div>
+                    </div>
+                  ))
+                )}
+              </div>
+            </div>
+
+            <div className="lg:col-span-3 rounded-2xl bg-white p-4 ring-1 ring-slate-200">
+              <div className="text-sm font-semibold text-slate-900">İşlemler</div>
+              <div className="mt-3 grid grid-cols-1 gap-2">
+                {editable && (
+                  <button className="h-10 rounded-xl bg-slate-900 px-4 text-sm font-semibold text-white shadow-sm hover:bg-slate-800" onClick={onSubmit}>
+                    {draft.status === "rejected" ? "Yeniden Onaya Gönder" : "Onaya Gönder"}
+                  </button>
+                )}
+                {stored?.status === "pending" && (
+                  <>
+                    <button
+                      className="h-10 rounded-xl bg-emerald-700 px-4 text-sm font-semibold text-white shadow-sm hover:bg-emerald-600 disabled:opacity-40"
+                      onClick={() => onDecide(true)}
+                      disabled={!!blocker}
+                      title={blocker || undefined}
+                    >
+                      Onayla
+                    </button>
+                    <button
+                      className="h-10 rounded-xl bg-white px-4 text-sm font-semibold text-rose-700 ring-1 ring-rose-200 hover:bg-rose-50 disabled:opacity-40"
+                      onClick={() => onDecide(false)}
+                      disabled={!!blocker}
+                      title={blocker || undefined}
+                    >
+                      Reddet
+                    </button>
+                    {blocker && <div className={"text-[11px] " + (stalled ? "text-rose-700" : "text-slate-600")}>{blocker}</div>}
+                    {stalled && (
+                      <button className="h-10 rounded-xl bg-slate-900 px-4 text-sm font-semibold text-white shadow-sm hover:bg-slate-800" onClick={onSubmit}>
+                        Güncel Kurallarla Yeniden Gönder
+                      </button>
+                    )}
+                  </>
+                )}
+                {stored?.status === "approved" && (
+                  <button className="h-10 rounded-xl bg-slate-900 px-4 text-sm font-semibold text-white shadow-sm hover:bg-slate-800" onClick={onConvert}>
+                    Siparişe Dönüştür
+                  </button>
+                )}
+                {stored?.status === "ordered" && <div className="text-xs text-slate-600">Sipariş: <span className="font-semibold text-slate-900">{orderNo}</span></div>}
+                {canCancel && (
+                  <button className="h-10 rounded-xl bg-white px-4 text-sm font-semibold text-rose-700 ring-1 ring-rose-200 hover:bg-rose-50" onClick={onCancel}>
+                    Talebi İptal Et
+                  </button>
+                )}
+                {stored?.status === "draft" && !(stored.history ?? []).length && (
+                  <button className="h-10 rounded-xl border border-rose-200 bg-white px-4 text-sm font-medium text-rose-700 hover:bg-rose-50" onClick={onRemove}>
+                    Sil
+                  </button>
+                )}
+              </div>
+            </div>
+
+            <div className="lg:col-span-12 rounded-2xl bg-white p-4 ring-1 ring-slate-200">
+              <div className="mb-3 flex items-center justify-between">
+                <div className="text-sm font-semibold text-slate-900">Talep Kalemleri</div>
+                <div className="flex items-center gap-3">
+                  <div className="text-xs text-slate-600">Kalem adı boş olan satırlar kaydedilmez. Kategori, kategori bazlı onay kurallarında kullanılır.</div>
+                  {editable && (
+                    <button
+                      className="h-9 rounded-xl border border-slate-200 bg-white px-4 text-xs font-semibold text-slate-900 hover:bg-slate-50"
+                      onClick={() => setDraft((p) => ({ ...p, lines: [...p.lines, blankRequestLine()] }))}
+                    >
+                      Satır Ekle
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              <div className="overflow-x-auto rounded-2xl ring-1 ring-slate-200">
+                <table className="min-w-[1000px] w-full text-sm">
+                  <thead className="bg-slate-100 text-slate-700">
+                    <tr>
+                      <th className="px-3 py-3 text-left font-medium">Kalem</th>
+                      <th className="px-3 py-3 text-right font-medium">Miktar</th>
+                      <th className="px-3 py-3 text-left font-medium">Birim</th>
+                      <th className="px-3 py-3 text-right font-medium">Tahmini Birim (₺)</th>
+                      <th className="px-3 py-3 text-left font-medium">Kategori</th>
+                      <th className="px-3 py-3 text-right font-medium">Tutar (₺)</th>
+                      <th className="px-3 py-3 text-right font-medium"> </th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {draft.lines.map((ln, idx) => (
+                      <tr key={ln.id} className="border-t border-slate-200">
+                        <td className="px-3 py-2">
+                          <input list="itemList" className={cellInputCls + " w-full"} value={ln.invoiceItem} disabled={!editable} placeholder={`Kalem ${idx + 1}`} onChange={(e) => setLineItem(ln.id, e.target.value)} />
+                        </td>
+                        <td className="px-3 py-2 text-right">
+                          <input inputMode="decimal" className={cellInputCls + " w-24 text-right"} value={ln.qty} disabled={!editable} onChange={(e) => setLine(ln.id, { qty: e.target.value })} />
+                        </td>
+                        <td className="px-3 py-2">
+                          <select className={cellInputCls + " w-28"} value={ln.unitType} disabled={!editable} onChange={(e) => setLine(ln.id, { unitType: e.target.value })}>
+                            {UNIT_TYPES.map((u) => <option key={u} value={u}>{u}</option>)}
+                          </select>
+                        </td>
+                        <td className="px-3 py-2 text-right">
+                          <input inputMode="decimal" className={cellInputCls + " w-28 text-right"} value={ln.estPrice} disabled={!editable} onChange={(e) => setLine(ln.id, { estPrice: e.target.value })} />
+                        </td>
+                        <td className="px-3 py-2">
+                          <select className={cellInputCls + " w-56"} value={ln.category} disabled={!editable} onChange={(e) => setLine(ln.id, { category: e.target.value })}>
+                            <option value="">—</option>
+                            {ln.category && !categoryOptions.some((c) => c.path === ln.category) && <option value={ln.category}>{ln.category}</option>}
+                            {categoryOptions.map((c) => <option key={c.path} value={c.path}>{c.label}</option>)}
+                          </select>
+                        </td>
+                        <td className="px-3 py-2 text-right tabular-nums">{money(requestLineTotal(ln))}</td>
+                        <td className="px-3 py-2 text-right">
+                          {editable && (
+                            <button
+                              className="h-8 rounded-lg border border-slate-200 bg-white px-3 text-xs font-medium text-slate-800 hover:bg-slate-50"
+                              onClick={() => setDraft((p) => ({ ...p, lines: p.lines.length > 1 ? p.lines.filter((x) => x.id !== ln.id) : [blankRequestLine()] }))}
+                            >
+                              Sil
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            <div className="lg:col-span-6 rounded-2xl bg-white p-4 ring-1 ring-slate-200">
+              <div className="text-sm font-semibold text-slate-900">Onay Geçmişi</div>
+              <div className="mt-3 grid gap-2">
+                {(draft.history ?? []).length === 0 ? (
+                  <div className="text-xs text-slate-500">Henüz işlem yok.</div>
+                ) : (
+                  [...draft.history].reverse().map((h) => (
+                    <div key={h.id} className="rounded-xl bg-slate-50 px-3 py-2 text-xs ring-1 ring-slate-200">
+                      <div className="flex justify-between gap-2">
+                        <span className="font-semibold text-slate-900">
+                          {h.user} · {HISTORY_ACTIONS[h.action] ?? h.action}
+                          {h.level ? ` (${h.level}. seviye)` : ""}
+                        </span>
+                        <span className="text-slate-500 tabular-nums">{stamp(h.at)}</span>
+                      </div>
+                      {h.comment && <div className="mt-1 text-slate-700">{h.comment}</div>}
+                    </div>
+                  ))
+                )}
+              </div>
+            </div>
+
+            <div className="lg:col-span-6 rounded-2xl bg-white p-4 ring-1 ring-slate-200">
+              <div className="text-sm font-semibold text-slate-900">Yorumlar</div>
+              <div className="mt-3 grid gap-2">
+                {(draft.comments ?? []).length === 0 ? (
+                  <div className="text-xs text-slate-500">Yorum yok.</div>
+                ) : (
+                  draft.comments.map((c) => (
+                    <div key={c.id} className="rounded-xl bg-white px-3 py-2 text-xs ring-1 ring-slate-200">
+                      <div className="flex justify-between gap-2">
+                        <span className="font-semibold text-slate-900">{c.user}</span>
+                        <span className="text-slate-500 tabular-nums">{stamp(c.at)}</span>
+                      </div>
+                      <div className="mt-1 whitespace-pre-wrap text-slate-700">{c.text}</div>
+                    </div>
+                  ))
+                )}
+              </div>
+              {stored ? (
+                <div className="mt-3 flex gap-2">
+                  <input
+                    className={inputCls}
+                    value={commentText}
+                    placeholder="Yorum yaz…"
+                    onChange={(e) => setCommentText(e.target.value)}
+                    onKeyDown={(e) => { if (e.key === "Enter") sendComment(); }}
+                  />
+                  <button className="h-10 shrink-0 rounded-xl border border-slate-200 bg-white px-4 text-sm font-semibold text-slate-900 hover:bg-slate-50" onClick={sendComment}>
+                    Gönder
+                  </button>
+                </div>
+              ) : (
+                <div className="mt-3 text-xs text-slate-500">Yorum için önce talebi kaydedin.</div>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
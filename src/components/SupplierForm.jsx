@@ -0,0 +1,125 @@
+import React, { useState } from "react";
+import { blankContact, formatIban, isValidIban, normalizeIban, taxIdError } from "../lib/suppliers.js";
+import { Field, SimpleModal } from "./ui.jsx";
+
+/**
+ * Tedarikçi Formu: kart bilgileri + yetkili kişiler.
+ * Doğrulama kaydetmede (onSave) yapılır; alanların altında yalnızca anlık VKN/IBAN ipucu gösterilir.
+ */
+
+const inputCls = "h-10 w-full rounded-xl border border-slate-200 bg-white px-3 text-sm outline-none focus:ring-2 focus:ring-slate-300";
+
+export default function SupplierForm({ supplier, isNew, invoiceCount, onSave, onRemove, onClose }) {
+  const [draft, setDraft] = useState(() => ({ ...supplier, iban: formatIban(supplier.iban), contacts: supplier.contacts ?? [] }));
+
+  const set = (key) => (e) => setDraft((p) => ({ ...p, [key]: e.target.value }));
+  const taxErr = taxIdError(draft.taxId);
+  const ibanErr = normalizeIban(draft.iban) && !isValidIban(draft.iban) ? "IBAN geçersiz." : "";
+
+  function setContact(idx, key, value) {
+    setDraft((p) => ({ ...p, contacts: p.contacts.map((c, i) => (i === idx ? { ...c, [key]: value } : c)) }));
+  }
+
+  return (
+    <SimpleModal title="Tedarikçi Formu" onClose={onClose}>
+      <div className="grid max-h-[70vh] grid-cols-1 gap-3 overflow-y-auto pr-1">
+        <Field label="Unvan">
+          <input className={inputCls} value={draft.name} onChange={set("name")} autoFocus />
+        </Field>
+
+        <div className="grid grid-cols-1 gap-3 md:grid-cols-2">
+          <Field label="VKN / TCKN" hint={taxErr ? "" : "(10 / 11 hane)"}>
+            <input inputMode="numeric" className={inputCls + (taxErr ? " border-rose-300" : "")} value={draft.taxId} onChange={set("taxId")} />
+            {taxErr ? <div className="mt-1 text-[11px] text-rose-700">{taxErr}</div> : null}
+          </Field>
+          <Field label="Vergi Dairesi">
+            <input className={inputCls} value={draft.taxOffice} onChange={set("taxOffice")} />
+          </Field>
+        </div>
+
+        <Field label="Adres">
+          <textarea className={inputCls + " h-20 py-2"} value={draft.address} onChange={set("address")} />
+        </Field>
+
+        <div className="grid grid-cols-1 gap-3 md:grid-cols-3">
+          <div className="md:col-span-2">
+            <Field label="IBAN">
+              <input className={inputCls + (ibanErr ? " border-rose-300" : "")} placeholder="TR.." value={draft.iban} onChange={set("iban")} />
+              {ibanErr ? <div className="mt-1 text-[11px] text-rose-700">{ibanErr}</div> : null}
+            </Field>
+          </div>
+          <Field label="Vade (gün)" hint="(varsayılan)">
+            <input inputMode="numeric" className={inputCls} value={draft.paymentTermDays} onChange={set("paymentTermDays")} />
+          </Field>
+        </div>
+
+        <div className="rounded-2xl bg-slate-50 p-3 ring-1 ring-slate-200">
+          <div className="mb-2 flex items-center justify-between">
+            <div className="text-xs font-semibold text-slate-900">Yetkili Kişiler</div>
+            <button
+              className="h-8 rounded-lg border border-slate-200 bg-white px-3 text-xs font-medium text-slate-900 hover:bg-slate-50"
+              onClick={() => setDraft((p) => ({ ...p, contacts: [...p.contacts, blankContact()] }))}
+            >
+              Kişi Ekle
+            </button>
+          </div>
+          {draft.contacts.length === 0 ? (
+            <div className="text-xs text-slate-600">Kayıtlı kişi yok.</div>
+          ) : (
+            <div className="grid grid-cols-1 gap-2">
+              {draft.contacts.map((c, idx) => (
+                <div key={idx} className="grid grid-cols-2 gap-2 rounded-xl bg-white p-2 ring-1 ring-slate-200">
+                  <input className={inputCls} placeholder="Ad Soyad" value={c.name} onChange={(e) => setContact(idx, "name", e.target.value)} />
+                  <input className={inputCls} placeholder="Görev" value={c.role} onChange={(e) => setContact(idx, "role", e.target.value)} />
+                  <input className={inputCls} placeholder="Telefon" value={c.phone} onChange={(e) => setContact(idx, "phone", e.target.value)} />
+                  <div className="flex gap-2">
+                    <input className={inputCls} placeholder="E-posta" value={c.email} onChange={(e) => setContact(idx, "email", e.target.value)} />
+                    <button
+                      className="h-10 rounded-xl border border-rose-200 bg-white px-3 text-xs font-medium text-rose-700 hover:bg-rose-50"
+                      onClick={() => setDraft((p) => ({ ...p, contacts: p.contacts.filter((_, i) => i !== idx) }))}
+                    >
+                      Sil
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <Field label="Not" hint="(opsiyonel)">
+          <input className={inputCls} value={draft.note} onChange={set("note")} />
+        </Field>
+
+        {!isNew && (
+          <div className="text-xs text-slate-600">
+            Bu tedarikçiye bağlı {invoiceCount} fatura var. Unvan değişikliği bu faturalardaki tedarikçi adını da günceller.
+          </div>
+        )}
+
+        <div className="flex justify-between gap-2 pt-2">
+          <div>
+            {!isNew && (
+              <button
+                className="h-10 rounded-xl border border-rose-200 bg-white px-4 text-sm font-medium text-rose-700 hover:bg-rose-50 disabled:opacity-40"
+                disabled={invoiceCount > 0}
+                title={invoiceCount > 0 ? "Faturası olan tedarikçi silinemez." : undefined}
+                onClick={() => onRemove(draft.id)}
+              >
+                Sil
+              </button>
+            )}
+          </div>
+          <div className="flex gap-2">
+            <button className="h-10 rounded-xl border border-slate-200 bg-white px-4 text-sm font-medium text-slate-900 hover:bg-slate-50" onClick={onClose}>
+              Kapat
+            </button>
+            <button className="h-10 rounded-xl bg-slate-900 px-4 text-sm font-medium text-white hover:bg-slate-800" onClick={() => onSave(draft)}>
+              Kaydet
+            </button>
+          </div>
+        </div>
+      </div>
+    </SimpleModal>
+  );
+}
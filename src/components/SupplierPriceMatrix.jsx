@@ -0,0 +1,96 @@
+import React, { useMemo, useState } from "react";
+import { money } from "../lib/calc.js";
+
+/**
+ * Raporlar → ürün × tedarikçi fiyat matrisi (iskontolu birim, KDV hariç, ₺).
+ * matrix: src/lib/priceComparison.js (supplierPriceMatrix); sütunlar tedarikçi anahtarıyla (supplierId), başlıkta ad. En ucuz tedarikçi hücresi yeşil; ürüne tıklayınca fiyat geçmişi açılır.
+ * Farklı birimlerle alınan ürün her birim için ayrı satırdır ("birim farklı" etiketi).
+ */
+
+export default function SupplierPriceMatrix({ matrix, onOpenItem, onExport }) {
+  const [multiOnly, setMultiOnly] = useState(true);
+
+  const visible = useMemo(() => (multiOnly ? matrix.items.filter((x) => Object.keys(x.cells).length > 1) : matrix.items), [matrix, multiOnly]);
+  // Tablo sütunları yalnızca görünen ürünlerde alımı olan tedarikçiler
+  const suppliers = useMemo(() => matrix.suppliers.filter((s) => visible.some((x) => x.cells[s.key])), [matrix, visible]);
+
+  return (
+    <div className="mt-4 rounded-2xl bg-white p-4 ring-1 ring-slate-200">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <div className="text-sm font-semibold text-slate-900">Tedarikçi Fiyat Karşılaştırması (₺)</div>
+          <div className="text-xs text-slate-600">
+            Hücre: son fiyat / miktar ağırlıklı ortalama. Tarih ve kategori filtreleri uygulanır. Potansiyel tasarruf:{" "}
+            <span className="font-semibold text-emerald-700">{money(matrix.totalSavings)} ₺</span> (harcama {money(matrix.totalSpend)} ₺).
+          </div>
+        </div>
+        <div className="flex items-center gap-3">
+          <label className="inline-flex items-center gap-2 text-xs text-slate-700">
+            <input type="checkbox" checked={multiOnly} onChange={(e) => setMultiOnly(e.target.checked)} />
+            Yalnızca birden fazla tedarikçiden alınanlar
+          </label>
+          <button
+            className="h-9 rounded-xl border border-slate-300 bg-white px-4 text-xs font-semibold text-slate-900 hover:bg-slate-50"
+            onClick={() => onExport(matrix)}
+            disabled={matrix.items.length === 0}
+          >
+            Excel’e Aktar
+          </button>
+        </div>
+      </div>
+
+      <div className="mt-3 max-h-[480px] overflow-auto rounded-2xl ring-1 ring-slate-200">
+        <table className="w-full text-sm">
+          <thead className="sticky top-0 bg-slate-100 text-slate-700">
+            <tr>
+              <th className="px-3 py-3 text-left font-medium">Ürün</th>
+              {suppliers.map((s) => (
+                <th key={s.key} className="px-3 py-3 text-right font-medium whitespace-nowrap">{s.name}</th>
+              ))}
+              <th className="px-3 py-3 text-left font-medium">En Ucuz</th>
+              <th className="px-3 py-3 text-right font-medium">Harcama</th>
+              <th className="px-3 py-3 text-right font-medium">Potansiyel Tasarruf</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white">
+            {visible.length === 0 ? (
+              <tr><td colSpan={suppliers.length + 4} className="px-3 py-10 text-center text-slate-500">Karşılaştırılacak alım yok.</td></tr>
+            ) : (
+              visible.map((item) => (
+                <tr key={item.key} className="border-t border-slate-200">
+                  <td className="px-3 py-2">
+                    <button className="text-left font-medium text-slate-900 hover:underline" onClick={() => onOpenItem(item)}>
+                      {item.name}
+                    </button>
+                    <div className="text-[11px] text-slate-500">
+                      {money(item.qty)} {item.unitType}
+                      {item.multiUnit && (
+                        <span className="ml-2 rounded bg-amber-50 px-1.5 py-0.5 font-semibold text-amber-800 ring-1 ring-amber-200" title="Bu ürün başka birimle de alınmış; fiyatlar yalnızca aynı birim içinde karşılaştırılır.">
+                          birim farklı
+                        </span>
+                      )}
+                    </div>
+                  </td>
+                  {suppliers.map((s) => {
+                    const cell = item.cells[s.key];
+                    if (!cell) return <td key={s.key} className="px-3 py-2 text-right text-slate-300">—</td>;
+                    const isBest = s.key === item.best && Object.keys(item.cells).length > 1;
+                    return (
+                      <td key={s.key} className={"px-3 py-2 text-right tabular-nums whitespace-nowrap " + (isBest ? "bg-emerald-50 text-emerald-800" : "")} title={`${cell.count} alım, son: ${cell.lastDate}`}>
+                        <div className="font-semibold">{money(cell.last)}</div>
+                        <div className="text-[11px] opacity-75">ort. {money(cell.avg)}</div>
+                      </td>
+                    );
+                  })}
+                  <td className="px-3 py-2 whitespace-nowrap">{item.bestName}</td>
+                  <td className="px-3 py-2 text-right tabular-nums">{money(item.spend)}</td>
+                  <td className={"px-3 py-2 text-right tabular-nums " + (item.savings > 0 ? "font-semibold text-emerald-700" : "text-slate-500")}>{money(item.savings)}</td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,64 @@
+import React from "react";
+import { SimpleModal } from "./ui.jsx";
+
+/**
+ * e-Fatura XML içe aktarma sonucu: dosya başına durum + eşlenemeyen alanlar.
+ * results: [{ fileName, status: "imported" | "skipped" | "error", invoiceNo, supplierName, lineCount, messages }]
+ */
+
+const STATUS = {
+  imported: { label: "Aktarıldı", cls: "bg-emerald-50 text-emerald-800 ring-emerald-200" },
+  skipped: { label: "Atlandı", cls: "bg-amber-50 text-amber-800 ring-amber-200" },
+  error: { label: "Hata", cls: "bg-rose-50 text-rose-800 ring-rose-200" },
+};
+
+export default function UblImportReport({ results, onClose }) {
+  const count = (s) => results.filter((r) => r.status === s).length;
+
+  return (
+    <SimpleModal title="e-Fatura İçe Aktarma Sonucu" onClose={onClose}>
+      <div className="grid grid-cols-1 gap-3">
+        <div className="flex flex-wrap gap-2 text-xs">
+          {Object.entries(STATUS).map(([key, st]) => (
+            <span key={key} className={"rounded-lg px-2 py-1 font-semibold ring-1 " + st.cls}>
+              {st.label}: {count(key)}
+            </span>
+          ))}
+        </div>
+
+        <div className="max-h-[55vh] overflow-y-auto rounded-2xl ring-1 ring-slate-200">
+          {results.length === 0 ? (
+            <div className="px-3 py-8 text-center text-sm text-slate-500">XML dosyası bulunamadı.</div>
+          ) : (
+            results.map((r, i) => (
+              <div key={i} className="border-t border-slate-200 px-3 py-2 first:border-t-0">
+                <div className="flex items-start justify-between gap-2">
+                  <div className="min-w-0">
+                    <div className="truncate text-sm font-medium text-slate-900" title={r.fileName}>{r.fileName}</div>
+                    {r.invoiceNo || r.supplierName ? (
+                      <div className="text-xs text-slate-600">
+                        {[r.invoiceNo, r.supplierName, r.lineCount ? `${r.lineCount} kalem` : ""].filter(Boolean).join(" · ")}
+                      </div>
+                    ) : null}
+                  </div>
+                  <span className={"shrink-0 rounded-lg px-2 py-0.5 text-[11px] font-semibold ring-1 " + STATUS[r.status].cls}>{STATUS[r.status].label}</span>
+                </div>
+                {r.messages.length > 0 && (
+                  <ul className="mt-1 list-disc pl-5 text-xs text-slate-700">
+                    {r.messages.map((m, j) => <li key={j}>{m}</li>)}
+                  </ul>
+                )}
+              </div>
+            ))
+          )}
+        </div>
+
+        <div className="flex justify-end">
+          <button className="h-10 rounded-xl bg-slate-900 px-4 text-sm font-medium text-white hover:bg-slate-800" onClick={onClose}>
+            Tamam
+          </button>
+        </div>
+      </div>
+    </SimpleModal>
+  );
+}
@@ -0,0 +1,136 @@
+import React from "react";
+import { toNumber } from "../lib/calc.js";
+
+export function Filter({ label, children }) {
+  return (
+    <label className="block">
+      <div className="mb-1 text-xs font-medium text-slate-700">{label}</div>
+      {children}
+    </label>
+  );
+}
+
+export function Field({ label, hint, children }) {
+  return (
+    <label className="block">
+      <div className="mb-1 flex items-center justify-between gap-2">
+        <div className="text-xs font-medium text-slate-700">{label}</div>
+        {hint ? <div className="text-[11px] text-slate-500">{hint}</div> : null}
+      </div>
+      {children}
+    </label>
+  );
+}
+
+export function ReadOnly({ label, value }) {
+  return (
+    <div className="rounded-xl bg-white p-3 ring-1 ring-slate-200">
+      <div className="text-[11px] font-medium text-slate-600">{label}</div>
+      <div className="mt-1 text-sm font-semibold text-slate-900 tabular-nums">{value}</div>
+    </div>
+  );
+}
+
+function IconChevron({ dir }) {
+  return (
+    <span className="ml-1 inline-flex h-4 w-4 items-center justify-center rounded bg-slate-200 text-[10px] text-slate-700">
+      {dir === "asc" ? "▲" : "▼"}
+    </span>
+  );
+}
+
+export function Th({ children, sortKey, sort, onSort, align }) {
+  const active = sort.key === sortKey;
+  const cls = "px-3 py-3 font-medium select-none whitespace-nowrap " + (align === "right" ? "text-right" : "text-left");
+  return (
+    <th className={cls} style={{ cursor: "pointer" }} onClick={() => onSort(sortKey)} title="Sırala">
+      <span className="inline-flex items-center">
+        {children}
+        {active && <IconChevron dir={sort.dir} />}
+      </span>
+    </th>
+  );
+}
+
+export function SimpleModal({ title, onClose, children }) {
+  return (
+    <div className="fixed inset-0 z-[60] flex items-center justify-center bg-black/40 p-4" onMouseDown={(e) => { if (e.target === e.currentTarget) onClose(); }}>
+      <div className="w-full max-w-xl rounded-2xl bg-white shadow-2xl ring-1 ring-slate-200" onMouseDown={(e) => e.stopPropagation()}>
+        <div className="flex items-start justify-between gap-4 border-b border-slate-200 p-5">
+          <div>
+            <h2 className="text-lg font-semibold">{title}</h2>
+            <p className="text-xs text-slate-600">Basit düzenleme ekranı (UI prototip).</p>
+          </div>
+          <button className="h-9 rounded-xl border border-slate-200 bg-white px-4 text-xs font-semibold text-slate-900 hover:bg-slate-50" onClick={onClose}>
+            Kapat
+          </button>
+        </div>
+        <div className="p-5">{children}</div>
+      </div>
+    </div>
+  );
+}
+
+export function SimpleBarChart({ title, data, labelKey = "label", valueKey = "value", height = 180 }) {
+  const max = Math.max(1, ...data.map((d) => toNumber(d[valueKey] ?? 0)));
+  const barW = 24;
+  const gap = 10;
+  const pad = 16;
+  const w = Math.max(320, pad * 2 + data.length * (barW + gap));
+  return (
+    <div className="rounded-2xl bg-white p-4 ring-1 ring-slate-200">
+      {title ? <div className="text-sm font-semibold text-slate-900">{title}</div> : null}
+      <div className="mt-3 overflow-x-auto">
+        <svg width={w} height={height}>
+          <line x1={pad} y1={height - pad} x2={w - pad} y2={height - pad} stroke="currentColor" opacity="0.15" />
+          {data.map((d, i) => {
+            const v = toNumber(d[valueKey] ?? 0);
+            const h = ((height - pad * 2) * v) / max;
+            const x = pad + i * (barW + gap);
+            const y = height - pad - h;
+            return (
+              <g key={i}>
+                <rect x={x} y={y} width={barW} height={h} rx="6" className="fill-slate-900 opacity-80" />
+                <text x={x + barW / 2} y={height - 4} textAnchor="middle" fontSize="10" className="fill-slate-600">
+                  {String(d[labelKey] ?? "").slice(0, 10)}
+                </text>
+              </g>
+            );
+          })}
+        </svg>
+      </div>
+    </div>
+  );
+}
+
+export function SimpleLineChart({ title, data, labelKey = "label", valueKey = "value", height = 180 }) {
+  const max = Math.max(1, ...data.map((d) => toNumber(d[valueKey] ?? 0)));
+  const pad = 18;
+  const w = Math.max(420, pad * 2 + data.length * 40);
+  const pts = data.map((d, i) => {
+    const x = pad + i * 40;
+    const v = toNumber(d[valueKey] ?? 0);
+    const y = height - pad - ((height - pad * 2) * v) / max;
+    return { x, y, v, label: d[labelKey] };
+  });
+  const dPath = pts.map((p, i) => `${i === 0 ? "M" : "L"} ${p.x} ${p.y}`).join(" ");
+  return (
+    <div className="rounded-2xl bg-white p-4 ring-1 ring-slate-200">
+      {title ? <div className="text-sm font-semibold text-slate-900">{title}</div> : null}
+      <div className="mt-3 overflow-x-auto">
+        <svg width={w} height={height}>
+          <line x1={pad} y1={height - pad} x2={w - pad} y2={height - pad} stroke="currentColor" opacity="0.15" />
+          <path d={dPath} fill="none" stroke="currentColor" strokeWidth="2" opacity="0.85" />
+          {pts.map((p, i) => (
+            <g key={i}>
+              <circle cx={p.x} cy={p.y} r="4" className="fill-slate-900" />
+              <text x={p.x} y={height - 4} textAnchor="middle" fontSize="10" className="fill-slate-600">
+                {String(p.label ?? "").slice(0, 10)}
+              </text>
+            </g>
+          ))}
+        </svg>
+      </div>
+    </div>
+  );
+}
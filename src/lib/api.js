@@ -0,0 +1,62 @@
+/**
+ * REST istemcisi
+ * - Her varlık için aynı uç noktalar: GET/POST /{entity}, GET/PUT/DELETE /{entity}/{id}
+ * - Hata durumunda ApiError fırlatır (status = 0: sunucuya ulaşılamadı)
+ */
+
+/** Uygulama verisini oluşturan koleksiyonlar (REST kaynakları); backend ve mock sunucu da bu listeyi kullanır */
+export const COLLECTIONS = ["invoices", "lines", "orders", "orderLines", "receipts", "receiptLines", "suppliers", "items", "categories", "exchangeRates", "payments", "budgets", "requests", "approvalRules", "auditLog"];
+
+export class ApiError extends Error {
+  constructor(message, status = 0) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+  }
+}
+
+export function createRestClient(baseUrl) {
+  const root = String(baseUrl || "").replace(/\/+$/, "");
+
+  async function request(method, path, body) {
+    let res;
+    try {
+      res = await fetch(root + path, {
+        method,
+        headers: body !== undefined ? { "Content-Type": "application/json" } : undefined,
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+      });
+    } catch {
+      throw new ApiError(`Sunucuya ulaşılamadı (${root}).`);
+    }
+
+    if (!res.ok) {
+      let detail = "";
+      try {
+        detail = (await res.json())?.error || "";
+      } catch {
+        // gövde JSON değil
+      }
+      throw new ApiError(detail || `${method} ${path} başarısız (HTTP ${res.status}).`, res.status);
+    }
+
+    if (res.status === 204) return null;
+    return res.json();
+  }
+
+  function entityPath(entity, id) {
+    if (!COLLECTIONS.includes(entity)) throw new ApiError(`Bilinmeyen varlık: ${entity}`);
+    return id === undefined ? `/${entity}` : `/${entity}/${encodeURIComponent(id)}`;
+  }
+
+  return {
+    list(entity, query) {
+      const qs = query ? "?" + new URLSearchParams(query).toString() : "";
+      return request("GET", entityPath(entity) + qs);
+    },
+    get: (entity, id) => request("GET", entityPath(entity, id)),
+    create: (entity, record) => request("POST", entityPath(entity), record),
+    update: (entity, record) => request("PUT", entityPath(entity, record.id), record),
+    remove: (entity, id) => request("DELETE", entityPath(entity, id)),
+  };
+}
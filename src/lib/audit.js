@@ -0,0 +1,129 @@
+import { uid } from "./calc.js";
+
+/**
+ * Değişiklik kaydı (denetim izi)
+ * - Fatura, kalem, tedarikçi ve ürün koleksiyonlarındaki her değişiklik auditLog'a yazılır.
+ * - Güncellemede değişen her alan ayrı kayıttır (eski / yeni değer); oluşturma ve silmede kaydın özeti tutulur.
+ * - Geri al / yinele de kayıt üretir (via: "undo" | "redo"); auditLog'un kendisi geri alınmaz.
+ */
+
+export const AUDITED = {
+  invoices: "Fatura",
+  lines: "Kalem",
+  suppliers: "Tedarikçi",
+  items: "Ürün",
+};
+
+export const AUDIT_ACTIONS = {
+  create: "Oluşturuldu",
+  update: "Değişti",
+  delete: "Silindi",
+};
+
+export const FIELD_LABELS = {
+  date: "Tarih",
+  invoiceNo: "Fatura No",
+  ettn: "ETTN",
+  supplierName: "Tedarikçi",
+  supplierId: "Tedarikçi Kartı",
+  currencyCode: "Para Birimi",
+  exchangeRate: "Kur",
+  paymentTermDays: "Vade (gün)",
+  department: "Departman",
+  tevfikatRate: "Tevkifat %",
+  discountTotal: "Toplam İskonto",
+  invoiceItem: "Fatura Kalemi",
+  itemId: "Ürün Kartı",
+  qty: "Miktar",
+  unitType: "Birim",
+  unitPrice: "Birim Fiyat",
+  discountRate: "İskonto %",
+  vatRate: "KDV %",
+  orderLineId: "Sipariş Kalemi",
+  costCenters: "Masraf Merkezi",
+  name: "Ad",
+  taxId: "VKN / TCKN",
+  taxOffice: "Vergi Dairesi",
+  address: "Adres",
+  iban: "IBAN",
+  contacts: "Yetkililer",
+  note: "Not",
+  sku: "Kod (SKU)",
+  category: "Kategori",
+  barcode: "Barkod",
+  active: "Aktif",
+};
+
+const LABEL_FIELD = { invoices: "invoiceNo", lines: "invoiceItem", suppliers: "name", items: "name" };
+
+function show(v) {
+  if (v == null) return "";
+  return typeof v === "object" ? JSON.stringify(v) : String(v);
+}
+
+/** Oluşturma / silme kayıtlarında tutulan özet (id hariç alanlar) */
+function summary(rec) {
+  const rest = { ...rec };
+  delete rest.id;
+  return JSON.stringify(rest);
+}
+
+/**
+ * Bir koleksiyonun iki hali arasındaki değişiklik kayıtları.
+ * meta: { at, user, via }
+ */
+export function auditEntries(collection, prev, next, meta) {
+  const entity = collection;
+  const base = (rec, action) => ({
+    id: uid(),
+    at: meta.at,
+    user: meta.user,
+    via: meta.via ?? "",
+    entity,
+    entityId: rec.id,
+    invoiceId: collection === "lines" ? rec.invoiceId ?? "" : collection === "invoices" ? rec.id : "",
+    label: show(rec[LABEL_FIELD[collection]]),
+    action,
+  });
+
+  const out = [];
+  const prevById = new Map(prev.map((x) => [x.id, x]));
+  const nextIds = new Set();
+  for (const rec of next) {
+    nextIds.add(rec.id);
+    const old = prevById.get(rec.id);
+    if (!old) {
+      out.push({ ...base(rec, "create"), field: "", oldValue: "", newValue: summary(rec) });
+      continue;
+    }
+    if (old === rec) continue;
+    for (const field of new Set([...Object.keys(old), ...Object.keys(rec)])) {
+      if (field === "id") continue;
+      const a = show(old[field]);
+      const b = show(rec[field]);
+      if (a !== b) out.push({ ...base(rec, "update"), field, oldValue: a, newValue: b });
+    }
+  }
+  for (const rec of prev) {
+    if (!nextIds.has(rec.id)) out.push({ ...base(rec, "delete"), field: "", oldValue: summary(rec), newValue: "" });
+  }
+  return out;
+}
+
+/** next verisine, prev'den bu yana denetlenen koleksiyonlardaki değişikliklerin kayıtlarını ekler */
+export function withAudit(prev, next, meta) {
+  const added = [];
+  for (const c of Object.keys(AUDITED)) {
+    if (prev[c] !== next[c]) added.push(...auditEntries(c, prev[c] ?? [], next[c] ?? [], meta));
+  }
+  return { ...next, auditLog: added.length ? [...(prev.auditLog ?? []), ...added] : prev.auditLog ?? [] };
+}
+
+/** Faturanın ve kalemlerinin kayıtları (yeniden eskiye) */
+export function invoiceHistory(auditLog, invoiceId) {
+  return auditLog.filter((e) => e.invoiceId === invoiceId && (e.entity === "invoices" || e.entity === "lines")).sort((a, b) => (a.at < b.at ? 1 : a.at > b.at ? -1 : 0));
+}
+
+export function entityHistory(auditLog, entity, entityId) {
+  return auditLog.filter((e) => e.entity === entity && e.entityId === entityId).sort((a, b) => (a.at < b.at ? 1 : a.at > b.at ? -1 : 0));
+}
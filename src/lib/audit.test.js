@@ -0,0 +1,75 @@
+import { describe, expect, it } from "vitest";
+import { auditEntries, entityHistory, invoiceHistory, withAudit } from "./audit.js";
+
+const meta = { at: "2026-01-05T10:00:00Z", user: "Ayşe" };
+
+describe("auditEntries", () => {
+  it("oluşturma ve silmede özet; güncellemede değişen her alan ayrı kayıt", () => {
+    const a = { id: "l1", invoiceId: "f1", invoiceItem: "Vida", qty: "10", unitPrice: "2" };
+    const b = { id: "l2", invoiceId: "f1", invoiceItem: "Somun", qty: "5" };
+    const c = { id: "l3", invoiceId: "f2", invoiceItem: "Pul", qty: "1" };
+    const out = auditEntries("lines", [a, b], [{ ...a, qty: "12", unitPrice: "2,5" }, c], meta);
+
+    expect(out.map((e) => [e.action, e.entityId, e.field])).toEqual([
+      ["update", "l1", "qty"],
+      ["update", "l1", "unitPrice"],
+      ["create", "l3", ""],
+      ["delete", "l2", ""],
+    ]);
+    expect(out[0]).toMatchObject({ at: meta.at, user: "Ayşe", via: "", entity: "lines", invoiceId: "f1", label: "Vida", oldValue: "10", newValue: "12" });
+    expect(JSON.parse(out[2].newValue)).toEqual({ invoiceId: "f2", invoiceItem: "Pul", qty: "1" });
+    expect(JSON.parse(out[3].oldValue)).toMatchObject({ invoiceItem: "Somun" });
+  });
+
+  it("değişmeyen kayıt atlanır; nesne alanları JSON olarak karşılaştırılır", () => {
+    const s = { id: "s1", name: "Acme", contacts: [{ name: "Ali" }] };
+    expect(auditEntries("suppliers", [s], [s], meta)).toEqual([]);
+    expect(auditEntries("suppliers", [s], [{ ...s, contacts: [{ name: "Ali" }] }], meta)).toEqual([]);
+    const out = auditEntries("suppliers", [s], [{ ...s, contacts: [] }], { ...meta, via: "undo" });
+    expect(out).toHaveLength(1);
+    expect(out[0]).toMatchObject({ field: "contacts", oldValue: '[{"name":"Ali"}]', newValue: "[]", via: "undo", invoiceId: "", label: "Acme" });
+  });
+
+  it("kayıttan kaldırılan alan boş yeni değerle yazılır", () => {
+    const out = auditEntries("invoices", [{ id: "f1", invoiceNo: "A1", exchangeRate: "36" }], [{ id: "f1", invoiceNo: "A1" }], meta);
+    expect(out).toHaveLength(1);
+    expect(out[0]).toMatchObject({ field: "exchangeRate", oldValue: "36", newValue: "", invoiceId: "f1", label: "A1" });
+  });
+});
+
+describe("withAudit", () => {
+  it("yalnızca değişen denetlenen koleksiyonlar kayıt üretir", () => {
+    const prev = { invoices: [{ id: "f1", invoiceNo: "A1" }], suppliers: [], orders: [], auditLog: [{ id: "x" }] };
+    const next = { ...prev, invoices: [{ id: "f1", invoiceNo: "A2" }], orders: [{ id: "o1" }] };
+    const out = withAudit(prev, next, meta);
+    expect(out.orders).toBe(next.orders);
+    expect(out.auditLog).toHaveLength(2);
+    expect(out.auditLog[1]).toMatchObject({ entity: "invoices", invoiceId: "f1", field: "invoiceNo", oldValue: "A1", newValue: "A2" });
+    expect(withAudit(prev, { ...prev }, meta).auditLog).toBe(prev.auditLog);
+  });
+
+  it("ilk değişiklikte boş kayıt listesi oluşur; denetlenmeyen koleksiyon kayıt üretmez", () => {
+    const prev = { items: [], orders: [] };
+    expect(withAudit(prev, { ...prev, orders: [{ id: "o1" }] }, meta).auditLog).toEqual([]);
+    const out = withAudit(prev, { ...prev, items: [{ id: "i1", name: "Vida" }] }, meta);
+    expect(out.auditLog.map((e) => [e.entity, e.action, e.label])).toEqual([["items", "create", "Vida"]]);
+  });
+});
+
+describe("geçmiş", () => {
+  const log = [
+    { id: "1", at: "2026-01-01", entity: "invoices", entityId: "f1", invoiceId: "f1" },
+    { id: "2", at: "2026-01-03", entity: "lines", entityId: "l1", invoiceId: "f1" },
+    { id: "3", at: "2026-01-02", entity: "lines", entityId: "l2", invoiceId: "f2" },
+    { id: "4", at: "2026-01-04", entity: "suppliers", entityId: "s1", invoiceId: "" },
+  ];
+
+  it("faturanın ve kalemlerinin kayıtları yeniden eskiye", () => {
+    expect(invoiceHistory(log, "f1").map((e) => e.id)).toEqual(["2", "1"]);
+  });
+
+  it("tek kaydın geçmişi", () => {
+    expect(entityHistory(log, "suppliers", "s1").map((e) => e.id)).toEqual(["4"]);
+    expect(entityHistory(log, "lines", "s1")).toEqual([]);
+  });
+});
@@ -0,0 +1,85 @@
+import * as db from "./db.js";
+import { ApiError, COLLECTIONS, createRestClient } from "./api.js";
+
+/**
+ * Veri kaynağı (backend) seçimi
+ * - VITE_API_URL tanımlıysa REST sunucusu, değilse tarayıcıdaki IndexedDB kullanılır.
+ * - İki backend de aynı arayüzü sunar: load(seed), applyChanges(collection, changes), replaceAll(data)
+ *   changes = { create: [...kayıt], update: [...kayıt], remove: [...id] }
+ * - applyChanges tekrar çağrılabilir olmalıdır: yarıda kalan yazım yeniden denendiğinde aynı değişiklikler yine gelir.
+ *   REST'te kayıtlar PUT ile yazılır (sunucuda upsert), zaten silinmiş kaydın silinmesi (404) başarı sayılır.
+ */
+
+export { COLLECTIONS };
+
+export function pickCollections(data) {
+  return Object.fromEntries(COLLECTIONS.map((c) => [c, data?.[c] ?? []]));
+}
+
+export function createLocalBackend() {
+  return {
+    kind: "local",
+    label: "Yerel (IndexedDB)",
+
+    async load(seed) {
+      if (await db.getMeta("seeded")) {
+        const entries = await Promise.all(COLLECTIONS.map(async (c) => [c, await db.getAll(c)]));
+        return Object.fromEntries(entries);
+      }
+      const initial = pickCollections(seed);
+      await db.replaceAll(initial);
+      await db.setMeta("seeded", true);
+      return initial;
+    },
+
+    applyChanges(collection, { create, update, remove }) {
+      return db.writeChanges(collection, { put: [...create, ...update], remove });
+    },
+
+    replaceAll(data) {
+      return db.replaceAll(pickCollections(data));
+    },
+  };
+}
+
+export function createRestBackend(baseUrl) {
+  const api = createRestClient(baseUrl);
+
+  async function removeIfExists(collection, id) {
+    try {
+      await api.remove(collection, id);
+    } catch (e) {
+      if (!(e instanceof ApiError && e.status === 404)) throw e;
+    }
+  }
+
+  return {
+    kind: "rest",
+    label: `Sunucu (${baseUrl})`,
+
+    // Sunucu verisi esastır; seed yalnızca "Örnek Veriyi Yükle" ile gönderilir
+    async load() {
+      const entries = await Promise.all(COLLECTIONS.map(async (c) => [c, await api.list(c)]));
+      return Object.fromEntries(entries);
+    },
+
+    async applyChanges(collection, { create, update, remove }) {
+      for (const rec of [...create, ...update]) await api.update(collection, rec);
+      for (const id of remove) await removeIfExists(collection, id);
+    },
+
+    async replaceAll(data) {
+      const next = pickCollections(data);
+      for (const c of COLLECTIONS) {
+        const existing = await api.list(c);
+        for (const rec of existing) await removeIfExists(c, rec.id);
+        for (const rec of next[c]) await api.update(c, rec);
+      }
+    },
+  };
+}
+
+export function createBackend() {
+  const url = import.meta.env.VITE_API_URL;
+  return url ? createRestBackend(url) : createLocalBackend();
+}
@@ -0,0 +1,116 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { ApiError } from "./api.js";
+import { COLLECTIONS, createRestBackend, pickCollections } from "./backend.js";
+
+const BASE = "http://test.local/api";
+
+/** server/mock-server.js ile aynı davranış: POST'ta aynı id 409, PUT upsert, olmayan kayıt için DELETE 404 */
+function fakeServer() {
+  const rows = {};
+  const calls = [];
+  // "PUT /suppliers/S2" gibi anahtarlar; eşleşen istek bir kez 500 döner
+  const failOnce = new Set();
+
+  const json = (status, body) => ({ ok: status < 400, status, json: async () => body });
+
+  const fetch = async (url, { method, body }) => {
+    const [entity, rawId] = url.slice(BASE.length + 1).split("/");
+    const id = rawId === undefined ? undefined : decodeURIComponent(rawId);
+    const key = `${method} /${entity}${id === undefined ? "" : "/" + id}`;
+    calls.push(key);
+    if (failOnce.delete(key)) return json(500, { error: "Sunucu hatası" });
+
+    const list = (rows[entity] ??= []);
+    const idx = list.findIndex((r) => r.id === id);
+    const rec = body === undefined ? undefined : JSON.parse(body);
+    if (method === "GET") return json(200, list);
+    if (method === "POST") {
+      if (list.some((r) => r.id === rec.id)) return json(409, { error: "Bu id zaten var." });
+      list.push(rec);
+      return json(201, rec);
+    }
+    if (method === "PUT") {
+      if (idx < 0) list.push(rec);
+      else list[idx] = rec;
+      return json(idx < 0 ? 201 : 200, rec);
+    }
+    if (method === "DELETE") {
+      if (idx < 0) return json(404, { error: "Kayıt bulunamadı." });
+      list.splice(idx, 1);
+      return { ok: true, status: 204, json: async () => null };
+    }
+    return json(405, {});
+  };
+
+  return { rows, calls, failOnce, fetch };
+}
+
+const S1 = { id: "S1", name: "Aras Hırdavat" };
+const S2 = { id: "S2", name: "Bora Elektrik" };
+const S3 = { id: "S3", name: "Cem Boya" };
+
+describe("REST backend yazımı", () => {
+  let server;
+  let backend;
+
+  beforeEach(() => {
+    server = fakeServer();
+    vi.stubGlobal("fetch", server.fetch);
+    backend = createRestBackend(BASE);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("yeni kayıtlar da PUT ile yazılır, POST kullanılmaz", async () => {
+    await backend.applyChanges("suppliers", { create: [S1], update: [], remove: [] });
+    expect(server.calls).toEqual(["PUT /suppliers/S1"]);
+    expect(server.rows.suppliers).toEqual([S1]);
+  });
+
+  it("yarıda kalan yazım aynı değişikliklerle yeniden denendiğinde 409'a takılmadan tamamlanır", async () => {
+    server.failOnce.add("PUT /suppliers/S2");
+    const changes = { create: [S1, S2, S3], update: [], remove: [] };
+
+    await expect(backend.applyChanges("suppliers", changes)).rejects.toMatchObject({ status: 500 });
+    expect(server.rows.suppliers).toEqual([S1]);
+
+    await backend.applyChanges("suppliers", changes);
+    expect(server.rows.suppliers).toEqual([S1, S2, S3]);
+  });
+
+  it("güncellenen kayıt sunucuda yoksa oluşturulur", async () => {
+    await backend.applyChanges("suppliers", { create: [], update: [{ ...S1, name: "Aras Yapı" }], remove: [] });
+    expect(server.rows.suppliers).toEqual([{ ...S1, name: "Aras Yapı" }]);
+  });
+
+  it("zaten silinmiş kaydın silinmesi (404) başarı sayılır", async () => {
+    server.rows.suppliers = [S1];
+    await backend.applyChanges("suppliers", { create: [], update: [], remove: ["S9", "S1"] });
+    expect(server.calls).toEqual(["DELETE /suppliers/S9", "DELETE /suppliers/S1"]);
+    expect(server.rows.suppliers).toEqual([]);
+  });
+
+  it("silmedeki diğer hatalar yukarı iletilir ve sonraki kayıtlar denenmez", async () => {
+    server.rows.suppliers = [S1, S2];
+    server.failOnce.add("DELETE /suppliers/S1");
+    const err = await backend.applyChanges("suppliers", { create: [], update: [], remove: ["S1", "S2"] }).catch((e) => e);
+    expect(err).toBeInstanceOf(ApiError);
+    expect(err.status).toBe(500);
+    expect(server.rows.suppliers).toEqual([S1, S2]);
+  });
+
+  it("replaceAll yarıda kalıp yeniden çalıştırıldığında hedef veriye ulaşır", async () => {
+    server.rows.suppliers = [S1, S2];
+    const target = pickCollections({ suppliers: [S2, S3], items: [{ id: "I1", name: "Vida" }] });
+    server.failOnce.add("PUT /suppliers/S3");
+
+    await expect(backend.replaceAll(target)).rejects.toBeInstanceOf(ApiError);
+    await backend.replaceAll(target);
+
+    expect(server.rows.suppliers).toEqual([S2, S3]);
+    expect(server.rows.items).toEqual([{ id: "I1", name: "Vida" }]);
+    expect(COLLECTIONS.every((c) => (server.rows[c] ?? []).length === target[c].length)).toBe(true);
+  });
+});
@@ -0,0 +1,152 @@
+import { calcLine, toNumber, uid } from "./calc.js";
+import { isUnder } from "./categories.js";
+import { costCenterShare } from "./costCenters.js";
+import { CURRENCIES, lookupRate } from "./currency.js";
+
+/**
+ * Bütçeler
+ * - Bütçe: dönem (yıl / çeyrek / ay) + boyut (departman ya da kategori) + tutar + para birimi.
+ * - Gerçekleşen: dönemdeki, departmanı / kategorisi eşleşen kalemlerin KDV hariç tutarı.
+ *   Departman, kalemin masraf merkezi dağıtımından okunur (bölünmüş kalemin yalnızca payı; src/lib/costCenters.js).
+ *   Üst kategori bütçesi alt kategorileri de kapsar (src/lib/categories.js).
+ * - Bütçe para birimi kalemden farklıysa tutar TRY üzerinden kur tablosuyla (kalem tarihindeki kur) çevrilir;
+ *   kur bulunamayan kalemler hesaba katılmaz ve sayısı gösterilir.
+ * - row: joined satırı (kalem + fatura tarihi, para birimi, fxRate, department, category).
+ */
+
+export const BUDGET_PERIOD_TYPES = [
+  { key: "year", label: "Yıllık" },
+  { key: "quarter", label: "Çeyreklik" },
+  { key: "month", label: "Aylık" },
+];
+
+export const BUDGET_DIMENSIONS = [
+  { key: "department", label: "Departman" },
+  { key: "category", label: "Kategori" },
+];
+
+export const USAGE_LEVELS = {
+  ok: { label: "Bütçe içinde", cls: "bg-emerald-500" },
+  near: { label: "%80 üzeri", cls: "bg-amber-500" },
+  over: { label: "Aşıldı", cls: "bg-rose-500" },
+};
+
+const MONTHS = ["Ocak", "Şubat", "Mart", "Nisan", "Mayıs", "Haziran", "Temmuz", "Ağustos", "Eylül", "Ekim", "Kasım", "Aralık"];
+
+const PERIOD_PATTERNS = {
+  year: /^\d{4}$/,
+  quarter: /^\d{4}-Q[1-4]$/,
+  month: /^\d{4}-(0[1-9]|1[0-2])$/,
+};
+
+/** Tarihin (YYYY-MM-DD) dönem anahtarı: "2026" | "2026-Q1" | "2026-01" */
+export function periodOf(periodType, date) {
+  const y = String(date ?? "").slice(0, 4);
+  const m = String(date ?? "").slice(5, 7);
+  if (periodType === "month") return `${y}-${m}`;
+  if (periodType === "quarter") return `${y}-Q${Math.ceil(Number(m) / 3)}`;
+  return y;
+}
+
+export function periodLabel(budget) {
+  const p = String(budget.period ?? "");
+  if (budget.periodType === "month") return `${MONTHS[Number(p.slice(5, 7)) - 1] ?? p.slice(5, 7)} ${p.slice(0, 4)}`;
+  if (budget.periodType === "quarter") return `${p.slice(0, 4)} / ${p.slice(6)}. Çeyrek`;
+  return p;
+}
+
+export function blankBudget(today = new Date().toISOString().slice(0, 10)) {
+  return { id: uid(), periodType: "year", period: periodOf("year", today), dimension: "department", key: "", amount: "", currencyCode: "TRY", note: "" };
+}
+
+function nameKey(s) {
+  return String(s ?? "").trim().toLocaleLowerCase("tr");
+}
+
+export function validateBudget(draft, budgets) {
+  if (!PERIOD_PATTERNS[draft.periodType]?.test(String(draft.period ?? ""))) return "Dönem geçersiz.";
+  if (!String(draft.key ?? "").trim()) return `${BUDGET_DIMENSIONS.find((d) => d.key === draft.dimension)?.label ?? "Boyut"} zorunludur.`;
+  if (!(toNumber(draft.amount) > 0)) return "Bütçe tutarı 0'dan büyük olmalıdır.";
+  if (!CURRENCIES.some((c) => c.code === draft.currencyCode)) return "Para birimi geçersiz.";
+  const dup = budgets.find(
+    (b) => b.id !== draft.id && b.periodType === draft.periodType && b.period === draft.period && b.dimension === draft.dimension && nameKey(b.key) === nameKey(draft.key)
+  );
+  if (dup) return "Bu dönem ve boyut için bütçe zaten tanımlı.";
+  return "";
+}
+
+export function normalizeBudget(draft) {
+  return { ...draft, key: String(draft.key).trim(), amount: String(draft.amount).trim(), note: String(draft.note ?? "").trim() };
+}
+
+/** Kalemin bütçeye düşen payı (0..1) */
+function shareOf(budget, row) {
+  if (periodOf(budget.periodType, row.date) !== budget.period) return 0;
+  if (budget.dimension === "department") return costCenterShare(row, row.department, budget.key);
+  return isUnder(row.category, budget.key) && String(row.category ?? "").trim() ? 1 : 0;
+}
+
+/** Kalemin KDV hariç tutarı bütçe para biriminde; kur yoksa null */
+export function amountInBudgetCurrency(row, budget, rates) {
+  const net = calcLine(row).totalNet;
+  const code = row.currencyCode || "TRY";
+  if (code === budget.currencyCode) return net;
+  const amountTry = net * (row.fxRate ?? 1);
+  if (budget.currencyCode === "TRY") return amountTry;
+  const rate = toNumber(lookupRate(rates, budget.currencyCode, row.date)?.rate);
+  return rate > 0 ? amountTry / rate : null;
+}
+
+export function usageLevel(pct) {
+  if (pct > 100) return "over";
+  if (pct >= 80) return "near";
+  return "ok";
+}
+
+function usageOf(budget, spent, missingRate) {
+  const amount = toNumber(budget.amount);
+  const pct = amount > 0 ? (spent / amount) * 100 : 0;
+  return { amount, spent, remaining: amount - spent, pct, level: usageLevel(pct), missingRate };
+}
+
+/** budgetId → { amount, spent, remaining, pct, level, missingRate } */
+export function budgetUsage(budgets, rows, rates) {
+  const m = new Map();
+  for (const b of budgets) {
+    let spent = 0;
+    let missingRate = 0;
+    for (const r of rows) {
+      const share = shareOf(b, r);
+      if (!share) continue;
+      const a = amountInBudgetCurrency(r, b, rates);
+      if (a == null) missingRate += 1;
+      else spent += a * share;
+    }
+    m.set(b.id, usageOf(b, spent, missingRate));
+  }
+  return m;
+}
+
+/**
+ * Yeni kalemler eklenince limiti aşacak bütçeler: [{ budget, before, added, after, over, missingRate }]
+ * Kuru bulunamayan yeni kalem 0 sayılmaz: bütçe aşmasa da missingRate > 0 ile listelenir (aşım denetlenemedi uyarısı).
+ */
+export function budgetOverruns(budgets, usage, newRows, rates) {
+  const out = [];
+  for (const b of budgets) {
+    let added = 0;
+    let missingRate = 0;
+    for (const r of newRows) {
+      const share = shareOf(b, r);
+      if (!share) continue;
+      const a = amountInBudgetCurrency(r, b, rates);
+      if (a == null) missingRate += 1;
+      else added += a * share;
+    }
+    const before = usage.get(b.id)?.spent ?? 0;
+    const after = usageOf(b, before + added, missingRate);
+    const over = added > 0 && after.remaining < 0;
+    if (over || missingRate > 0) out.push({ budget: b, before, added, after: after.spent, over, missingRate });
+  }
+  return out;
+}
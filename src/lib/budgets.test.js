@@ -0,0 +1,151 @@
+import { describe, expect, it } from "vitest";
+import { amountInBudgetCurrency, budgetOverruns, budgetUsage, normalizeBudget, periodLabel, periodOf, usageLevel, validateBudget } from "./budgets.js";
+
+// 10 × 100 TL, KDV hariç 1.000 TL
+const LINE = { date: "2026-02-10", qty: "10", unitPrice: "100", discountRate: "0", vatRate: "20", currencyCode: "TRY", fxRate: 1, department: "Üretim", category: "" };
+const BUDGET = { id: "b1", periodType: "year", period: "2026", dimension: "department", key: "Üretim", amount: "5000", currencyCode: "TRY" };
+
+describe("dönemler", () => {
+  it.each([
+    ["year", "2026-05-20", "2026"],
+    ["quarter", "2026-01-01", "2026-Q1"],
+    ["quarter", "2026-03-31", "2026-Q1"],
+    ["quarter", "2026-04-01", "2026-Q2"],
+    ["quarter", "2026-12-01", "2026-Q4"],
+    ["month", "2026-05-20", "2026-05"],
+  ])("periodOf(%s, %s) → %s", (type, date, expected) => {
+    expect(periodOf(type, date)).toBe(expected);
+  });
+
+  it.each([
+    [{ periodType: "month", period: "2026-03" }, "Mart 2026"],
+    [{ periodType: "month", period: "2026-12" }, "Aralık 2026"],
+    [{ periodType: "quarter", period: "2026-Q3" }, "2026 / 3. Çeyrek"],
+    [{ periodType: "year", period: "2026" }, "2026"],
+  ])("periodLabel(%j) → %s", (budget, expected) => {
+    expect(periodLabel(budget)).toBe(expected);
+  });
+});
+
+describe("bütçe tanımı", () => {
+  it.each([
+    [{ period: "26" }, "Dönem geçersiz."],
+    [{ periodType: "quarter", period: "2026-Q5" }, "Dönem geçersiz."],
+    [{ periodType: "month", period: "2026-13" }, "Dönem geçersiz."],
+    [{ periodType: "month", period: "2026-00" }, "Dönem geçersiz."],
+    [{ key: " " }, "Departman zorunludur."],
+    [{ dimension: "category", key: "" }, "Kategori zorunludur."],
+    [{ amount: "-5" }, "Bütçe tutarı 0'dan büyük olmalıdır."],
+    [{ amount: "" }, "Bütçe tutarı 0'dan büyük olmalıdır."],
+    [{ currencyCode: "XYZ" }, "Para birimi geçersiz."],
+  ])("%j reddedilir", (patch, message) => {
+    expect(validateBudget({ ...BUDGET, ...patch }, [])).toBe(message);
+  });
+
+  it("aynı dönem ve boyuttaki ikinci bütçe Türkçe harf duyarsız reddedilir; kendisi çakışma sayılmaz", () => {
+    expect(validateBudget({ ...BUDGET, id: "b2", key: "ÜRETİM" }, [BUDGET])).toBe("Bu dönem ve boyut için bütçe zaten tanımlı.");
+    expect(validateBudget(BUDGET, [BUDGET])).toBe("");
+  });
+
+  it("başka dönem, dönem türü ya da boyutta aynı ad serbest", () => {
+    expect(validateBudget({ ...BUDGET, id: "b2", period: "2027" }, [BUDGET])).toBe("");
+    expect(validateBudget({ ...BUDGET, id: "b2", periodType: "month", period: "2026-01" }, [BUDGET])).toBe("");
+    expect(validateBudget({ ...BUDGET, id: "b2", dimension: "category" }, [BUDGET])).toBe("");
+  });
+
+  it("kaydederken metin alanları kırpılır", () => {
+    expect(normalizeBudget({ ...BUDGET, key: " Üretim ", amount: " 5000 ", note: undefined })).toMatchObject({ key: "Üretim", amount: "5000", note: "" });
+  });
+});
+
+describe("bütçe para birimine çevirme", () => {
+  const rates = [
+    { currencyCode: "EUR", date: "2026-01-01", rate: "40" },
+    { currencyCode: "EUR", date: "2026-03-01", rate: "50" },
+  ];
+
+  it("aynı para biriminde çevrilmez (EUR kalem, EUR bütçe)", () => {
+    expect(amountInBudgetCurrency({ ...LINE, currencyCode: "EUR", fxRate: 38 }, { ...BUDGET, currencyCode: "EUR" }, rates)).toBe(1000);
+  });
+
+  it("TRY bütçede faturanın kuru, dövizli bütçede kalem tarihindeki tablo kuru", () => {
+    expect(amountInBudgetCurrency({ ...LINE, currencyCode: "USD", fxRate: 35 }, BUDGET, rates)).toBe(35000);
+    expect(amountInBudgetCurrency(LINE, { ...BUDGET, currencyCode: "EUR" }, rates)).toBe(25);
+    expect(amountInBudgetCurrency({ ...LINE, date: "2026-03-01" }, { ...BUDGET, currencyCode: "EUR" }, rates)).toBe(20);
+  });
+
+  it("kalem tarihinden önce kur yoksa null", () => {
+    expect(amountInBudgetCurrency({ ...LINE, date: "2025-12-31" }, { ...BUDGET, currencyCode: "EUR" }, rates)).toBeNull();
+  });
+});
+
+describe("gerçekleşen ve aşım", () => {
+  const lines = [
+    LINE,
+    { ...LINE, department: " üretim " },
+    { ...LINE, department: "Üretim", date: "2025-12-31" },
+    { ...LINE, department: "Depo" },
+  ];
+
+  it("dönemi ve departmanı (boşluk / harf duyarsız) eşleşen kalemler", () => {
+    const u = budgetUsage([BUDGET], lines, []).get("b1");
+    expect(u).toMatchObject({ amount: 5000, spent: 2000, remaining: 3000, pct: 40, level: "ok", missingRate: 0 });
+  });
+
+  it("masraf merkezlerine bölünmüş kalemin yalnızca payı sayılır; kalem dağıtımı fatura departmanından önce gelir", () => {
+    const split = { ...LINE, department: "Depo", costCenters: [{ name: "üretim", pct: "40" }, { name: "Depo", pct: "60" }] };
+    expect(budgetUsage([BUDGET], [split], []).get("b1").spent).toBe(400);
+    expect(budgetUsage([{ ...BUDGET, key: "Depo" }], [split], []).get("b1").spent).toBe(600);
+    expect(budgetOverruns([{ ...BUDGET, amount: "300" }], new Map(), [split], [])).toEqual([{ budget: { ...BUDGET, amount: "300" }, before: 0, added: 400, after: 400, over: true, missingRate: 0 }]);
+  });
+
+  it("aylık bütçe yalnızca o ayın kalemlerini sayar", () => {
+    const monthly = { ...BUDGET, periodType: "month", period: "2026-02", amount: "1500" };
+    expect(budgetUsage([monthly], lines, []).get("b1")).toMatchObject({ spent: 2000, level: "over" });
+    expect(budgetUsage([{ ...monthly, period: "2026-03" }], lines, []).get("b1").spent).toBe(0);
+  });
+
+  it("kategori bütçesi alt kategorileri kapsar; yalnızca ad öneki eşleşmez", () => {
+    const sarf = { ...BUDGET, dimension: "category", key: "Sarf" };
+    const rows = [{ ...LINE, category: "Sarf" }, { ...LINE, category: "sarf > Vida" }, { ...LINE, category: "Sarfiyat" }, LINE];
+    expect(budgetUsage([sarf], rows, []).get("b1").spent).toBe(2000);
+    expect(budgetUsage([{ ...sarf, key: "Sarf > Vida" }], rows, []).get("b1").spent).toBe(1000);
+  });
+
+  it("kuru bulunamayan kalemler sayılır, tutara katılmaz", () => {
+    expect(budgetUsage([{ ...BUDGET, currencyCode: "EUR" }], lines, []).get("b1")).toMatchObject({ spent: 0, missingRate: 2 });
+  });
+
+  it.each([
+    [79.9, "ok"],
+    [80, "near"],
+    [100, "near"],
+    [100.1, "over"],
+  ])("usageLevel(%d) → %s", (pct, level) => {
+    expect(usageLevel(pct)).toBe(level);
+  });
+
+  it("limite tam ulaşmak aşım değildir; geçen kalem before / added / after ile raporlanır", () => {
+    const usage = budgetUsage([BUDGET], lines, []);
+    expect(budgetOverruns([BUDGET], usage, [{ ...LINE, qty: "30" }], [])).toEqual([]);
+    expect(budgetOverruns([BUDGET], usage, [{ ...LINE, qty: "31" }], [])).toEqual([{ budget: BUDGET, before: 2000, added: 3100, after: 5100, over: true, missingRate: 0 }]);
+  });
+
+  it("kuru bulunamayan yeni kalem 0 sayılmaz, bütçe aşım denetlenemedi olarak listelenir", () => {
+    const eur = { ...BUDGET, currencyCode: "EUR", amount: "100" };
+    const rates = [{ currencyCode: "EUR", date: "2026-03-01", rate: "40" }];
+    // Kur tarihinden önceki kalemin kuru yok; sonraki 1000 TL = 25 EUR
+    const rows = [
+      { ...LINE, date: "2026-02-01" },
+      { ...LINE, date: "2026-03-05" },
+    ];
+    expect(budgetOverruns([eur], new Map(), rows, rates)).toEqual([{ budget: eur, before: 0, added: 25, after: 25, over: false, missingRate: 1 }]);
+    // Kuru bulunanlar yine aşımı doğurabilir
+    expect(budgetOverruns([{ ...eur, amount: "20" }], new Map(), rows, rates)[0]).toMatchObject({ over: true, missingRate: 1 });
+  });
+
+  it("başka departman ya da dönemin kalemleri aşım doğurmaz", () => {
+    const usage = budgetUsage([BUDGET], lines, []);
+    expect(budgetOverruns([BUDGET], usage, [{ ...LINE, department: "Depo", qty: "100" }, { ...LINE, date: "2027-01-01", qty: "100" }], [])).toEqual([]);
+  });
+});
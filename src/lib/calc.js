@@ -0,0 +1,186 @@
+/**
+ * Sayı / tutar yardımcıları ve kalem hesapları (tüm ekranlarda ortak)
+ */
+
+export const UNIT_TYPES = ["Adet", "Kg", "Lt", "Paket", "Kutu", "Hizmet", "Çift"];
+
+/** 3,56 ve 3.56 -> 3.56 (son ayırıcı ondalık varsayılır; tek ayırıcı + 3 hane ise binlik olma olasılığı için heuristik) */
+function parseSmartNumber(v) {
+  if (typeof v === "number") return Number.isFinite(v) ? v : 0;
+  const s0 = String(v ?? "").trim();
+  if (!s0) return 0;
+
+  // keep digits, separators, sign
+  let s = s0.replace(/\s+/g, "");
+  let sign = "";
+  if (s.startsWith("-")) {
+    sign = "-";
+    s = s.slice(1);
+  }
+
+  // allow only digits and separators
+  s = s.replace(/[^\d.,]/g, "");
+  if (!s) return 0;
+
+  const lastDot = s.lastIndexOf(".");
+  const lastComma = s.lastIndexOf(",");
+  const hasDot = lastDot >= 0;
+  const hasComma = lastComma >= 0;
+
+  let decSep = null;
+  if (hasDot && hasComma) {
+    decSep = lastDot > lastComma ? "." : ",";
+  } else if (hasDot || hasComma) {
+    const sep = hasDot ? "." : ",";
+    const parts = s.split(sep);
+
+    // if exactly one separator and exactly 3 digits after it, likely thousands (e.g., 3.856 => 3856)
+    if (parts.length === 2 && parts[1].length === 3 && parts[0].length > 0 && parts[0].length <= 3) {
+      decSep = null; // treat as thousands
+    } else {
+      decSep = sep;
+    }
+  }
+
+  let intPart = s;
+  let fracPart = "";
+  if (decSep) {
+    const idx = s.lastIndexOf(decSep);
+    intPart = s.slice(0, idx);
+    fracPart = s.slice(idx + 1);
+  }
+
+  // remove any leftover separators in both parts (thousands, etc.)
+  intPart = intPart.replace(/[.,]/g, "");
+  fracPart = fracPart.replace(/[.,]/g, "");
+
+  const normalized = sign + (intPart || "0") + (fracPart ? "." + fracPart : "");
+  const n = Number(normalized);
+  return Number.isFinite(n) ? n : 0;
+}
+
+export function toNumber(v) {
+  return parseSmartNumber(v);
+}
+
+export function clamp(n, min, max) {
+  return Math.min(max, Math.max(min, n));
+}
+
+/** Görsel raporlama / tablo için (TR locale, binlik ayırıcı dahil) */
+export function money(n) {
+  const x = toNumber(n);
+  return x.toLocaleString("tr-TR", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+/** Miktar gösterimi: tam sayıda ondalık yok, kesirli miktarda en çok 3 hane (TR locale) */
+export function quantity(n) {
+  const x = toNumber(n);
+  return x.toLocaleString("tr-TR", { minimumFractionDigits: 0, maximumFractionDigits: 3 });
+}
+
+/** Input içinde "binlik ayırıcı eklemeden" gösterim (kırpılmış ondalık) */
+export function formatForInput(n, maxDecimals = 6) {
+  const x = toNumber(n);
+  if (!Number.isFinite(x)) return "";
+  const fixed = x.toFixed(maxDecimals);
+  // trim trailing zeros
+  let t = fixed.replace(/\.?0+$/, "");
+  // TR alışkanlığı için '.' -> ','
+  t = t.replace(".", ",");
+  return t;
+}
+
+/** Tablo sütun harfi (0 → A, 25 → Z, 26 → AA); içe aktarma eşlemesi ve Excel dışa aktarma */
+export function columnLetter(index) {
+  let s = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+  return s;
+}
+
+/** XML / HTML metin ve öznitelik değerleri için kaçış (UBL çıktısı, yazdırılabilir belgeler) */
+export function escapeXml(v) {
+  return String(v ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+export function uid() {
+  return Math.random().toString(16).slice(2) + Date.now().toString(16);
+}
+
+export function calcLine({ qty, unitPrice, discountRate, vatRate }) {
+  const q = Math.max(0, toNumber(qty));
+  const up = Math.max(0, toNumber(unitPrice));
+  const disc = clamp(toNumber(discountRate), 0, 100);
+  const vat = clamp(toNumber(vatRate), 0, 100);
+
+  const unitNet = up * (1 - disc / 100); // İskontolu birim (KDV hariç)
+  const unitVatIncl = unitNet * (1 + vat / 100);
+  const totalNet = unitNet * q;
+  const totalVatIncl = unitVatIncl * q;
+  const vatAmount = totalVatIncl - totalNet;
+
+  return { q, up, disc, vat, unitNet, unitVatIncl, totalNet, totalVatIncl, vatAmount };
+}
+
+export function sortComparator(sortKey, sortDir, getValue) {
+  return (a, b) => {
+    const va = getValue(a);
+    const vb = getValue(b);
+    const da = typeof va === "string" ? va.toLowerCase() : va;
+    const db = typeof vb === "string" ? vb.toLowerCase() : vb;
+
+    let r = 0;
+    if (da < db) r = -1;
+    else if (da > db) r = 1;
+    return sortDir === "asc" ? r : -r;
+  };
+}
+
+/**
+ * Çift yönlü hesaplama yardımcıları:
+ * - kullanıcı "iskontolu birim" veya "kdv dahil birim" girince iskonto% (gerekirse birim fiyat) güncellenir.
+ */
+export function deriveFromUnitNet(draft, nextUnitNet) {
+  const unitNet = Math.max(0, toNumber(nextUnitNet));
+  const up = Math.max(0, toNumber(draft.unitPrice));
+  if (up > 0) {
+    // discountRate = 100 * (1 - unitNet/unitPrice)
+    let disc = 100 * (1 - unitNet / up);
+    // unitNet > unitPrice ise negatif iskonto oluşur; bu durumda birim fiyatı yükselt ve iskonto=0 yap
+    if (disc < 0) return { ...draft, unitPrice: String(unitNet), discountRate: "0" };
+    return { ...draft, discountRate: String(clamp(disc, 0, 100)) };
+  }
+  // unitPrice yoksa: unitPrice = unitNet, iskonto=0
+  return { ...draft, unitPrice: String(unitNet), discountRate: "0" };
+}
+
+export function deriveFromUnitVatIncl(draft, nextUnitVatIncl) {
+  const vat = clamp(toNumber(draft.vatRate), 0, 100);
+  const uvi = Math.max(0, toNumber(nextUnitVatIncl));
+  const denom = 1 + vat / 100;
+  const unitNet = denom > 0 ? uvi / denom : uvi;
+  return deriveFromUnitNet(draft, unitNet);
+}
+
+export function blankInvoiceLine() {
+  return { _key: uid(), invoiceItem: "", qty: "1", unitType: UNIT_TYPES[0], unitPrice: "", discountRate: "", vatRate: "20" };
+}
+
+/** Kalemlerin toplamları (grossNet: iskonto öncesi KDV hariç) */
+export function sumLines(lines) {
+  return lines.reduce(
+    (acc, ln) => {
+      const c = calcLine(ln);
+      acc.totalNet += c.totalNet;
+      acc.totalVatIncl += c.totalVatIncl;
+      acc.vatAmount += c.vatAmount;
+      acc.grossNet += c.up * c.q;
+      return acc;
+    },
+    { grossNet: 0, totalNet: 0, totalVatIncl: 0, vatAmount: 0 }
+  );
+}
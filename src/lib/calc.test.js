@@ -0,0 +1,8 @@
+import { describe, expect, it } from "vitest";
+import { columnLetter } from "./calc.js";
+
+describe("sütun harfi", () => {
+  it("sütun harfleri Z'den sonra iki, ZZ'den sonra üç harfe geçer", () => {
+    expect([0, 25, 26, 27, 701, 702].map(columnLetter)).toEqual(["A", "Z", "AA", "AB", "ZZ", "AAA"]);
+  });
+});
@@ -0,0 +1,210 @@
+import { uid } from "./calc.js";
+
+/**
+ * Ürün kategorileri (ağaç)
+ * - Düğüm: { id, name, parentId, keywords: [] }; ürün kategorisi tam yol olarak saklanır: "Ofis Sarf > Kağıt".
+ * - Üst kategori filtresi / bütçesi alt kategorileri de kapsar (isUnder).
+ * - Anahtar kelime kuralı: kalem adında kelime geçen ürün o kategoriye atanır; birden fazla kural eşleşirse
+ *   en uzun kelime, eşitlikte daha derin kategori kazanır.
+ */
+
+export const PATH_SEP = " > ";
+
+function key(s) {
+  return String(s ?? "").trim().toLocaleLowerCase("tr");
+}
+
+export function blankCategory(parentId = "") {
+  return { id: uid(), name: "", parentId, keywords: [] };
+}
+
+/** Kökten düğüme ad yolu; döngü / kayıp ebeveyn varsa bulunan kısım */
+export function categoryPath(categories, id) {
+  const byId = new Map(categories.map((c) => [c.id, c]));
+  const names = [];
+  const seen = new Set();
+  for (let c = byId.get(id); c && !seen.has(c.id); c = byId.get(c.parentId)) {
+    seen.add(c.id);
+    names.unshift(c.name);
+  }
+  return names.join(PATH_SEP);
+}
+
+/** Ağaç sırasıyla düz liste: [{ id, name, path, depth, keywords }] */
+export function flattenCategories(categories) {
+  const children = new Map();
+  for (const c of categories) {
+    const p = categories.some((x) => x.id === c.parentId) ? c.parentId : "";
+    if (!children.has(p)) children.set(p, []);
+    children.get(p).push(c);
+  }
+  const out = [];
+  const walk = (parentId, depth, prefix) => {
+    const list = [...(children.get(parentId) ?? [])].sort((a, b) => a.name.localeCompare(b.name, "tr"));
+    for (const c of list) {
+      const path = prefix ? prefix + PATH_SEP + c.name : c.name;
+      out.push({ ...c, path, depth });
+      walk(c.id, depth + 1, path);
+    }
+  };
+  walk("", 0, "");
+  return out;
+}
+
+export function splitPath(path) {
+  return String(path ?? "")
+    .split(">")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+export function normalizePath(path) {
+  return splitPath(path).join(PATH_SEP);
+}
+
+/** path, ancestor'ın kendisi ya da altında mı (büyük / küçük harf duyarsız) */
+export function isUnder(path, ancestor) {
+  const p = key(normalizePath(path));
+  const a = key(normalizePath(ancestor));
+  if (!a) return true;
+  return p === a || p.startsWith(a + PATH_SEP);
+}
+
+/** Ürünlerde kullanılan ama ağaçta olmayan yollar (eski düz kategoriler, elle yazılanlar), sıralı */
+export function untrackedCategoryPaths(categories, items) {
+  const known = new Set(flattenCategories(categories).map((c) => key(c.path)));
+  const extra = [];
+  for (const it of items) {
+    const p = normalizePath(it.category);
+    if (p && !known.has(key(p))) {
+      known.add(key(p));
+      extra.push(p);
+    }
+  }
+  return extra.sort((a, b) => a.localeCompare(b, "tr"));
+}
+
+/** Ağaçtaki yollar (ağaç sırasıyla) + ağaçta olmayan ürün yolları */
+export function allCategoryPaths(categories, items) {
+  return [...flattenCategories(categories).map((c) => c.path), ...untrackedCategoryPaths(categories, items)];
+}
+
+/** Ağaçta olmayan yol parçaları için eklenecek düğümler */
+export function missingCategoryNodes(categories, paths) {
+  const all = [...categories];
+  const created = [];
+  for (const path of paths) {
+    let parentId = "";
+    for (const name of splitPath(path)) {
+      let node = all.find((c) => (c.parentId || "") === parentId && key(c.name) === key(name));
+      if (!node) {
+        node = { ...blankCategory(parentId), name };
+        all.push(node);
+        created.push(node);
+      }
+      parentId = node.id;
+    }
+  }
+  return created;
+}
+
+/** Alt ağaç (kendisi dahil) id'leri */
+export function descendantIds(categories, id) {
+  const out = new Set([id]);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const c of categories) {
+      if (!out.has(c.id) && out.has(c.parentId)) {
+        out.add(c.id);
+        grew = true;
+      }
+    }
+  }
+  return out;
+}
+
+export function validateCategory(draft, categories) {
+  const name = String(draft.name ?? "").trim();
+  if (!name) return "Kategori adı zorunludur.";
+  if (name.includes(">")) return "Kategori adında \">\" kullanılamaz.";
+  if (draft.parentId && descendantIds(categories, draft.id).has(draft.parentId)) return "Kategori kendi altına taşınamaz.";
+  const sibling = categories.find((c) => c.id !== draft.id && (c.parentId || "") === (draft.parentId || "") && key(c.name) === key(name));
+  if (sibling) return "Aynı üst kategoride bu adda bir kategori var.";
+  return "";
+}
+
+/** "a4, fotokopi kağıdı" → ["a4", "fotokopi kağıdı"] */
+export function parseKeywords(text) {
+  return [...new Set(String(text ?? "").split(/[,;\n]/).map(key).filter(Boolean))];
+}
+
+export function normalizeCategory(draft) {
+  // path / depth gibi görünüm alanları (flattenCategories) kayda girmez
+  return { id: draft.id, name: String(draft.name).trim(), parentId: draft.parentId || "", keywords: parseKeywords((draft.keywords ?? []).join(",")) };
+}
+
+/** Kalem / ürün adına kurallardan uyan kategori yolu; yoksa "" */
+export function matchCategory(categories, text) {
+  const hay = key(text);
+  if (!hay) return "";
+  let best = null;
+  for (const c of flattenCategories(categories)) {
+    for (const kw of c.keywords ?? []) {
+      if (!hay.includes(kw)) continue;
+      if (!best || kw.length > best.kw.length || (kw.length === best.kw.length && c.depth > best.depth)) best = { kw, depth: c.depth, path: c.path };
+    }
+  }
+  return best?.path ?? "";
+}
+
+/** Kuralları ürünlere uygular; overwrite yoksa yalnızca kategorisi boş olanlar. Dönen: değişen ürünler */
+export function applyCategoryRules(items, categories, { overwrite = false } = {}) {
+  const changed = [];
+  for (const it of items) {
+    if (!overwrite && String(it.category ?? "").trim()) continue;
+    const path = matchCategory(categories, it.name);
+    if (path && path !== it.category) changed.push({ ...it, category: path });
+  }
+  return changed;
+}
+
+/** Yeniden adlandırılan / taşınan kategorinin (ve altının) ürünlerdeki yolu */
+export function renameCategoryPath(path, oldPath, newPath) {
+  const p = normalizePath(path);
+  if (!isUnder(p, oldPath)) return path;
+  return newPath + p.slice(normalizePath(oldPath).length);
+}
+
+/**
+ * Kırılım: rows → parentPath'in bir alt seviyesindeki kategorilere göre toplam [{ path, name, value, lineCount, hasChildren }].
+ * Doğrudan parentPath'e atanmış kalemler "(doğrudan …)" satırında (path: null), kategorisizler "(Kategorisiz)" satırında.
+ */
+export function categoryBreakdown(rows, parentPath, valueOf) {
+  const depth = splitPath(parentPath).length;
+  const m = new Map();
+  for (const r of rows) {
+    const path = normalizePath(r.category);
+    if (parentPath && !isUnder(path, parentPath)) continue;
+    const parts = splitPath(path);
+    let name;
+    let itemPath;
+    if (!parts.length) {
+      name = "(Kategorisiz)";
+      itemPath = "";
+    } else if (parts.length <= depth) {
+      name = `(doğrudan ${parts[parts.length - 1]})`;
+      itemPath = null;
+    } else {
+      name = parts[depth];
+      itemPath = parts.slice(0, depth + 1).join(PATH_SEP);
+    }
+    const k = key(name);
+    if (!m.has(k)) m.set(k, { path: itemPath, name, value: 0, lineCount: 0, hasChildren: false });
+    const cur = m.get(k);
+    cur.value += valueOf(r);
+    cur.lineCount += 1;
+    if (parts.length > depth + 1) cur.hasChildren = true;
+  }
+  return [...m.values()].sort((a, b) => b.value - a.value);
+}
@@ -0,0 +1,133 @@
+import { describe, expect, it } from "vitest";
+import {
+  allCategoryPaths,
+  applyCategoryRules,
+  categoryBreakdown,
+  categoryPath,
+  flattenCategories,
+  isUnder,
+  matchCategory,
+  missingCategoryNodes,
+  normalizeCategory,
+  parseKeywords,
+  renameCategoryPath,
+  untrackedCategoryPaths,
+  validateCategory,
+} from "./categories.js";
+
+const categories = [
+  { id: "ofis", name: "Ofis Sarf", parentId: "", keywords: ["kalem"] },
+  { id: "kagit", name: "Kağıt", parentId: "ofis", keywords: ["a4", "fotokopi kağıdı"] },
+  { id: "temiz", name: "Temizlik", parentId: "", keywords: ["deterjan", "a4 bez"] },
+  { id: "kimya", name: "Kimyasal", parentId: "temiz", keywords: ["deterjan"] },
+];
+
+describe("kategori ağacı", () => {
+  it("yol ve ağaç sırası", () => {
+    expect(categoryPath(categories, "kagit")).toBe("Ofis Sarf > Kağıt");
+    expect(flattenCategories(categories).map((c) => [c.path, c.depth])).toEqual([
+      ["Ofis Sarf", 0],
+      ["Ofis Sarf > Kağıt", 1],
+      ["Temizlik", 0],
+      ["Temizlik > Kimyasal", 1],
+    ]);
+  });
+
+  it("döngüde takılmaz", () => {
+    const loop = [
+      { id: "a", name: "A", parentId: "b" },
+      { id: "b", name: "B", parentId: "a" },
+    ];
+    expect(categoryPath(loop, "a")).toBe("B > A");
+  });
+
+  it("ebeveyni silinmiş düğüm köke çıkar", () => {
+    expect(flattenCategories([{ id: "x", name: "Yetim", parentId: "silindi" }]).map((c) => [c.path, c.depth])).toEqual([["Yetim", 0]]);
+  });
+
+  it("isUnder alt kategorileri kapsar, ad öneki eşleşmez", () => {
+    expect(isUnder("Ofis Sarf > Kağıt", "ofis sarf")).toBe(true);
+    expect(isUnder("Ofis Sarf", "Ofis Sarf")).toBe(true);
+    expect(isUnder("Ofis Sarfiyat", "Ofis Sarf")).toBe(false);
+    expect(isUnder("Temizlik", "")).toBe(true);
+  });
+
+  it("kendi altına taşıma ve kardeş ad çakışması reddedilir", () => {
+    expect(validateCategory({ id: "ofis", name: "Ofis Sarf", parentId: "kagit" }, categories)).toMatch(/kendi altına/);
+    expect(validateCategory({ id: "yeni", name: "kağıt", parentId: "ofis" }, categories)).toMatch(/bu adda/);
+    expect(validateCategory({ id: "yeni", name: "Kağıt", parentId: "temiz" }, categories)).toBe("");
+    expect(validateCategory({ id: "yeni", name: "A > B", parentId: "" }, categories)).toMatch(/">"/);
+  });
+
+  it("eksik düğümleri yol parçalarından üretir", () => {
+    const created = missingCategoryNodes(categories, ["Ofis Sarf > Kağıt > Renkli", "Yeni > Alt"]);
+    expect(created.map((c) => c.name)).toEqual(["Renkli", "Yeni", "Alt"]);
+    expect(created[0].parentId).toBe("kagit");
+    expect(created[2].parentId).toBe(created[1].id);
+  });
+
+  it("yeniden adlandırma alt yolları taşır", () => {
+    expect(renameCategoryPath("Ofis Sarf > Kağıt", "Ofis Sarf", "Kırtasiye")).toBe("Kırtasiye > Kağıt");
+    expect(renameCategoryPath("ofis sarf>Kağıt", "Ofis Sarf", "Kırtasiye")).toBe("Kırtasiye > Kağıt");
+    expect(renameCategoryPath("Temizlik", "Ofis Sarf", "Kırtasiye")).toBe("Temizlik");
+  });
+});
+
+describe("ağaçta olmayan yollar", () => {
+  const items = [{ category: "Temizlik" }, { category: "Eski Düz Kategori" }, { category: "eski düz kategori" }, { category: "Ofis Sarf>Zarf" }, { category: " " }];
+
+  it("ürünlerdeki eski / elle yazılmış yollar bir kez, sıralı; ağaç yollarından sonra gelir", () => {
+    expect(untrackedCategoryPaths(categories, items)).toEqual(["Eski Düz Kategori", "Ofis Sarf > Zarf"]);
+    expect(allCategoryPaths(categories, items)).toEqual(["Ofis Sarf", "Ofis Sarf > Kağıt", "Temizlik", "Temizlik > Kimyasal", "Eski Düz Kategori", "Ofis Sarf > Zarf"]);
+  });
+
+  it("kaydedilen düğüme görünüm alanları girmez; kelimeler sadeleşir", () => {
+    const [view] = flattenCategories(categories);
+    expect(normalizeCategory({ ...view, name: " Ofis ", keywords: ["Kalem", "kalem", " "] })).toEqual({ id: "ofis", name: "Ofis", parentId: "", keywords: ["kalem"] });
+  });
+});
+
+describe("anahtar kelime kuralları", () => {
+  it("en uzun kelime, eşitlikte daha derin kategori kazanır", () => {
+    expect(matchCategory(categories, "A4 Fotokopi Kağıdı 80gr")).toBe("Ofis Sarf > Kağıt");
+    expect(matchCategory(categories, "A4 bez 10'lu")).toBe("Temizlik");
+    expect(matchCategory(categories, "Sıvı DETERJAN 5 lt")).toBe("Temizlik > Kimyasal");
+    expect(matchCategory(categories, "Zımba")).toBe("");
+  });
+
+  it("yalnızca kategorisi boş ürünlere uygular (overwrite yoksa)", () => {
+    const items = [
+      { id: 1, name: "Tükenmez Kalem", category: "" },
+      { id: 2, name: "Deterjan", category: "Diğer" },
+      { id: 3, name: "Zımba", category: "" },
+    ];
+    expect(applyCategoryRules(items, categories).map((x) => [x.id, x.category])).toEqual([[1, "Ofis Sarf"]]);
+    expect(applyCategoryRules(items, categories, { overwrite: true }).map((x) => x.id)).toEqual([1, 2]);
+  });
+
+  it("parseKeywords küçük harfe çevirir ve tekrarları atar", () => {
+    expect(parseKeywords("A4, a4; Fotokopi\nIşık")).toEqual(["a4", "fotokopi", "ışık"]);
+  });
+});
+
+describe("kategori kırılımı", () => {
+  it("bir alt seviyeye göre toplar; doğrudan atanmış ve kategorisiz satırlar ayrı", () => {
+    const rows = [
+      { category: "Ofis Sarf > Kağıt > Renkli", v: 10 },
+      { category: "Ofis Sarf > Kağıt", v: 5 },
+      { category: "Ofis Sarf", v: 3 },
+      { category: "Temizlik", v: 100 },
+      { category: "", v: 1 },
+    ];
+    expect(categoryBreakdown(rows, "", (r) => r.v).map((x) => [x.name, x.value])).toEqual([
+      ["Temizlik", 100],
+      ["Ofis Sarf", 18],
+      ["(Kategorisiz)", 1],
+    ]);
+    const sub = categoryBreakdown(rows, "Ofis Sarf", (r) => r.v);
+    expect(sub).toEqual([
+      { path: "Ofis Sarf > Kağıt", name: "Kağıt", value: 15, lineCount: 2, hasChildren: true },
+      { path: null, name: "(doğrudan Ofis Sarf)", value: 3, lineCount: 1, hasChildren: false },
+    ]);
+  });
+});
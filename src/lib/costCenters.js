@@ -0,0 +1,76 @@
+import { toNumber } from "./calc.js";
+
+/**
+ * Masraf merkezi (departman / proje) dağıtımı
+ * - Kalem: costCenters: [{ name, pct }] — tek merkez için tek satır (%100), bölünmüşse yüzdeler toplamı 100.
+ * - Kalemde dağıtım yoksa faturanın departmanı (%100) geçerlidir; o da yoksa "atanmamış" sayılır.
+ */
+
+export const UNASSIGNED = "(Atanmamış)";
+
+function nameKey(s) {
+  return String(s ?? "").trim().toLocaleLowerCase("tr");
+}
+
+/** Kalemin geçerli dağıtımı; fallback: fatura departmanı */
+export function lineCostSplits(line, fallback = "") {
+  const own = (line.costCenters ?? []).filter((s) => String(s.name ?? "").trim());
+  if (own.length) return own.map((s) => ({ name: String(s.name).trim(), pct: own.length === 1 ? 100 : toNumber(s.pct) }));
+  const dep = String(fallback ?? "").trim();
+  return dep ? [{ name: dep, pct: 100 }] : [];
+}
+
+/** Kalemin adı verilen merkeze düşen payı (0..1) */
+export function costCenterShare(line, fallback, name) {
+  const key = nameKey(name);
+  return lineCostSplits(line, fallback).reduce((s, x) => s + (nameKey(x.name) === key ? x.pct / 100 : 0), 0);
+}
+
+export function validateCostSplits(splits) {
+  const rows = (splits ?? []).filter((s) => String(s.name ?? "").trim() || String(s.pct ?? "").trim());
+  if (rows.length <= 1) return "";
+  if (rows.some((s) => !String(s.name ?? "").trim())) return "Masraf merkezi adı boş olamaz.";
+  const names = rows.map((s) => nameKey(s.name));
+  if (new Set(names).size !== names.length) return "Aynı masraf merkezi birden fazla kez girilmiş.";
+  if (rows.some((s) => !(toNumber(s.pct) > 0))) return "Dağıtım yüzdeleri 0'dan büyük olmalıdır.";
+  const total = rows.reduce((s, x) => s + toNumber(x.pct), 0);
+  if (Math.abs(total - 100) > 0.01) return `Dağıtım yüzdeleri toplamı %100 olmalıdır (şu an %${Number(total.toFixed(2))}).`;
+  return "";
+}
+
+/** Boş satırlar atılır; tek merkez %100 olur */
+export function normalizeCostSplits(splits) {
+  const rows = (splits ?? [])
+    .map((s) => ({ name: String(s.name ?? "").trim(), pct: String(s.pct ?? "").trim() }))
+    .filter((s) => s.name);
+  if (rows.length === 1) return [{ name: rows[0].name, pct: "100" }];
+  return rows;
+}
+
+export function formatCostSplits(splits) {
+  if (!splits.length) return "";
+  if (splits.length === 1) return splits[0].name;
+  return splits.map((s) => `${s.name} %${Number(toNumber(s.pct).toFixed(2))}`).join(" · ");
+}
+
+/**
+ * Merkez bazında toplam: rows → [{ name, value, lineCount }] (büyükten küçüğe).
+ * valueOf(row): kalem tutarı; bölünmüş kalemde yüzdeye göre paylaştırılır.
+ */
+export function costCenterBreakdown(rows, valueOf) {
+  const m = new Map();
+  const add = (name, value) => {
+    const key = nameKey(name);
+    if (!m.has(key)) m.set(key, { name, value: 0, lineCount: 0 });
+    const cur = m.get(key);
+    cur.value += value;
+    cur.lineCount += 1;
+  };
+  for (const r of rows) {
+    const v = valueOf(r);
+    const splits = lineCostSplits(r, r.department);
+    if (!splits.length) add(UNASSIGNED, v);
+    else for (const s of splits) add(s.name, (v * s.pct) / 100);
+  }
+  return [...m.values()].sort((a, b) => b.value - a.value);
+}
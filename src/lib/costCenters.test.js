@@ -0,0 +1,74 @@
+import { describe, expect, it } from "vitest";
+import { UNASSIGNED, costCenterBreakdown, costCenterShare, formatCostSplits, lineCostSplits, normalizeCostSplits, validateCostSplits } from "./costCenters.js";
+
+describe("lineCostSplits / costCenterShare", () => {
+  it("kalem dağıtımı; tek merkez %100 sayılır", () => {
+    expect(lineCostSplits({ costCenters: [{ name: " Üretim ", pct: "30" }] })).toEqual([{ name: "Üretim", pct: 100 }]);
+    expect(lineCostSplits({ costCenters: [{ name: "A", pct: "40" }, { name: "B", pct: "60" }, { name: "", pct: "" }] })).toEqual([
+      { name: "A", pct: 40 },
+      { name: "B", pct: 60 },
+    ]);
+  });
+
+  it("kalemde dağıtım yoksa fatura departmanı; o da yoksa boş", () => {
+    expect(lineCostSplits({}, "Depo")).toEqual([{ name: "Depo", pct: 100 }]);
+    expect(lineCostSplits({ costCenters: [] }, " ")).toEqual([]);
+  });
+
+  it("kalemde dağıtım varsa fatura departmanı yok sayılır; adı boş dağıtım satırı sayılmaz", () => {
+    expect(lineCostSplits({ costCenters: [{ name: "Ar-Ge", pct: "100" }] }, "Depo")).toEqual([{ name: "Ar-Ge", pct: 100 }]);
+    expect(lineCostSplits({ costCenters: [{ name: " ", pct: "100" }] }, "Depo")).toEqual([{ name: "Depo", pct: 100 }]);
+  });
+
+  it("merkez payı büyük/küçük harf duyarsız", () => {
+    const line = { costCenters: [{ name: "İdari", pct: "25" }, { name: "Depo", pct: "75" }] };
+    expect(costCenterShare(line, "", "idari")).toBe(0.25);
+    expect(costCenterShare(line, "", "Üretim")).toBe(0);
+    expect(costCenterShare({}, "Depo", "depo")).toBe(1);
+  });
+});
+
+describe("validateCostSplits / normalizeCostSplits", () => {
+  it("tek satır ya da boş dağıtım geçerlidir", () => {
+    expect(validateCostSplits([])).toBe("");
+    expect(validateCostSplits([{ name: "A", pct: "" }])).toBe("");
+    expect(validateCostSplits([{ name: "A", pct: "" }, { name: " ", pct: " " }])).toBe("");
+  });
+
+  it("ad, tekrar, yüzde ve toplam denetlenir", () => {
+    expect(validateCostSplits([{ name: "A", pct: "50" }, { name: "", pct: "50" }])).toBe("Masraf merkezi adı boş olamaz.");
+    expect(validateCostSplits([{ name: "A", pct: "50" }, { name: " a ", pct: "50" }])).toBe("Aynı masraf merkezi birden fazla kez girilmiş.");
+    expect(validateCostSplits([{ name: "A", pct: "100" }, { name: "B", pct: "0" }])).toBe("Dağıtım yüzdeleri 0'dan büyük olmalıdır.");
+    expect(validateCostSplits([{ name: "A", pct: "33,33" }, { name: "B", pct: "33,33" }])).toBe("Dağıtım yüzdeleri toplamı %100 olmalıdır (şu an %66.66).");
+    expect(validateCostSplits([{ name: "A", pct: "33,33" }, { name: "B", pct: "66,67" }])).toBe("");
+  });
+
+  it("boş satırlar atılır; tek merkez %100 olur", () => {
+    expect(normalizeCostSplits([{ name: " A ", pct: "40" }, { name: "", pct: "60" }])).toEqual([{ name: "A", pct: "100" }]);
+    expect(normalizeCostSplits([{ name: "A", pct: " 40" }, { name: "B", pct: "60" }])).toEqual([
+      { name: "A", pct: "40" },
+      { name: "B", pct: "60" },
+    ]);
+  });
+
+  it("formatCostSplits", () => {
+    expect(formatCostSplits([])).toBe("");
+    expect(formatCostSplits([{ name: "A", pct: 100 }])).toBe("A");
+    expect(formatCostSplits([{ name: "A", pct: "12,5" }, { name: "B", pct: "87,5" }])).toBe("A %12.5 · B %87.5");
+  });
+});
+
+describe("costCenterBreakdown", () => {
+  it("bölünmüş kalem yüzdeye göre paylaştırılır; dağıtımsız kalem atanmamış sayılır", () => {
+    const rows = [
+      { value: 100, costCenters: [{ name: "A", pct: "40" }, { name: "B", pct: "60" }] },
+      { value: 50, department: "a" },
+      { value: 30 },
+    ];
+    expect(costCenterBreakdown(rows, (r) => r.value)).toEqual([
+      { name: "A", value: 90, lineCount: 2 },
+      { name: "B", value: 60, lineCount: 1 },
+      { name: UNASSIGNED, value: 30, lineCount: 1 },
+    ]);
+  });
+});
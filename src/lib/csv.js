@@ -0,0 +1,97 @@
+/**
+ * CSV okuma
+ * - RFC 4180: tırnaklı alanlar, "" kaçışı, alan içinde satır sonu / ayırıcı.
+ * - Ayırıcı otomatik bulunur (, ; sekme |); Türkçe Excel çıktıları genelde ";" kullanır.
+ * - Kodlama: "auto" önce UTF-8 dener, geçersiz bayt varsa Windows-1254 (Türkçe Excel) ile okur. BOM atılır.
+ */
+
+export const CSV_ENCODINGS = [
+  { key: "auto", label: "Otomatik" },
+  { key: "utf-8", label: "UTF-8" },
+  { key: "windows-1254", label: "Windows-1254 (Türkçe)" },
+  { key: "iso-8859-9", label: "ISO-8859-9" },
+];
+
+const DELIMITERS = [",", ";", "\t", "|"];
+
+export function decodeText(buffer, encoding = "auto") {
+  let text;
+  if (encoding === "auto") {
+    try {
+      text = new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+    } catch {
+      text = new TextDecoder("windows-1254").decode(buffer);
+    }
+  } else {
+    text = new TextDecoder(encoding).decode(buffer);
+  }
+  return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+}
+
+/** İlk satırlarda (tırnak dışında) en tutarlı ve en sık geçen ayırıcı */
+export function detectDelimiter(text) {
+  const sample = text.slice(0, 20000);
+  let best = ",";
+  let bestScore = -1;
+  for (const d of DELIMITERS) {
+    const counts = [];
+    let n = 0;
+    let inQuotes = false;
+    for (let i = 0; i < sample.length && counts.length < 10; i++) {
+      const ch = sample[i];
+      if (ch === '"') inQuotes = !inQuotes;
+      else if (!inQuotes && ch === d) n++;
+      else if (!inQuotes && ch === "\n") {
+        counts.push(n);
+        n = 0;
+      }
+    }
+    if (n > 0 || counts.length === 0) counts.push(n);
+    const header = counts[0];
+    if (!header) continue;
+    // başlıkla aynı sayıda ayırıcı içeren satır sayısı öncelikli
+    const score = counts.filter((c) => c === header).length * 1000 + header;
+    if (score > bestScore) {
+      best = d;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/** Metin → satırlar (her satır alan dizisi); tamamen boş satırlar atlanır */
+export function parseCsv(text, delimiter = detectDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(field);
+    field = "";
+    if (row.length > 1 || row[0] !== "") rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else inQuotes = false;
+      } else field += ch;
+    } else if (ch === '"' && field === "") inQuotes = true;
+    else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\r") {
+      if (text[i + 1] === "\n") i++;
+      endRow();
+    } else if (ch === "\n") endRow();
+    else field += ch;
+  }
+  if (field !== "" || row.length) endRow();
+  return rows;
+}
@@ -0,0 +1,85 @@
+import { describe, expect, it } from "vitest";
+import { decodeText, detectDelimiter, parseCsv } from "./csv.js";
+
+describe("detectDelimiter", () => {
+  it("Türkçe Excel çıktısındaki noktalı virgülü bulur (ondalık virgüle rağmen)", () => {
+    expect(detectDelimiter("Tarih;Kalem;Tutar\n2025-01-02;Kalem A;1,50\n2025-01-03;Kalem B;2,75\n")).toBe(";");
+  });
+
+  it("ayırıcı bulunamazsa virgül", () => {
+    expect(detectDelimiter("tek sütun\nx\ny")).toBe(",");
+    expect(detectDelimiter("")).toBe(",");
+  });
+
+  it("sekme ve dikey çizgi ayırıcıları", () => {
+    expect(detectDelimiter("a\tb\tc\n1\t2\t3")).toBe("\t");
+    expect(detectDelimiter("a|b\n1|2")).toBe("|");
+  });
+
+  it("tırnak içindeki ayırıcıları saymaz", () => {
+    expect(detectDelimiter('ad,not\n"x;y;z",1\n"k;l;m",2')).toBe(",");
+  });
+});
+
+describe("parseCsv", () => {
+  it("tırnaklı alan, \"\" kaçışı ve alan içi satır sonu", () => {
+    const rows = parseCsv('ad,not\n"Vida, 4 mm","2"" boy"\n"çok\nsatırlı",x\n', ",");
+    expect(rows).toEqual([
+      ["ad", "not"],
+      ["Vida, 4 mm", '2" boy'],
+      ["çok\nsatırlı", "x"],
+    ]);
+  });
+
+  it("CRLF satır sonlarını ve boş satırları işler", () => {
+    expect(parseCsv("a;b\r\n\r\n1;2\r\n", ";")).toEqual([
+      ["a", "b"],
+      ["1", "2"],
+    ]);
+  });
+
+  it("son satırda satır sonu olmasa da okur, boş alanları korur", () => {
+    expect(parseCsv("a,b,c\n1,,3", ",")).toEqual([
+      ["a", "b", "c"],
+      ["1", "", "3"],
+    ]);
+  });
+
+  it("alan ortasındaki tırnak kaçış sayılmaz, olduğu gibi kalır", () => {
+    expect(parseCsv('ad;ölçü\nVida;4" boy', ";")).toEqual([
+      ["ad", "ölçü"],
+      ["Vida", '4" boy'],
+    ]);
+  });
+
+  it("tek sütunlu dosyada boş satırlar atlanır, boşluklu değerler korunur", () => {
+    expect(parseCsv("ad\n\n  \nx", ",")).toEqual([["ad"], ["  "], ["x"]]);
+  });
+
+  it("ayırıcı verilmezse kendisi bulur", () => {
+    expect(parseCsv("x;y\n1;2")).toEqual([
+      ["x", "y"],
+      ["1", "2"],
+    ]);
+  });
+});
+
+describe("decodeText", () => {
+  it("UTF-8 BOM'u atar", () => {
+    const buf = new Uint8Array([0xef, 0xbb, 0xbf, ...new TextEncoder().encode("Şişe")]).buffer;
+    expect(decodeText(buf)).toBe("Şişe");
+  });
+
+  it("geçersiz UTF-8'de Windows-1254'e düşer", () => {
+    // "Şişe" Windows-1254: Ş=0xDE, ş=0xFE
+    const buf = new Uint8Array([0xde, 0x69, 0xfe, 0x65]).buffer;
+    expect(decodeText(buf)).toBe("Şişe");
+  });
+
+  it("seçilen kodlama otomatik tahminden önce gelir", () => {
+    // "ü" UTF-8'de iki bayttır; ISO-8859-9 ile okunursa iki ayrı harf çıkar
+    const buf = new TextEncoder().encode("ü").buffer;
+    expect(decodeText(buf)).toBe("ü");
+    expect(decodeText(buf, "iso-8859-9")).toBe("Ã¼");
+  });
+});
@@ -0,0 +1,76 @@
+import { calcLine, money, toNumber } from "./calc.js";
+
+/**
+ * Döviz: fatura para birimi + kur
+ * - Fatura tutarları kendi para biriminde saklanır; exchangeRate = 1 birim dövizin TRY karşılığı.
+ * - Kur elle girilir ya da yerel kur tablosundan (exchangeRates) fatura tarihine göre alınır;
+ *   seçilen kur faturaya yazılır, tablo sonradan değişse de fatura değişmez.
+ * - Raporlar ve toplamlar TRY'ye çevrilmiş tutarlarla çalışır.
+ */
+
+export const BASE_CURRENCY = "TRY";
+
+export const CURRENCIES = [
+  { code: "TRY", label: "Türk Lirası" },
+  { code: "EUR", label: "Euro" },
+  { code: "USD", label: "ABD Doları" },
+  { code: "GBP", label: "İngiliz Sterlini" },
+];
+
+export function isForeign(currencyCode) {
+  return !!currencyCode && currencyCode !== BASE_CURRENCY;
+}
+
+/** Tablodaki, tarihe eşit ya da öncesindeki en güncel kur kaydı (yoksa null) */
+export function lookupRate(rates, currencyCode, date) {
+  if (!isForeign(currencyCode)) return null;
+  let best = null;
+  for (const r of rates) {
+    if (r.currencyCode !== currencyCode || toNumber(r.rate) <= 0) continue;
+    if (date && r.date > date) continue;
+    if (!best || r.date > best.date) best = r;
+  }
+  return best;
+}
+
+/** Faturanın TRY çarpanı (TRY faturalar ve kuru girilmemiş eski kayıtlar için 1) */
+export function invoiceFxRate(inv) {
+  if (!isForeign(inv?.currencyCode)) return 1;
+  const rate = toNumber(inv.exchangeRate);
+  return rate > 0 ? rate : 1;
+}
+
+/** calcLine sonucunun tutar alanlarını kura göre çevirir (oranlar ve adet aynı kalır) */
+export function convertCalc(c, rate) {
+  return {
+    ...c,
+    up: c.up * rate,
+    unitNet: c.unitNet * rate,
+    unitVatIncl: c.unitVatIncl * rate,
+    totalNet: c.totalNet * rate,
+    totalVatIncl: c.totalVatIncl * rate,
+    vatAmount: c.vatAmount * rate,
+  };
+}
+
+/** joined satırı (fxRate taşır) için TRY cinsinden calcLine */
+export function calcLineTry(row) {
+  return convertCalc(calcLine(row), row.fxRate ?? 1);
+}
+
+/** 1.234,50 EUR — TRY için birim yazılmaz */
+export function formatAmount(amount, currencyCode) {
+  return isForeign(currencyCode) ? `${money(amount)} ${currencyCode}` : money(amount);
+}
+
+/** Kaydetmeden önce: dövizli faturada kur zorunludur */
+export function fxError({ currencyCode, exchangeRate }) {
+  if (isForeign(currencyCode) && toNumber(exchangeRate) <= 0) return `${currencyCode} faturası için kur giriniz (elle ya da kur tablosundan).`;
+  return "";
+}
+
+/** Faturaya yazılacak para birimi alanları (TRY faturada kur 1) */
+export function fxFields({ currencyCode, exchangeRate }) {
+  const code = currencyCode || BASE_CURRENCY;
+  return { currencyCode: code, exchangeRate: isForeign(code) ? String(exchangeRate ?? "").trim() : "1" };
+}
@@ -0,0 +1,82 @@
+import { describe, expect, it } from "vitest";
+import { calcLine } from "./calc.js";
+import { calcLineTry, convertCalc, formatAmount, fxError, fxFields, invoiceFxRate, isForeign, lookupRate } from "./currency.js";
+
+describe("kur tablosu", () => {
+  const rates = [
+    { currencyCode: "EUR", date: "2025-12-01", rate: "35,10" },
+    { currencyCode: "EUR", date: "2025-12-10", rate: "36.25" },
+    { currencyCode: "EUR", date: "2025-12-20", rate: "0" },
+    { currencyCode: "EUR", date: "2025-12-22", rate: "" },
+    { currencyCode: "USD", date: "2025-12-15", rate: "33" },
+  ];
+
+  it("fatura tarihindeki ya da öncesindeki en güncel kur", () => {
+    expect(lookupRate(rates, "EUR", "2025-12-10").rate).toBe("36.25");
+    expect(lookupRate(rates, "EUR", "2025-12-09").rate).toBe("35,10");
+  });
+
+  it("0 ve boş kurlar atlanır; başka para biriminin kuru kullanılmaz", () => {
+    expect(lookupRate(rates, "EUR", "2025-12-31").date).toBe("2025-12-10");
+    expect(lookupRate(rates, "USD", "2025-12-14")).toBeNull();
+  });
+
+  it("tarih verilmezse en son kur; TRY için kur aranmaz", () => {
+    expect(lookupRate(rates, "USD", "").rate).toBe("33");
+    expect(lookupRate(rates, "TRY", "2025-12-15")).toBeNull();
+    expect(lookupRate([], "EUR", "2025-12-15")).toBeNull();
+  });
+});
+
+describe("fatura kuru", () => {
+  it.each([
+    [{ currencyCode: "EUR", exchangeRate: "36,5" }, 36.5],
+    [{ currencyCode: "TRY", exchangeRate: "36" }, 1],
+    [{ currencyCode: "EUR", exchangeRate: "" }, 1],
+    [{ currencyCode: "EUR", exchangeRate: "-2" }, 1],
+    [{ exchangeRate: "40" }, 1],
+    [null, 1],
+  ])("%j → %d", (inv, rate) => {
+    expect(invoiceFxRate(inv)).toBe(rate);
+  });
+
+  it("boş para birimi TRY sayılır", () => {
+    expect(isForeign("")).toBe(false);
+    expect(isForeign("GBP")).toBe(true);
+  });
+});
+
+describe("TRY'ye çevirme", () => {
+  it("tutarlar kurla çarpılır; miktar, iskonto ve KDV oranı değişmez", () => {
+    const c = convertCalc(calcLine({ qty: "3", unitPrice: "10", discountRate: "10", vatRate: "20" }), 40);
+    expect(c).toMatchObject({ q: 3, disc: 10, vat: 20 });
+    expect(c.up).toBeCloseTo(400);
+    expect(c.unitNet).toBeCloseTo(360);
+    expect(c.totalNet).toBeCloseTo(1080);
+    expect(c.vatAmount).toBeCloseTo(216);
+  });
+
+  it("joined satırı fxRate taşımıyorsa TRY sayılır", () => {
+    expect(calcLineTry({ qty: "1", unitPrice: "10", vatRate: "0", fxRate: 35 }).totalNet).toBeCloseTo(350);
+    expect(calcLineTry({ qty: "1", unitPrice: "10", vatRate: "0" }).totalNet).toBeCloseTo(10);
+  });
+
+  it("dövizli tutar para birimiyle, TRY tutar birimsiz yazılır", () => {
+    expect(formatAmount(1234.5, "EUR")).toBe("1.234,50 EUR");
+    expect(formatAmount(1234.5, "TRY")).toBe("1.234,50");
+  });
+});
+
+describe("kaydetme", () => {
+  it("dövizli faturada kur zorunludur; TRY faturada aranmaz", () => {
+    expect(fxError({ currencyCode: "USD", exchangeRate: "" })).toBe("USD faturası için kur giriniz (elle ya da kur tablosundan).");
+    expect(fxError({ currencyCode: "USD", exchangeRate: "0" })).not.toBe("");
+    expect(fxError({ currencyCode: "TRY", exchangeRate: "" })).toBe("");
+  });
+
+  it("TRY faturaya eski kur taşınmaz, 1 yazılır", () => {
+    expect(fxFields({ currencyCode: "TRY", exchangeRate: "35" })).toEqual({ currencyCode: "TRY", exchangeRate: "1" });
+    expect(fxFields({ currencyCode: "", exchangeRate: "" })).toEqual({ currencyCode: "TRY", exchangeRate: "1" });
+    expect(fxFields({ currencyCode: "EUR", exchangeRate: " 36 " })).toEqual({ currencyCode: "EUR", exchangeRate: "36" });
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * IndexedDB depolama katmanı
+ * - Her koleksiyon (faturalar, kalemler, ...) ayrı bir object store'dur, anahtar: "id"
+ * - Şema sürümü = MIGRATIONS.length; açılışta eksik adımlar sırayla çalışır
+ * - "meta" store: seed bilgisi gibi anahtar/değer kayıtları
+ */
+
+import { uid } from "./calc.js";
+
+const DB_NAME = "satinalma";
+
+/*
+ * Göç adımlarındaki veri dönüşümleri o sürümün kurallarıyla burada sabitlenir (suppliers.js / items.js kullanılmaz):
+ * uygulamadaki eşleştirme ya da kayıt biçimi sonradan değişse de eski veritabanı hep aynı sonuçla yükseltilir.
+ */
+const trimmed = (s) => String(s ?? "").trim();
+const nameKey = (s) => trimmed(s).toLocaleLowerCase("tr");
+
+/** v4: faturalardaki her ad için (boşluk / harf duyarsız) bir tedarikçi kartı; ad ilk görüldüğü gibi */
+function supplierCardsV4(invoices) {
+  const byKey = new Map();
+  for (const inv of invoices) {
+    const name = trimmed(inv.supplierName);
+    if (!name || byKey.has(nameKey(name))) continue;
+    byKey.set(nameKey(name), { id: uid(), name, taxId: "", taxOffice: "", address: "", iban: "", paymentTermDays: "30", contacts: [], note: "" });
+  }
+  return byKey;
+}
+
+const UNIT_TYPES_V5 = ["Adet", "Kg", "Lt", "Paket", "Kutu", "Hizmet", "Çift"];
+
+/** v5: kalemlerdeki her ad için bir ürün (URN-0001...); birim ve KDV adın ilk görüldüğü kalemden */
+function catalogItemsV5(lines) {
+  const byKey = new Map();
+  for (const ln of lines) {
+    const name = trimmed(ln.invoiceItem);
+    if (!name || byKey.has(nameKey(name))) continue;
+    byKey.set(nameKey(name), {
+      id: uid(),
+      sku: "URN-" + String(byKey.size + 1).padStart(4, "0"),
+      name,
+      category: "",
+      unitType: UNIT_TYPES_V5.includes(ln.unitType) ? ln.unitType : "Adet",
+      vatRate: String(ln.vatRate ?? "20"),
+      barcode: "",
+      active: true,
+    });
+  }
+  return byKey;
+}
+
+/** Sıra önemlidir: index i, sürüm i → i+1 yükseltmesidir. Mevcut adımlar değiştirilmez, yenisi eklenir. */
+const MIGRATIONS = [
+  // v1: faturalar, kalemler, meta
+  (db) => {
+    db.createObjectStore("invoices", { keyPath: "id" });
+    const lines = db.createObjectStore("lines", { keyPath: "id" });
+    lines.createIndex("invoiceId", "invoiceId");
+    db.createObjectStore("meta", { keyPath: "key" });
+  },
+  // v2: satınalma siparişleri
+  (db) => {
+    db.createObjectStore("orders", { keyPath: "id" });
+    const orderLines = db.createObjectStore("orderLines", { keyPath: "id" });
+    orderLines.createIndex("orderId", "orderId");
+  },
+  // v3: mal kabul
+  (db) => {
+    const receipts = db.createObjectStore("receipts", { keyPath: "id" });
+    receipts.createIndex("orderId", "orderId");
+    const receiptLines = db.createObjectStore("receiptLines", { keyPath: "id" });
+    receiptLines.createIndex("receiptId", "receiptId");
+  },
+  // v4: tedarikçi kartları; mevcut faturalardaki adlardan kart açılır ve supplierId bağlanır
+  (db, tx) => {
+    const suppliers = db.createObjectStore("suppliers", { keyPath: "id" });
+    const invoices = tx.objectStore("invoices");
+    invoices.getAll().onsuccess = (e) => {
+      const list = e.target.result;
+      const cards = supplierCardsV4(list);
+      for (const card of cards.values()) suppliers.put(card);
+      for (const inv of list) {
+        const card = cards.get(nameKey(inv.supplierName));
+        if (card) invoices.put({ ...inv, supplierId: card.id });
+      }
+    };
+  },
+  // v5: ürün kataloğu; mevcut kalem adlarından ürün açılır ve itemId bağlanır
+  (db, tx) => {
+    const items = db.createObjectStore("items", { keyPath: "id" });
+    const lines = tx.objectStore("lines");
+    lines.getAll().onsuccess = (e) => {
+      const list = e.target.result;
+      const catalog = catalogItemsV5(list);
+      for (const it of catalog.values()) items.put(it);
+      for (const ln of list) {
+        const item = catalog.get(nameKey(ln.invoiceItem));
+        if (item) lines.put({ ...ln, itemId: item.id, invoiceItem: item.name });
+      }
+    };
+  },
+  // v6: döviz kur tablosu
+  (db) => {
+    const rates = db.createObjectStore("exchangeRates", { keyPath: "id" });
+    rates.createIndex("currencyDate", ["currencyCode", "date"]);
+  },
+  // v7: tedarikçi ödemeleri (fatura dağıtımları kayıt içinde tutulur)
+  (db) => {
+    const payments = db.createObjectStore("payments", { keyPath: "id" });
+    payments.createIndex("supplierId", "supplierId");
+  },
+  // v8: değişiklik kaydı (denetim izi)
+  (db) => {
+    const log = db.createObjectStore("auditLog", { keyPath: "id" });
+    log.createIndex("entityId", "entityId");
+    log.createIndex("invoiceId", "invoiceId");
+  },
+  // v9: bütçeler (dönem + departman / kategori)
+  (db) => {
+    db.createObjectStore("budgets", { keyPath: "id" });
+  },
+  // v10: ürün kategori ağacı (anahtar kelime kuralları düğümde)
+  (db) => {
+    db.createObjectStore("categories", { keyPath: "id" });
+  },
+  // v11: satınalma talepleri (kalem, onay geçmişi ve yorumlar kayıt içinde) + onay kuralları
+  (db) => {
+    db.createObjectStore("requests", { keyPath: "id" });
+    db.createObjectStore("approvalRules", { keyPath: "id" });
+  },
+];
+
+export const DB_VERSION = MIGRATIONS.length;
+
+let dbPromise = null;
+
+function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function txDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("İşlem iptal edildi."));
+  });
+}
+
+export function openDb() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") return reject(new Error("Tarayıcı IndexedDB desteklemiyor."));
+
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = (e) => {
+      const db = req.result;
+      for (let v = e.oldVersion; v < DB_VERSION; v++) MIGRATIONS[v](db, req.transaction);
+    };
+    req.onsuccess = () => {
+      const db = req.result;
+      // başka sekme daha yeni şema açarsa bağlantıyı bırak
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error("Veritabanı başka bir sekmede eski sürümle açık. Diğer sekmeleri kapatıp sayfayı yenileyin."));
+  });
+
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+}
+
+export async function getAll(store) {
+  const db = await openDb();
+  const tx = db.transaction(store, "readonly");
+  return requestToPromise(tx.objectStore(store).getAll());
+}
+
+/** Tek transaction içinde put + delete */
+export async function writeChanges(store, { put = [], remove = [] }) {
+  if (put.length === 0 && remove.length === 0) return;
+  const db = await openDb();
+  const tx = db.transaction(store, "readwrite");
+  const os = tx.objectStore(store);
+  for (const rec of put) os.put(rec);
+  for (const id of remove) os.delete(id);
+  return txDone(tx);
+}
+
+/** Verilen koleksiyonları tamamen değiştirir: { invoices: [...], lines: [...] } */
+export async function replaceAll(data) {
+  const stores = Object.keys(data);
+  const db = await openDb();
+  const tx = db.transaction(stores, "readwrite");
+  for (const s of stores) {
+    const os = tx.objectStore(s);
+    os.clear();
+    for (const rec of data[s]) os.put(rec);
+  }
+  return txDone(tx);
+}
+
+export async function getMeta(key) {
+  const db = await openDb();
+  const tx = db.transaction("meta", "readonly");
+  const row = await requestToPromise(tx.objectStore("meta").get(key));
+  return row?.value;
+}
+
+export async function setMeta(key, value) {
+  const db = await openDb();
+  const tx = db.transaction("meta", "readwrite");
+  tx.objectStore("meta").put({ key, value });
+  return txDone(tx);
+}
@@ -0,0 +1,138 @@
+import { IDBFactory } from "fake-indexeddb";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { COLLECTIONS } from "./backend.js";
+
+// openDb bağlantıyı modülde tuttuğu için her testte temiz bir IndexedDB ve taze modül
+let db;
+
+beforeEach(async () => {
+  vi.stubGlobal("indexedDB", new IDBFactory());
+  vi.resetModules();
+  db = await import("./db.js");
+});
+
+afterEach(async () => {
+  (await db.openDb().catch(() => null))?.close();
+  vi.unstubAllGlobals();
+});
+
+/** v3 şemasıyla (faturalar, kalemler, siparişler, mal kabul) eski bir veritabanı oluşturur */
+function createV3(invoices, lines) {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open("satinalma", 3);
+    req.onupgradeneeded = () => {
+      const old = req.result;
+      for (const s of ["invoices", "lines", "orders", "orderLines", "receipts", "receiptLines"]) old.createObjectStore(s, { keyPath: "id" });
+      old.createObjectStore("meta", { keyPath: "key" });
+      const tx = req.transaction;
+      for (const inv of invoices) tx.objectStore("invoices").put(inv);
+      for (const ln of lines) tx.objectStore("lines").put(ln);
+    };
+    req.onsuccess = () => {
+      req.result.close();
+      resolve();
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+const byId = (list) => Object.fromEntries(list.map((x) => [x.id, x]));
+
+describe("IndexedDB şeması", () => {
+  it("yeni veritabanında her koleksiyon ve meta için store açılır", async () => {
+    const conn = await db.openDb();
+    expect(conn.version).toBe(db.DB_VERSION);
+    expect([...conn.objectStoreNames].sort()).toEqual([...COLLECTIONS, "meta"].sort());
+  });
+
+  it("v3'ten yükseltmede tedarikçi adları harf / boşluk duyarsız tek karta bağlanır; adsız fatura bağlanmaz", async () => {
+    await createV3(
+      [
+        { id: "f1", supplierName: " Aras Hırdavat " },
+        { id: "f2", supplierName: "ARAS HIRDAVAT" },
+        { id: "f3", supplierName: "Bora Elektrik" },
+        { id: "f4", supplierName: "" },
+      ],
+      []
+    );
+
+    const suppliers = await db.getAll("suppliers");
+    const invoices = byId(await db.getAll("invoices"));
+    expect(suppliers.map((s) => s.name).sort()).toEqual(["Aras Hırdavat", "Bora Elektrik"]);
+    const aras = suppliers.find((s) => s.name === "Aras Hırdavat");
+    expect(aras).toMatchObject({ paymentTermDays: "30", contacts: [] });
+    expect(invoices.f1.supplierId).toBe(aras.id);
+    expect(invoices.f2.supplierId).toBe(aras.id);
+    expect(invoices.f2.supplierName).toBe("ARAS HIRDAVAT");
+    expect(invoices.f4.supplierId).toBeUndefined();
+  });
+
+  it("v3'ten yükseltmede kalem adlarından ürün açılır; birim / KDV ilk kalemden, Türkçe büyük-küçük harf eşleşir", async () => {
+    await createV3(
+      [],
+      [
+        { id: "l1", invoiceItem: "Vida", unitType: "Kutu", vatRate: "10" },
+        { id: "l2", invoiceItem: " VİDA", unitType: "Adet", vatRate: "20" },
+        { id: "l3", invoiceItem: "Boya", unitType: "Galon" },
+        { id: "l4", invoiceItem: "  " },
+      ]
+    );
+
+    const items = await db.getAll("items");
+    const lines = byId(await db.getAll("lines"));
+    expect(items.map((it) => [it.sku, it.name, it.unitType, it.vatRate])).toEqual(
+      expect.arrayContaining([
+        ["URN-0001", "Vida", "Kutu", "10"],
+        ["URN-0002", "Boya", "Adet", "20"],
+      ])
+    );
+    expect(items).toHaveLength(2);
+    const vida = items.find((it) => it.name === "Vida");
+    expect(lines.l2).toMatchObject({ itemId: vida.id, invoiceItem: "Vida", unitType: "Adet" });
+    expect(lines.l4.itemId).toBeUndefined();
+  });
+
+  it("güncel sürümdeki veritabanı yeniden açılınca veri korunur", async () => {
+    await db.writeChanges("suppliers", { put: [{ id: "s1", name: "Aras" }] });
+    (await db.openDb()).close();
+
+    vi.resetModules();
+    db = await import("./db.js");
+    expect(await db.getAll("suppliers")).toEqual([{ id: "s1", name: "Aras" }]);
+  });
+});
+
+describe("IndexedDB okuma / yazma", () => {
+  it("writeChanges tek işlemde ekler, günceller ve siler", async () => {
+    await db.writeChanges("categories", { put: [{ id: "c1", name: "Sarf" }, { id: "c2", name: "Boya" }] });
+    await db.writeChanges("categories", { put: [{ id: "c1", name: "Sarf Malzeme" }], remove: ["c2", "yok"] });
+    expect(await db.getAll("categories")).toEqual([{ id: "c1", name: "Sarf Malzeme" }]);
+  });
+
+  it("bilinmeyen store'a yazım reddedilir", async () => {
+    await expect(db.writeChanges("yok", { put: [{ id: "x" }] })).rejects.toThrow();
+  });
+
+  it("replaceAll verilen koleksiyonları boşaltıp yazar, diğerlerine dokunmaz", async () => {
+    await db.writeChanges("budgets", { put: [{ id: "b1" }] });
+    await db.writeChanges("categories", { put: [{ id: "c1" }] });
+    await db.replaceAll({ categories: [{ id: "c2" }, { id: "c3" }] });
+    expect(await db.getAll("categories")).toEqual([{ id: "c2" }, { id: "c3" }]);
+    expect(await db.getAll("budgets")).toEqual([{ id: "b1" }]);
+  });
+
+  it("meta değeri yoksa undefined, yazılanı geri okur", async () => {
+    expect(await db.getMeta("seeded")).toBeUndefined();
+    await db.setMeta("seeded", true);
+    expect(await db.getMeta("seeded")).toBe(true);
+  });
+});
+
+describe("IndexedDB yoksa", () => {
+  it("açılış anlaşılır bir hatayla reddedilir ve sonraki denemede yeniden denenir", async () => {
+    vi.stubGlobal("indexedDB", undefined);
+    await expect(db.openDb()).rejects.toThrow("Tarayıcı IndexedDB desteklemiyor.");
+    vi.stubGlobal("indexedDB", new IDBFactory());
+    await expect(db.getMeta("seeded")).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Tablo içe aktarmada sütun eşleme
+ * - Dosya, sayfa başına satır dizisi (grid) olarak okunur; başlık satırı seçilebilir.
+ * - Sütunlar alanlara başlık adından tahminle eşlenir, kullanıcı değiştirebilir.
+ * - Eşleme, başlık adlarıyla "profil" olarak saklanır; aynı düzendeki dosyalarda yeniden uygulanır.
+ */
+
+export const IMPORT_FIELDS = [
+  { key: "date", label: "Tarih", required: true, aliases: ["tarih", "date", "fatura tarihi"] },
+  { key: "supplierName", label: "Tedarikçi", required: true, aliases: ["tedarikci adi", "tedarikci", "supplier", "firma", "unvan"] },
+  { key: "invoiceNo", label: "Fatura No", aliases: ["fatura no", "fatura", "invoice no", "belge no"] },
+  { key: "invoiceItem", label: "Fatura Kalemi", required: true, aliases: ["fatura kalemi", "kalem", "item", "urun", "aciklama"] },
+  { key: "qty", label: "Miktar", aliases: ["adet", "miktar", "qty"] },
+  { key: "unitType", label: "Birim", aliases: ["birim turu", "birim", "unit"] },
+  { key: "unitPrice", label: "Birim Fiyat", aliases: ["birim fiyat", "unit price", "fiyat"] },
+  { key: "discountRate", label: "İskonto %", aliases: ["iskonto orani", "iskonto", "discount"] },
+  { key: "vatRate", label: "KDV %", aliases: ["kdv orani", "kdv", "vat"] },
+  { key: "unitNet", label: "Net Birim (iskontolu)", aliases: ["iskontolu birim fiyat", "iskontolu birim", "unit net"] },
+  { key: "unitVatIncl", label: "Brüt Birim (KDV dahil)", aliases: ["kdv dahil birim fiyat", "kdv dahil birim", "unit vat incl"] },
+  { key: "currencyCode", label: "Para Birimi", aliases: ["para birimi", "doviz", "currency"] },
+  { key: "exchangeRate", label: "Kur", aliases: ["kur", "doviz kuru", "exchange rate"] },
+  { key: "paymentTermDays", label: "Vade (gün)", aliases: ["vade", "vade gun", "payment term"] },
+];
+
+export function normHeader(s) {
+  return String(s || "")
+    .trim()
+    .toLowerCase()
+    .replace(/ı/g, "i")
+    .replace(/ğ/g, "g")
+    .replace(/ü/g, "u")
+    .replace(/ş/g, "s")
+    .replace(/ö/g, "o")
+    .replace(/ç/g, "c")
+    .replace(/\s+/g, " ")
+    .replace(/[^a-z0-9 ]/g, "");
+}
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+/** Hücre → metin; Excel tarihleri YYYY-MM-DD (gece yarısına yuvarlama kaymasına karşı +1 dk) */
+export function cellText(v) {
+  if (v == null) return "";
+  if (v instanceof Date) {
+    const d = new Date(v.getTime() + 60000);
+    return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+  }
+  return String(v).trim();
+}
+
+export function headerCells(grid, headerRow) {
+  return (grid[headerRow] ?? []).map(cellText);
+}
+
+export function columnCount(grid, headerRow) {
+  return Math.max(0, ...grid.slice(headerRow, headerRow + 50).map((r) => r.length));
+}
+
+/** Başlık satırının altındaki ilk dolu değerler */
+export function columnSamples(grid, headerRow, col, n = 3) {
+  const out = [];
+  for (let i = headerRow + 1; i < grid.length && out.length < n; i++) {
+    const v = cellText(grid[i]?.[col]);
+    if (v) out.push(v);
+  }
+  return out;
+}
+
+/** { alan: sütun no } — başlık adlarından tahmin; her sütun tek alana */
+export function guessMapping(headers) {
+  const norm = headers.map(normHeader);
+  const used = new Set();
+  const mapping = {};
+  for (const f of IMPORT_FIELDS) {
+    for (const alias of f.aliases) {
+      const col = norm.findIndex((h, i) => h === alias && !used.has(i));
+      if (col >= 0) {
+        mapping[f.key] = col;
+        used.add(col);
+        break;
+      }
+    }
+  }
+  return mapping;
+}
+
+export function mappingError(mapping) {
+  const missing = IMPORT_FIELDS.filter((f) => f.required && mapping[f.key] == null).map((f) => f.label);
+  return missing.length ? `Eşlenmesi zorunlu alanlar: ${missing.join(", ")}.` : "";
+}
+
+/**
+ * Başlık satırından sonraki satırlar → { rowNo, date, supplierName, ... } (metin).
+ * rowNo: sayfadaki satır numarası (1'den); tamamen boş satırlar atlanır.
+ */
+export function applyMapping(grid, headerRow, mapping) {
+  const out = [];
+  for (let i = headerRow + 1; i < grid.length; i++) {
+    const cells = grid[i] ?? [];
+    if (!cells.some((c) => cellText(c))) continue;
+    const rec = { rowNo: i + 1 };
+    for (const f of IMPORT_FIELDS) rec[f.key] = mapping[f.key] == null ? "" : cellText(cells[mapping[f.key]]);
+    out.push(rec);
+  }
+  return out;
+}
+
+/** Profil: eşleme sütun numarasıyla değil başlık adıyla saklanır */
+export function mappingToProfile(name, { sheetName, headerRow, headers, mapping }) {
+  const columns = {};
+  for (const [field, col] of Object.entries(mapping)) {
+    const header = normHeader(headers[col]);
+    if (header) columns[field] = header;
+  }
+  return { name, sheetName, headerRow, columns };
+}
+
+/** Profilin başlıkları bu satırda bulunursa eşleme; bulunamayan alan sayısı missing'de */
+export function profileToMapping(profile, headers) {
+  const norm = headers.map(normHeader);
+  const mapping = {};
+  let missing = 0;
+  for (const [field, header] of Object.entries(profile.columns ?? {})) {
+    const col = norm.indexOf(header);
+    if (col >= 0) mapping[field] = col;
+    else missing++;
+  }
+  return { mapping, missing };
+}
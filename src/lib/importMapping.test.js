@@ -0,0 +1,90 @@
+import { describe, expect, it } from "vitest";
+import {
+  applyMapping,
+  cellText,
+  columnCount,
+  columnSamples,
+  guessMapping,
+  headerCells,
+  mappingError,
+  mappingToProfile,
+  normHeader,
+  profileToMapping,
+} from "./importMapping.js";
+
+describe("başlık ve hücre metni", () => {
+  it.each([
+    ["  KDV  Oranı ", "kdv orani"],
+    ["TARİH", "tarih"],
+    ["İskonto (%)", "iskonto "],
+    ["Birim\tFiyat", "birim fiyat"],
+    [null, ""],
+  ])("normHeader(%j) → %j", (input, expected) => {
+    expect(normHeader(input)).toBe(expected);
+  });
+
+  it("Excel tarihi gece yarısından hemen önce okunsa da aynı güne yuvarlanır", () => {
+    expect(cellText(new Date(2025, 10, 30, 23, 59, 59, 500))).toBe("2025-12-01");
+    expect(cellText(new Date(2025, 11, 1, 0, 0, 0))).toBe("2025-12-01");
+    expect(cellText(0)).toBe("0");
+    expect(cellText(undefined)).toBe("");
+  });
+
+  it("başlık satırı yoksa boş; sütun sayısı en uzun satırdan", () => {
+    const grid = [["Rapor"], ["Tarih", "Firma"], ["2025-12-01", "Delta", "fazla hücre"]];
+    expect(headerCells(grid, 5)).toEqual([]);
+    expect(columnCount(grid, 1)).toBe(3);
+    expect(columnCount([], 0)).toBe(0);
+  });
+
+  it("örnek değerler boş hücreleri atlar ve n ile sınırlanır", () => {
+    const grid = [["Kalem"], [""], ["Vida"], [" "], ["Somun"], ["Pul"]];
+    expect(columnSamples(grid, 0, 0, 2)).toEqual(["Vida", "Somun"]);
+    expect(columnSamples(grid, 0, 3)).toEqual([]);
+  });
+});
+
+describe("eşleme tahmini", () => {
+  it("Türkçe karakter ve noktalama duyarsız; her sütun tek alana", () => {
+    const mapping = guessMapping(["Fatura Tarihi", "Tedarikçi Adı", "Ürün", "Adet", "Birim Fiyat", "KDV", "Fiyat"]);
+    expect(mapping).toEqual({ date: 0, supplierName: 1, invoiceItem: 2, qty: 3, unitPrice: 4, vatRate: 5 });
+  });
+
+  it("tek başına \"Fiyat\" birim fiyat sayılır; tekrar eden başlıkta ilki alınır", () => {
+    expect(guessMapping(["Kalem", "Fiyat"])).toEqual({ invoiceItem: 0, unitPrice: 1 });
+    expect(guessMapping(["Tarih", "Tarih"])).toEqual({ date: 0 });
+  });
+
+  it("eksik zorunlu alanlar etiketleriyle listelenir", () => {
+    expect(mappingError({ date: 0, supplierName: 1, invoiceItem: 2 })).toBe("");
+    expect(mappingError({ date: 0 })).toBe("Eşlenmesi zorunlu alanlar: Tedarikçi, Fatura Kalemi.");
+    expect(mappingError({})).toBe("Eşlenmesi zorunlu alanlar: Tarih, Tedarikçi, Fatura Kalemi.");
+  });
+});
+
+describe("eşlemeyi uygulama", () => {
+  it("başlıktan sonraki boş olmayan satırlar; satır no sayfadaki sıradır", () => {
+    const grid = [["Rapor"], ["Tarih", "Firma", "Kalem"], ["2025-12-01", " Delta ", "Vida"], ["", " ", null], [new Date(2025, 11, 2), "Aras", 5]];
+    const recs = applyMapping(grid, 1, { date: 0, supplierName: 1, invoiceItem: 2 });
+    expect(recs.map((r) => r.rowNo)).toEqual([3, 5]);
+    expect(recs[0]).toMatchObject({ date: "2025-12-01", supplierName: "Delta", invoiceItem: "Vida", qty: "", vatRate: "" });
+    expect(recs[1]).toMatchObject({ date: "2025-12-02", invoiceItem: "5" });
+  });
+
+  it("eşlenen sütun satırda yoksa alan boş kalır", () => {
+    expect(applyMapping([["Tarih"], ["2025-12-01"]], 0, { date: 0, qty: 4 })[0]).toMatchObject({ date: "2025-12-01", qty: "" });
+  });
+});
+
+describe("içe aktarma profili", () => {
+  const profile = mappingToProfile("Delta", { sheetName: "S1", headerRow: 2, headers: ["Tarih", "Firma", "", "Kalem"], mapping: { date: 0, supplierName: 1, qty: 2, invoiceItem: 3 } });
+
+  it("başlık adıyla saklanır; başlıksız sütun profile girmez", () => {
+    expect(profile).toEqual({ name: "Delta", sheetName: "S1", headerRow: 2, columns: { date: "tarih", supplierName: "firma", invoiceItem: "kalem" } });
+  });
+
+  it("sütun sırası değişse de uygulanır; bulunamayanlar sayılır", () => {
+    expect(profileToMapping(profile, ["Kalem", "TARİH", "Not"])).toEqual({ mapping: { date: 1, invoiceItem: 0 }, missing: 1 });
+    expect(profileToMapping({ name: "Boş" }, ["Tarih"])).toEqual({ mapping: {}, missing: 0 });
+  });
+});
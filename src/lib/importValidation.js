@@ -0,0 +1,150 @@
+import { UNIT_TYPES, toNumber } from "./calc.js";
+import { CURRENCIES, fxError, lookupRate } from "./currency.js";
+import { findSupplierByName } from "./suppliers.js";
+
+/**
+ * Tablo içe aktarma ön kontrolü (eşlenmiş satırlar üzerinde, kayıt yazılmadan önce)
+ * - Hata: satır aktarılmaz (zorunlu alan, tarih, sayı, KDV oranı, para birimi, dövizli satırda kur; fatura formundaki fxError kuralı).
+ * - Uyarı: satır aktarılır, değer düzeltilir ya da varsayılan kullanılır (birim, boş miktar / fiyat).
+ * - Aynı tedarikçi + fatura no ile kayıtlı fatura varsa satır "mevcut" sayılır.
+ */
+
+export const VAT_RATES = ["0", "1", "10", "20"];
+// 10.07.2023 öncesi faturalar için eski oranlar
+const LEGACY_VAT_RATES = ["8", "18"];
+const LEGACY_VAT_UNTIL = "2023-07-10";
+
+export const IMPORT_ROW_STATUSES = {
+  ok: { label: "Hazır", cls: "bg-emerald-50 text-emerald-800 ring-emerald-200" },
+  warning: { label: "Uyarı", cls: "bg-amber-50 text-amber-800 ring-amber-200" },
+  duplicate: { label: "Mevcut", cls: "bg-slate-100 text-slate-700 ring-slate-200" },
+  error: { label: "Hata", cls: "bg-rose-50 text-rose-800 ring-rose-200" },
+};
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+/** YYYY-MM-DD, GG.AA.YYYY, GG/AA/YYYY, GG-AA-YYYY → YYYY-MM-DD; geçersizse "" */
+export function parseImportDate(s) {
+  const t = String(s ?? "").trim();
+  let y, m, d;
+  let match = t.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ].*)?$/);
+  if (match) [, y, m, d] = match;
+  else if ((match = t.match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{4})(?: .*)?$/))) [, d, m, y] = match;
+  else return "";
+  const date = new Date(Number(y), Number(m) - 1, Number(d));
+  if (date.getFullYear() !== Number(y) || date.getMonth() !== Number(m) - 1 || date.getDate() !== Number(d)) return "";
+  return `${y}-${pad2(m)}-${pad2(d)}`;
+}
+
+function isNumeric(s) {
+  return /^-?[\d\s.,]*\d[\d\s.,]*%?$/.test(String(s).trim());
+}
+
+function matchUnit(s) {
+  const key = s.toLocaleLowerCase("tr-TR");
+  return UNIT_TYPES.find((u) => u.toLocaleLowerCase("tr-TR") === key) ?? "";
+}
+
+function invoiceNoKey(s) {
+  return String(s ?? "").trim().toLocaleUpperCase("tr-TR");
+}
+
+/**
+ * Satır başına { rowNo, source, record, errors, warnings, duplicateOf, status }.
+ * record: düzeltilmiş değerler (tarih ISO, birim listeden, para birimi büyük harf); source: dosyadaki hali.
+ */
+export function validateImportRecords(records, { invoices, suppliers, exchangeRates }) {
+  const currencyCodes = new Set(CURRENCIES.map((c) => c.code));
+
+  return records.map((source) => {
+    const errors = [];
+    const warnings = [];
+    const rec = { ...source };
+
+    if (!rec.supplierName) errors.push("Tedarikçi boş.");
+    if (!rec.invoiceItem) errors.push("Fatura kalemi boş.");
+    if (!rec.date) errors.push("Tarih boş.");
+    else {
+      rec.date = parseImportDate(source.date);
+      if (!rec.date) errors.push(`Tarih okunamadı: "${source.date}".`);
+    }
+
+    for (const [key, label] of [
+      ["qty", "Miktar"],
+      ["unitPrice", "Birim fiyat"],
+      ["discountRate", "İskonto"],
+      ["vatRate", "KDV oranı"],
+      ["unitNet", "Net birim"],
+      ["unitVatIncl", "Brüt birim"],
+      ["exchangeRate", "Kur"],
+      ["paymentTermDays", "Vade"],
+    ]) {
+      const v = rec[key];
+      if (!v) continue;
+      if (!isNumeric(v)) errors.push(`${label} sayı değil: "${v}".`);
+      else if (toNumber(v) < 0) errors.push(`${label} negatif olamaz.`);
+    }
+    if (rec.discountRate && toNumber(rec.discountRate) > 100) errors.push("İskonto %100'den büyük olamaz.");
+
+    if (rec.vatRate && isNumeric(rec.vatRate)) {
+      const vat = String(toNumber(rec.vatRate));
+      const legacy = LEGACY_VAT_RATES.includes(vat) && rec.date && rec.date < LEGACY_VAT_UNTIL;
+      if (!VAT_RATES.includes(vat) && !legacy) errors.push(`KDV oranı geçersiz: %${vat} (izin verilen: ${VAT_RATES.map((x) => "%" + x).join(", ")}).`);
+      else rec.vatRate = vat;
+    } else if (!rec.vatRate) warnings.push("KDV oranı boş; %20 alınır.");
+
+    if (!rec.qty) warnings.push("Miktar boş; 1 alınır.");
+    if (!rec.unitPrice && !rec.unitNet && !rec.unitVatIncl) warnings.push("Birim fiyat boş; 0 alınır.");
+
+    if (rec.unitType) {
+      const unit = matchUnit(rec.unitType);
+      if (unit) rec.unitType = unit;
+      else {
+        warnings.push(`Bilinmeyen birim "${rec.unitType}"; Adet alınır.`);
+        rec.unitType = "Adet";
+      }
+    }
+
+    rec.currencyCode = (rec.currencyCode || "TRY").toUpperCase();
+    if (!currencyCodes.has(rec.currencyCode)) errors.push(`Para birimi desteklenmiyor: ${rec.currencyCode}.`);
+    else if (rec.date) {
+      const fx = { currencyCode: rec.currencyCode, exchangeRate: rec.exchangeRate || lookupRate(exchangeRates, rec.currencyCode, rec.date)?.rate };
+      const err = fxError(fx);
+      if (err) errors.push(err);
+    }
+
+    let duplicateOf = "";
+    if (rec.invoiceNo && rec.supplierName) {
+      const card = findSupplierByName(suppliers, rec.supplierName);
+      const no = invoiceNoKey(rec.invoiceNo);
+      const dup = invoices.find(
+        (x) => invoiceNoKey(x.invoiceNo) === no && (card ? x.supplierId === card.id : x.supplierName === rec.supplierName)
+      );
+      if (dup) duplicateOf = dup.invoiceNo;
+    }
+
+    const status = errors.length ? "error" : duplicateOf ? "duplicate" : warnings.length ? "warning" : "ok";
+    return { rowNo: source.rowNo, source, record: rec, errors, warnings, duplicateOf, status };
+  });
+}
+
+/** Aktarılacak satırlar ve oluşacak fatura / yeni tedarikçi sayıları */
+export function importSummary(rows, suppliers, includeDuplicates = false) {
+  const accepted = rows.filter((r) => r.status === "ok" || r.status === "warning" || (includeDuplicates && r.status === "duplicate"));
+  const acceptedSet = new Set(accepted);
+  const invoiceKeys = new Set();
+  const newSuppliers = new Set();
+  for (const { record: r } of accepted) {
+    invoiceKeys.add(r.invoiceNo ? `${r.supplierName}__${r.invoiceNo}__${r.date}` : `row${r.rowNo}`);
+    if (!findSupplierByName(suppliers, r.supplierName)) newSuppliers.add(r.supplierName.trim().toLocaleLowerCase("tr-TR"));
+  }
+  return {
+    accepted,
+    rejected: rows.filter((r) => !acceptedSet.has(r)),
+    invoiceCount: invoiceKeys.size,
+    newSupplierCount: newSuppliers.size,
+    counts: Object.fromEntries(Object.keys(IMPORT_ROW_STATUSES).map((s) => [s, rows.filter((r) => r.status === s).length])),
+  };
+}
@@ -0,0 +1,147 @@
+import { describe, expect, it } from "vitest";
+import { importSummary, parseImportDate, validateImportRecords } from "./importValidation.js";
+
+const ctx = {
+  suppliers: [{ id: "s1", name: "Delta Tedarik" }],
+  invoices: [
+    { id: "i1", supplierId: "s1", supplierName: "Delta Tedarik", invoiceNo: "ARS-1" },
+    { id: "i2", supplierId: "", supplierName: "Kartsız Ltd.", invoiceNo: "K-9" },
+  ],
+  exchangeRates: [{ currencyCode: "EUR", date: "2025-12-01", rate: "36" }],
+};
+
+// Tüm alanları geçerli bir satır; her test yalnızca denediği alanı değiştirir
+const VALID = {
+  rowNo: 2,
+  date: "2025-12-05",
+  supplierName: "Delta Tedarik",
+  invoiceNo: "",
+  invoiceItem: "Vida",
+  qty: "10",
+  unitType: "Adet",
+  unitPrice: "2,50",
+  discountRate: "",
+  vatRate: "20",
+  unitNet: "",
+  unitVatIncl: "",
+  currencyCode: "",
+  exchangeRate: "",
+  paymentTermDays: "",
+};
+
+const check = (patch) => validateImportRecords([{ ...VALID, ...patch }], ctx)[0];
+
+describe("tarih okuma", () => {
+  it.each([
+    ["2025-12-05", "2025-12-05"],
+    ["2025-1-5", "2025-01-05"],
+    ["2025-12-05T10:30:00", "2025-12-05"],
+    ["5.12.2025", "2025-12-05"],
+    ["05/12/2025", "2025-12-05"],
+    ["05-12-2025 14:00", "2025-12-05"],
+    ["29.02.2024", "2024-02-29"],
+    ["29.02.2025", ""],
+    ["31.04.2025", ""],
+    ["2025-13-01", ""],
+    ["12/2025", ""],
+    ["", ""],
+  ])("%j → %j", (input, expected) => {
+    expect(parseImportDate(input)).toBe(expected);
+  });
+});
+
+describe("satır denetimi", () => {
+  it("geçerli satır hazır; para birimi boşsa TRY", () => {
+    const r = check({});
+    expect(r).toMatchObject({ status: "ok", errors: [], warnings: [], duplicateOf: "" });
+    expect(r.record.currencyCode).toBe("TRY");
+    expect(r.source.currencyCode).toBe("");
+  });
+
+  it("zorunlu alanlar ve okunamayan tarih", () => {
+    expect(check({ supplierName: "", invoiceItem: "", date: "" }).errors).toEqual(["Tedarikçi boş.", "Fatura kalemi boş.", "Tarih boş."]);
+    expect(check({ date: "31.02.2025" }).errors).toEqual(['Tarih okunamadı: "31.02.2025".']);
+  });
+
+  it.each([
+    [{ qty: "on" }, 'Miktar sayı değil: "on".'],
+    [{ unitPrice: "-1" }, "Birim fiyat negatif olamaz."],
+    [{ discountRate: "100,5" }, "İskonto %100'den büyük olamaz."],
+    [{ paymentTermDays: "30 gün" }, 'Vade sayı değil: "30 gün".'],
+    [{ vatRate: "18" }, "KDV oranı geçersiz: %18 (izin verilen: %0, %1, %10, %20)."],
+    [{ vatRate: "8", date: "2023-07-10" }, "KDV oranı geçersiz: %8 (izin verilen: %0, %1, %10, %20)."],
+    [{ currencyCode: "jpy" }, "Para birimi desteklenmiyor: JPY."],
+  ])("%j reddedilir", (patch, message) => {
+    const r = check(patch);
+    expect(r.status).toBe("error");
+    expect(r.errors).toEqual([message]);
+  });
+
+  it("eski KDV oranları 10.07.2023 öncesi faturada geçerli; oran sadeleşir", () => {
+    expect(check({ vatRate: "18", date: "09.07.2023" })).toMatchObject({ status: "ok", record: { vatRate: "18" } });
+    expect(check({ vatRate: "20,0%" }).record.vatRate).toBe("20");
+  });
+
+  it("birim listeden Türkçe harf duyarsız seçilir; bilinmeyen birim Adet", () => {
+    expect(check({ unitType: "PAKET" }).record.unitType).toBe("Paket");
+    const r = check({ unitType: "Koli" });
+    expect(r).toMatchObject({ status: "warning", warnings: ['Bilinmeyen birim "Koli"; Adet alınır.'], record: { unitType: "Adet" } });
+  });
+
+  it("boş miktar, KDV ve fiyat varsayılanla aktarılır; net ya da brüt birim fiyat yeterli", () => {
+    expect(check({ qty: "", vatRate: "", unitPrice: "" }).warnings).toEqual(["KDV oranı boş; %20 alınır.", "Miktar boş; 1 alınır.", "Birim fiyat boş; 0 alınır."]);
+    expect(check({ unitPrice: "", unitVatIncl: "3" }).warnings).toEqual([]);
+  });
+
+  it("dövizli satırda kur yoksa ya da geçersizse hata; fatura formundaki kural", () => {
+    expect(check({ currencyCode: "eur" })).toMatchObject({ status: "ok", record: { currencyCode: "EUR" } });
+    expect(check({ currencyCode: "EUR", date: "2025-11-30" })).toMatchObject({ status: "error", errors: ["EUR faturası için kur giriniz (elle ya da kur tablosundan)."] });
+    expect(check({ currencyCode: "USD", exchangeRate: "0" }).status).toBe("error");
+    expect(check({ currencyCode: "USD", exchangeRate: "34,2" })).toMatchObject({ status: "ok", errors: [], warnings: [] });
+  });
+});
+
+describe("mükerrer fatura", () => {
+  it("aynı tedarikçi kartı ve fatura no (büyük/küçük harf duyarsız) mevcut sayılır", () => {
+    expect(check({ supplierName: "DELTA TEDARİK", invoiceNo: " ars-1 " })).toMatchObject({ status: "duplicate", duplicateOf: "ARS-1" });
+  });
+
+  it("başka tedarikçide aynı numara mükerrer değildir; kartsız tedarikçi adla karşılaştırılır", () => {
+    expect(check({ supplierName: "Aras", invoiceNo: "ARS-1" }).status).toBe("ok");
+    expect(check({ supplierName: "Kartsız Ltd.", invoiceNo: "K-9" }).duplicateOf).toBe("K-9");
+  });
+
+  it("hatalı satır mükerrer olsa da hata durumunda kalır", () => {
+    expect(check({ invoiceNo: "ARS-1", qty: "-1" })).toMatchObject({ status: "error", duplicateOf: "ARS-1" });
+  });
+});
+
+describe("aktarım özeti", () => {
+  const rows = validateImportRecords(
+    [
+      { ...VALID, rowNo: 2, invoiceNo: "B-1" },
+      { ...VALID, rowNo: 3, invoiceNo: "B-1", invoiceItem: "Somun" },
+      { ...VALID, rowNo: 4, invoiceNo: "B-1", date: "2025-12-06" },
+      { ...VALID, rowNo: 5, supplierName: "Yeni Firma" },
+      { ...VALID, rowNo: 6, supplierName: "YENİ FİRMA", unitType: "Koli" },
+      { ...VALID, rowNo: 7, invoiceNo: "ARS-1" },
+      { ...VALID, rowNo: 8, date: "" },
+    ],
+    ctx
+  );
+
+  it("aynı tedarikçi + no + tarih tek fatura; numarasız her satır ayrı fatura", () => {
+    const s = importSummary(rows, ctx.suppliers);
+    expect(s.accepted.map((r) => r.rowNo)).toEqual([2, 3, 4, 5, 6]);
+    expect(s.rejected.map((r) => r.rowNo)).toEqual([7, 8]);
+    expect(s.invoiceCount).toBe(4);
+    expect(s.newSupplierCount).toBe(1);
+    expect(s.counts).toEqual({ ok: 4, warning: 1, duplicate: 1, error: 1 });
+  });
+
+  it("mükerrerler istenirse aktarılır; hatalılar hiçbir zaman", () => {
+    const s = importSummary(rows, ctx.suppliers, true);
+    expect(s.rejected.map((r) => r.rowNo)).toEqual([8]);
+    expect(s.invoiceCount).toBe(5);
+  });
+});
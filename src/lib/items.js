@@ -0,0 +1,123 @@
+import { UNIT_TYPES, toNumber, uid } from "./calc.js";
+
+/**
+ * Ürün kataloğu (Tedarik Ürünleri)
+ * - Fatura kalemleri ürüne itemId ile bağlanır; invoiceItem satırdaki ad kopyasıdır (ürün adı değişince güncellenir).
+ * - Katalogdan seçilen üründe birim ve KDV oranı varsayılanları satıra yazılır.
+ * - Pasif ürünler eski satırlarda kalır, otomatik tamamlamada önerilmez.
+ */
+
+export function blankItem(name = "", defaults = {}) {
+  return {
+    id: uid(),
+    sku: "",
+    name,
+    category: "",
+    unitType: UNIT_TYPES.includes(defaults.unitType) ? defaults.unitType : "Adet",
+    vatRate: String(defaults.vatRate ?? "20"),
+    barcode: "",
+    active: true,
+  };
+}
+
+/** URN-0001 biçiminde, katalogdaki en büyük numaranın bir fazlası */
+export function nextSku(items) {
+  let max = 0;
+  for (const it of items) {
+    const m = /^URN-(\d+)$/.exec(String(it.sku || ""));
+    if (m) max = Math.max(max, Number(m[1]));
+  }
+  return "URN-" + String(max + 1).padStart(4, "0");
+}
+
+/** EAN-8 / EAN-13 kontrol hanesi; diğer uzunluklar serbest biçim kabul edilir */
+export function isValidBarcode(value) {
+  const s = String(value ?? "").trim();
+  if (!s) return true;
+  if (!/^\d+$/.test(s) || (s.length !== 8 && s.length !== 13)) return /^[A-Za-z0-9-]+$/.test(s);
+  const d = [...s].map(Number);
+  const check = d.pop();
+  const sum = d.reverse().reduce((acc, n, i) => acc + n * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === check;
+}
+
+function nameKey(name) {
+  return String(name ?? "").trim().toLocaleLowerCase("tr");
+}
+
+export function findItemByName(items, name) {
+  const key = nameKey(name);
+  if (!key) return null;
+  return items.find((it) => nameKey(it.name) === key) ?? null;
+}
+
+/** Kalem alanına yazılan ad, SKU veya barkod ile eşleşen ürün */
+export function findCatalogItem(items, text) {
+  const raw = String(text ?? "").trim();
+  if (!raw) return null;
+  return findItemByName(items, raw) ?? items.find((it) => (it.sku && it.sku === raw) || (it.barcode && it.barcode === raw)) ?? null;
+}
+
+/** Satıra ürünü bağlar: ad, birim ve KDV varsayılanları */
+export function applyItemDefaults(line, item) {
+  return { ...line, itemId: item.id, invoiceItem: item.name, unitType: item.unitType, vatRate: String(item.vatRate ?? "") };
+}
+
+export function validateItem(draft, items) {
+  const name = String(draft.name || "").trim();
+  if (!name) return "Ürün adı zorunludur.";
+  const same = findItemByName(items, name);
+  if (same && same.id !== draft.id) return `"${name}" adlı bir ürün zaten var.`;
+
+  const sku = String(draft.sku || "").trim();
+  if (sku && items.some((it) => it.id !== draft.id && it.sku === sku)) return `${sku} kodu başka bir üründe kullanılıyor.`;
+
+  const barcode = String(draft.barcode || "").trim();
+  if (!isValidBarcode(barcode)) return "Barkod geçersiz (EAN-8 / EAN-13 kontrol hanesi).";
+  if (barcode && items.some((it) => it.id !== draft.id && it.barcode === barcode)) return "Bu barkod başka bir üründe kayıtlı.";
+
+  const vat = toNumber(draft.vatRate);
+  if (vat < 0 || vat > 100) return "KDV oranı 0-100 arasında olmalıdır.";
+  return "";
+}
+
+export function normalizeItem(draft, items) {
+  return {
+    ...draft,
+    sku: String(draft.sku || "").trim() || nextSku(items),
+    name: String(draft.name || "").trim(),
+    category: String(draft.category || "").trim(),
+    vatRate: String(draft.vatRate ?? "").trim(),
+    barcode: String(draft.barcode || "").trim(),
+    active: draft.active !== false,
+  };
+}
+
+/**
+ * Satırların kalem adlarını katalog ürünlerine çözer; bulunamayanlar için satırın birim / KDV'siyle yeni ürün açar.
+ * categorize(name): yeni ürünün kategorisi (anahtar kelime kuralları, src/lib/categories.js)
+ * byName: satırdaki ad → ürün, created: eklenecek yeni ürünler
+ */
+export function resolveItems(items, lines, categorize) {
+  const byName = new Map();
+  const created = [];
+  for (const ln of lines) {
+    const name = String(ln.invoiceItem ?? "").trim();
+    if (!name || byName.has(name)) continue;
+    let item = findItemByName(items, name) ?? findItemByName(created, name);
+    if (!item) {
+      item = { ...blankItem(name, ln), sku: nextSku([...items, ...created]), category: categorize?.(name) ?? "" };
+      created.push(item);
+    }
+    byName.set(name, item);
+  }
+  return { byName, created };
+}
+
+/** resolveItems sonucunu satırlara uygular (birim / KDV satırda olduğu gibi kalır) */
+export function linkLinesToItems(lines, byName) {
+  return lines.map((ln) => {
+    const item = byName.get(String(ln.invoiceItem ?? "").trim());
+    return item ? { ...ln, itemId: item.id, invoiceItem: item.name } : ln;
+  });
+}
@@ -0,0 +1,107 @@
+import { describe, expect, it } from "vitest";
+import { applyItemDefaults, blankItem, findCatalogItem, isValidBarcode, linkLinesToItems, nextSku, normalizeItem, resolveItems, validateItem } from "./items.js";
+
+const catalog = [
+  { id: "i1", sku: "URN-0001", name: "Vida M6", barcode: "4006381333931", unitType: "Paket", vatRate: "20", active: true },
+  { id: "i2", sku: "URN-0002", name: "Işık Bandı", barcode: "", unitType: "Metre", vatRate: "10", active: false },
+];
+
+describe("SKU", () => {
+  it("URN-#### biçimindeki en büyük numaranın bir fazlası; elle verilmiş kodlar sayılmaz", () => {
+    expect(nextSku([])).toBe("URN-0001");
+    expect(nextSku([{ sku: "URN-0007" }, { sku: "URN-0012" }, { sku: "ÖZEL-99" }, { sku: "URN-12A" }])).toBe("URN-0013");
+  });
+});
+
+describe("barkod", () => {
+  it.each(["4006381333931", "96385074", "", "ABC-123", "12345"])("%j kabul edilir", (code) => {
+    expect(isValidBarcode(code)).toBe(true);
+  });
+
+  it.each(["4006381333932", "96385075", "AB 12", "12/34"])("%j reddedilir", (code) => {
+    expect(isValidBarcode(code)).toBe(false);
+  });
+});
+
+describe("katalogdan seçim", () => {
+  it("ad (Türkçe büyük/küçük harf duyarsız), SKU ya da barkodla bulunur", () => {
+    expect(findCatalogItem(catalog, " vida m6 ")?.id).toBe("i1");
+    expect(findCatalogItem(catalog, "IŞIK BANDI")?.id).toBe("i2");
+    expect(findCatalogItem(catalog, "URN-0002")?.id).toBe("i2");
+    expect(findCatalogItem(catalog, "4006381333931")?.id).toBe("i1");
+    expect(findCatalogItem(catalog, "urn-0002")).toBeNull();
+    expect(findCatalogItem(catalog, "  ")).toBeNull();
+  });
+
+  it("seçilen ürünün birim ve KDV varsayılanları satıra yazılır, miktar ve fiyat korunur", () => {
+    const line = { id: "l1", invoiceItem: "vida", qty: "3", unitPrice: "12", unitType: "Adet", vatRate: "1" };
+    expect(applyItemDefaults(line, catalog[0])).toEqual({ ...line, itemId: "i1", invoiceItem: "Vida M6", unitType: "Paket", vatRate: "20" });
+  });
+
+  it("yeni ürün taslağı tanımsız birimi Adet'e çeker", () => {
+    expect(blankItem("Pul", { unitType: "Koli", vatRate: 10 })).toMatchObject({ name: "Pul", unitType: "Adet", vatRate: "10", active: true });
+  });
+});
+
+describe("ürün kaydı", () => {
+  it.each([
+    [{ id: "n", name: " " }, "Ürün adı zorunludur."],
+    [{ id: "n", name: "VİDA M6" }, '"VİDA M6" adlı bir ürün zaten var.'],
+    [{ id: "n", name: "Pul", sku: "URN-0002" }, "URN-0002 kodu başka bir üründe kullanılıyor."],
+    [{ id: "n", name: "Pul", barcode: "4006381333932" }, "Barkod geçersiz (EAN-8 / EAN-13 kontrol hanesi)."],
+    [{ id: "n", name: "Pul", barcode: "4006381333931" }, "Bu barkod başka bir üründe kayıtlı."],
+    [{ id: "n", name: "Pul", vatRate: "120" }, "KDV oranı 0-100 arasında olmalıdır."],
+  ])("%j → %s", (draft, error) => {
+    expect(validateItem(draft, catalog)).toBe(error);
+  });
+
+  it("ürün kendi adı, kodu ve barkoduyla kaydedilebilir", () => {
+    expect(validateItem(catalog[0], catalog)).toBe("");
+  });
+
+  it("kodu boş bırakılan ürüne sıradaki SKU verilir; pasif işaret korunur", () => {
+    const n = normalizeItem({ id: "n", sku: " ", name: " Pul ", category: " Sarf ", vatRate: "20 ", barcode: "", active: false }, catalog);
+    expect(n).toMatchObject({ sku: "URN-0003", name: "Pul", category: "Sarf", vatRate: "20", active: false });
+  });
+});
+
+describe("içe aktarılan satırların ürünlere bağlanması", () => {
+  const lines = [
+    { invoiceItem: "vida m6", unitType: "Kutu", vatRate: "20" },
+    { invoiceItem: "Pul", unitType: "Kutu", vatRate: "10" },
+    { invoiceItem: "PUL", unitType: "Adet", vatRate: "20" },
+    { invoiceItem: " " },
+  ];
+
+  it("katalogdaki adlar bağlanır; bilinmeyen ad için ilk satırın birim / KDV'siyle tek ürün açılır", () => {
+    const { byName, created } = resolveItems(catalog, lines);
+    expect(created).toHaveLength(1);
+    expect(created[0]).toMatchObject({ name: "Pul", sku: "URN-0003", unitType: "Kutu", vatRate: "10" });
+    expect(byName.get("vida m6").id).toBe("i1");
+    expect(byName.get("PUL")).toBe(created[0]);
+  });
+
+  it("satırın kendi birim / KDV'si değişmez, adı katalogdakiyle değiştirilir; boş satır dokunulmaz", () => {
+    const { byName, created } = resolveItems(catalog, lines);
+    const linked = linkLinesToItems(lines, byName);
+    expect(linked[0]).toMatchObject({ itemId: "i1", invoiceItem: "Vida M6", unitType: "Kutu" });
+    expect(linked[2]).toMatchObject({ itemId: created[0].id, invoiceItem: "Pul", unitType: "Adet", vatRate: "20" });
+    expect(linked[3]).toBe(lines[3]);
+  });
+});
+
+describe("yeni ürünün kategorisi", () => {
+  it("anahtar kelime kuralıyla verilir; katalogdaki ürünün kategorisine dokunulmaz", () => {
+    const seen = [];
+    const categorize = (name) => {
+      seen.push(name);
+      return name === "Fotokopi Kağıdı" ? "Ofis Sarf > Kağıt" : "";
+    };
+    const { created } = resolveItems(catalog, [{ invoiceItem: "Fotokopi Kağıdı" }, { invoiceItem: "Zımba" }, { invoiceItem: "Vida M6" }], categorize);
+    expect(created.map((x) => [x.name, x.category])).toEqual([
+      ["Fotokopi Kağıdı", "Ofis Sarf > Kağıt"],
+      ["Zımba", ""],
+    ]);
+    expect(seen).toEqual(["Fotokopi Kağıdı", "Zımba"]);
+  });
+});
@@ -0,0 +1,139 @@
+import { calcLine, toNumber } from "./calc.js";
+import { calcLineTry, invoiceFxRate } from "./currency.js";
+import { invoicedQtyByOrderLine } from "./orders.js";
+
+/**
+ * Mal kabul ve üçlü eşleştirme (sipariş ↔ mal kabul ↔ fatura)
+ * - Eşleştirme sipariş kalemi bazındadır; fatura kalemleri orderLineId ile bağlanır.
+ * - Fiyat karşılaştırması iskontolu birim (KDV hariç, calcLine.unitNet) üzerinden yapılır.
+ *   Sipariş TRY'dir; dövizli faturanın kalemleri fatura kuruyla TRY'ye çevrilip karşılaştırılır.
+ */
+
+export const DEFAULT_PRICE_TOLERANCE = 2; // %
+
+const EPS = 1e-6;
+
+export function receivedQtyByOrderLine(receiptLines) {
+  const m = new Map();
+  for (const rl of receiptLines) {
+    m.set(rl.orderLineId, (m.get(rl.orderLineId) || 0) + Math.max(0, toNumber(rl.qty)));
+  }
+  return m;
+}
+
+/**
+ * Teslim miktarlarına göre siparişin yeni durumu.
+ * Yalnızca gönderilmiş / kısmi / (teslimle kapanmış) siparişler değişir; taslak ve iptal olduğu gibi kalır.
+ */
+export function statusAfterReceipt(order, lines, received) {
+  if (order.status !== "sent" && order.status !== "partial" && order.status !== "closed") return order.status;
+  const anyReceived = lines.some((l) => (received.get(l.id) || 0) > EPS);
+  const allReceived = lines.length > 0 && lines.every((l) => (received.get(l.id) || 0) + EPS >= toNumber(l.qty));
+  if (allReceived) return "closed";
+  return anyReceived ? "partial" : "sent";
+}
+
+function priceDeviationPct(orderUnitNet, invoiceUnitNet) {
+  if (orderUnitNet <= 0) return invoiceUnitNet > 0 ? 100 : 0;
+  return ((invoiceUnitNet - orderUnitNet) / orderUnitNet) * 100;
+}
+
+/**
+ * Sipariş kalemi başına eşleştirme satırları. invoices: fatura kalemlerinin kuru için (yoksa TRY sayılır).
+ * issues: "overBilled" (teslimden fazla fatura), "shortfall" (siparişten az teslim), "priceDeviation" (tolerans dışı fiyat)
+ */
+export function buildMatchRows({ orders, orderLines, receiptLines, invoices = [], invoiceLines, tolerancePct }) {
+  const orderById = new Map(orders.map((o) => [o.id, o]));
+  const received = receivedQtyByOrderLine(receiptLines);
+  const invoicedQty = invoicedQtyByOrderLine(invoiceLines);
+
+  // Faturalanan tutar TRY (fatura kuruyla)
+  const invoiceById = new Map(invoices.map((inv) => [inv.id, inv]));
+  const invoicedNet = new Map();
+  for (const ln of invoiceLines) {
+    if (!ln.orderLineId) continue;
+    const net = calcLineTry({ ...ln, fxRate: invoiceFxRate(invoiceById.get(ln.invoiceId)) }).totalNet;
+    invoicedNet.set(ln.orderLineId, (invoicedNet.get(ln.orderLineId) || 0) + net);
+  }
+
+  const tol = Math.max(0, toNumber(tolerancePct));
+
+  return orderLines
+    .filter((ol) => {
+      const o = orderById.get(ol.orderId);
+      return o && o.status !== "draft" && o.status !== "cancelled";
+    })
+    .map((ol) => {
+      const order = orderById.get(ol.orderId);
+      const c = calcLine(ol);
+      const receivedQty = received.get(ol.id) || 0;
+      const invQty = invoicedQty.get(ol.id) || 0;
+      const invoiceUnitNet = invQty > 0 ? (invoicedNet.get(ol.id) || 0) / invQty : 0;
+      const deviation = invQty > 0 ? priceDeviationPct(c.unitNet, invoiceUnitNet) : 0;
+
+      const issues = [];
+      if (invQty > receivedQty + EPS) issues.push("overBilled");
+      if (receivedQty + EPS < c.q && order.status === "closed") issues.push("shortfall");
+      if (invQty > 0 && Math.abs(deviation) > tol + EPS) issues.push("priceDeviation");
+
+      return {
+        orderLineId: ol.id,
+        orderId: order.id,
+        orderNo: order.orderNo,
+        orderStatus: order.status,
+        supplierName: order.supplierName,
+        invoiceItem: ol.invoiceItem,
+        unitType: ol.unitType,
+        orderedQty: c.q,
+        orderUnitNet: c.unitNet,
+        receivedQty,
+        invoicedQty: invQty,
+        invoiceUnitNet,
+        deviation,
+        issues,
+        matched: issues.length === 0 && invQty > 0 && Math.abs(invQty - receivedQty) <= EPS,
+      };
+    });
+}
+
+export const MATCH_ISSUE_LABELS = {
+  overBilled: "Fazla faturalama",
+  shortfall: "Eksik teslim",
+  priceDeviation: "Fiyat sapması",
+};
+
+/**
+ * Faturanın ödeme onayı için eşleştirme durumu.
+ * - unlinked: siparişe bağlı kalemi yok
+ * - mismatch: tolerans dışı fiyat veya kapanmış siparişte teslimden fazla faturalama var
+ * - pending: açık siparişte henüz teslim alınmamış miktar faturalanmış
+ * - matched: tüm bağlı kalemler teslim ve fiyat ile uyumlu
+ * invoice: para birimi / kur için (dövizli faturada kalem fiyatı TRY'ye çevrilir)
+ */
+export function invoiceMatchStatus(invoiceLinesOfInvoice, matchRowByOrderLine, tolerancePct, invoice = null) {
+  const linked = invoiceLinesOfInvoice.filter((ln) => ln.orderLineId);
+  if (linked.length === 0) return "unlinked";
+
+  const tol = Math.max(0, toNumber(tolerancePct));
+  const fxRate = invoiceFxRate(invoice);
+  let pending = false;
+  for (const ln of linked) {
+    const row = matchRowByOrderLine.get(ln.orderLineId);
+    if (!row) return "mismatch";
+    const dev = priceDeviationPct(row.orderUnitNet, calcLineTry({ ...ln, fxRate }).unitNet);
+    if (Math.abs(dev) > tol + EPS) return "mismatch";
+    // sipariş açıksa teslimat sürüyor olabilir; kapanmışsa fazla fatura kesindir
+    if (row.issues.includes("overBilled")) {
+      if (row.orderStatus === "closed") return "mismatch";
+      pending = true;
+    }
+  }
+  return pending ? "pending" : "matched";
+}
+
+export const INVOICE_MATCH_STATUSES = {
+  unlinked: { label: "Siparişsiz", cls: "bg-slate-100 text-slate-700 ring-slate-200" },
+  pending: { label: "Teslim Bekleniyor", cls: "bg-amber-50 text-amber-800 ring-amber-200" },
+  mismatch: { label: "Eşleşmedi", cls: "bg-rose-50 text-rose-800 ring-rose-200" },
+  matched: { label: "Eşleşti", cls: "bg-emerald-50 text-emerald-800 ring-emerald-200" },
+};
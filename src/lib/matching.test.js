@@ -0,0 +1,138 @@
+import { describe, expect, it } from "vitest";
+import { buildMatchRows, invoiceMatchStatus, receivedQtyByOrderLine, statusAfterReceipt } from "./matching.js";
+
+// Sipariş: 10 adet × 100 ₺ (%10 iskonto → 90 ₺ net), 4 adet × 25 ₺
+const order = { id: "o1", orderNo: "SIP-2025-0001", status: "sent", supplierName: "Delta" };
+const vida = { id: "ol1", orderId: "o1", invoiceItem: "Vida", qty: "10", unitPrice: "100", discountRate: "10", vatRate: "20" };
+const somun = { id: "ol2", orderId: "o1", invoiceItem: "Somun", qty: "4", unitPrice: "25", discountRate: "0", vatRate: "20" };
+
+function match({ status = "sent", receipts = [], invoiceLines = [], tolerancePct = 2 }) {
+  return buildMatchRows({ orders: [{ ...order, status }], orderLines: [vida, somun], receiptLines: receipts, invoiceLines, tolerancePct });
+}
+
+describe("mal kabul sonrası sipariş durumu", () => {
+  it("kısmi teslimler toplanır; tüm kalemler tamamlanınca kapanır", () => {
+    const partial = receivedQtyByOrderLine([{ orderLineId: "ol1", qty: "6" }]);
+    expect(statusAfterReceipt(order, [vida, somun], partial)).toBe("partial");
+    const full = receivedQtyByOrderLine([{ orderLineId: "ol1", qty: "6" }, { orderLineId: "ol1", qty: "4" }, { orderLineId: "ol2", qty: "4" }]);
+    expect(full.get("ol1")).toBe(10);
+    expect(statusAfterReceipt(order, [vida, somun], full)).toBe("closed");
+  });
+
+  it("siparişten fazla teslim de kapatır; negatif miktar teslim sayılmaz", () => {
+    expect(statusAfterReceipt(order, [vida], receivedQtyByOrderLine([{ orderLineId: "ol1", qty: "12" }]))).toBe("closed");
+    expect(statusAfterReceipt(order, [vida], receivedQtyByOrderLine([{ orderLineId: "ol1", qty: "-3" }]))).toBe("sent");
+  });
+
+  it("mal kabul silinince kapanmış sipariş yeniden açılır", () => {
+    expect(statusAfterReceipt({ status: "closed" }, [vida], new Map())).toBe("sent");
+    expect(statusAfterReceipt({ status: "closed" }, [vida], new Map([["ol1", 4]]))).toBe("partial");
+  });
+
+  it("taslak ve iptal siparişin durumu teslimle değişmez; kalemsiz sipariş kapanmaz", () => {
+    expect(statusAfterReceipt({ status: "draft" }, [vida], new Map([["ol1", 10]]))).toBe("draft");
+    expect(statusAfterReceipt({ status: "cancelled" }, [vida], new Map([["ol1", 10]]))).toBe("cancelled");
+    expect(statusAfterReceipt(order, [], new Map())).toBe("sent");
+  });
+});
+
+describe("üçlü eşleştirme satırları", () => {
+  it("teslim ve faturası tutan kalem eşleşir; henüz faturalanmamış kalem eşleşmiş sayılmaz", () => {
+    const [v, s] = match({
+      receipts: [{ orderLineId: "ol1", qty: "10" }],
+      invoiceLines: [{ orderLineId: "ol1", qty: "10", unitPrice: "90", discountRate: "0", vatRate: "20" }],
+    });
+    expect(v).toMatchObject({ orderedQty: 10, receivedQty: 10, invoicedQty: 10, issues: [], matched: true });
+    expect(v.orderUnitNet).toBeCloseTo(90);
+    expect(v.deviation).toBeCloseTo(0);
+    expect(s).toMatchObject({ receivedQty: 0, invoicedQty: 0, issues: [], matched: false });
+  });
+
+  it("fiyat toleransın tam sınırında kabul, üstünde sapma", () => {
+    const at = (unitPrice) => match({ invoiceLines: [{ orderLineId: "ol1", qty: "1", unitPrice, discountRate: "0", vatRate: "20" }], receipts: [{ orderLineId: "ol1", qty: "1" }] })[0];
+    expect(at("91.8").issues).toEqual([]);
+    expect(at("91.9").issues).toEqual(["priceDeviation"]);
+    // İndirimli fatura da tolerans dışıysa işaretlenir
+    expect(at("85").issues).toEqual(["priceDeviation"]);
+    expect(at("85").deviation).toBeCloseTo(-5.56, 2);
+  });
+
+  it("birden fazla faturadaki fiyat miktar ağırlıklı ortalanır", () => {
+    const [v] = match({
+      receipts: [{ orderLineId: "ol1", qty: "10" }],
+      invoiceLines: [
+        { orderLineId: "ol1", qty: "5", unitPrice: "88", discountRate: "0", vatRate: "20" },
+        { orderLineId: "ol1", qty: "5", unitPrice: "92", discountRate: "0", vatRate: "20" },
+      ],
+    });
+    expect(v.invoiceUnitNet).toBeCloseTo(90);
+    expect(v.matched).toBe(true);
+  });
+
+  it("teslimden fazla faturalama; eksik teslim yalnızca kapanmış siparişte işaretlenir", () => {
+    const invoiceLines = [{ orderLineId: "ol2", qty: "4", unitPrice: "25", discountRate: "0", vatRate: "20" }];
+    const receipts = [{ orderLineId: "ol2", qty: "3" }];
+    expect(match({ receipts, invoiceLines })[1].issues).toEqual(["overBilled"]);
+    expect(match({ status: "closed", receipts, invoiceLines })[1].issues).toEqual(["overBilled", "shortfall"]);
+  });
+
+  it("sipariş fiyatı 0 iken faturalanan kalem %100 sapmadır", () => {
+    const rows = buildMatchRows({
+      orders: [order],
+      orderLines: [{ ...vida, unitPrice: "0" }],
+      receiptLines: [],
+      invoiceLines: [{ orderLineId: "ol1", qty: "1", unitPrice: "5", discountRate: "0", vatRate: "20" }],
+      tolerancePct: 2,
+    });
+    expect(rows[0].deviation).toBe(100);
+  });
+
+  it("taslak ve iptal siparişlerin kalemleri listelenmez", () => {
+    expect(match({ status: "draft" })).toEqual([]);
+    expect(match({ status: "cancelled" })).toEqual([]);
+  });
+});
+
+describe("faturanın eşleştirme durumu", () => {
+  const rowOf = (extra) => new Map([["ol1", { orderUnitNet: 90, orderStatus: "sent", issues: [], ...extra }]]);
+  const line = { orderLineId: "ol1", qty: "1", unitPrice: "90", discountRate: "0", vatRate: "20" };
+
+  it("siparişe bağlı kalemi olmayan fatura siparişsizdir", () => {
+    expect(invoiceMatchStatus([{ ...line, orderLineId: "" }], rowOf(), 2)).toBe("unlinked");
+    expect(invoiceMatchStatus([], rowOf(), 2)).toBe("unlinked");
+  });
+
+  it("açık siparişte fazla fatura teslim bekler; kapanmışta eşleşmez", () => {
+    expect(invoiceMatchStatus([line], rowOf(), 2)).toBe("matched");
+    expect(invoiceMatchStatus([line], rowOf({ issues: ["overBilled"] }), 2)).toBe("pending");
+    expect(invoiceMatchStatus([line], rowOf({ issues: ["overBilled"], orderStatus: "closed" }), 2)).toBe("mismatch");
+  });
+
+  it("fiyat sapması diğer kalemler beklese de eşleşmez; silinmiş sipariş kalemi eşleşmez", () => {
+    expect(invoiceMatchStatus([{ ...line, unitPrice: "100" }], rowOf({ issues: ["overBilled"] }), 2)).toBe("mismatch");
+    expect(invoiceMatchStatus([line], new Map(), 2)).toBe("mismatch");
+  });
+
+  it("tolerans negatif girilirse 0 sayılır", () => {
+    expect(invoiceMatchStatus([line], rowOf(), "-5")).toBe("matched");
+    expect(invoiceMatchStatus([{ ...line, unitPrice: "90.01" }], rowOf(), "-5")).toBe("mismatch");
+  });
+});
+
+describe("dövizli fatura", () => {
+  const invoice = { id: "inv-eur", currencyCode: "EUR", exchangeRate: "45" };
+  const eurLine = { invoiceId: "inv-eur", orderLineId: "ol1", qty: "10", unitPrice: "2", discountRate: "0", vatRate: "20" };
+
+  it("kalem fiyatı fatura kuruyla TRY'ye çevrilip TRY siparişle karşılaştırılır", () => {
+    const rows = buildMatchRows({ orders: [order], orderLines: [vida], receiptLines: [{ orderLineId: "ol1", qty: "10" }], invoices: [invoice], invoiceLines: [eurLine], tolerancePct: 2 });
+    expect(rows[0].invoiceUnitNet).toBeCloseTo(90);
+    expect(rows[0].matched).toBe(true);
+    expect(invoiceMatchStatus([eurLine], new Map(rows.map((r) => [r.orderLineId, r])), 2, invoice)).toBe("matched");
+  });
+
+  it("fatura bulunamazsa ya da kur girilmemişse TRY sayılır", () => {
+    const rows = buildMatchRows({ orders: [order], orderLines: [vida], receiptLines: [], invoices: [], invoiceLines: [eurLine], tolerancePct: 2 });
+    expect(rows[0].invoiceUnitNet).toBeCloseTo(2);
+    expect(invoiceMatchStatus([eurLine], new Map(rows.map((r) => [r.orderLineId, r])), 2, { ...invoice, exchangeRate: "" })).toBe("mismatch");
+  });
+});
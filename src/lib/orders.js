@@ -0,0 +1,188 @@
+import { formatForInput, toNumber, uid } from "./calc.js";
+import { isForeign } from "./currency.js";
+import { findSupplierByName } from "./suppliers.js";
+
+/**
+ * Satınalma siparişi (PO) yardımcıları
+ * - Durum akışı: Taslak → Gönderildi → Kısmi Teslim → Kapandı; Kapandı/İptal dışındaki her durumdan İptal
+ * - Tedarikçi: siparişte supplierId + unvan kopyası (faturalardaki gibi); eşleştirme id ile, id'siz eski kayıtlarda adla.
+ * - Faturadan siparişe aktarım: seçili kalemler tek tedarikçiye ait olmalı, yeni ya da aynı tedarikçinin açık siparişine eklenir.
+ *   Siparişler TRY'dir; dövizli fatura kaleminin birim fiyatı faturanın kuruyla TRY'ye çevrilerek yazılır.
+ * - Siparişten faturaya: yalnızca teslim alınmış siparişlerden, henüz faturalanmamış miktarlar fatura taslağına gelir (orderLineId ile bağlı).
+ */
+
+export const ORDER_STATUSES = [
+  { key: "draft", label: "Taslak", cls: "bg-slate-100 text-slate-700 ring-slate-200" },
+  { key: "sent", label: "Gönderildi", cls: "bg-sky-50 text-sky-800 ring-sky-200" },
+  { key: "partial", label: "Kısmi Teslim", cls: "bg-amber-50 text-amber-800 ring-amber-200" },
+  { key: "closed", label: "Kapandı", cls: "bg-emerald-50 text-emerald-800 ring-emerald-200" },
+  { key: "cancelled", label: "İptal", cls: "bg-rose-50 text-rose-800 ring-rose-200" },
+];
+
+export const ORDER_TRANSITIONS = {
+  draft: ["sent", "cancelled"],
+  sent: ["partial", "closed", "cancelled"],
+  partial: ["closed", "cancelled"],
+  closed: [],
+  cancelled: [],
+};
+
+export function orderStatus(key) {
+  return ORDER_STATUSES.find((s) => s.key === key) ?? ORDER_STATUSES[0];
+}
+
+/** Kapanmış / iptal edilmiş siparişlerin kalemleri değiştirilemez */
+export function isOrderLocked(order) {
+  return order?.status === "closed" || order?.status === "cancelled";
+}
+
+function supplierNameKey(s) {
+  return String(s ?? "").trim().toLocaleLowerCase("tr");
+}
+
+/**
+ * Sipariş ile kalemin ({ supplierId, supplierName }) tedarikçisi aynı mı?
+ * İkisinde de supplierId varsa id karşılaştırılır; yoksa (eski kayıt) ad, boşluk / büyük-küçük harf farkı yok sayılarak.
+ */
+export function isSameSupplier(a, b) {
+  if (a?.supplierId && b?.supplierId) return a.supplierId === b.supplierId;
+  return supplierNameKey(a?.supplierName) === supplierNameKey(b?.supplierName);
+}
+
+/** Siparişe yazılacak tedarikçi alanları: kart varsa id ve kartın unvanı, yoksa yalnızca girilen ad */
+export function orderSupplierFields(name, suppliers) {
+  const card = findSupplierByName(suppliers, name);
+  return { supplierId: card?.id ?? "", supplierName: card?.name ?? String(name ?? "").trim() };
+}
+
+/** Beklenen teslim tarihi geçmiş ve hâlâ açık mı? (today: YYYY-MM-DD) */
+export function isOrderOverdue(order, today) {
+  if (!order?.expectedDate) return false;
+  if (order.status !== "sent" && order.status !== "partial") return false;
+  return order.expectedDate < today;
+}
+
+/** SIP-2025-0001 biçiminde, aynı yıl içindeki en büyük numaranın bir fazlası */
+export function nextOrderNo(orders, date) {
+  const year = String(date || new Date().toISOString()).slice(0, 4);
+  const prefix = `SIP-${year}-`;
+  let max = 0;
+  for (const o of orders) {
+    const no = String(o.orderNo || "");
+    if (!no.startsWith(prefix)) continue;
+    const n = Number(no.slice(prefix.length));
+    if (Number.isFinite(n)) max = Math.max(max, n);
+  }
+  return prefix + String(max + 1).padStart(4, "0");
+}
+
+/** Faturaya dönüştürülebilir durumlar: mal kabulü girilmiş siparişler (üç yönlü eşleştirme teslimata dayanır) */
+export function canInvoiceOrder(order) {
+  return order?.status === "partial" || order?.status === "closed";
+}
+
+/** Fatura kalemlerindeki orderLineId bağlantılarından sipariş kalemi başına faturalanan miktar */
+export function invoicedQtyByOrderLine(invoiceLines) {
+  const m = new Map();
+  for (const ln of invoiceLines) {
+    if (!ln.orderLineId) continue;
+    m.set(ln.orderLineId, (m.get(ln.orderLineId) || 0) + Math.max(0, toNumber(ln.qty)));
+  }
+  return m;
+}
+
+/** Seçili fatura kalemleri (joined) siparişe aktarılabilir mi? Hata metni ya da "" */
+export function transferSelectionError(rows) {
+  if (rows.length === 0) return "Önce kalem seçiniz.";
+  // Sipariş tek tedarikçiye verilir; farklı tedarikçilerin fiyatları aynı siparişe karışmasın
+  const keys = new Set(rows.map((r) => r.supplierId || "name:" + supplierNameKey(r.supplierName)));
+  const names = new Set(rows.map((r) => r.supplierName || "-"));
+  if (keys.size > 1) return `Seçili kalemler farklı tedarikçilere ait (${[...names].join(", ")}). Siparişe aktarmak için tek tedarikçinin kalemlerini seçiniz.`;
+  return "";
+}
+
+/** draft: { mode: "new" | "existing", orderId, supplierName, expectedDate }; today: YYYY-MM-DD */
+export function orderTransferError(draft, rows, orders, today) {
+  const selectionErr = transferSelectionError(rows);
+  if (selectionErr) return selectionErr;
+  if (draft.mode === "new") {
+    if (!String(draft.supplierName || "").trim()) return "Tedarikçi adı zorunludur.";
+    if (draft.expectedDate && draft.expectedDate < today) return "Beklenen teslim tarihi bugünden önce olamaz.";
+    return "";
+  }
+  const order = orders.find((o) => o.id === draft.orderId);
+  if (!order) return "Sipariş seçiniz.";
+  if (isOrderLocked(order)) return `${order.orderNo} siparişi kapanmış / iptal edilmiş; kalem eklenemez.`;
+  if (!isSameSupplier(order, rows[0])) {
+    return `${order.orderNo} siparişi ${order.supplierName} tedarikçisine ait; seçili kalemler ${rows[0].supplierName} faturalarından. Başka tedarikçinin siparişine kalem eklenemez.`;
+  }
+  return "";
+}
+
+/**
+ * orderTransferError boşken: { order, isNew, orderLines } (yeni sipariş taslak durumunda açılır; rows: joined, fxRate dahil)
+ * Yeni siparişin tedarikçisi: ad değiştirilmediyse kalemlerin faturasındaki kart, değiştirildiyse ada göre kart.
+ */
+export function buildOrderTransfer(draft, rows, orders, today, suppliers = []) {
+  const isNew = draft.mode === "new";
+  const supplier =
+    rows[0].supplierId && supplierNameKey(draft.supplierName) === supplierNameKey(rows[0].supplierName)
+      ? { supplierId: rows[0].supplierId, supplierName: String(draft.supplierName).trim() }
+      : orderSupplierFields(draft.supplierName, suppliers);
+  const order = isNew
+    ? { id: uid(), orderNo: nextOrderNo(orders, today), date: today, ...supplier, expectedDate: draft.expectedDate || "", status: "draft", note: "" }
+    : orders.find((o) => o.id === draft.orderId);
+  const orderLines = rows.map((r) => ({
+    id: uid(),
+    orderId: order.id,
+    invoiceItem: r.invoiceItem,
+    qty: String(r.qty ?? ""),
+    unitType: r.unitType,
+    unitPrice: isForeign(r.currencyCode) ? formatForInput(toNumber(r.unitPrice) * (r.fxRate ?? 1)) : String(r.unitPrice ?? ""),
+    discountRate: String(r.discountRate ?? ""),
+    vatRate: String(r.vatRate ?? ""),
+  }));
+  return { order, isNew, orderLines };
+}
+
+/** Siparişin henüz faturalanmamış kalemleri: [{ orderLine, qty }] (kalan miktar > 0) */
+export function uninvoicedOrderLines(orderId, orderLines, invoiceLines) {
+  const invoiced = invoicedQtyByOrderLine(invoiceLines);
+  return orderLines
+    .filter((ol) => ol.orderId === orderId)
+    .map((ol) => ({ orderLine: ol, qty: Math.max(0, toNumber(ol.qty) - (invoiced.get(ol.id) || 0)) }))
+    .filter((x) => x.qty > 0);
+}
+
+/** Sipariş faturaya dönüştürülebilir mi? remaining: uninvoicedOrderLines sonucu */
+export function orderInvoiceError(order, remaining) {
+  if (!canInvoiceOrder(order)) return "Yalnızca teslim alınmış (Kısmi Teslim / Kapandı) siparişler faturaya dönüştürülebilir; önce mal kabulü giriniz.";
+  if (remaining.length === 0) return "Siparişin tüm kalemleri faturalanmış.";
+  return "";
+}
+
+/** Yeni Fatura ekranı için başlık ve kalemler (TRY, bugünün tarihi; kalemler kalan miktarla) */
+export function invoiceDraftFromOrder(order, remaining, today) {
+  const draft = {
+    invoiceNo: "",
+    date: today,
+    supplierName: order.supplierName ?? "",
+    currencyCode: "TRY",
+    exchangeRate: "1",
+    paymentTermDays: "",
+    department: order.department ?? "",
+    tevfikatRate: "0",
+    discountTotal: "",
+  };
+  const lines = remaining.map(({ orderLine, qty }) => ({
+    _key: uid(),
+    orderLineId: orderLine.id,
+    invoiceItem: orderLine.invoiceItem,
+    qty: formatForInput(qty),
+    unitType: orderLine.unitType,
+    unitPrice: orderLine.unitPrice,
+    discountRate: orderLine.discountRate,
+    vatRate: orderLine.vatRate,
+  }));
+  return { draft, lines };
+}
@@ -0,0 +1,255 @@
+import { describe, expect, it } from "vitest";
+import { calcLine, sumLines } from "./calc.js";
+import {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  buildOrderTransfer,
+  canInvoiceOrder,
+  invoiceDraftFromOrder,
+  invoicedQtyByOrderLine,
+  isOrderLocked,
+  isOrderOverdue,
+  isSameSupplier,
+  nextOrderNo,
+  orderInvoiceError,
+  orderStatus,
+  orderSupplierFields,
+  orderTransferError,
+  transferSelectionError,
+  uninvoicedOrderLines,
+} from "./orders.js";
+
+describe("sipariş numarası", () => {
+  it("aynı yılın en büyük numarasının bir fazlası; boşluk bırakılan numaralar doldurulmaz", () => {
+    const orders = [{ orderNo: "SIP-2025-0003" }, { orderNo: "SIP-2025-0009" }, { orderNo: "SIP-2025-0004" }];
+    expect(nextOrderNo(orders, "2025-06-30")).toBe("SIP-2025-0010");
+  });
+
+  it("yıl değişince 0001'den başlar; bozuk ve elle yazılmış numaralar sayılmaz", () => {
+    const orders = [{ orderNo: "SIP-2025-0120" }, { orderNo: "SIP-2026-abc" }, { orderNo: "Tedarikçi teklifi 44" }, { orderNo: "" }];
+    expect(nextOrderNo(orders, "2026-01-02")).toBe("SIP-2026-0001");
+  });
+
+  it("dört haneyi aşan sıra kesilmez", () => {
+    expect(nextOrderNo([{ orderNo: "SIP-2025-9999" }], "2025-12-31")).toBe("SIP-2025-10000");
+  });
+});
+
+describe("durum akışı", () => {
+  it("kapanmış ve iptal siparişten çıkış yoktur; taslak teslim almadan kapanamaz", () => {
+    expect(ORDER_TRANSITIONS.closed).toEqual([]);
+    expect(ORDER_TRANSITIONS.cancelled).toEqual([]);
+    expect(ORDER_TRANSITIONS.draft).not.toContain("closed");
+    expect(ORDER_TRANSITIONS.draft).not.toContain("partial");
+  });
+
+  it("her geçiş hedefi tanımlı bir durumdur", () => {
+    const keys = ORDER_STATUSES.map((s) => s.key);
+    expect(Object.keys(ORDER_TRANSITIONS).sort()).toEqual([...keys].sort());
+    for (const targets of Object.values(ORDER_TRANSITIONS)) for (const t of targets) expect(keys).toContain(t);
+  });
+
+  it("bilinmeyen durum taslak gibi gösterilir", () => {
+    expect(orderStatus("partial").label).toBe("Kısmi Teslim");
+    expect(orderStatus("eski-durum").key).toBe("draft");
+  });
+
+  it("yalnızca kapanmış ve iptal siparişler kilitlidir", () => {
+    expect(["draft", "sent", "partial", "closed", "cancelled"].filter((status) => isOrderLocked({ status }))).toEqual(["closed", "cancelled"]);
+    expect(isOrderLocked(null)).toBe(false);
+  });
+});
+
+describe("gecikme", () => {
+  it("teslim tarihi bugünden önceyse ve sipariş hâlâ açıksa gecikmiştir", () => {
+    expect(isOrderOverdue({ status: "sent", expectedDate: "2025-12-01" }, "2025-12-02")).toBe(true);
+    expect(isOrderOverdue({ status: "partial", expectedDate: "2025-12-01" }, "2025-12-02")).toBe(true);
+  });
+
+  it("teslim günü henüz gecikme sayılmaz", () => {
+    expect(isOrderOverdue({ status: "sent", expectedDate: "2025-12-02" }, "2025-12-02")).toBe(false);
+  });
+
+  it("taslak, kapanmış ve tarihsiz siparişler gecikmez", () => {
+    expect(isOrderOverdue({ status: "draft", expectedDate: "2025-01-01" }, "2025-12-02")).toBe(false);
+    expect(isOrderOverdue({ status: "closed", expectedDate: "2025-01-01" }, "2025-12-02")).toBe(false);
+    expect(isOrderOverdue({ status: "sent", expectedDate: "" }, "2025-12-02")).toBe(false);
+  });
+});
+
+describe("sipariş toplamları (calcLine)", () => {
+  it("iskontolu birim fiyat, KDV hariç / dahil toplam", () => {
+    const c = calcLine({ qty: "12", unitPrice: "250", discountRate: "15", vatRate: "20" });
+    expect(c.unitNet).toBeCloseTo(212.5);
+    expect(c.totalNet).toBeCloseTo(2550);
+    expect(c.totalVatIncl).toBeCloseTo(3060);
+  });
+
+  it("sipariş kalemlerinin toplamı", () => {
+    const totals = sumLines([
+      { qty: "2", unitPrice: "100", discountRate: "0", vatRate: "20" },
+      { qty: "1", unitPrice: "50", discountRate: "0", vatRate: "10" },
+    ]);
+    expect(totals.totalNet).toBeCloseTo(250);
+    expect(totals.totalVatIncl).toBeCloseTo(295);
+  });
+});
+
+describe("siparişten faturaya", () => {
+  it("yalnızca teslim alınmış sipariş faturaya dönüştürülür; gönderilmiş ama teslim alınmamış sipariş dönüştürülemez", () => {
+    expect(["draft", "sent", "partial", "closed", "cancelled"].filter((status) => canInvoiceOrder({ status }))).toEqual(["partial", "closed"]);
+    expect(canInvoiceOrder(undefined)).toBe(false);
+  });
+
+  it("aynı sipariş kalemine bağlı fatura kalemleri toplanır; bağlantısız ve negatif miktarlar sayılmaz", () => {
+    const m = invoicedQtyByOrderLine([
+      { orderLineId: "ol1", qty: "2" },
+      { orderLineId: "ol1", qty: "1,5" },
+      { orderLineId: "ol2", qty: "-4" },
+      { orderLineId: "", qty: "9" },
+      { qty: "3" },
+    ]);
+    expect([...m]).toEqual([
+      ["ol1", 3.5],
+      ["ol2", 0],
+    ]);
+  });
+
+  const RECEIVED = { id: "o1", orderNo: "SIP-2026-0001", status: "partial", supplierName: "Aras Hırdavat", department: "Üretim" };
+  const OL1 = { id: "ol1", orderId: "o1", invoiceItem: "Vida", qty: "10", unitType: "Kutu", unitPrice: "150", discountRate: "5", vatRate: "20" };
+  const OL2 = { ...OL1, id: "ol2", invoiceItem: "Somun", qty: "4" };
+
+  it("kalan miktar sipariş miktarından faturalanan düşülerek bulunur; tamamı faturalanan ve başka siparişin kalemi gelmez", () => {
+    const remaining = uninvoicedOrderLines("o1", [OL1, OL2, { ...OL1, id: "ol3", orderId: "o2" }], [
+      { orderLineId: "ol1", qty: "2,5" },
+      { orderLineId: "ol2", qty: "4" },
+    ]);
+    expect(remaining.map((x) => [x.orderLine.id, x.qty])).toEqual([["ol1", 7.5]]);
+  });
+
+  it("fazla faturalanan kalem eksi miktarla gelmez; hiç kalan yoksa dönüştürme hatası", () => {
+    const remaining = uninvoicedOrderLines("o1", [OL1], [{ orderLineId: "ol1", qty: "12" }]);
+    expect(remaining).toEqual([]);
+    expect(orderInvoiceError(RECEIVED, remaining)).toBe("Siparişin tüm kalemleri faturalanmış.");
+    expect(orderInvoiceError({ ...RECEIVED, status: "sent" }, [{ orderLine: OL1, qty: 1 }])).toMatch(/^Yalnızca teslim alınmış/);
+    expect(orderInvoiceError(RECEIVED, [{ orderLine: OL1, qty: 1 }])).toBe("");
+  });
+
+  it("fatura taslağı TRY ve siparişin departmanıyla açılır; kalemler kalan miktarla sipariş kalemine bağlanır", () => {
+    const { draft, lines } = invoiceDraftFromOrder(RECEIVED, [{ orderLine: OL1, qty: 7.5 }], "2026-03-05");
+    expect(draft).toMatchObject({ date: "2026-03-05", supplierName: "Aras Hırdavat", currencyCode: "TRY", exchangeRate: "1", department: "Üretim", invoiceNo: "" });
+    expect(lines).toEqual([
+      { _key: expect.any(String), orderLineId: "ol1", invoiceItem: "Vida", qty: "7,5", unitType: "Kutu", unitPrice: "150", discountRate: "5", vatRate: "20" },
+    ]);
+  });
+});
+
+describe("faturadan siparişe aktarma", () => {
+  const ROW = { id: "l1", supplierName: "Aras Hırdavat", invoiceItem: "Vida", qty: 10, unitType: "Kutu", unitPrice: "150", discountRate: "", vatRate: 20 };
+  const OPEN = { id: "o1", orderNo: "SIP-2026-0003", status: "draft", supplierName: "aras hırdavat " };
+  const NEW = { mode: "new", orderId: "", supplierName: "Aras Hırdavat", expectedDate: "" };
+  const TODAY = "2026-03-05";
+
+  it("seçim boşsa ya da farklı tedarikçilerin kalemlerini içeriyorsa aktarılamaz; adsız kalemler '-' diye gösterilir", () => {
+    expect(transferSelectionError([])).toBe("Önce kalem seçiniz.");
+    expect(transferSelectionError([ROW, { ...ROW, supplierName: "" }])).toMatch(/farklı tedarikçilere ait \(Aras Hırdavat, -\)/);
+    expect(transferSelectionError([ROW, { ...ROW, id: "l2" }])).toBe("");
+  });
+
+  it.each([
+    ["tedarikçi adı boş", { ...NEW, supplierName: "  " }, "Tedarikçi adı zorunludur."],
+    ["teslim tarihi geçmiş", { ...NEW, expectedDate: "2026-03-04" }, "Beklenen teslim tarihi bugünden önce olamaz."],
+    ["sipariş seçilmemiş", { mode: "existing", orderId: "" }, "Sipariş seçiniz."],
+    ["sipariş kapanmış", { mode: "existing", orderId: "o2" }, "SIP-2026-0002 siparişi kapanmış / iptal edilmiş; kalem eklenemez."],
+    ["sipariş başka tedarikçinin", { mode: "existing", orderId: "o4" }, /Başka tedarikçinin siparişine kalem eklenemez/],
+  ])("%s", (_, draft, message) => {
+    const orders = [OPEN, { ...OPEN, id: "o2", orderNo: "SIP-2026-0002", status: "closed" }, { ...OPEN, id: "o4", supplierName: "Bora Elektrik" }];
+    const err = orderTransferError(draft, [ROW], orders, TODAY);
+    if (typeof message === "string") expect(err).toBe(message);
+    else expect(err).toMatch(message);
+  });
+
+  it("bugünkü teslim tarihi ve harf / boşluk farkıyla aynı tedarikçinin açık siparişi kabul edilir", () => {
+    expect(orderTransferError({ ...NEW, expectedDate: TODAY }, [ROW], [], TODAY)).toBe("");
+    expect(orderTransferError({ mode: "existing", orderId: "o1" }, [ROW], [OPEN], TODAY)).toBe("");
+  });
+
+  it("yeni sipariş bugünün tarihli, sıradaki numarayla taslak açılır; kalemler fiyat alanları metin olarak kopyalanır", () => {
+    const { order, isNew, orderLines } = buildOrderTransfer({ ...NEW, supplierName: " Aras Hırdavat ", expectedDate: "2026-03-20" }, [ROW], [OPEN], TODAY);
+    expect(isNew).toBe(true);
+    expect(order).toMatchObject({ orderNo: "SIP-2026-0004", date: TODAY, supplierName: "Aras Hırdavat", expectedDate: "2026-03-20", status: "draft" });
+    expect(orderLines).toEqual([
+      { id: expect.any(String), orderId: order.id, invoiceItem: "Vida", qty: "10", unitType: "Kutu", unitPrice: "150", discountRate: "", vatRate: "20" },
+    ]);
+  });
+
+  it("dövizli fatura kaleminin birim fiyatı faturanın kuruyla TRY'ye çevrilir", () => {
+    const toner = { ...ROW, invoiceItem: "Toner", qty: 2, unitType: "Adet", unitPrice: "18,5", currencyCode: "EUR", fxRate: 35.2 };
+    const { orderLines } = buildOrderTransfer(NEW, [toner, { ...ROW, currencyCode: "TRY", fxRate: 1 }], [], TODAY);
+    expect(orderLines.map((ol) => ol.unitPrice)).toEqual(["651,2", "150"]);
+  });
+
+  it("mevcut siparişe aktarımda sipariş değişmez, kalemler ona bağlanır", () => {
+    const { order, isNew, orderLines } = buildOrderTransfer({ mode: "existing", orderId: "o1" }, [ROW, { ...ROW, id: "l2" }], [OPEN], TODAY);
+    expect(isNew).toBe(false);
+    expect(order).toBe(OPEN);
+    expect(orderLines.map((ol) => ol.orderId)).toEqual(["o1", "o1"]);
+  });
+});
+
+describe("tedarikçi eşleşmesi (siparişe aktarma)", () => {
+  const byName = (supplierName) => ({ supplierId: "", supplierName });
+
+  it("iki tarafta da kart varsa id karşılaştırılır: adı değişen kart eşleşir, aynı adlı iki kart eşleşmez", () => {
+    expect(isSameSupplier({ supplierId: "s1", supplierName: "Aras" }, { supplierId: "s1", supplierName: "Aras Hırdavat A.Ş." })).toBe(true);
+    expect(isSameSupplier({ supplierId: "s1", supplierName: "Aras" }, { supplierId: "s2", supplierName: "Aras" })).toBe(false);
+  });
+
+  it("id'siz eski kayıtta boşluk ve Türkçe büyük/küçük harf farkı aynı tedarikçidir", () => {
+    expect(isSameSupplier(byName("  IŞIK Ticaret "), { supplierId: "s1", supplierName: "ışık ticaret" })).toBe(true);
+    expect(isSameSupplier(byName("İZMİR Hırdavat"), byName("izmir hırdavat"))).toBe(true);
+  });
+
+  it("noktasız I farklı harftir; boş ad yalnızca boş adla eşleşir", () => {
+    expect(isSameSupplier(byName("IZMIR"), byName("izmir"))).toBe(false);
+    expect(isSameSupplier(byName(""), { supplierName: null })).toBe(true);
+    expect(isSameSupplier(byName(""), byName("Delta"))).toBe(false);
+  });
+
+  it("aynı adlı iki kartın kalemleri tek siparişe aktarılamaz", () => {
+    const rows = [
+      { supplierId: "s1", supplierName: "Aras" },
+      { supplierId: "s2", supplierName: "Aras" },
+    ];
+    expect(transferSelectionError(rows)).toMatch(/farklı tedarikçilere ait/);
+    expect(transferSelectionError([rows[0], { ...rows[0] }])).toBe("");
+  });
+
+  it("siparişe kartın id'si ve unvanı yazılır; kart yoksa yalnızca ad", () => {
+    const suppliers = [{ id: "s1", name: "Aras Hırdavat" }];
+    expect(orderSupplierFields(" aras hırdavat ", suppliers)).toEqual({ supplierId: "s1", supplierName: "Aras Hırdavat" });
+    expect(orderSupplierFields(" Bora ", suppliers)).toEqual({ supplierId: "", supplierName: "Bora" });
+  });
+
+  it("yeni sipariş kalemlerin faturasındaki kartı alır; ad değiştirilirse ada göre kart aranır", () => {
+    const rows = [{ id: "l1", supplierId: "s2", supplierName: "Aras", invoiceItem: "Vida", qty: 1, unitPrice: "1" }];
+    const suppliers = [
+      { id: "s1", name: "Aras" },
+      { id: "s2", name: "Aras" },
+      { id: "s3", name: "Bora" },
+    ];
+    const draft = { mode: "new", orderId: "", supplierName: "Aras", expectedDate: "" };
+    expect(buildOrderTransfer(draft, rows, [], "2026-03-05", suppliers).order).toMatchObject({ supplierId: "s2", supplierName: "Aras" });
+    expect(buildOrderTransfer({ ...draft, supplierName: "bora" }, rows, [], "2026-03-05", suppliers).order).toMatchObject({ supplierId: "s3", supplierName: "Bora" });
+  });
+
+  it("mevcut siparişe aktarımda sipariş kartı id ile denetlenir; id'siz eski sipariş adla", () => {
+    const rows = [{ supplierId: "s2", supplierName: "Aras" }];
+    const orders = [
+      { id: "o1", orderNo: "SIP-2026-0001", status: "draft", supplierId: "s1", supplierName: "Aras" },
+      { id: "o2", orderNo: "SIP-2026-0002", status: "draft", supplierId: "", supplierName: "aras" },
+    ];
+    expect(orderTransferError({ mode: "existing", orderId: "o1" }, rows, orders, "2026-03-05")).toMatch(/Başka tedarikçinin siparişine kalem eklenemez/);
+    expect(orderTransferError({ mode: "existing", orderId: "o2" }, rows, orders, "2026-03-05")).toBe("");
+  });
+});
@@ -0,0 +1,112 @@
+import { calcLine, clamp, toNumber } from "./calc.js";
+import { invoiceFxRate } from "./currency.js";
+
+/**
+ * Borç takibi: vade, vade durumu ve yaşlandırma
+ * - Vade günü faturada (paymentTermDays) tutulur; boşsa tedarikçi kartındaki varsayılan, o da yoksa 30 gün.
+ * - Ödenecek tutar = KDV hariç toplam + ödenecek KDV (tevkifat düşülmüş); raporlarda TRY'ye çevrilir.
+ * - Yaşlandırma vade tarihinden itibaren geçen gün sayısına göredir; vadesi gelmemiş tutar ayrı sütundadır.
+ */
+
+export const DEFAULT_TERM_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** YYYY-MM-DD + gün (UTC, saat dilimi kaymasız) */
+export function addDays(date, days) {
+  const t = Date.parse(String(date || "") + "T00:00:00Z");
+  if (!Number.isFinite(t)) return "";
+  return new Date(t + Math.round(days) * DAY_MS).toISOString().slice(0, 10);
+}
+
+/** b - a (gün) */
+export function daysBetween(a, b) {
+  const ta = Date.parse(String(a || "") + "T00:00:00Z");
+  const tb = Date.parse(String(b || "") + "T00:00:00Z");
+  if (!Number.isFinite(ta) || !Number.isFinite(tb)) return 0;
+  return Math.round((tb - ta) / DAY_MS);
+}
+
+export function invoiceTermDays(inv, supplier) {
+  if (String(inv?.paymentTermDays ?? "").trim() !== "") return Math.max(0, Math.round(toNumber(inv.paymentTermDays)));
+  if (String(supplier?.paymentTermDays ?? "").trim() !== "") return Math.max(0, Math.round(toNumber(supplier.paymentTermDays)));
+  return DEFAULT_TERM_DAYS;
+}
+
+export function invoiceDueDate(inv, supplier) {
+  return addDays(inv?.date, invoiceTermDays(inv, supplier));
+}
+
+/** Fatura başına toplamlar (fatura para biriminde) + TRY karşılığı ödenecek tutar */
+export function invoiceTotalsById(invoices, lines) {
+  const m = new Map(invoices.map((inv) => [inv.id, { totalNet: 0, totalVatIncl: 0, vatAmount: 0 }]));
+  for (const ln of lines) {
+    const cur = m.get(ln.invoiceId);
+    if (!cur) continue;
+    const c = calcLine(ln);
+    cur.totalNet += c.totalNet;
+    cur.totalVatIncl += c.totalVatIncl;
+    cur.vatAmount += c.vatAmount;
+  }
+  for (const inv of invoices) {
+    const cur = m.get(inv.id);
+    const tev = clamp(toNumber(inv.tevfikatRate ?? 0), 0, 100);
+    cur.payableVat = cur.vatAmount * (1 - tev / 100);
+    cur.payable = cur.totalNet + cur.payableVat;
+    cur.payableTry = cur.payable * invoiceFxRate(inv);
+  }
+  return m;
+}
+
+export const DUE_FILTERS = [
+  { key: "overdue", label: "Vadesi Geçmiş" },
+  { key: "due7", label: "7 Gün İçinde" },
+  { key: "due30", label: "30 Gün İçinde" },
+];
+
+/** overdue | due7 | due30 | later (today: YYYY-MM-DD) */
+export function dueStatus(dueDate, today) {
+  const d = daysBetween(today, dueDate);
+  if (d < 0) return "overdue";
+  if (d <= 7) return "due7";
+  if (d <= 30) return "due30";
+  return "later";
+}
+
+/** "30 gün içinde" 7 günü de kapsar */
+export function matchesDueFilter(status, filter) {
+  if (filter === "due30") return status === "due7" || status === "due30";
+  return status === filter;
+}
+
+/** Gecikme günü = bugün − vade; vade günü (0) henüz gecikme sayılmaz (dueStatus ile aynı) */
+export const AGING_BUCKETS = [
+  { key: "current", label: "Vadesi Gelmemiş", min: -Infinity, max: 0 },
+  { key: "d1_30", label: "1–30", min: 1, max: 30 },
+  { key: "d31_60", label: "31–60", min: 31, max: 60 },
+  { key: "d61_90", label: "61–90", min: 61, max: 90 },
+  { key: "d90", label: "90+", min: 91, max: Infinity },
+];
+
+export function agingBucket(daysOverdue) {
+  return AGING_BUCKETS.find((b) => daysOverdue >= b.min && daysOverdue <= b.max)?.key ?? "current";
+}
+
+/**
+ * Tedarikçi başına yaşlandırma satırları (TRY).
+ * openItems: [{ supplierName, dueDate, amount }] — amount 0 olanlar atlanır
+ */
+export function buildAging(openItems, today) {
+  const bySupplier = new Map();
+  for (const it of openItems) {
+    if (!(it.amount > 0)) continue;
+    const key = it.supplierName || "(Bilinmeyen)";
+    if (!bySupplier.has(key)) {
+      bySupplier.set(key, { supplierName: key, total: 0, ...Object.fromEntries(AGING_BUCKETS.map((b) => [b.key, 0])) });
+    }
+    const row = bySupplier.get(key);
+    row[agingBucket(daysBetween(it.dueDate, today))] += it.amount;
+    row.total += it.amount;
+  }
+  return [...bySupplier.values()].sort((a, b) => b.total - a.total);
+}
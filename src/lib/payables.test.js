@@ -0,0 +1,141 @@
+import { describe, expect, it } from "vitest";
+import { AGING_BUCKETS, addDays, agingBucket, buildAging, daysBetween, dueStatus, invoiceDueDate, invoiceTermDays, invoiceTotalsById, matchesDueFilter } from "./payables.js";
+
+describe("vade tarihi", () => {
+  it("ay, yıl ve artık gün sınırlarını geçer", () => {
+    expect(addDays("2025-12-20", 30)).toBe("2026-01-19");
+    expect(addDays("2024-02-28", 1)).toBe("2024-02-29");
+    expect(addDays("2025-02-28", 1)).toBe("2025-03-01");
+    expect(addDays("2025-03-30", 0)).toBe("2025-03-30");
+  });
+
+  it("tarihsiz faturanın vadesi yoktur", () => {
+    expect(addDays("", 5)).toBe("");
+    expect(invoiceDueDate({ date: "", paymentTermDays: "30" })).toBe("");
+    expect(daysBetween("", "2025-01-01")).toBe(0);
+  });
+
+  it("gün farkı yönlüdür", () => {
+    expect(daysBetween("2025-12-20", "2026-01-19")).toBe(30);
+    expect(daysBetween("2026-01-19", "2025-12-20")).toBe(-30);
+  });
+});
+
+describe("vade günü", () => {
+  const supplier = { paymentTermDays: "60" };
+
+  it("fatura → tedarikçi kartı → 30 gün", () => {
+    expect(invoiceTermDays({ paymentTermDays: "45" }, supplier)).toBe(45);
+    expect(invoiceTermDays({ paymentTermDays: " " }, supplier)).toBe(60);
+    expect(invoiceTermDays({}, { paymentTermDays: "" })).toBe(30);
+    expect(invoiceTermDays(null, null)).toBe(30);
+  });
+
+  it("peşin (0 gün) boş sayılmaz; negatif gün 0'a, kesirli gün tama yuvarlanır", () => {
+    expect(invoiceTermDays({ paymentTermDays: "0" }, supplier)).toBe(0);
+    expect(invoiceTermDays({ paymentTermDays: "-10" }, supplier)).toBe(0);
+    expect(invoiceTermDays({ paymentTermDays: "14,6" }, supplier)).toBe(15);
+    expect(invoiceDueDate({ date: "2025-12-01", paymentTermDays: "" }, supplier)).toBe("2026-01-30");
+  });
+});
+
+describe("vade durumu", () => {
+  const today = "2025-12-10";
+
+  it.each([
+    ["2025-12-09", "overdue"],
+    ["2025-12-10", "due7"],
+    ["2025-12-17", "due7"],
+    ["2025-12-18", "due30"],
+    ["2026-01-09", "due30"],
+    ["2026-01-10", "later"],
+  ])("vade %s → %s", (due, status) => {
+    expect(dueStatus(due, today)).toBe(status);
+  });
+
+  it("30 gün filtresi 7 günü kapsar, tersi değil", () => {
+    expect(matchesDueFilter("due7", "due30")).toBe(true);
+    expect(matchesDueFilter("due30", "due7")).toBe(false);
+    expect(matchesDueFilter("later", "due30")).toBe(false);
+    expect(matchesDueFilter("overdue", "overdue")).toBe(true);
+  });
+});
+
+describe("ödenecek tutar", () => {
+  const invoices = [
+    { id: "tev", currencyCode: "TRY", tevfikatRate: "50" },
+    { id: "eur", currencyCode: "EUR", exchangeRate: "40" },
+    { id: "bos", currencyCode: "TRY" },
+    { id: "asiri", currencyCode: "TRY", tevfikatRate: "150" },
+  ];
+  const lines = [
+    { invoiceId: "tev", qty: "1", unitPrice: "1000", vatRate: "20" },
+    { invoiceId: "eur", qty: "2", unitPrice: "10", vatRate: "20" },
+    { invoiceId: "asiri", qty: "1", unitPrice: "100", vatRate: "20" },
+    { invoiceId: "silinmis", qty: "1", unitPrice: "999", vatRate: "20" },
+  ];
+  const totals = invoiceTotalsById(invoices, lines);
+
+  it("tevkifat ödenecek KDV'den düşülür", () => {
+    expect(totals.get("tev")).toMatchObject({ totalNet: 1000, vatAmount: 200 });
+    expect(totals.get("tev").payableVat).toBeCloseTo(100);
+    expect(totals.get("tev").payable).toBeCloseTo(1100);
+  });
+
+  it("dövizli faturanın ödenecek tutarı kendi para biriminde, TRY karşılığı kurla", () => {
+    expect(totals.get("eur").payable).toBeCloseTo(24);
+    expect(totals.get("eur").payableTry).toBeCloseTo(960);
+  });
+
+  it("kalemsiz fatura 0; %100'ü aşan tevkifat %100 sayılır; faturası olmayan kalem atlanır", () => {
+    expect(totals.get("bos")).toMatchObject({ payable: 0, payableTry: 0 });
+    expect(totals.get("asiri").payable).toBeCloseTo(100);
+    expect(totals.has("silinmis")).toBe(false);
+  });
+});
+
+describe("yaşlandırma", () => {
+  it.each([
+    [-5, "current"],
+    [0, "current"],
+    [1, "d1_30"],
+    [30, "d1_30"],
+    [31, "d31_60"],
+    [60, "d31_60"],
+    [61, "d61_90"],
+    [90, "d61_90"],
+    [91, "d90"],
+  ])("%d gün gecikme → %s", (days, bucket) => {
+    expect(agingBucket(days)).toBe(bucket);
+  });
+
+  it("vade günü vadesi gelmemiş sayılır; 30. gün 1–30, 31. gün 31–60 dilimindedir", () => {
+    const [row] = buildAging(
+      [
+        { supplierName: "Aras", dueDate: "2025-12-15", amount: 1 },
+        { supplierName: "Aras", dueDate: "2025-11-15", amount: 10 },
+        { supplierName: "Aras", dueDate: "2025-11-14", amount: 100 },
+      ],
+      "2025-12-15"
+    );
+    expect(row).toMatchObject({ current: 1, d1_30: 10, d31_60: 100, total: 111 });
+    expect(AGING_BUCKETS.find((b) => b.key === "d1_30")).toMatchObject({ label: "1–30", min: 1, max: 30 });
+  });
+
+  it("tedarikçi başına dilimlere toplanır; ödenmişler atlanır, en borçlu tedarikçi önce", () => {
+    const rows = buildAging(
+      [
+        { supplierName: "Aras", dueDate: "2025-12-31", amount: 100 },
+        { supplierName: "Aras", dueDate: "2025-11-01", amount: 50 },
+        { supplierName: "Delta", dueDate: "2025-08-01", amount: 500 },
+        { supplierName: "Delta", dueDate: "2025-08-01", amount: 0 },
+        { supplierName: "", dueDate: "2025-12-01", amount: 10 },
+      ],
+      "2025-12-15"
+    );
+    expect(rows.map((r) => r.supplierName)).toEqual(["Delta", "Aras", "(Bilinmeyen)"]);
+    expect(rows[0]).toMatchObject({ total: 500, d90: 500 });
+    expect(rows[1]).toMatchObject({ total: 150, current: 100, d31_60: 50, d1_30: 0 });
+    expect(rows[2]).toMatchObject({ total: 10, d1_30: 10 });
+  });
+});
@@ -0,0 +1,135 @@
+import { toNumber, uid } from "./calc.js";
+import { fxError, fxFields, invoiceFxRate } from "./currency.js";
+
+/**
+ * Ödemeler (tedarikçiye yapılan ödeme kayıtları)
+ * - Bir ödeme tek tedarikçiye aittir ve bir ya da birkaç faturaya dağıtılır (allocations: [{ invoiceId, amount }]).
+ * - Dağıtım tutarları ödemenin para birimindedir; yalnızca aynı para birimindeki faturalara dağıtılabilir.
+ * - Dağıtılmayan kısım avans sayılır ve tedarikçi bakiyesinden düşülür.
+ * - Fatura kalanı = ödenecek tutar (tevkifat düşülmüş KDV ile) − dağıtılan ödemeler.
+ */
+
+export const PAYMENT_METHODS = ["Havale / EFT", "Nakit", "Kredi Kartı", "Çek", "Senet", "Mahsup"];
+
+/** Kuruş altı farklar ödenmiş sayılır */
+const EPS = 0.005;
+
+export const PAYMENT_STATUSES = {
+  open: { label: "Ödenmedi", cls: "bg-rose-50 text-rose-800 ring-rose-200" },
+  partial: { label: "Kısmi Ödendi", cls: "bg-amber-50 text-amber-800 ring-amber-200" },
+  paid: { label: "Ödendi", cls: "bg-emerald-50 text-emerald-800 ring-emerald-200" },
+};
+
+export function blankPayment({ supplierId = "", supplierName = "", currencyCode = "TRY", exchangeRate = "1" } = {}) {
+  return {
+    id: uid(),
+    date: new Date().toISOString().slice(0, 10),
+    supplierId,
+    supplierName,
+    currencyCode,
+    exchangeRate,
+    amount: "",
+    method: PAYMENT_METHODS[0],
+    reference: "",
+    note: "",
+    allocations: [],
+  };
+}
+
+export function allocatedTotal(payment) {
+  return (payment.allocations ?? []).reduce((a, x) => a + toNumber(x.amount), 0);
+}
+
+/** invoiceId → ödenen (fatura para biriminde); exceptPaymentId düzenlenen ödemeyi dışarıda bırakır */
+export function paidByInvoice(payments, exceptPaymentId) {
+  const m = new Map();
+  for (const p of payments) {
+    if (p.id === exceptPaymentId) continue;
+    for (const a of p.allocations ?? []) m.set(a.invoiceId, (m.get(a.invoiceId) ?? 0) + toNumber(a.amount));
+  }
+  return m;
+}
+
+export function paymentStatus(payable, paid) {
+  if (paid <= EPS) return payable <= EPS ? "paid" : "open";
+  return payable - paid <= EPS ? "paid" : "partial";
+}
+
+/**
+ * invoiceId → { payable, paid, remaining, remainingTry, status }
+ * totals: invoiceTotalsById sonucu (payable tevkifatı dikkate alır)
+ */
+export function invoiceBalances(invoices, totals, payments) {
+  const paid = paidByInvoice(payments);
+  const m = new Map();
+  for (const inv of invoices) {
+    const payable = totals.get(inv.id)?.payable ?? 0;
+    const p = paid.get(inv.id) ?? 0;
+    const remaining = Math.max(0, payable - p);
+    m.set(inv.id, { payable, paid: p, remaining, remainingTry: remaining * invoiceFxRate(inv), status: paymentStatus(payable, p) });
+  }
+  return m;
+}
+
+/** supplierId (kartı yoksa ad) → { paidTry, advanceTry } */
+export function supplierPaymentTotals(payments) {
+  const m = new Map();
+  for (const p of payments) {
+    const key = p.supplierId || p.supplierName;
+    if (!m.has(key)) m.set(key, { paidTry: 0, advanceTry: 0 });
+    const cur = m.get(key);
+    const rate = invoiceFxRate(p);
+    cur.paidTry += toNumber(p.amount) * rate;
+    cur.advanceTry += Math.max(0, toNumber(p.amount) - allocatedTotal(p)) * rate;
+  }
+  return m;
+}
+
+/**
+ * Tutarı açık faturalara vade sırasıyla dağıtır.
+ * openInvoices: [{ invoiceId, dueDate, remaining }]
+ */
+export function autoAllocate(amount, openInvoices) {
+  let left = toNumber(amount);
+  const out = [];
+  for (const it of [...openInvoices].sort((a, b) => (a.dueDate < b.dueDate ? -1 : a.dueDate > b.dueDate ? 1 : 0))) {
+    if (left <= EPS) break;
+    const x = Math.min(left, it.remaining);
+    if (x <= EPS) continue;
+    out.push({ invoiceId: it.invoiceId, amount: x.toFixed(2) });
+    left -= x;
+  }
+  return out;
+}
+
+/**
+ * Kaydetmeden önce kontrol; hata yoksa "" döner.
+ * remainingById: bu ödeme hariç fatura kalanları (fatura para biriminde)
+ */
+export function validatePayment(draft, remainingById) {
+  if (!String(draft.supplierName ?? "").trim()) return "Tedarikçi seçiniz.";
+  if (!draft.date) return "Ödeme tarihi zorunludur.";
+  const amount = toNumber(draft.amount);
+  if (amount <= 0) return "Ödeme tutarı 0'dan büyük olmalıdır.";
+  const fx = fxError(draft);
+  if (fx) return fx;
+  for (const a of draft.allocations ?? []) {
+    const x = toNumber(a.amount);
+    if (x < 0) return "Dağıtım tutarı negatif olamaz.";
+    if (x - (remainingById.get(a.invoiceId) ?? 0) > EPS) return "Bir faturaya kalan tutarından fazla ödeme dağıtılamaz.";
+  }
+  if (allocatedTotal(draft) - amount > EPS) return "Faturalara dağıtılan toplam, ödeme tutarını aşamaz.";
+  return "";
+}
+
+export function normalizePayment(draft) {
+  return {
+    ...draft,
+    ...fxFields(draft),
+    supplierName: String(draft.supplierName ?? "").trim(),
+    amount: String(draft.amount ?? "").trim(),
+    reference: String(draft.reference ?? "").trim(),
+    note: String(draft.note ?? "").trim(),
+    allocations: (draft.allocations ?? []).filter((a) => toNumber(a.amount) > 0).map((a) => ({ invoiceId: a.invoiceId, amount: String(a.amount).trim() })),
+  };
+}
@@ -0,0 +1,114 @@
+import { describe, expect, it } from "vitest";
+import { allocatedTotal, autoAllocate, invoiceBalances, normalizePayment, paidByInvoice, paymentStatus, supplierPaymentTotals, validatePayment } from "./payments.js";
+
+describe("otomatik dağıtım", () => {
+  const open = [
+    { invoiceId: "ocak", dueDate: "2026-01-30", remaining: 300 },
+    { invoiceId: "aralik", dueDate: "2025-12-01", remaining: 100.5 },
+    { invoiceId: "kapali", dueDate: "2025-11-15", remaining: 0 },
+  ];
+
+  it("en eski vadeden başlar, kısmi ödeme son faturada kalır", () => {
+    expect(autoAllocate("250", open)).toEqual([
+      { invoiceId: "aralik", amount: "100.50" },
+      { invoiceId: "ocak", amount: "149.50" },
+    ]);
+  });
+
+  it("açık tutardan fazlası dağıtılmaz (avans kalır); kapanmış fatura atlanır", () => {
+    expect(autoAllocate("1.000,00", open)).toEqual([
+      { invoiceId: "aralik", amount: "100.50" },
+      { invoiceId: "ocak", amount: "300.00" },
+    ]);
+  });
+
+  it("0 ya da kuruş altı tutar dağıtılmaz", () => {
+    expect(autoAllocate("0", open)).toEqual([]);
+    expect(autoAllocate("0,0049", open)).toEqual([]);
+  });
+});
+
+describe("fatura bakiyesi", () => {
+  const payments = [
+    { id: "p1", allocations: [{ invoiceId: "a", amount: "40" }] },
+    { id: "p2", allocations: [{ invoiceId: "a", amount: "60,25" }, { invoiceId: "b", amount: "5" }] },
+    { id: "p3" },
+  ];
+
+  it("birden çok ödemenin dağıtımları toplanır; düzenlenen ödeme hariç tutulabilir", () => {
+    expect(paidByInvoice(payments).get("a")).toBeCloseTo(100.25);
+    expect(paidByInvoice(payments, "p2").get("a")).toBe(40);
+    expect(paidByInvoice(payments, "p2").has("b")).toBe(false);
+  });
+
+  it.each([
+    [100, 0, "open"],
+    [100, 40, "partial"],
+    [100, 99.996, "paid"],
+    [100, 120, "paid"],
+    [0, 0, "paid"],
+  ])("ödenecek %d, ödenen %d → %s", (payable, paid, status) => {
+    expect(paymentStatus(payable, paid)).toBe(status);
+  });
+
+  it("kalan fatura para biriminde, TRY karşılığı fatura kuruyla; fazla ödeme kalanı eksiye düşürmez", () => {
+    const invoices = [
+      { id: "a", currencyCode: "EUR", exchangeRate: "40" },
+      { id: "b", currencyCode: "TRY" },
+    ];
+    const totals = new Map([
+      ["a", { payable: 200 }],
+      ["b", { payable: 3 }],
+    ]);
+    const m = invoiceBalances(invoices, totals, payments);
+    expect(m.get("a").remaining).toBeCloseTo(99.75);
+    expect(m.get("a").remainingTry).toBeCloseTo(3990);
+    expect(m.get("a").status).toBe("partial");
+    expect(m.get("b")).toMatchObject({ payable: 3, paid: 5, remaining: 0, status: "paid" });
+  });
+});
+
+describe("tedarikçi ödemeleri", () => {
+  it("dağıtılmayan kısım avanstır; dövizli ödeme kendi kuruyla TRY'ye çevrilir", () => {
+    const m = supplierPaymentTotals([
+      { supplierId: "s1", currencyCode: "TRY", amount: "100", allocations: [{ invoiceId: "a", amount: "80" }] },
+      { supplierId: "s1", currencyCode: "USD", exchangeRate: "30", amount: "10", allocations: [] },
+      { supplierId: "", supplierName: "Kartsız Ltd.", currencyCode: "TRY", amount: "5", allocations: [{ invoiceId: "x", amount: "5" }] },
+    ]);
+    expect(m.get("s1")).toEqual({ paidTry: 400, advanceTry: 320 });
+    expect(m.get("Kartsız Ltd.")).toEqual({ paidTry: 5, advanceTry: 0 });
+  });
+});
+
+describe("ödeme kaydı", () => {
+  const remaining = new Map([["a", 100]]);
+  const draft = { supplierName: "Delta", date: "2025-12-10", currencyCode: "TRY", exchangeRate: "1", amount: "150", allocations: [{ invoiceId: "a", amount: "100" }] };
+
+  it("faturanın tamamı ve avans birlikte ödenebilir", () => {
+    expect(validatePayment(draft, remaining)).toBe("");
+    expect(allocatedTotal(draft)).toBe(100);
+  });
+
+  it.each([
+    [{ supplierName: " " }, "Tedarikçi seçiniz."],
+    [{ date: "" }, "Ödeme tarihi zorunludur."],
+    [{ amount: "-5" }, "Ödeme tutarı 0'dan büyük olmalıdır."],
+    [{ currencyCode: "EUR", exchangeRate: "" }, "EUR faturası için kur giriniz (elle ya da kur tablosundan)."],
+    [{ allocations: [{ invoiceId: "a", amount: "-1" }] }, "Dağıtım tutarı negatif olamaz."],
+    [{ allocations: [{ invoiceId: "a", amount: "100,01" }] }, "Bir faturaya kalan tutarından fazla ödeme dağıtılamaz."],
+    [{ allocations: [{ invoiceId: "silinmis", amount: "1" }] }, "Bir faturaya kalan tutarından fazla ödeme dağıtılamaz."],
+    [{ amount: "50", allocations: [{ invoiceId: "a", amount: "60" }] }, "Faturalara dağıtılan toplam, ödeme tutarını aşamaz."],
+  ])("%j → %s", (patch, error) => {
+    expect(validatePayment({ ...draft, ...patch }, remaining)).toBe(error);
+  });
+
+  it("kuruş altı fazlalık hata sayılmaz", () => {
+    expect(validatePayment({ ...draft, allocations: [{ invoiceId: "a", amount: "100,0049" }] }, remaining)).toBe("");
+  });
+
+  it("sıfır dağıtımlar atılır; TRY ödemede kur 1 yazılır", () => {
+    const p = normalizePayment({ ...draft, exchangeRate: "35", reference: " EFT-1 ", allocations: [{ invoiceId: "a", amount: "0" }, { invoiceId: "b", amount: " 20 " }] });
+    expect(p).toMatchObject({ exchangeRate: "1", reference: "EFT-1" });
+    expect(p.allocations).toEqual([{ invoiceId: "b", amount: "20" }]);
+  });
+});
@@ -0,0 +1,114 @@
+import { calcLine } from "./calc.js";
+import { calcLineTry } from "./currency.js";
+
+/**
+ * Tedarikçi fiyat karşılaştırması (ürün × tedarikçi)
+ * - Fiyat: iskontolu birim, KDV hariç, TRY (fatura kuruyla; dövizli alımlar da karşılaştırılabilsin diye).
+ * - Hücre: son fiyat + miktar ağırlıklı ortalama. En ucuz tedarikçi ortalamaya göre seçilir.
+ * - Potansiyel tasarruf: geçmiş harcama − toplam miktar × en ucuz tedarikçinin ortalaması.
+ * - Tedarikçi anahtarı supplierId (kartı olmayan eski faturalarda ad); ad yalnızca gösterim içindir, en güncel alımdaki ad kullanılır.
+ * - Ürün anahtarı itemId; katalogda olmayan eski kalemler adla gruplanır (priceHistory.js ile aynı).
+ *   Birim de anahtara girer: kutu ve adet fiyatı karşılaştırılamaz, aynı ürün her birim için ayrı satırdır.
+ */
+
+function nameKey(s) {
+  return String(s ?? "").trim().toLocaleLowerCase("tr");
+}
+
+/** Kartlı tedarikçi id ile; kartsız "name:<ad>", adsız "-" */
+function supplierKey(r) {
+  if (r.supplierId) return r.supplierId;
+  return r.supplierName ? "name:" + nameKey(r.supplierName) : "-";
+}
+
+/**
+ * rows (joined) → { suppliers: [{ key, name }], items: [{ key, itemId, name, unitType, multiUnit, cells: { [tedarikçi anahtarı]: hücre }, best, bestName, bestPrice, qty, spend, savings }], totalSpend, totalSavings }
+ * hücre: { count, qty, spend, avg, last, lastDate }. Yalnızca tek tedarikçiden alınan ürünlerde tasarruf 0'dır.
+ */
+export function supplierPriceMatrix(rows) {
+  const byItem = new Map();
+  const supplierNames = new Map();
+
+  const sorted = [...rows].sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+  for (const r of sorted) {
+    if (!(calcLine(r).q > 0)) continue;
+    const c = calcLineTry(r);
+    const supplier = supplierKey(r);
+    const key = (r.itemId || "name:" + nameKey(r.invoiceItem)) + "|" + (r.unitType ?? "");
+    if (!byItem.has(key)) byItem.set(key, { key, itemId: r.itemId || "", name: r.invoiceItem, unitType: r.unitType, cells: {} });
+    const item = byItem.get(key);
+    if (!item.cells[supplier]) item.cells[supplier] = { count: 0, qty: 0, spend: 0, avg: 0, last: 0, lastDate: "" };
+    const cell = item.cells[supplier];
+    cell.count += 1;
+    cell.qty += c.q;
+    cell.spend += c.unitNet * c.q;
+    // Tarihe göre sıralı: son görülen en güncel alım
+    cell.last = c.unitNet;
+    cell.lastDate = r.date;
+    supplierNames.set(supplier, String(r.supplierName ?? "").trim() || "-");
+  }
+
+  // Aynı ürünün birden fazla birimle alındığı satırlar işaretlenir
+  const unitCount = new Map();
+  for (const key of byItem.keys()) {
+    const itemKey = key.slice(0, key.lastIndexOf("|"));
+    unitCount.set(itemKey, (unitCount.get(itemKey) || 0) + 1);
+  }
+
+  const items = [...byItem.values()].map((item) => {
+    let best = "";
+    let bestPrice = Infinity;
+    let qty = 0;
+    let spend = 0;
+    for (const [supplier, cell] of Object.entries(item.cells)) {
+      cell.avg = cell.qty > 0 ? cell.spend / cell.qty : 0;
+      if (cell.avg < bestPrice) {
+        bestPrice = cell.avg;
+        best = supplier;
+      }
+      qty += cell.qty;
+      spend += cell.spend;
+    }
+    const raw = Math.max(0, spend - qty * bestPrice);
+    // Kuruş altı (kayan nokta) farklar tasarruf sayılmaz
+    const savings = raw < 0.005 ? 0 : raw;
+    const multiUnit = unitCount.get(item.key.slice(0, item.key.lastIndexOf("|"))) > 1;
+    return { ...item, multiUnit, best, bestName: supplierNames.get(best) ?? "", bestPrice, qty, spend, savings };
+  });
+
+  items.sort((a, b) => b.savings - a.savings || a.name.localeCompare(b.name, "tr"));
+  return {
+    suppliers: [...supplierNames].map(([key, name]) => ({ key, name })).sort((a, b) => a.name.localeCompare(b.name, "tr") || a.key.localeCompare(b.key)),
+    items,
+    totalSpend: items.reduce((s, x) => s + x.spend, 0),
+    totalSavings: items.reduce((s, x) => s + x.savings, 0),
+  };
+}
+
+/** Excel için düz satırlar: ürün başına tedarikçi sütun çiftleri (son_<i> / ort_<i>) + özet sütunları */
+export function priceMatrixSheet(matrix) {
+  const columns = [
+    { key: "name", label: "Ürün", width: 32 },
+    { key: "unitType", label: "Birim", width: 8 },
+    ...matrix.suppliers.flatMap((s, i) => [
+      { key: `last_${i}`, label: `${s.name} Son (₺)`, type: "money" },
+      { key: `avg_${i}`, label: `${s.name} Ort. (₺)`, type: "money" },
+    ]),
+    { key: "best", label: "En Ucuz Tedarikçi", width: 24 },
+    { key: "bestPrice", label: "En Ucuz Ort. (₺)", type: "money" },
+    { key: "qty", label: "Toplam Miktar", type: "number" },
+    { key: "spend", label: "Harcama (₺)", type: "money", total: true },
+    { key: "savings", label: "Potansiyel Tasarruf (₺)", type: "money", total: true },
+  ];
+  const rows = matrix.items.map((item) => {
+    const row = { name: item.name, unitType: item.unitType, best: item.bestName, bestPrice: item.bestPrice, qty: item.qty, spend: item.spend, savings: item.savings };
+    matrix.suppliers.forEach((s, i) => {
+      const cell = item.cells[s.key];
+      if (!cell) return;
+      row[`last_${i}`] = cell.last;
+      row[`avg_${i}`] = cell.avg;
+    });
+    return row;
+  });
+  return { columns, rows };
+}
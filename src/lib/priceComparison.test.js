@@ -0,0 +1,128 @@
+import { describe, expect, it } from "vitest";
+import { priceMatrixSheet, supplierPriceMatrix } from "./priceComparison.js";
+
+const LINE = { itemId: "vida", invoiceItem: "Vida", unitType: "Adet", discountRate: "0", vatRate: "20", fxRate: 1 };
+
+describe("ürün × tedarikçi fiyatları", () => {
+  const m = supplierPriceMatrix([
+    { ...LINE, date: "2025-12-01", supplierId: "A", supplierName: "A", qty: "100", unitPrice: "3" },
+    { ...LINE, date: "2025-10-01", supplierId: "A", supplierName: "A", qty: "100", unitPrice: "2" },
+    { ...LINE, date: "2025-11-01", supplierId: "B", supplierName: "B", qty: "200", unitPrice: "2", discountRate: "10" },
+    // Dövizli alım fatura kuruyla TRY'ye çevrilerek karşılaştırılır
+    { ...LINE, date: "2025-11-15", supplierId: "C", supplierName: "C", qty: "10", unitPrice: "0,1", fxRate: 35 },
+    { ...LINE, date: "2025-12-20", supplierId: "A", supplierName: "A", qty: "0", unitPrice: "1" },
+    { ...LINE, date: "2025-12-21", supplierName: "", qty: "1", unitPrice: "9" },
+  ]);
+  const [vida] = m.items;
+
+  it("son fiyat satır sırasından değil tarihten; miktarı 0 olan satır atlanır", () => {
+    expect(vida.cells.A).toMatchObject({ count: 2, qty: 200, spend: 500, avg: 2.5, last: 3, lastDate: "2025-12-01" });
+  });
+
+  it("tedarikçisiz satır \"-\" sütununda; sütunlar Türkçe sıralı", () => {
+    expect(m.suppliers.map((x) => x.key)).toEqual(["-", "A", "B", "C"]);
+    expect(vida.cells["-"]).toMatchObject({ count: 1, last: 9 });
+  });
+
+  it("en ucuz tedarikçi ortalamaya göre; tasarruf = harcama − miktar × en ucuz ortalama", () => {
+    expect(vida.cells.B.avg).toBeCloseTo(1.8);
+    expect(vida.cells.C.avg).toBeCloseTo(3.5);
+    expect(vida).toMatchObject({ best: "B", bestName: "B" });
+    expect(vida.qty).toBe(411);
+    expect(vida.spend).toBeCloseTo(500 + 360 + 35 + 9);
+    expect(vida.savings).toBeCloseTo(904 - 411 * 1.8);
+    expect(m.totalSpend).toBeCloseTo(904);
+  });
+});
+
+describe("tedarikçi anahtarı", () => {
+  it("aynı adlı iki tedarikçi kartı ayrı sütundur; ad yalnızca başlıkta", () => {
+    const m = supplierPriceMatrix([
+      { ...LINE, date: "2025-10-01", supplierId: "s1", supplierName: "Aras Ltd.", qty: "1", unitPrice: "5" },
+      { ...LINE, date: "2025-10-02", supplierId: "s2", supplierName: "Aras Ltd.", qty: "1", unitPrice: "4" },
+    ]);
+    expect(m.suppliers).toEqual([
+      { key: "s1", name: "Aras Ltd." },
+      { key: "s2", name: "Aras Ltd." },
+    ]);
+    expect(m.items[0]).toMatchObject({ best: "s2", bestName: "Aras Ltd.", savings: 1 });
+  });
+
+  it("adı değişen tedarikçinin alımları tek sütunda, en güncel adla; kartsız eski faturalar adla gruplanır", () => {
+    const m = supplierPriceMatrix([
+      { ...LINE, date: "2025-10-01", supplierId: "s1", supplierName: "Aras", qty: "1", unitPrice: "5" },
+      { ...LINE, date: "2025-11-01", supplierId: "s1", supplierName: "Aras Hırdavat A.Ş.", qty: "1", unitPrice: "3" },
+      { ...LINE, date: "2025-10-05", supplierId: "", supplierName: "Bora", qty: "1", unitPrice: "6" },
+      { ...LINE, date: "2025-10-06", supplierId: "", supplierName: "BORA ", qty: "1", unitPrice: "6" },
+    ]);
+    expect(m.suppliers).toEqual([
+      { key: "s1", name: "Aras Hırdavat A.Ş." },
+      { key: "name:bora", name: "BORA" },
+    ]);
+    expect(m.items[0].cells.s1).toMatchObject({ count: 2, avg: 4, last: 3 });
+    expect(m.items[0].cells["name:bora"].count).toBe(2);
+    expect(priceMatrixSheet(m).columns[2].label).toBe("Aras Hırdavat A.Ş. Son (₺)");
+  });
+});
+
+describe("tasarruf ve sıralama", () => {
+  it("aynı fiyattan alınan ürünün kuruş altı kayan nokta farkı tasarruf sayılmaz", () => {
+    const m = supplierPriceMatrix([
+      { ...LINE, date: "2025-10-01", supplierId: "A", supplierName: "A", qty: "3", unitPrice: "0,1" },
+      { ...LINE, date: "2025-10-02", supplierId: "B", supplierName: "B", qty: "3", unitPrice: "0,1" },
+    ]);
+    expect(m.items[0].savings).toBe(0);
+    expect(m.totalSavings).toBe(0);
+  });
+
+  it("katalogsuz kalemler adla (harf duyarsız) gruplanır; tasarrufu büyük olan önce, eşitlikte ada göre", () => {
+    const m = supplierPriceMatrix([
+      { ...LINE, itemId: "", invoiceItem: "Somun", date: "2025-10-01", supplierId: "A", supplierName: "A", qty: "10", unitPrice: "2" },
+      { ...LINE, itemId: "", invoiceItem: "SOMUN", date: "2025-10-02", supplierId: "B", supplierName: "B", qty: "10", unitPrice: "1" },
+      { ...LINE, itemId: "", invoiceItem: "Pul", date: "2025-10-01", supplierId: "A", supplierName: "A", qty: "1", unitPrice: "1" },
+      { ...LINE, itemId: "", invoiceItem: "Conta", date: "2025-10-01", supplierId: "A", supplierName: "A", qty: "1", unitPrice: "1" },
+    ]);
+    expect(m.items.map((x) => [x.key, x.name, x.savings])).toEqual([
+      ["name:somun|Adet", "Somun", 10],
+      ["name:conta|Adet", "Conta", 0],
+      ["name:pul|Adet", "Pul", 0],
+    ]);
+  });
+});
+
+describe("birimler", () => {
+  const m = supplierPriceMatrix([
+    { ...LINE, date: "2025-10-01", supplierId: "A", supplierName: "A", qty: "1", unitPrice: "100", unitType: "Kutu" },
+    { ...LINE, date: "2025-10-02", supplierId: "B", supplierName: "B", qty: "10", unitPrice: "2" },
+    { ...LINE, date: "2025-10-03", supplierId: "A", supplierName: "A", qty: "20", unitPrice: "3" },
+    { ...LINE, itemId: "somun", invoiceItem: "Somun", date: "2025-10-03", supplierId: "B", supplierName: "B", qty: "1", unitPrice: "1" },
+  ]);
+
+  it("aynı ürün her birim için ayrı satırdır ve işaretlenir; tek birimli ürün işaretlenmez", () => {
+    expect(m.items.map((x) => [x.key, x.multiUnit])).toEqual([
+      ["vida|Adet", true],
+      ["somun|Adet", false],
+      ["vida|Kutu", true],
+    ]);
+  });
+
+  it("kutu fiyatı adet fiyatıyla karşılaştırılmaz: en ucuz ve tasarruf birim içinde", () => {
+    const adet = m.items.find((x) => x.key === "vida|Adet");
+    expect(adet).toMatchObject({ best: "B", bestPrice: 2, qty: 30, savings: 20 });
+    expect(m.items.find((x) => x.key === "vida|Kutu")).toMatchObject({ best: "A", bestPrice: 100, savings: 0 });
+  });
+});
+
+describe("Excel sayfası", () => {
+  it("tedarikçi başına son / ortalama sütun çifti; alımı olmayan hücre boş kalır", () => {
+    const m = supplierPriceMatrix([
+      { ...LINE, date: "2025-10-01", supplierId: "A", supplierName: "A", qty: "1", unitPrice: "5" },
+      { ...LINE, itemId: "somun", invoiceItem: "Somun", date: "2025-10-02", supplierId: "B", supplierName: "B", qty: "1", unitPrice: "1" },
+    ]);
+    const { columns, rows } = priceMatrixSheet(m);
+    expect(columns.map((c) => c.key)).toEqual(["name", "unitType", "last_0", "avg_0", "last_1", "avg_1", "best", "bestPrice", "qty", "spend", "savings"]);
+    expect(columns[2].label).toBe("A Son (₺)");
+    expect(columns.filter((c) => c.total).map((c) => c.key)).toEqual(["spend", "savings"]);
+    expect(rows.find((r) => r.name === "Vida")).toEqual({ name: "Vida", unitType: "Adet", best: "A", bestPrice: 5, qty: 1, spend: 5, savings: 0, last_0: 5, avg_0: 5 });
+  });
+});
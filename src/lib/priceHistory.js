@@ -0,0 +1,75 @@
+import { calcLine } from "./calc.js";
+import { calcLineTry } from "./currency.js";
+
+/**
+ * Ürün fiyat geçmişi
+ * - Kaynak: joined satırları; ürüne itemId ile, katalogda olmayan eski kalemler adla bağlanır.
+ * - Karşılaştırma TRY birim fiyatla (fatura kuru); dövizli alımlarda orijinal birim fiyat da tutulur.
+ * - Farklı birimlerle (Adet / Kutu) yapılan alımların fiyatları karşılaştırılmaz (priceComparison gibi birim bazında):
+ *   change aynı birimdeki bir önceki alıma göre, özet priceStatsByUnit ile birim bazında hesaplanır.
+ * - change: bir önceki alıma göre iskontolu birim fiyat (KDV hariç) değişimi, %.
+ */
+
+function nameKey(s) {
+  return String(s ?? "").trim().toLocaleLowerCase("tr");
+}
+
+/** Tarih sırasıyla alımlar: [{ id, invoiceId, date, supplierName, invoiceNo, qty, unitType, currencyCode, unitNet, unitVatIncl, unitNetOrig, change }] */
+export function itemPurchases(rows, item) {
+  const key = nameKey(item.name);
+  const list = rows
+    .filter((r) => (item.id && r.itemId === item.id) || (!r.itemId && nameKey(r.invoiceItem) === key))
+    .filter((r) => calcLine(r).q > 0)
+    .map((r) => {
+      const c = calcLineTry(r);
+      return {
+        id: r.id,
+        invoiceId: r.invoiceId,
+        date: r.date,
+        supplierName: r.supplierName,
+        invoiceNo: r.invoiceNo,
+        qty: c.q,
+        unitType: r.unitType,
+        currencyCode: r.currencyCode || "TRY",
+        unitNet: c.unitNet,
+        unitVatIncl: c.unitVatIncl,
+        unitNetOrig: calcLine(r).unitNet,
+      };
+    })
+    .sort((a, b) => (a.date !== b.date ? (a.date < b.date ? -1 : 1) : String(a.invoiceNo).localeCompare(String(b.invoiceNo), "tr")));
+
+  const lastByUnit = new Map();
+  return list.map((p) => {
+    const prev = lastByUnit.get(p.unitType ?? "");
+    lastByUnit.set(p.unitType ?? "", p);
+    return { ...p, change: prev && prev.unitNet > 0 ? ((p.unitNet - prev.unitNet) / prev.unitNet) * 100 : null };
+  });
+}
+
+/** min / max / ortalama (miktar ağırlıklı) / son fiyat ve son değişim; purchases tek birimde olmalıdır */
+export function priceStats(purchases) {
+  if (!purchases.length) return null;
+  let min = Infinity;
+  let max = -Infinity;
+  let qty = 0;
+  let amount = 0;
+  for (const p of purchases) {
+    min = Math.min(min, p.unitNet);
+    max = Math.max(max, p.unitNet);
+    qty += p.qty;
+    amount += p.unitNet * p.qty;
+  }
+  const last = purchases[purchases.length - 1];
+  return { count: purchases.length, totalQty: qty, min, max, avg: qty > 0 ? amount / qty : 0, last: last.unitNet, lastDate: last.date, lastChange: last.change };
+}
+
+/** Birim bazında özet, en çok alım yapılan birim önce: [{ unitType, purchases, stats }] */
+export function priceStatsByUnit(purchases) {
+  const byUnit = new Map();
+  for (const p of purchases) {
+    const unit = p.unitType ?? "";
+    if (!byUnit.has(unit)) byUnit.set(unit, []);
+    byUnit.get(unit).push(p);
+  }
+  return Array.from(byUnit, ([unitType, list]) => ({ unitType, purchases: list, stats: priceStats(list) })).sort((a, b) => b.purchases.length - a.purchases.length);
+}
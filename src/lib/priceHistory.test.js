@@ -0,0 +1,112 @@
+import { describe, expect, it } from "vitest";
+import { itemPurchases, priceStats, priceStatsByUnit } from "./priceHistory.js";
+
+// 10 adet × 2 TL
+const LINE = { itemId: "i1", invoiceItem: "Vida", unitType: "Adet", qty: "10", unitPrice: "2", discountRate: "0", vatRate: "20", fxRate: 1, currencyCode: "TRY" };
+const item = { id: "i1", name: "Vida" };
+
+describe("ürünün alımları", () => {
+  it("katalog bağı olan satır itemId ile, olmayan adla (harf / boşluk duyarsız) bulunur", () => {
+    const rows = [
+      { ...LINE, id: "1", date: "2026-01-01" },
+      { ...LINE, id: "2", itemId: "", invoiceItem: " VİDA ", date: "2026-01-02" },
+      { ...LINE, id: "3", itemId: "i2", date: "2026-01-03" },
+      { ...LINE, id: "4", itemId: "", invoiceItem: "Vida M6", date: "2026-01-04" },
+    ];
+    expect(itemPurchases(rows, item).map((p) => p.id)).toEqual(["1", "2"]);
+    // Henüz kaydedilmemiş ürün (id yok): yalnızca bağsız satırlar
+    expect(itemPurchases(rows, { id: "", name: "vida" }).map((p) => p.id)).toEqual(["2"]);
+  });
+
+  it("miktarı 0 ya da negatif (iade) satırlar fiyat geçmişine girmez", () => {
+    const rows = [
+      { ...LINE, id: "1", date: "2026-01-01", qty: "0" },
+      { ...LINE, id: "2", date: "2026-01-02", qty: "-5" },
+      { ...LINE, id: "3", date: "2026-01-03" },
+    ];
+    expect(itemPurchases(rows, item).map((p) => p.id)).toEqual(["3"]);
+  });
+
+  it("tarih, aynı günde fatura no sırasıyla", () => {
+    const rows = [
+      { ...LINE, id: "c", date: "2026-02-01", invoiceNo: "A-10" },
+      { ...LINE, id: "b", date: "2026-01-15", invoiceNo: "Z-1" },
+      { ...LINE, id: "a", date: "2026-02-01", invoiceNo: "A-09" },
+    ];
+    expect(itemPurchases(rows, item).map((p) => p.id)).toEqual(["b", "a", "c"]);
+  });
+
+  it("dövizli alım fatura kuruyla TRY'ye çevrilir, orijinal iskontolu fiyat tutulur", () => {
+    const [p] = itemPurchases([{ ...LINE, id: "1", date: "2026-01-01", unitPrice: "0,10", discountRate: "50", currencyCode: "EUR", fxRate: 50 }], item);
+    expect(p).toMatchObject({ currencyCode: "EUR", qty: 10, unitNet: 2.5, unitNetOrig: 0.05 });
+    expect(p.unitVatIncl).toBeCloseTo(3);
+  });
+
+  it("değişim bir önceki alıma göre %; ilk alımda ve önceki fiyat 0 iken boş", () => {
+    const rows = [
+      { ...LINE, id: "1", date: "2026-01-01", unitPrice: "0" },
+      { ...LINE, id: "2", date: "2026-02-01", unitPrice: "2" },
+      { ...LINE, id: "3", date: "2026-03-01", unitPrice: "2,5" },
+      { ...LINE, id: "4", date: "2026-04-01", unitPrice: "2" },
+    ];
+    expect(itemPurchases(rows, item).map((p) => p.change)).toEqual([null, null, 25, -20]);
+  });
+
+  it("değişim aynı birimdeki önceki alıma göre; başka birimdeki ara alım atlanır", () => {
+    const rows = [
+      { ...LINE, id: "1", date: "2026-01-01", unitPrice: "2" },
+      { ...LINE, id: "2", date: "2026-02-01", unitType: "Kutu", unitPrice: "150" },
+      { ...LINE, id: "3", date: "2026-03-01", unitPrice: "2,2" },
+      { ...LINE, id: "4", date: "2026-04-01", unitType: "Kutu", unitPrice: "135" },
+    ];
+    const change = itemPurchases(rows, item).map((p) => p.change);
+    expect(change[0]).toBeNull();
+    expect(change[1]).toBeNull();
+    expect(change[2]).toBeCloseTo(10);
+    expect(change[3]).toBeCloseTo(-10);
+  });
+});
+
+describe("fiyat özeti", () => {
+  it("alım yoksa boş", () => {
+    expect(priceStats([])).toBeNull();
+  });
+
+  it("tek alımda min = max = ortalama = son; son değişim boş", () => {
+    const stats = priceStats(itemPurchases([{ ...LINE, id: "1", date: "2026-01-01" }], item));
+    expect(stats).toEqual({ count: 1, totalQty: 10, min: 2, max: 2, avg: 2, last: 2, lastDate: "2026-01-01", lastChange: null });
+  });
+
+  it("ortalama miktar ağırlıklıdır; son fiyat tarihçe sonundaki alım", () => {
+    const rows = [
+      { ...LINE, id: "1", date: "2026-03-01", qty: "30", unitPrice: "1" },
+      { ...LINE, id: "2", date: "2026-01-01", qty: "10", unitPrice: "4" },
+    ];
+    const stats = priceStats(itemPurchases(rows, item));
+    expect(stats).toMatchObject({ count: 2, totalQty: 40, min: 1, max: 4, avg: 70 / 40, last: 1, lastDate: "2026-03-01", lastChange: -75 });
+  });
+});
+
+describe("birim bazında fiyat özeti", () => {
+  it("farklı birimlerin fiyatları birbirine karışmaz, en çok alım yapılan birim önce gelir", () => {
+    const rows = [
+      { ...LINE, id: "1", date: "2026-01-01", unitType: "Kutu", qty: "1", unitPrice: "150" },
+      { ...LINE, id: "2", date: "2026-02-01", qty: "100", unitPrice: "2" },
+      { ...LINE, id: "3", date: "2026-03-01", qty: "100", unitPrice: "1" },
+    ];
+    const units = priceStatsByUnit(itemPurchases(rows, item));
+    expect(units.map((u) => u.unitType)).toEqual(["Adet", "Kutu"]);
+    expect(units[0].purchases.map((p) => p.id)).toEqual(["2", "3"]);
+    expect(units[0].stats).toMatchObject({ count: 2, totalQty: 200, min: 1, max: 2, avg: 1.5, last: 1, lastChange: -50 });
+    expect(units[1].stats).toMatchObject({ count: 1, totalQty: 1, min: 150, max: 150, avg: 150, lastChange: null });
+  });
+
+  it("birimi boş satırlar kendi grubunda toplanır; alım yoksa liste boş", () => {
+    const rows = [
+      { ...LINE, id: "1", date: "2026-01-01", unitType: undefined },
+      { ...LINE, id: "2", date: "2026-02-01", unitType: "" },
+    ];
+    expect(priceStatsByUnit(itemPurchases(rows, item)).map((u) => [u.unitType, u.stats.count])).toEqual([["", 2]]);
+    expect(priceStatsByUnit([])).toEqual([]);
+  });
+});
@@ -0,0 +1,229 @@
+import { calcLine, clamp, escapeXml as esc, formatForInput, money, sumLines, toNumber } from "./calc.js";
+import { formatAmount, invoiceFxRate, isForeign } from "./currency.js";
+
+/**
+ * Yazdırılabilir belgeler: fatura ve satınalma siparişi (A4, HTML)
+ * - PDF, tarayıcının yazdır penceresinden "PDF olarak kaydet" ile alınır; kütüphane / ağ gerekmez.
+ * - Tutarlar ekranlardaki hesapla aynıdır (calcLine); KDV oran bazında döküm, tevkifat ve genel toplam.
+ */
+
+function trDate(iso) {
+  const m = String(iso ?? "").match(/^(\d{4})-(\d{2})-(\d{2})/);
+  return m ? `${m[3]}.${m[2]}.${m[1]}` : esc(iso);
+}
+
+/** Oran gösterimi: %12,5 (en çok 2 ondalık, kayan nokta artığı yazılmaz) */
+function pct(n) {
+  return "%" + formatForInput(n, 2);
+}
+
+/** KDV oranı → { rate, base, vat } (oran sırasıyla) */
+export function vatBreakdown(lines) {
+  const m = new Map();
+  for (const ln of lines) {
+    const c = calcLine(ln);
+    if (!m.has(c.vat)) m.set(c.vat, { rate: c.vat, base: 0, vat: 0 });
+    const cur = m.get(c.vat);
+    cur.base += c.totalNet;
+    cur.vat += c.vatAmount;
+  }
+  return [...m.values()].sort((a, b) => a.rate - b.rate);
+}
+
+const STYLE = `
+  @page { size: A4; margin: 14mm; }
+  * { box-sizing: border-box; }
+  body { margin: 0; font-family: system-ui, -apple-system, "Segoe UI", Roboto, Arial, sans-serif; font-size: 10.5pt; color: #0f172a; }
+  h1 { margin: 0; font-size: 18pt; letter-spacing: .04em; }
+  .head { display: flex; justify-content: space-between; align-items: flex-start; border-bottom: 2px solid #0f172a; padding-bottom: 8px; }
+  .meta { text-align: right; font-size: 9.5pt; }
+  .meta div { margin-top: 2px; }
+  .parties { display: flex; gap: 12px; margin-top: 12px; }
+  .party { flex: 1; border: 1px solid #cbd5e1; border-radius: 6px; padding: 8px 10px; font-size: 9.5pt; }
+  .party .title { font-size: 8pt; font-weight: 600; text-transform: uppercase; color: #475569; margin-bottom: 4px; }
+  .party .name { font-weight: 600; font-size: 10.5pt; }
+  table { width: 100%; border-collapse: collapse; margin-top: 12px; }
+  thead { display: table-header-group; }
+  tr { page-break-inside: avoid; }
+  th { background: #f1f5f9; font-size: 8.5pt; font-weight: 600; text-align: left; padding: 5px 6px; border-bottom: 1px solid #94a3b8; }
+  td { padding: 4px 6px; border-bottom: 1px solid #e2e8f0; vertical-align: top; }
+  .num { text-align: right; white-space: nowrap; font-variant-numeric: tabular-nums; }
+  .bottom { display: flex; gap: 16px; align-items: flex-start; page-break-inside: avoid; }
+  .bottom > div { flex: 1; }
+  .totals td { border-bottom: none; padding: 3px 6px; }
+  .totals .grand td { border-top: 2px solid #0f172a; font-weight: 700; font-size: 11.5pt; padding-top: 6px; }
+  .note { margin-top: 12px; font-size: 9pt; color: #334155; white-space: pre-wrap; }
+  .signs { display: flex; gap: 16px; margin-top: 36px; page-break-inside: avoid; }
+  .signs div { flex: 1; border-top: 1px solid #94a3b8; padding-top: 4px; font-size: 9pt; color: #475569; text-align: center; }
+  .foot { margin-top: 16px; font-size: 8pt; color: #64748b; }
+`;
+
+function page(title, body) {
+  return `<!doctype html><html lang="tr"><head><meta charset="utf-8"><title>${esc(title)}</title><style>${STYLE}</style></head><body>${body}</body></html>`;
+}
+
+function partyHtml(title, p) {
+  if (!p?.name) return `<div class="party"><div class="title">${esc(title)}</div><div>-</div></div>`;
+  const rows = [
+    p.taxId ? `VKN / TCKN: ${esc(p.taxId)}` : "",
+    p.taxOffice ? `Vergi Dairesi: ${esc(p.taxOffice)}` : "",
+    p.address ? esc(p.address) : "",
+    p.iban ? `IBAN: ${esc(p.iban)}` : "",
+  ].filter(Boolean);
+  return `<div class="party"><div class="title">${esc(title)}</div><div class="name">${esc(p.name)}</div>${rows.map((r) => `<div>${r}</div>`).join("")}</div>`;
+}
+
+function linesHtml(lines, code) {
+  const body = lines
+    .map((ln, i) => {
+      const c = calcLine(ln);
+      return `<tr>
+        <td class="num">${i + 1}</td>
+        <td>${esc(ln.invoiceItem)}</td>
+        <td class="num">${esc(ln.qty)} ${esc(ln.unitType)}</td>
+        <td class="num">${formatAmount(c.up, code)}</td>
+        <td class="num">${c.disc ? pct(c.disc) : ""}</td>
+        <td class="num">${pct(c.vat)}</td>
+        <td class="num">${formatAmount(c.totalNet, code)}</td>
+        <td class="num">${formatAmount(c.vatAmount, code)}</td>
+        <td class="num">${formatAmount(c.totalVatIncl, code)}</td>
+      </tr>`;
+    })
+    .join("");
+  return `<table>
+    <thead><tr>
+      <th class="num">#</th><th>Kalem</th><th class="num">Miktar</th><th class="num">Birim Fiyat</th><th class="num">İsk.</th>
+      <th class="num">KDV</th><th class="num">KDV Hariç</th><th class="num">KDV Tutarı</th><th class="num">Toplam</th>
+    </tr></thead>
+    <tbody>${body}</tbody>
+  </table>`;
+}
+
+function vatHtml(lines, code) {
+  const rows = vatBreakdown(lines)
+    .map((r) => `<tr><td>KDV ${pct(r.rate)}</td><td class="num">${formatAmount(r.base, code)}</td><td class="num">${formatAmount(r.vat, code)}</td></tr>`)
+    .join("");
+  return `<table><thead><tr><th>Oran</th><th class="num">Matrah</th><th class="num">KDV</th></tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+function totalsHtml(rows) {
+  const body = rows.map(([label, value, cls]) => `<tr${cls ? ` class="${cls}"` : ""}><td>${esc(label)}</td><td class="num">${value}</td></tr>`).join("");
+  return `<table class="totals"><tbody>${body}</tbody></table>`;
+}
+
+function printedAt() {
+  return new Date().toLocaleString("tr-TR", { dateStyle: "short", timeStyle: "short" });
+}
+
+/** invoice: fatura başlığı; supplier: kart (yoksa { name }); buyer: firmamız (yoksa boş geçilir) */
+export function invoiceDocument({ invoice, lines, supplier, buyer, dueDate }) {
+  const code = invoice.currencyCode || "TRY";
+  const s = sumLines(lines);
+  const tev = clamp(toNumber(invoice.tevfikatRate ?? 0), 0, 100);
+  const withheldVat = s.vatAmount * (tev / 100);
+  const payable = s.totalNet + s.vatAmount - withheldVat;
+  const discount = Math.max(0, s.grossNet - s.totalNet);
+
+  const totals = [
+    ["Kalemler Toplamı (iskonto öncesi)", formatAmount(s.grossNet, code)],
+    ...(discount > 0 ? [["Toplam İskonto", "-" + formatAmount(discount, code)]] : []),
+    ["KDV Hariç Toplam", formatAmount(s.totalNet, code)],
+    ["Toplam KDV", formatAmount(s.vatAmount, code)],
+    ["KDV Dahil Genel Toplam", formatAmount(s.totalVatIncl, code), tev ? "" : "grand"],
+  ];
+  if (tev) {
+    totals.push([`Tevkifat (${pct(tev)} KDV)`, "-" + formatAmount(withheldVat, code)]);
+    totals.push(["Ödenecek Tutar", formatAmount(payable, code), "grand"]);
+  }
+  if (isForeign(code)) totals.push([`TRY Karşılığı (kur ${invoice.exchangeRate || "-"})`, money(payable * invoiceFxRate(invoice)) + " ₺"]);
+
+  const title = `Fatura ${invoice.invoiceNo || ""}`.trim();
+  return page(
+    title,
+    `<div class="head">
+      <div><h1>FATURA</h1><div style="margin-top:4px">${esc(invoice.invoiceNo)}</div></div>
+      <div class="meta">
+        <div>Fatura Tarihi: <b>${trDate(invoice.date)}</b></div>
+        ${dueDate ? `<div>Vade Tarihi: <b>${trDate(dueDate)}</b></div>` : ""}
+        <div>Para Birimi: ${esc(code)}${isForeign(code) ? ` · Kur: ${esc(invoice.exchangeRate)}` : ""}</div>
+        ${invoice.ettn ? `<div>ETTN: ${esc(invoice.ettn)}</div>` : ""}
+      </div>
+    </div>
+    <div class="parties">${partyHtml("Satıcı", supplier)}${partyHtml("Alıcı", buyer)}</div>
+    ${linesHtml(lines, code)}
+    <div class="bottom">
+      <div>${vatHtml(lines, code)}</div>
+      <div>${totalsHtml(totals)}</div>
+    </div>
+    <div class="foot">Yazdırma: ${printedAt()}</div>`
+  );
+}
+
+/** order: sipariş başlığı (TRY); statusLabel: durum adı */
+export function orderDocument({ order, lines, supplier, buyer, statusLabel }) {
+  const s = sumLines(lines);
+  const discount = Math.max(0, s.grossNet - s.totalNet);
+  const totals = [
+    ["Kalemler Toplamı (iskonto öncesi)", money(s.grossNet)],
+    ...(discount > 0 ? [["Toplam İskonto", "-" + money(discount)]] : []),
+    ["KDV Hariç Toplam", money(s.totalNet)],
+    ["Toplam KDV", money(s.vatAmount)],
+    ["KDV Dahil Genel Toplam", money(s.totalVatIncl), "grand"],
+  ];
+
+  const title = `Sipariş ${order.orderNo || ""}`.trim();
+  return page(
+    title,
+    `<div class="head">
+      <div><h1>SATINALMA SİPARİŞİ</h1><div style="margin-top:4px">${esc(order.orderNo)}</div></div>
+      <div class="meta">
+        <div>Sipariş Tarihi: <b>${trDate(order.date)}</b></div>
+        ${order.expectedDate ? `<div>Beklenen Teslim: <b>${trDate(order.expectedDate)}</b></div>` : ""}
+        ${statusLabel ? `<div>Durum: ${esc(statusLabel)}</div>` : ""}
+      </div>
+    </div>
+    <div class="parties">${partyHtml("Tedarikçi", supplier)}${partyHtml("Sipariş Veren", buyer)}</div>
+    ${linesHtml(lines, "TRY")}
+    <div class="bottom">
+      <div>${vatHtml(lines, "TRY")}</div>
+      <div>${totalsHtml(totals)}</div>
+    </div>
+    ${order.note ? `<div class="note"><b>Not:</b> ${esc(order.note)}</div>` : ""}
+    <div class="signs"><div>Hazırlayan</div><div>Onaylayan</div><div>Tedarikçi Onayı</div></div>
+    <div class="foot">Yazdırma: ${printedAt()}</div>`
+  );
+}
+
+/** afterprint olayı gelmezse iframe ve sayfa başlığı bu süre sonunda yine de geri alınır */
+const PRINT_CLEANUP_MS = 60000;
+
+/**
+ * Belgeyi gizli iframe'de yazdırır. Sayfa başlığı geçici olarak belge başlığı yapılır
+ * (tarayıcılar PDF dosya adını buradan önerir). Temizlik bir kez yapılır: afterprint ya da süre dolunca.
+ */
+export function printHtml(html) {
+  const frame = document.createElement("iframe");
+  frame.style.cssText = "position:fixed;right:0;bottom:0;width:0;height:0;border:0";
+  frame.srcdoc = html;
+  const prevTitle = document.title;
+  let done = false;
+  const cleanup = () => {
+    if (done) return;
+    done = true;
+    document.title = prevTitle;
+    setTimeout(() => frame.remove(), 0);
+  };
+  frame.onload = () => {
+    const win = frame.contentWindow;
+    document.title = win.document.title || prevTitle;
+    win.addEventListener("afterprint", cleanup);
+    win.focus();
+    try {
+      win.print();
+    } finally {
+      // afterprint gelmezse (ya da print() hata verirse); diyalog açıkken iframe silinmesin diye hemen değil
+      setTimeout(cleanup, PRINT_CLEANUP_MS);
+    }
+  };
+  document.body.appendChild(frame);
+}
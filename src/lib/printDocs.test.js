@@ -0,0 +1,89 @@
+import { describe, expect, it } from "vitest";
+import { invoiceDocument, orderDocument, vatBreakdown } from "./printDocs.js";
+
+const LINE = { invoiceItem: "Vida", qty: "10", unitType: "Adet", unitPrice: "10", discountRate: "0", vatRate: "20" };
+const INVOICE = { invoiceNo: "ABC2026000000001", date: "2026-03-05", currencyCode: "TRY" };
+const SUPPLIER = { name: "Aras Hırdavat", taxId: "0123456789" };
+
+describe("KDV oran dökümü", () => {
+  it("oran bazında toplanır ve orana göre sıralanır; iskonto matrahtan düşülür", () => {
+    const rows = vatBreakdown([
+      { ...LINE, vatRate: "20" },
+      { ...LINE, vatRate: "1", qty: "2" },
+      { ...LINE, vatRate: "20", discountRate: "50" },
+    ]);
+    expect(rows.map((r) => r.rate)).toEqual([1, 20]);
+    expect(rows[0]).toMatchObject({ base: 20 });
+    expect(rows[0].vat).toBeCloseTo(0.2);
+    expect(rows[1]).toMatchObject({ base: 150 });
+    expect(rows[1].vat).toBeCloseTo(30);
+  });
+
+  it("virgüllü ve %0 oranlar ayrı satırdır; kalem yoksa döküm boş", () => {
+    const rows = vatBreakdown([
+      { ...LINE, vatRate: "0" },
+      { ...LINE, vatRate: "8,5" },
+    ]);
+    expect(rows.map((r) => [r.rate, r.vat])).toEqual([
+      [0, 0],
+      [8.5, expect.closeTo(8.5)],
+    ]);
+    expect(vatBreakdown([])).toEqual([]);
+  });
+});
+
+describe("fatura belgesi", () => {
+  it("kesirli iskonto ve KDV oranı virgülle, kayan nokta artığı olmadan yazılır", () => {
+    // Birim fiyattan geri hesaplanan iskonto gibi: 0.1 + 0.2 = 0.30000000000000004
+    const lines = [
+      { ...LINE, discountRate: "12,5", vatRate: "0,1" },
+      { ...LINE, discountRate: 0.1 + 0.2 },
+    ];
+    const html = invoiceDocument({ invoice: INVOICE, lines, supplier: SUPPLIER });
+    expect(html).toContain(">%12,5<");
+    expect(html).toContain(">%0,3<");
+    expect(html).toContain("KDV %0,1<");
+    expect(html).not.toMatch(/%0\.|%12\.5|%0,30/);
+  });
+
+  it("iskontosuz kalemde iskonto hücresi boş, toplamlarda iskonto satırı yok", () => {
+    const html = invoiceDocument({ invoice: INVOICE, lines: [LINE], supplier: SUPPLIER });
+    expect(html).toContain('<td class="num"></td>');
+    expect(html).not.toContain("Toplam İskonto");
+    expect(html).toContain("05.03.2026");
+  });
+
+  it("tevkifatta ödenecek tutar KDV'nin kesilen kısmı düşülerek hesaplanır ve genel toplam olur", () => {
+    const html = invoiceDocument({ invoice: { ...INVOICE, tevfikatRate: "70" }, lines: [LINE], supplier: SUPPLIER });
+    // 100 + 20 KDV, KDV'nin %70'i (14) tevkif edilir
+    expect(html).toContain("Tevkifat (%70 KDV)");
+    expect(html).toMatch(/<tr class="grand"><td>Ödenecek Tutar<\/td><td class="num">106,00/);
+  });
+
+  it("dövizli faturada TRY karşılığı fatura kuruyla eklenir", () => {
+    const html = invoiceDocument({ invoice: { ...INVOICE, currencyCode: "EUR", exchangeRate: "35" }, lines: [LINE], supplier: SUPPLIER });
+    expect(html).toContain("TRY Karşılığı (kur 35)");
+    expect(html).toContain("4.200,00 ₺");
+  });
+
+  it("kullanıcı metinleri HTML olarak kaçışlanır; alıcı yoksa boş kutu", () => {
+    const html = invoiceDocument({ invoice: INVOICE, lines: [{ ...LINE, invoiceItem: '<b>"Vida"</b>' }], supplier: { name: "A&B Ltd." } });
+    expect(html).toContain("&lt;b&gt;&quot;Vida&quot;&lt;/b&gt;");
+    expect(html).toContain("A&amp;B Ltd.");
+    expect(html).toContain('<div class="title">Alıcı</div><div>-</div>');
+  });
+});
+
+describe("sipariş belgesi", () => {
+  it("not ve beklenen teslim yalnızca doluysa yazılır", () => {
+    const order = { orderNo: "PO-2026-0001", date: "2026-03-01" };
+    const bare = orderDocument({ order, lines: [LINE], supplier: SUPPLIER });
+    expect(bare).not.toContain("Not:");
+    expect(bare).not.toContain("Beklenen Teslim");
+
+    const full = orderDocument({ order: { ...order, expectedDate: "2026-03-10", note: "Depo <2>" }, lines: [LINE], supplier: SUPPLIER, statusLabel: "Açık" });
+    expect(full).toContain("Beklenen Teslim: <b>10.03.2026</b>");
+    expect(full).toContain("Depo &lt;2&gt;");
+    expect(full).toContain("Durum: Açık");
+  });
+});
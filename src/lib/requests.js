@@ -0,0 +1,256 @@
+import { UNIT_TYPES, toNumber, uid } from "./calc.js";
+import { isUnder } from "./categories.js";
+
+/**
+ * Satınalma talebi ve onay akışı
+ * - Durum akışı: Taslak → Onay Bekliyor → Onaylandı → Siparişe Dönüştü; Reddedilen talep düzeltilip yeniden gönderilir.
+ *   Siparişe dönüşmemiş her durumdan İptal.
+ * - Onay kuralı: { level, minAmount, category, approvers }. Talep tutarı eşiği geçen ve (kategori verilmişse)
+ *   kategorisi tutan kalemi olan kurallar uygulanır; aynı seviyedeki kuralların onaylayıcıları birleşir.
+ *   Seviyeler küçükten büyüğe sırayla onaylanır; her seviyede listedeki tek kişinin onayı yeter.
+ * - Onaya gönderirken adımlar talebe kopyalanır (steps); sonradan kural değişse de bekleyen talep etkilenmez.
+ * - Talep sahibi kendi talebini onaylayamaz; aynı turda bir seviyeyi onaylayan kişi sonraki seviyeleri onaylayamaz.
+ *   Onaylayıcısı kalmayan seviye atlanmaz: talep o seviyede bekler ve durum bildirilir (stalledReason); kurala
+ *   başka onaylayıcı eklenip talep yeniden gönderilerek ya da iptal edilerek çözülür.
+ * - Kullanıcı: üst çubuktaki kullanıcı adı (oturum yönetimi yok).
+ * - Tutar: kalem miktarı × tahmini birim fiyat (KDV hariç, ₺).
+ */
+
+export const REQUEST_STATUSES = [
+  { key: "draft", label: "Taslak", cls: "bg-slate-100 text-slate-700 ring-slate-200" },
+  { key: "pending", label: "Onay Bekliyor", cls: "bg-amber-50 text-amber-800 ring-amber-200" },
+  { key: "approved", label: "Onaylandı", cls: "bg-emerald-50 text-emerald-800 ring-emerald-200" },
+  { key: "rejected", label: "Reddedildi", cls: "bg-rose-50 text-rose-800 ring-rose-200" },
+  { key: "ordered", label: "Siparişe Dönüştü", cls: "bg-sky-50 text-sky-800 ring-sky-200" },
+  { key: "cancelled", label: "İptal", cls: "bg-slate-100 text-slate-500 ring-slate-200" },
+];
+
+export const HISTORY_ACTIONS = {
+  submitted: "Onaya gönderdi",
+  approved: "Onayladı",
+  rejected: "Reddetti",
+  autoApproved: "Otomatik onay (uygulanan kural yok)",
+  ordered: "Siparişe dönüştürdü",
+  cancelled: "İptal etti",
+};
+
+export function requestStatus(key) {
+  return REQUEST_STATUSES.find((s) => s.key === key) ?? REQUEST_STATUSES[0];
+}
+
+/** Talep içeriği yalnızca taslak ya da reddedilmişken değiştirilebilir */
+export function isRequestEditable(request) {
+  return request?.status === "draft" || request?.status === "rejected";
+}
+
+function nameKey(s) {
+  return String(s ?? "").trim().toLocaleLowerCase("tr");
+}
+
+/** TAL-2026-0001 biçiminde, aynı yıl içindeki en büyük numaranın bir fazlası */
+export function nextRequestNo(requests, date) {
+  const year = String(date || new Date().toISOString()).slice(0, 4);
+  const prefix = `TAL-${year}-`;
+  let max = 0;
+  for (const r of requests) {
+    const no = String(r.requestNo || "");
+    if (!no.startsWith(prefix)) continue;
+    const n = Number(no.slice(prefix.length));
+    if (Number.isFinite(n)) max = Math.max(max, n);
+  }
+  return prefix + String(max + 1).padStart(4, "0");
+}
+
+export function blankRequestLine() {
+  return { id: uid(), itemId: "", invoiceItem: "", qty: "1", unitType: UNIT_TYPES[0], estPrice: "", category: "" };
+}
+
+export function blankRequest(requester = "", today = new Date().toISOString().slice(0, 10)) {
+  return {
+    id: uid(),
+    requestNo: "",
+    date: today,
+    requester,
+    costCenter: "",
+    supplierName: "",
+    justification: "",
+    status: "draft",
+    lines: [blankRequestLine()],
+    steps: [],
+    history: [],
+    comments: [],
+    orderId: "",
+  };
+}
+
+export function requestLineTotal(line) {
+  return Math.max(0, toNumber(line.qty)) * Math.max(0, toNumber(line.estPrice));
+}
+
+export function requestTotal(request) {
+  return (request.lines ?? []).reduce((s, l) => s + requestLineTotal(l), 0);
+}
+
+export function validateRequest(draft) {
+  if (!String(draft.requester ?? "").trim()) return "Talep eden zorunludur (üst çubuktan kullanıcı adı giriniz).";
+  if (!String(draft.costCenter ?? "").trim()) return "Masraf merkezi zorunludur.";
+  if (!String(draft.justification ?? "").trim()) return "Gerekçe zorunludur.";
+  const meaningful = (draft.lines ?? []).filter((l) => String(l.invoiceItem ?? "").trim());
+  if (meaningful.length === 0) return "En az 1 kalem girmelisiniz.";
+  for (const l of meaningful) {
+    if (!(toNumber(l.qty) > 0)) return `"${l.invoiceItem}" için miktar 0'dan büyük olmalıdır.`;
+    if (!(toNumber(l.estPrice) > 0)) return `"${l.invoiceItem}" için tahmini birim fiyat giriniz.`;
+  }
+  return "";
+}
+
+/** Boş kalemleri atar, metinleri kırpar; numarası yoksa verir */
+export function normalizeRequest(draft, requests) {
+  return {
+    ...draft,
+    requestNo: String(draft.requestNo || "").trim() || nextRequestNo(requests, draft.date),
+    requester: String(draft.requester).trim(),
+    costCenter: String(draft.costCenter).trim(),
+    supplierName: String(draft.supplierName ?? "").trim(),
+    justification: String(draft.justification).trim(),
+    lines: draft.lines
+      .filter((l) => String(l.invoiceItem ?? "").trim())
+      .map((l) => ({ ...l, invoiceItem: String(l.invoiceItem).trim(), qty: String(l.qty ?? ""), estPrice: String(l.estPrice ?? ""), category: String(l.category ?? "").trim() })),
+  };
+}
+
+// ---- Onay kuralları ----
+
+export function blankApprovalRule() {
+  return { id: uid(), name: "", level: "1", minAmount: "0", category: "", approvers: [] };
+}
+
+/** "Ayşe Yılmaz, Mehmet Kaya" → ["Ayşe Yılmaz", "Mehmet Kaya"] */
+export function parseApprovers(text) {
+  const seen = new Set();
+  const out = [];
+  for (const s of String(text ?? "").split(/[,;\n]/)) {
+    const name = s.trim();
+    if (name && !seen.has(nameKey(name))) {
+      seen.add(nameKey(name));
+      out.push(name);
+    }
+  }
+  return out;
+}
+
+export function validateApprovalRule(draft) {
+  if (!String(draft.name ?? "").trim()) return "Kural adı zorunludur.";
+  const level = Number(draft.level);
+  if (!Number.isInteger(level) || level < 1 || level > 9) return "Seviye 1–9 arasında tam sayı olmalıdır.";
+  if (toNumber(draft.minAmount) < 0) return "Tutar eşiği negatif olamaz.";
+  if (!(draft.approvers ?? []).length) return "En az 1 onaylayıcı giriniz.";
+  return "";
+}
+
+export function normalizeApprovalRule(draft) {
+  return {
+    id: draft.id,
+    name: String(draft.name).trim(),
+    level: String(Number(draft.level)),
+    minAmount: String(draft.minAmount ?? "").trim() || "0",
+    category: String(draft.category ?? "").trim(),
+    approvers: parseApprovers((draft.approvers ?? []).join(",")),
+  };
+}
+
+export function ruleMatches(rule, request) {
+  if (requestTotal(request) < toNumber(rule.minAmount)) return false;
+  if (!rule.category) return true;
+  return (request.lines ?? []).some((l) => l.category && isUnder(l.category, rule.category));
+}
+
+/** Talebe uygulanan onay adımları (seviye sırasıyla): [{ level, approvers, rules }] */
+export function approvalSteps(request, rules) {
+  const byLevel = new Map();
+  for (const rule of rules) {
+    if (!ruleMatches(rule, request)) continue;
+    const level = Number(rule.level) || 1;
+    if (!byLevel.has(level)) byLevel.set(level, { level, approvers: [], rules: [] });
+    const step = byLevel.get(level);
+    step.rules.push(rule.name);
+    for (const a of rule.approvers ?? []) if (!step.approvers.some((x) => nameKey(x) === nameKey(a))) step.approvers.push(a);
+  }
+  return [...byLevel.values()].sort((a, b) => a.level - b.level);
+}
+
+/** Son gönderimden bu yana verilen kararlar (önceki reddedilen turlar sayılmaz) */
+function currentRound(history) {
+  let start = 0;
+  (history ?? []).forEach((h, i) => {
+    if (h.action === "submitted") start = i;
+  });
+  return (history ?? []).slice(start);
+}
+
+/** Adım başına karar ve sıradaki adım: { steps: [{ ...step, decision }], current } */
+export function approvalState(request) {
+  const round = currentRound(request.history);
+  const steps = (request.steps ?? []).map((s) => ({ ...s, decision: round.find((h) => (h.action === "approved" || h.action === "rejected") && h.level === s.level) ?? null }));
+  const current = request.status === "pending" ? (steps.find((s) => !s.decision) ?? null) : null;
+  return { steps, current };
+}
+
+/** Kullanıcı sıradaki adımı onaylayabilir mi? Değilse nedeni */
+export function approvalBlocker(request, user) {
+  if (request.status !== "pending") return "Talep onay beklemiyor.";
+  const { current } = approvalState(request);
+  if (!current) return "Bekleyen onay adımı yok.";
+  const stalled = stalledReason(request);
+  if (stalled) return stalled;
+  if (!String(user ?? "").trim()) return "Önce üst çubuktan kullanıcı adı giriniz.";
+  if (nameKey(user) === nameKey(request.requester)) return "Talep sahibi kendi talebini onaylayamaz.";
+  if (!current.approvers.some((a) => nameKey(a) === nameKey(user))) return `${current.level}. seviye onaylayıcıları: ${current.approvers.join(", ")}.`;
+  const earlier = currentRound(request.history).find((h) => h.action === "approved" && nameKey(h.user) === nameKey(user));
+  if (earlier) return `${earlier.level}. seviyeyi onayladınız; aynı kişi birden fazla seviyeyi onaylayamaz.`;
+  return "";
+}
+
+/** Adımı onaylayabilecek kişiler: talep sahibi ve bu turda önceki bir seviyeyi onaylayanlar hariç */
+export function eligibleApprovers(request, step) {
+  const used = new Set(currentRound(request.history).filter((h) => h.action === "approved").map((h) => nameKey(h.user)));
+  return step.approvers.filter((a) => nameKey(a) !== nameKey(request.requester) && !used.has(nameKey(a)));
+}
+
+/** Sıradaki adımda onaylayabilecek kimse kalmadıysa nedeni; talep bu seviyede bekler, onaylanmış sayılmaz */
+export function stalledReason(request) {
+  const { current } = approvalState(request);
+  if (!current || eligibleApprovers(request, current).length > 0) return "";
+  return `${current.level}. seviyede uygun onaylayıcı yok (${current.approvers.join(", ")}: talep sahibi ya da önceki seviyenin onaylayıcısı). Onay kuralına başka bir onaylayıcı ekleyip talebi yeniden gönderiniz.`;
+}
+
+function entry(action, user, at, extra = {}) {
+  return { id: uid(), at, user, action, level: null, comment: "", ...extra };
+}
+
+/** Onaya gönderir; uygulanan kural yoksa talep doğrudan onaylanır */
+export function submitRequest(request, rules, user, at = new Date().toISOString()) {
+  const steps = approvalSteps(request, rules);
+  const history = [...(request.history ?? []), entry("submitted", user, at)];
+  if (steps.length === 0) return { ...request, steps, status: "approved", history: [...history, entry("autoApproved", "Sistem", at)] };
+  return { ...request, steps, status: "pending", history };
+}
+
+/** Sıradaki adıma karar yazar; approvalBlocker engel gösteriyorsa talep değişmeden döner */
+export function decideRequest(request, { user, approve, comment = "", at = new Date().toISOString() }) {
+  const { current } = approvalState(request);
+  if (!current || approvalBlocker(request, user)) return request;
+  const next = { ...request, history: [...(request.history ?? []), entry(approve ? "approved" : "rejected", user, at, { level: current.level, comment: String(comment).trim() })] };
+  if (!approve) return { ...next, status: "rejected" };
+  return { ...next, status: approvalState(next).current ? "pending" : "approved" };
+}
+
+export function addHistory(request, action, user, at = new Date().toISOString(), extra = {}) {
+  return { ...request, history: [...(request.history ?? []), entry(action, user, at, extra)] };
+}
+
+/** Kullanıcının onayını bekleyen talepler */
+export function awaitingUser(requests, user) {
+  if (!String(user ?? "").trim()) return [];
+  return requests.filter((r) => r.status === "pending" && !approvalBlocker(r, user));
+}
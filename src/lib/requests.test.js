@@ -0,0 +1,234 @@
+import { describe, expect, it } from "vitest";
+import {
+  approvalBlocker,
+  approvalState,
+  approvalSteps,
+  awaitingUser,
+  decideRequest,
+  eligibleApprovers,
+  isRequestEditable,
+  nextRequestNo,
+  normalizeApprovalRule,
+  normalizeRequest,
+  parseApprovers,
+  requestTotal,
+  stalledReason,
+  submitRequest,
+  validateApprovalRule,
+  validateRequest,
+} from "./requests.js";
+
+const rules = [
+  { name: "Finans", level: "2", minAmount: "10000", category: "", approvers: ["Mehmet Kaya"] },
+  { name: "Departman", level: "1", minAmount: "0", category: "", approvers: ["Ayşe Yılmaz"] },
+  { name: "İSG", level: "2", minAmount: "0", category: "İş Güvenliği", approvers: ["Zeynep Demir", "mehmet kaya"] },
+];
+
+const REQUEST = { id: "r1", requestNo: "TAL-2026-0001", date: "2026-03-01", requester: "Can Öz", costCenter: "Üretim", justification: "Hat bakımı", status: "draft", steps: [], history: [] };
+// 50 ₺, kategori Ofis
+const small = { ...REQUEST, lines: [{ invoiceItem: "Kalem", qty: "10", estPrice: "5", category: "Ofis" }] };
+// 15.000 ₺, İş Güvenliği alt kategorisi
+const big = {
+  ...REQUEST,
+  lines: [
+    { invoiceItem: "Baret", qty: "100", estPrice: "150", category: "İş Güvenliği > KKD" },
+    { invoiceItem: "Eldiven", qty: "-3", estPrice: "10", category: "" },
+  ],
+};
+
+describe("onay kuralları", () => {
+  it("seviyeler küçükten büyüğe; aynı seviyedeki kuralların onaylayıcıları tekilleşerek birleşir", () => {
+    expect(approvalSteps(big, rules)).toEqual([
+      { level: 1, approvers: ["Ayşe Yılmaz"], rules: ["Departman"] },
+      { level: 2, approvers: ["Mehmet Kaya", "Zeynep Demir"], rules: ["Finans", "İSG"] },
+    ]);
+  });
+
+  it("tutar eşiği dahildir; kategorili kural kategorisiz kalemle eşleşmez", () => {
+    const atLimit = { ...REQUEST, lines: [{ invoiceItem: "Matkap", qty: "2", estPrice: "5000", category: "" }] };
+    expect(approvalSteps(atLimit, rules).map((s) => s.rules)).toEqual([["Departman"], ["Finans"]]);
+    expect(approvalSteps(small, rules).map((s) => s.level)).toEqual([1]);
+  });
+
+  it.each([
+    [{ name: " " }, "Kural adı zorunludur."],
+    [{ level: "0" }, "Seviye 1–9 arasında tam sayı olmalıdır."],
+    [{ level: "10" }, "Seviye 1–9 arasında tam sayı olmalıdır."],
+    [{ level: "1,5" }, "Seviye 1–9 arasında tam sayı olmalıdır."],
+    [{ minAmount: "-1" }, "Tutar eşiği negatif olamaz."],
+    [{ approvers: [] }, "En az 1 onaylayıcı giriniz."],
+  ])("%j reddedilir", (patch, message) => {
+    expect(validateApprovalRule({ name: "X", level: "1", minAmount: "0", approvers: ["A"], ...patch })).toBe(message);
+  });
+
+  it("onaylayıcı listesi harf duyarsız tekilleşir; boş eşik 0 olur", () => {
+    expect(parseApprovers("Ayşe, AYŞE; Mehmet\n ,")).toEqual(["Ayşe", "Mehmet"]);
+    expect(normalizeApprovalRule({ id: "k", name: " X ", level: "02", minAmount: "", approvers: ["A", "a"] })).toEqual({ id: "k", name: "X", level: "2", minAmount: "0", category: "", approvers: ["A"] });
+  });
+});
+
+describe("talep", () => {
+  it("tutar KDV hariç miktar × tahmini fiyat; negatif miktar 0 sayılır", () => {
+    expect(requestTotal(big)).toBe(15000);
+    expect(requestTotal({ lines: undefined })).toBe(0);
+  });
+
+  it("numara yıl içinde en büyüğün bir fazlası; bozuk ve başka yıl numaraları yok sayılır", () => {
+    expect(nextRequestNo([{ requestNo: "TAL-2026-0007" }, { requestNo: "TAL-2026-x" }, { requestNo: "TAL-2025-0042" }], "2026-03-01")).toBe("TAL-2026-0008");
+    expect(nextRequestNo([], "2027-01-01")).toBe("TAL-2027-0001");
+  });
+
+  it.each([
+    [{ requester: "" }, "Talep eden zorunludur (üst çubuktan kullanıcı adı giriniz)."],
+    [{ costCenter: " " }, "Masraf merkezi zorunludur."],
+    [{ justification: "" }, "Gerekçe zorunludur."],
+    [{ lines: [{ invoiceItem: " ", qty: "1", estPrice: "1" }] }, "En az 1 kalem girmelisiniz."],
+    [{ lines: [{ invoiceItem: "Vida", qty: "0", estPrice: "1" }] }, '"Vida" için miktar 0\'dan büyük olmalıdır.'],
+    [{ lines: [{ invoiceItem: "Vida", qty: "1", estPrice: "" }] }, '"Vida" için tahmini birim fiyat giriniz.'],
+  ])("%j reddedilir", (patch, message) => {
+    expect(validateRequest({ ...small, ...patch })).toBe(message);
+  });
+
+  it("kaydederken boş kalemler atılır; numarası yoksa verilir, varsa korunur", () => {
+    const draft = { ...small, requestNo: "", requester: " Can Öz ", lines: [...small.lines, { invoiceItem: "", qty: "1", estPrice: "" }] };
+    const saved = normalizeRequest(draft, [{ requestNo: "TAL-2026-0003" }]);
+    expect(saved).toMatchObject({ requestNo: "TAL-2026-0004", requester: "Can Öz" });
+    expect(saved.lines).toHaveLength(1);
+    expect(normalizeRequest(small, []).requestNo).toBe("TAL-2026-0001");
+  });
+});
+
+describe("onay akışı", () => {
+  it("kural uygulanmayan talep gönderilince otomatik onaylanır ve kilitlenir", () => {
+    const r = submitRequest(small, [], "Can Öz", "2026-01-01T10:00:00Z");
+    expect(r.status).toBe("approved");
+    expect(r.history.map((h) => [h.action, h.user])).toEqual([
+      ["submitted", "Can Öz"],
+      ["autoApproved", "Sistem"],
+    ]);
+    expect(isRequestEditable(r)).toBe(false);
+  });
+
+  it("seviyeler sırayla onaylanır; sıradaki seviye dışındaki onaylayıcı bekletilir", () => {
+    let r = submitRequest(big, rules, "Can Öz");
+    expect(awaitingUser([r], "ayşe yılmaz")).toHaveLength(1);
+    expect(approvalBlocker(r, "Mehmet Kaya")).toBe("1. seviye onaylayıcıları: Ayşe Yılmaz.");
+
+    r = decideRequest(r, { user: "Ayşe Yılmaz", approve: true });
+    expect(r.status).toBe("pending");
+    expect(approvalState(r).current.level).toBe(2);
+
+    r = decideRequest(r, { user: "Zeynep Demir", approve: true, comment: " tamam " });
+    expect(r.status).toBe("approved");
+    expect(approvalState(r).current).toBeNull();
+    expect(approvalState(r).steps.map((s) => s.decision.user)).toEqual(["Ayşe Yılmaz", "Zeynep Demir"]);
+    expect(r.history.at(-1)).toMatchObject({ action: "approved", level: 2, comment: "tamam" });
+  });
+
+  it("talep sahibi listede olsa da onaylayamaz; kullanıcı adı boşsa önce o istenir", () => {
+    const r = submitRequest(small, [{ name: "L1", level: "1", minAmount: "0", category: "", approvers: ["Can Öz", "Ali"] }], "Can Öz");
+    expect(approvalBlocker(r, " ")).toBe("Önce üst çubuktan kullanıcı adı giriniz.");
+    expect(approvalBlocker(r, "CAN ÖZ")).toBe("Talep sahibi kendi talebini onaylayamaz.");
+    expect(awaitingUser([r], "")).toEqual([]);
+  });
+
+  it("bir seviyeyi onaylayan kişi aynı turda sonraki seviyeyi onaylayamaz", () => {
+    const twoLevels = [
+      { name: "L1", level: "1", minAmount: "0", category: "", approvers: ["Ali"] },
+      { name: "L2", level: "2", minAmount: "0", category: "", approvers: ["ali", "Veli"] },
+    ];
+    const r = decideRequest(submitRequest(small, twoLevels, "Can Öz"), { user: "Ali", approve: true });
+    expect(approvalBlocker(r, "Ali")).toBe("1. seviyeyi onayladınız; aynı kişi birden fazla seviyeyi onaylayamaz.");
+    expect(approvalBlocker(r, "Veli")).toBe("");
+    expect(awaitingUser([r], "Ali")).toEqual([]);
+  });
+
+  it("iki seviyenin tek onaylayıcısı aynı kişiyse ikinci seviye atlanmaz, bekler ve bildirilir", () => {
+    const same = [
+      { name: "L1", level: "1", minAmount: "0", category: "", approvers: ["Ayşe"] },
+      { name: "L2", level: "2", minAmount: "0", category: "", approvers: ["ayşe"] },
+    ];
+    const r = decideRequest(submitRequest(small, same, "Can Öz", "t0"), { user: "Ayşe", approve: true, at: "t1" });
+    expect(r.status).toBe("pending");
+    expect(approvalState(r).current.level).toBe(2);
+    expect(stalledReason(r)).toMatch(/^2\. seviyede uygun onaylayıcı yok/);
+    expect(approvalBlocker(r, "Ayşe")).toBe(stalledReason(r));
+    expect(awaitingUser([r], "Ayşe")).toEqual([]);
+  });
+
+  it("üst seviyenin tek onaylayıcısı talep sahibiyse alt seviye onayı talebi onaylatmaz", () => {
+    const two = [
+      { name: "L1", level: "1", minAmount: "0", category: "", approvers: ["Ayşe"] },
+      { name: "L2", level: "2", minAmount: "10000", category: "", approvers: ["Mehmet"] },
+    ];
+    let r = submitRequest({ ...big, requester: "Mehmet" }, two, "Mehmet");
+    expect(stalledReason(r)).toBe("");
+    r = decideRequest(r, { user: "Ayşe", approve: true });
+    expect(r.status).toBe("pending");
+    expect(r.history.map((h) => [h.action, h.user])).toEqual([
+      ["submitted", "Mehmet"],
+      ["approved", "Ayşe"],
+    ]);
+    expect(stalledReason(r)).toMatch(/^2\. seviyede uygun onaylayıcı yok \(Mehmet:/);
+    expect(decideRequest(r, { user: "Mehmet", approve: true }).status).toBe("pending");
+  });
+
+  it("seviyede başka onaylayıcı varsa atlanmaz; sıra ona geçer", () => {
+    const shared = [
+      { name: "L1", level: "1", minAmount: "0", category: "", approvers: ["Ayşe", "Ali"] },
+      { name: "L2", level: "2", minAmount: "0", category: "", approvers: ["Ayşe", "Veli"] },
+    ];
+    const r = decideRequest(submitRequest(small, shared, "Can Öz"), { user: "Ayşe", approve: true });
+    expect(r.status).toBe("pending");
+    expect(eligibleApprovers(r, approvalState(r).current)).toEqual(["Veli"]);
+    // L1'i Ali onaylarsa Ayşe L2'yi onaylayabilir
+    const viaAli = decideRequest(submitRequest(small, shared, "Can Öz"), { user: "Ali", approve: true });
+    expect(approvalBlocker(viaAli, "Ayşe")).toBe("");
+  });
+
+  it("talep sahibinin tek onaylayıcı olduğu seviye gönderimde bekler; kural düzeltilip yeniden gönderilince ilerler", () => {
+    const own = [{ name: "Departman", level: "1", minAmount: "0", category: "", approvers: ["Ayşe"] }];
+    const r = submitRequest({ ...small, requester: "Ayşe" }, own, "Ayşe");
+    expect(r.status).toBe("pending");
+    expect(r.history.map((h) => [h.action, h.user])).toEqual([["submitted", "Ayşe"]]);
+    expect(approvalState(r).current.level).toBe(1);
+    expect(stalledReason(r)).toMatch(/^1\. seviyede uygun onaylayıcı yok \(Ayşe:/);
+    expect(approvalBlocker(r, "Ayşe")).toBe(stalledReason(r));
+
+    const fixed = submitRequest(r, [{ ...own[0], approvers: ["Ayşe", "Veli"] }], "Ayşe");
+    expect(stalledReason(fixed)).toBe("");
+    expect(approvalBlocker(fixed, "Veli")).toBe("");
+  });
+
+  it("yeniden gönderimde önceki turun onaylayıcıları yine onaylayabilir", () => {
+    const same = [
+      { name: "L1", level: "1", minAmount: "0", category: "", approvers: ["Ayşe"] },
+      { name: "L2", level: "2", minAmount: "0", category: "", approvers: ["Ayşe", "Veli"] },
+    ];
+    let r = decideRequest(submitRequest(small, same, "Can Öz"), { user: "Ayşe", approve: true });
+    r = decideRequest(r, { user: "Veli", approve: false, comment: "eksik" });
+    r = submitRequest(r, same, "Can Öz");
+    expect(approvalBlocker(r, "Ayşe")).toBe("");
+  });
+
+  it("red sonrası yeniden gönderimde önceki turun kararları sayılmaz", () => {
+    let r = submitRequest(big, rules, "Can Öz");
+    r = decideRequest(r, { user: "Ayşe Yılmaz", approve: true });
+    r = decideRequest(r, { user: "Mehmet Kaya", approve: false, comment: "pahalı" });
+    expect(r.status).toBe("rejected");
+    expect(isRequestEditable(r)).toBe(true);
+    expect(approvalBlocker(r, "Mehmet Kaya")).toBe("Talep onay beklemiyor.");
+    expect(decideRequest(r, { user: "Mehmet Kaya", approve: true })).toBe(r);
+
+    r = submitRequest(r, rules, "Can Öz");
+    expect(approvalState(r).current.level).toBe(1);
+    expect(approvalState(r).steps.every((s) => s.decision === null)).toBe(true);
+  });
+
+  it("gönderilen adımlar kopyalanır; kural sonradan değişse de bekleyen talep etkilenmez", () => {
+    const mutable = rules.map((x) => ({ ...x }));
+    const r = submitRequest(big, mutable, "Can Öz");
+    mutable.length = 0;
+    expect(approvalState(r).steps).toHaveLength(2);
+  });
+});
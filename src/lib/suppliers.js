@@ -0,0 +1,161 @@
+import { toNumber, uid } from "./calc.js";
+
+/**
+ * Tedarikçi kartı
+ * - Faturalar tedarikçiye supplierId ile bağlanır; supplierName fatura üzerindeki unvan kopyasıdır
+ *   (liste / filtre / rapor kodu ada göre çalışmaya devam eder, unvan değişince kopyalar güncellenir).
+ * - VKN (10 hane) ve TCKN (11 hane) kontrol hanesi, IBAN mod-97 ile doğrulanır.
+ */
+
+export function blankContact() {
+  return { name: "", role: "", phone: "", email: "" };
+}
+
+export function blankSupplier(name = "") {
+  return {
+    id: uid(),
+    name,
+    taxId: "",
+    taxOffice: "",
+    address: "",
+    iban: "",
+    paymentTermDays: "30",
+    contacts: [],
+    note: "",
+  };
+}
+
+function digitsOf(value) {
+  return String(value ?? "").replace(/\s+/g, "");
+}
+
+/** Vergi kimlik numarası (tüzel kişi, 10 hane) */
+export function isValidVkn(value) {
+  const s = digitsOf(value);
+  if (!/^\d{10}$/.test(s)) return false;
+  const d = [...s].map(Number);
+  let sum = 0;
+  for (let i = 0; i < 9; i++) {
+    const tmp = (d[i] + 9 - i) % 10;
+    let v = (tmp * 2 ** (9 - i)) % 9;
+    if (tmp !== 0 && v === 0) v = 9;
+    sum += v;
+  }
+  return (10 - (sum % 10)) % 10 === d[9];
+}
+
+/** T.C. kimlik numarası (şahıs şirketi, 11 hane) */
+export function isValidTckn(value) {
+  const s = digitsOf(value);
+  if (!/^[1-9]\d{10}$/.test(s)) return false;
+  const d = [...s].map(Number);
+  const odd = d[0] + d[2] + d[4] + d[6] + d[8];
+  const even = d[1] + d[3] + d[5] + d[7];
+  const d10 = (((odd * 7 - even) % 10) + 10) % 10;
+  const d11 = d.slice(0, 10).reduce((a, b) => a + b, 0) % 10;
+  return d[9] === d10 && d[10] === d11;
+}
+
+/** Boşsa "", geçerliyse "", değilse hata mesajı */
+export function taxIdError(value) {
+  const s = digitsOf(value);
+  if (!s) return "";
+  if (s.length === 10) return isValidVkn(s) ? "" : "VKN kontrol hanesi hatalı.";
+  if (s.length === 11) return isValidTckn(s) ? "" : "TCKN kontrol haneleri hatalı.";
+  return "VKN 10, TCKN 11 haneli olmalıdır.";
+}
+
+export function normalizeIban(value) {
+  return String(value ?? "").replace(/\s+/g, "").toUpperCase();
+}
+
+/** TR12 0006 2000 ... biçiminde dörtlü gruplar */
+export function formatIban(value) {
+  return normalizeIban(value).replace(/(.{4})/g, "$1 ").trim();
+}
+
+export function isValidIban(value) {
+  const s = normalizeIban(value);
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(s)) return false;
+  if (s.startsWith("TR") && s.length !== 26) return false;
+  const rearranged = s.slice(4) + s.slice(0, 4);
+  let rem = 0;
+  for (const ch of rearranged) {
+    const n = ch >= "A" ? String(ch.charCodeAt(0) - 55) : ch;
+    for (const digit of n) rem = (rem * 10 + Number(digit)) % 97;
+  }
+  return rem === 1;
+}
+
+function nameKey(name) {
+  return String(name ?? "").trim().toLocaleLowerCase("tr");
+}
+
+export function findSupplierByName(suppliers, name) {
+  const key = nameKey(name);
+  if (!key) return null;
+  return suppliers.find((s) => nameKey(s.name) === key) ?? null;
+}
+
+export function findSupplierByTaxId(suppliers, taxId) {
+  const key = digitsOf(taxId);
+  if (!key) return null;
+  return suppliers.find((s) => digitsOf(s.taxId) === key) ?? null;
+}
+
+/** Kaydetmeden önce tek hata mesajı döner (yoksa "") */
+export function validateSupplier(draft, suppliers) {
+  const name = String(draft.name || "").trim();
+  if (!name) return "Unvan zorunludur.";
+  const same = findSupplierByName(suppliers, name);
+  if (same && same.id !== draft.id) return `"${name}" unvanlı bir tedarikçi zaten var.`;
+
+  const taxErr = taxIdError(draft.taxId);
+  if (taxErr) return taxErr;
+  const taxId = digitsOf(draft.taxId);
+  if (taxId && suppliers.some((s) => s.id !== draft.id && digitsOf(s.taxId) === taxId)) return "Bu VKN/TCKN başka bir tedarikçide kayıtlı.";
+
+  if (normalizeIban(draft.iban) && !isValidIban(draft.iban)) return "IBAN geçersiz.";
+  if (toNumber(draft.paymentTermDays) < 0) return "Vade günü negatif olamaz.";
+
+  const badContact = (draft.contacts ?? []).find((c) => c.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(c.email));
+  if (badContact) return `Geçersiz e-posta: ${badContact.email}`;
+  return "";
+}
+
+/** Formdaki taslağı kaydedilecek kayda çevirir (boş kişiler atılır) */
+export function normalizeSupplier(draft) {
+  return {
+    ...draft,
+    name: String(draft.name || "").trim(),
+    taxId: digitsOf(draft.taxId),
+    taxOffice: String(draft.taxOffice || "").trim(),
+    address: String(draft.address || "").trim(),
+    iban: normalizeIban(draft.iban),
+    paymentTermDays: String(Math.max(0, Math.round(toNumber(draft.paymentTermDays)))),
+    contacts: (draft.contacts ?? [])
+      .map((c) => ({ name: String(c.name || "").trim(), role: String(c.role || "").trim(), phone: String(c.phone || "").trim(), email: String(c.email || "").trim() }))
+      .filter((c) => c.name || c.phone || c.email),
+    note: String(draft.note || "").trim(),
+  };
+}
+
+/**
+ * Ada göre tedarikçi kartlarını çözer; bulunamayan adlar için yalnızca unvanı dolu yeni kart açar.
+ * byName: girilen ad → kart, created: eklenecek yeni kartlar (çağıran setSuppliers ile ekler)
+ */
+export function resolveSuppliers(suppliers, names) {
+  const byName = new Map();
+  const created = [];
+  for (const raw of names) {
+    const name = String(raw ?? "").trim();
+    if (!name || byName.has(name)) continue;
+    let card = findSupplierByName(suppliers, name) ?? findSupplierByName(created, name);
+    if (!card) {
+      card = blankSupplier(name);
+      created.push(card);
+    }
+    byName.set(name, card);
+  }
+  return { byName, created };
+}
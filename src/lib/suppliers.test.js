@@ -0,0 +1,102 @@
+import { describe, expect, it } from "vitest";
+import { findSupplierByTaxId, formatIban, isValidIban, isValidTckn, isValidVkn, normalizeSupplier, resolveSuppliers, taxIdError, validateSupplier } from "./suppliers.js";
+
+describe("VKN", () => {
+  it.each(["0123456789", "4840847211", "012 345 6789"])("%s geçerli", (vkn) => {
+    expect(isValidVkn(vkn)).toBe(true);
+  });
+
+  it.each([
+    ["0123456788", "kontrol hanesi"],
+    ["0000000000", "sıfırlar"],
+    ["123456789", "9 hane"],
+    ["012345678a", "harf"],
+  ])("%s geçersiz (%s)", (vkn) => {
+    expect(isValidVkn(vkn)).toBe(false);
+  });
+});
+
+describe("TCKN", () => {
+  it("10. ve 11. haneler ayrı ayrı denetlenir", () => {
+    expect(isValidTckn("10000000146")).toBe(true);
+    expect(isValidTckn("10000000156")).toBe(false);
+    expect(isValidTckn("10000000147")).toBe(false);
+  });
+
+  it("0 ile başlayamaz", () => {
+    expect(isValidTckn("01000000146")).toBe(false);
+  });
+
+  it("taxIdError hane sayısına göre VKN ya da TCKN mesajı verir; boş alan serbest", () => {
+    expect(taxIdError(" ")).toBe("");
+    expect(taxIdError("0123456788")).toBe("VKN kontrol hanesi hatalı.");
+    expect(taxIdError("10000000147")).toBe("TCKN kontrol haneleri hatalı.");
+    expect(taxIdError("12345")).toBe("VKN 10, TCKN 11 haneli olmalıdır.");
+  });
+});
+
+describe("IBAN", () => {
+  it("mod-97; boşluk ve küçük harf önemsizdir", () => {
+    expect(isValidIban("tr33 0006 1005 1978 6457 8413 26")).toBe(true);
+    expect(isValidIban("TR330006100519786457841327")).toBe(false);
+  });
+
+  it("TR IBAN'ı tam 26 karakterdir; yabancı IBAN harfli hesap numarası içerebilir", () => {
+    expect(isValidIban("TR33000610051978645784132")).toBe(false);
+    expect(isValidIban("GB82WEST12345698765432")).toBe(true);
+    expect(isValidIban("DE89370400440532013000")).toBe(true);
+  });
+
+  it("dörtlü gruplar; son grup kısa kalabilir", () => {
+    expect(formatIban("tr330006100519786457841326")).toBe("TR33 0006 1005 1978 6457 8413 26");
+  });
+});
+
+describe("tedarikçi kartı", () => {
+  const suppliers = [
+    { id: "a", name: "Işık Ticaret", taxId: "0123456789", contacts: [] },
+    { id: "b", name: "Delta Tedarik", taxId: "", contacts: [] },
+  ];
+
+  it("unvan Türkçe büyük/küçük harf duyarsız tekildir; kartın kendisi çakışma sayılmaz", () => {
+    expect(validateSupplier({ id: "x", name: "DELTA TEDARİK" }, suppliers)).toBe('"DELTA TEDARİK" unvanlı bir tedarikçi zaten var.');
+    expect(validateSupplier({ id: "a", name: "ışık ticaret", taxId: "0123456789" }, suppliers)).toBe("");
+  });
+
+  it("VKN boşluklu yazılsa da başka kartta kayıtlıysa reddedilir", () => {
+    expect(validateSupplier({ id: "x", name: "Yeni", taxId: "012 345 67 89" }, suppliers)).toBe("Bu VKN/TCKN başka bir tedarikçide kayıtlı.");
+  });
+
+  it("IBAN, vade ve yetkili e-postası denetlenir", () => {
+    expect(validateSupplier({ name: "Yeni", iban: "TR00" }, suppliers)).toBe("IBAN geçersiz.");
+    expect(validateSupplier({ name: "Yeni", paymentTermDays: "-1" }, suppliers)).toBe("Vade günü negatif olamaz.");
+    expect(validateSupplier({ name: "Yeni", contacts: [{ email: "" }, { email: "satis@firma" }] }, suppliers)).toBe("Geçersiz e-posta: satis@firma");
+  });
+
+  it("kaydederken VKN ve IBAN boşluksuz, vade tam gün, boş yetkililer atılır", () => {
+    const s = normalizeSupplier({
+      id: "n",
+      name: " Yeni ",
+      taxId: "012 345 6789",
+      iban: "tr33 0006 1005 1978 6457 8413 26",
+      paymentTermDays: "44,6",
+      contacts: [{ name: " ", role: "Muhasebe", phone: "", email: "" }, { name: "Ali", phone: " 555 " }],
+    });
+    expect(s).toMatchObject({ name: "Yeni", taxId: "0123456789", iban: "TR330006100519786457841326", paymentTermDays: "45" });
+    expect(s.contacts).toEqual([{ name: "Ali", role: "", phone: "555", email: "" }]);
+  });
+
+  it("e-faturadaki VKN/TCKN ile kart bulunur; boş numara eşleşmez", () => {
+    expect(findSupplierByTaxId(suppliers, "0123456789").id).toBe("a");
+    expect(findSupplierByTaxId(suppliers, "012 345 67 89").id).toBe("a");
+    expect(findSupplierByTaxId(suppliers, "4840847211")).toBeNull();
+    expect(findSupplierByTaxId([...suppliers, { id: "z", name: "Numarasız", taxId: "" }], "")).toBeNull();
+  });
+
+  it("faturalardaki adlardan kart çözülür; aynı yeni ad için tek kart açılır", () => {
+    const { byName, created } = resolveSuppliers(suppliers, ["ışık ticaret", "Aras", "ARAS", " ", "Aras"]);
+    expect(byName.get("ışık ticaret").id).toBe("a");
+    expect(created.map((s) => s.name)).toEqual(["Aras"]);
+    expect(byName.get("ARAS")).toBe(created[0]);
+  });
+});
@@ -0,0 +1,425 @@
+import { calcLine, clamp, escapeXml as esc, toNumber } from "./calc.js";
+import { invoiceFxRate } from "./currency.js";
+import { daysBetween } from "./payables.js";
+
+/**
+ * GİB e-Fatura / e-Arşiv (UBL-TR 1.2) XML içe / dışa aktarma
+ * - Kök <Invoice>: fatura no, tarih, ETTN (UUID), para birimi / kur, vade, tedarikçi (AccountingSupplierParty, VKN / TCKN).
+ * - <cac:InvoiceLine>: miktar + birim kodu, birim fiyat, satır iskontosu (AllowanceCharge), KDV (TaxSubtotal 0015), tevkifat.
+ * - Modelimize karşılığı olmayan her şey (ÖTV gibi diğer vergiler, ek ücretler, bilinmeyen birim kodları, tutar farkları)
+ *   warnings listesinde raporlanır; fatura yine de aktarılır.
+ * - Elemanlar ad önekinden bağımsız olarak localName ile okunur (cac: / cbc: / varsayılan ad alanı).
+ * - Sayılar her zaman nokta ondalıklıdır; kayda toNumber'ın binlik sezgisine takılmayacak biçimde yazılır.
+ * - Dışa aktarma (buildUblInvoice) aynı alanları ters yönde yazar; imza / gönderim entegratöre bırakılır.
+ */
+
+/** UN/ECE Rec. 20 birim kodu → birim (listede olmayanlar uyarıyla "Adet") */
+const UNIT_CODES = {
+  C62: "Adet",
+  NIU: "Adet",
+  EA: "Adet",
+  H87: "Adet",
+  KGM: "Kg",
+  LTR: "Lt",
+  PA: "Paket",
+  PK: "Paket",
+  BX: "Kutu",
+  PR: "Çift",
+  HUR: "Hizmet",
+  DAY: "Hizmet",
+  MON: "Hizmet",
+  ANN: "Hizmet",
+};
+
+const VAT_CODE = "0015";
+
+/** 2.125 → "2.1250": tek nokta + 3 hane toNumber'da binlik sayılır */
+function decimalStr(n) {
+  const s = (Number.isFinite(n) ? n : 0).toFixed(6).replace(/\.?0+$/, "");
+  return /^-?\d{1,3}\.\d{3}$/.test(s) ? s + "0" : s;
+}
+
+function num(v) {
+  const n = Number(String(v ?? "").trim());
+  return Number.isFinite(n) ? n : 0;
+}
+
+function kids(el, name) {
+  return el ? [...el.children].filter((c) => c.localName === name) : [];
+}
+
+/** Doğrudan alt elemanlar üzerinden yol: first(el, "Party", "PartyName", "Name") */
+function first(el, ...path) {
+  let cur = el;
+  for (const name of path) {
+    cur = kids(cur, name)[0];
+    if (!cur) return null;
+  }
+  return cur;
+}
+
+function text(el, ...path) {
+  return String(first(el, ...path)?.textContent ?? "").trim();
+}
+
+function parseSupplier(root) {
+  const party = first(root, "AccountingSupplierParty", "Party");
+  if (!party) return null;
+  let taxId = "";
+  let taxIdScheme = "";
+  for (const pid of kids(party, "PartyIdentification")) {
+    const id = first(pid, "ID");
+    const scheme = String(id?.getAttribute("schemeID") ?? "").toUpperCase();
+    if (scheme === "VKN" || scheme === "TCKN") {
+      taxId = String(id.textContent ?? "").trim();
+      taxIdScheme = scheme;
+      break;
+    }
+  }
+  const person = first(party, "Person");
+  const personName = [text(person, "FirstName"), text(person, "MiddleName"), text(person, "FamilyName")].filter(Boolean).join(" ");
+  const addr = first(party, "PostalAddress");
+  const street = [text(addr, "StreetName"), text(addr, "BuildingNumber")].filter(Boolean).join(" No:");
+  const city = [text(addr, "CitySubdivisionName"), text(addr, "CityName")].filter(Boolean).join(" / ");
+  return {
+    name: text(party, "PartyName", "Name") || personName,
+    taxId,
+    taxIdScheme,
+    taxOffice: text(party, "PartyTaxScheme", "TaxScheme", "Name"),
+    address: [street, city].filter(Boolean).join(" "),
+  };
+}
+
+/** KDV oranı + aktarılamayan vergiler */
+function parseTaxes(taxTotal, warnings, where) {
+  let vatRate = null;
+  for (const sub of kids(taxTotal, "TaxSubtotal")) {
+    const code = text(sub, "TaxCategory", "TaxScheme", "TaxTypeCode");
+    const percent = text(sub, "Percent") || text(sub, "TaxCategory", "Percent");
+    if (code === VAT_CODE) vatRate = num(percent);
+    else warnings.push(`${where}: ${text(sub, "TaxCategory", "TaxScheme", "Name") || code || "?"} vergisi (%${percent || "?"}) aktarılmadı.`);
+  }
+  return vatRate;
+}
+
+function withholdingRates(el) {
+  const out = [];
+  for (const wt of kids(el, "WithholdingTaxTotal")) {
+    for (const sub of kids(wt, "TaxSubtotal")) out.push(num(text(sub, "Percent") || text(sub, "TaxCategory", "Percent")));
+  }
+  return out;
+}
+
+/** ChargeIndicator=false toplamı; ek ücretler (true) uyarı olarak döner */
+function allowances(el, baseAmount, warnings, where) {
+  let total = 0;
+  for (const ac of kids(el, "AllowanceCharge")) {
+    const amount = first(ac, "Amount") ? num(text(ac, "Amount")) : num(text(ac, "MultiplierFactorNumeric")) * (num(text(ac, "BaseAmount")) || baseAmount);
+    if (text(ac, "ChargeIndicator").toLowerCase() === "true") warnings.push(`${where}: ek ücret ${decimalStr(amount)} aktarılmadı.`);
+    else total += amount;
+  }
+  return total;
+}
+
+function parseLine(el, idx, warnings) {
+  const where = `Satır ${text(el, "ID") || idx + 1}`;
+  const qtyEl = first(el, "InvoicedQuantity");
+  const qty = num(qtyEl?.textContent);
+  const unitCode = String(qtyEl?.getAttribute("unitCode") ?? "").toUpperCase();
+  const unitType = UNIT_CODES[unitCode] ?? "Adet";
+  if (!UNIT_CODES[unitCode]) warnings.push(`${where}: birim kodu "${unitCode || "-"}" tanınmadı, Adet olarak aktarıldı.`);
+
+  const unitPrice = num(text(el, "Price", "PriceAmount"));
+  const gross = qty * unitPrice;
+  const discount = allowances(el, gross, warnings, where);
+  const discountRate = gross > 0 ? clamp((discount / gross) * 100, 0, 100) : 0;
+
+  let vatRate = parseTaxes(first(el, "TaxTotal"), warnings, where);
+  if (vatRate == null) {
+    warnings.push(`${where}: KDV bulunamadı, %0 aktarıldı.`);
+    vatRate = 0;
+  }
+
+  const line = {
+    invoiceItem: text(el, "Item", "Name") || text(el, "Item", "Description") || `Kalem ${idx + 1}`,
+    qty: decimalStr(qty),
+    unitType,
+    unitPrice: decimalStr(unitPrice),
+    discountRate: decimalStr(discountRate),
+    vatRate: decimalStr(vatRate),
+  };
+
+  const lineExt = first(el, "LineExtensionAmount");
+  if (lineExt && Math.abs(num(lineExt.textContent) - calcLine(line).totalNet) > 0.01) {
+    warnings.push(`${where}: satır tutarı ${lineExt.textContent} ≠ hesaplanan ${decimalStr(calcLine(line).totalNet)}.`);
+  }
+  return { line, withholding: withholdingRates(el) };
+}
+
+/**
+ * Tek UBL-TR XML belgesi → { invoice, lines, supplier, warnings }.
+ * Fatura olarak okunamazsa Error fırlatır (mesaj kullanıcıya gösterilir).
+ */
+export function parseUblInvoice(xmlText) {
+  const doc = new DOMParser().parseFromString(xmlText, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) throw new Error("XML okunamadı.");
+  const root = doc.documentElement;
+  if (root.localName !== "Invoice") throw new Error(`UBL fatura değil (kök eleman: ${root.localName}).`);
+
+  const warnings = [];
+  const invoiceNo = text(root, "ID");
+  const date = text(root, "IssueDate").slice(0, 10);
+  if (!date) throw new Error("Fatura tarihi (IssueDate) yok.");
+
+  const supplier = parseSupplier(root);
+  if (!supplier?.name) throw new Error("Tedarikçi (AccountingSupplierParty) okunamadı.");
+
+  const typeCode = text(root, "InvoiceTypeCode").toUpperCase();
+  if (typeCode === "IADE") warnings.push("İade faturası; tutarlar alış faturası gibi aktarıldı.");
+
+  const parsedLines = kids(root, "InvoiceLine").map((el, idx) => parseLine(el, idx, warnings));
+  if (parsedLines.length === 0) throw new Error("Fatura kalemi (InvoiceLine) yok.");
+  const lines = parsedLines.map((x) => x.line);
+
+  // Tevkifat: satır ya da belge düzeyi; modelde fatura başına tek oran var
+  const rates = [...new Set([...parsedLines.flatMap((x) => x.withholding), ...withholdingRates(root)])];
+  if (rates.length > 1) warnings.push(`Farklı tevkifat oranları (${rates.join(", ")}); %${rates[0]} uygulandı.`);
+
+  // Belge iskontosu kalemlere net tutarları oranında dağıtılır
+  const docDiscount = allowances(root, 0, warnings, "Belge");
+  if (docDiscount > 0) {
+    const nets = lines.map((ln) => calcLine(ln).totalNet);
+    const sumNet = nets.reduce((a, b) => a + b, 0);
+    if (sumNet > 0) {
+      lines.forEach((ln, i) => {
+        const gross = toNumber(ln.qty) * toNumber(ln.unitPrice);
+        const net = nets[i] - (docDiscount * nets[i]) / sumNet;
+        if (gross > 0) ln.discountRate = decimalStr(clamp((1 - net / gross) * 100, 0, 100));
+      });
+      warnings.push(`Belge iskontosu ${decimalStr(docDiscount)} kalemlere dağıtıldı.`);
+    }
+  }
+
+  const dueDate = text(root, "PaymentMeans", "PaymentDueDate") || text(root, "PaymentTerms", "PaymentDueDate");
+  // Kur yoksa boş kalır (kur tablosundan bulunur); varsa diğer sayılar gibi normalize edilir
+  const rate = text(root, "PricingExchangeRate", "CalculationRate");
+  const invoice = {
+    invoiceNo,
+    date,
+    ettn: text(root, "UUID"),
+    profileId: text(root, "ProfileID"),
+    currencyCode: (text(root, "DocumentCurrencyCode") || "TRY").toUpperCase(),
+    exchangeRate: rate ? decimalStr(num(rate)) : "",
+    paymentTermDays: dueDate ? String(Math.max(0, daysBetween(date, dueDate))) : "",
+    tevfikatRate: rates.length ? decimalStr(rates[0]) : "0",
+    discountTotal: docDiscount > 0 ? docDiscount : "",
+  };
+
+  // Ödenecek tutar kontrolü (KDV hariç + KDV − tevkifat)
+  const payableEl = first(root, "LegalMonetaryTotal", "PayableAmount");
+  if (payableEl) {
+    const sums = lines.map(calcLine).reduce((a, c) => ({ net: a.net + c.totalNet, vat: a.vat + c.vatAmount }), { net: 0, vat: 0 });
+    const ours = sums.net + sums.vat * (1 - num(invoice.tevfikatRate) / 100);
+    if (Math.abs(ours - num(payableEl.textContent)) > 0.05) {
+      warnings.push(`Ödenecek tutar ${payableEl.textContent} ≠ hesaplanan ${decimalStr(Math.round(ours * 100) / 100)}.`);
+    }
+  }
+
+  return { invoice, lines, supplier, warnings };
+}
+
+/**
+ * Seçilen dosyalardan XML belgeleri: .xml doğrudan, .zip içindeki .xml'ler (SheetJS CFB ile) açılır.
+ * Dönen: [{ fileName, text }] ve okunamayan dosyalar için [{ fileName, error }]
+ */
+export async function readXmlDocuments(files) {
+  const docs = [];
+  for (const file of files) {
+    const name = String(file.webkitRelativePath || file.name || "");
+    const lower = name.toLowerCase();
+    if (lower.endsWith(".xml")) {
+      docs.push({ fileName: name, text: await file.text() });
+    } else if (lower.endsWith(".zip")) {
+      try {
+        const XLSX = await import("xlsx");
+        const zip = XLSX.CFB.read(new Uint8Array(await file.arrayBuffer()), { type: "array" });
+        const decoder = new TextDecoder("utf-8");
+        zip.FileIndex.forEach((entry, i) => {
+          const path = zip.FullPaths[i];
+          if (entry.type === 2 && entry.content && path.toLowerCase().endsWith(".xml")) {
+            docs.push({ fileName: `${name} › ${path.replace(/^Root Entry\//, "")}`, text: decoder.decode(entry.content) });
+          }
+        });
+      } catch {
+        docs.push({ fileName: name, error: "ZIP açılamadı." });
+      }
+    }
+  }
+  return docs;
+}
+
+/* ---------------- Dışa aktarma ---------------- */
+
+/** Birim → UN/ECE Rec. 20 kodu (Hizmet adetle gönderilir) */
+const UNIT_TYPE_CODES = {
+  Adet: "C62",
+  Kg: "KGM",
+  Lt: "LTR",
+  Paket: "PA",
+  Kutu: "BX",
+  Hizmet: "C62",
+  Çift: "PR",
+};
+
+/** KDV %0 satırlar için muafiyet kodu (351: istisna olmayan diğer) */
+const ZERO_VAT_EXEMPTION = { code: "351", reason: "KDV - İstisna Olmayan Diğer" };
+
+/** Tevkifat için genel vergi kodu; gerekçe kodu (601…) entegratörde seçilir */
+const WITHHOLDING_CODE = "9015";
+
+const amt = (n) => (Math.round((Number.isFinite(n) ? n : 0) * 100) / 100).toFixed(2);
+const qtyStr = (n) => (Number.isFinite(n) ? n : 0).toFixed(6).replace(/\.?0+$/, "") || "0";
+
+/** <tag>değer</tag>; değer boşsa eleman yazılmaz */
+function el(tag, value, attrs = "") {
+  if (value === "" || value == null) return "";
+  return `<${tag}${attrs}>${esc(value)}</${tag}>`;
+}
+
+function money(tag, n, currency) {
+  return el(tag, amt(n), ` currencyID="${esc(currency)}"`);
+}
+
+function partyXml(party) {
+  const digits = String(party.taxId ?? "").replace(/\D/g, "");
+  const scheme = digits.length === 11 ? "TCKN" : "VKN";
+  return [
+    "<cac:Party>",
+    `<cac:PartyIdentification><cbc:ID schemeID="${scheme}">${esc(digits)}</cbc:ID></cac:PartyIdentification>`,
+    `<cac:PartyName>${el("cbc:Name", party.name)}</cac:PartyName>`,
+    `<cac:PostalAddress>${el("cbc:StreetName", party.address)}<cbc:CitySubdivisionName/><cbc:CityName/><cac:Country><cbc:Name>Türkiye</cbc:Name></cac:Country></cac:PostalAddress>`,
+    `<cac:PartyTaxScheme><cac:TaxScheme>${el("cbc:Name", party.taxOffice) || "<cbc:Name/>"}</cac:TaxScheme></cac:PartyTaxScheme>`,
+    "</cac:Party>",
+  ].join("");
+}
+
+function taxCategoryXml(percent) {
+  const exemption =
+    percent === 0 ? `<cbc:TaxExemptionReasonCode>${ZERO_VAT_EXEMPTION.code}</cbc:TaxExemptionReasonCode><cbc:TaxExemptionReason>${esc(ZERO_VAT_EXEMPTION.reason)}</cbc:TaxExemptionReason>` : "";
+  return `<cac:TaxCategory>${exemption}<cac:TaxScheme><cbc:Name>KDV</cbc:Name><cbc:TaxTypeCode>${VAT_CODE}</cbc:TaxTypeCode></cac:TaxScheme></cac:TaxCategory>`;
+}
+
+function withholdingXml(vatAmount, tev, currency) {
+  const withheld = (vatAmount * tev) / 100;
+  return [
+    "<cac:WithholdingTaxTotal>",
+    money("cbc:TaxAmount", withheld, currency),
+    "<cac:TaxSubtotal>",
+    money("cbc:TaxableAmount", vatAmount, currency),
+    money("cbc:TaxAmount", withheld, currency),
+    el("cbc:Percent", qtyStr(tev)),
+    `<cac:TaxCategory><cac:TaxScheme><cbc:Name>KDV Tevkifatı</cbc:Name><cbc:TaxTypeCode>${WITHHOLDING_CODE}</cbc:TaxTypeCode></cac:TaxScheme></cac:TaxCategory>`,
+    "</cac:TaxSubtotal>",
+    "</cac:WithholdingTaxTotal>",
+  ].join("");
+}
+
+/**
+ * Fatura → UBL-TR 1.2 XML (imzasız; imza ve gönderim entegratördedir).
+ * - supplier: tedarikçi kartı (AccountingSupplierParty), buyer: firmamız { name, taxId, taxOffice, address }
+ * - KDV alt toplamları orana göre gruplanır; tevkifat tevfikatRate üzerinden satır ve belge düzeyinde yazılır.
+ * - Adres tek satır olarak StreetName'e yazılır; il / ilçe boş bırakılır.
+ */
+export function buildUblInvoice({ invoice, lines, supplier, buyer, uuid, dueDate }) {
+  const currency = invoice.currencyCode || "TRY";
+  const tev = clamp(toNumber(invoice.tevfikatRate ?? 0), 0, 100);
+  const calcs = lines.map((ln) => ({ ln, c: calcLine(ln) }));
+
+  const byRate = new Map();
+  let totalNet = 0;
+  let totalVat = 0;
+  let totalAllowance = 0;
+  for (const { c } of calcs) {
+    totalNet += c.totalNet;
+    totalVat += c.vatAmount;
+    totalAllowance += c.up * c.q - c.totalNet;
+    const cur = byRate.get(c.vat) ?? { taxable: 0, tax: 0 };
+    cur.taxable += c.totalNet;
+    cur.tax += c.vatAmount;
+    byRate.set(c.vat, cur);
+  }
+  const withheld = (totalVat * tev) / 100;
+
+  const lineXml = calcs.map(({ ln, c }, i) => {
+    const gross = c.up * c.q;
+    const allowance = gross - c.totalNet;
+    return [
+      "<cac:InvoiceLine>",
+      el("cbc:ID", i + 1),
+      el("cbc:InvoicedQuantity", qtyStr(c.q), ` unitCode="${UNIT_TYPE_CODES[ln.unitType] ?? "C62"}"`),
+      money("cbc:LineExtensionAmount", c.totalNet, currency),
+      allowance > 0
+        ? `<cac:AllowanceCharge><cbc:ChargeIndicator>false</cbc:ChargeIndicator>${el("cbc:MultiplierFactorNumeric", qtyStr(c.disc / 100))}${money("cbc:Amount", allowance, currency)}${money("cbc:BaseAmount", gross, currency)}</cac:AllowanceCharge>`
+        : "",
+      "<cac:TaxTotal>",
+      money("cbc:TaxAmount", c.vatAmount, currency),
+      `<cac:TaxSubtotal>${money("cbc:TaxableAmount", c.totalNet, currency)}${money("cbc:TaxAmount", c.vatAmount, currency)}${el("cbc:Percent", qtyStr(c.vat))}${taxCategoryXml(c.vat)}</cac:TaxSubtotal>`,
+      "</cac:TaxTotal>",
+      tev > 0 && c.vatAmount > 0 ? withholdingXml(c.vatAmount, tev, currency) : "",
+      `<cac:Item>${el("cbc:Name", ln.invoiceItem)}</cac:Item>`,
+      `<cac:Price>${money("cbc:PriceAmount", c.up, currency)}</cac:Price>`,
+      "</cac:InvoiceLine>",
+    ].join("");
+  });
+
+  const exchange =
+    currency !== "TRY"
+      ? `<cac:PricingExchangeRate>${el("cbc:SourceCurrencyCode", currency)}<cbc:TargetCurrencyCode>TRY</cbc:TargetCurrencyCode>${el("cbc:CalculationRate", decimalStr(invoiceFxRate(invoice)))}</cac:PricingExchangeRate>`
+      : "";
+  const iban = String(supplier.iban ?? "").replace(/\s+/g, "");
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<Invoice xmlns="urn:oasis:names:specification:ubl:schema:xsd:Invoice-2"',
+    ' xmlns:cac="urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2"',
+    ' xmlns:cbc="urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2"',
+    ' xmlns:ext="urn:oasis:names:specification:ubl:schema:xsd:CommonExtensionComponents-2">',
+    "<ext:UBLExtensions><ext:UBLExtension><ext:ExtensionContent/></ext:UBLExtension></ext:UBLExtensions>",
+    "<cbc:UBLVersionID>2.1</cbc:UBLVersionID>",
+    "<cbc:CustomizationID>TR1.2</cbc:CustomizationID>",
+    `<cbc:ProfileID>${esc(invoice.profileId || "TICARIFATURA")}</cbc:ProfileID>`,
+    el("cbc:ID", invoice.invoiceNo),
+    "<cbc:CopyIndicator>false</cbc:CopyIndicator>",
+    el("cbc:UUID", uuid),
+    el("cbc:IssueDate", invoice.date),
+    `<cbc:InvoiceTypeCode>${tev > 0 ? "TEVKIFAT" : "SATIS"}</cbc:InvoiceTypeCode>`,
+    el("cbc:DocumentCurrencyCode", currency),
+    el("cbc:LineCountNumeric", lines.length),
+    `<cac:AccountingSupplierParty>${partyXml(supplier)}</cac:AccountingSupplierParty>`,
+    `<cac:AccountingCustomerParty>${partyXml(buyer)}</cac:AccountingCustomerParty>`,
+    dueDate || iban
+      ? `<cac:PaymentMeans><cbc:PaymentMeansCode>${iban ? "42" : "1"}</cbc:PaymentMeansCode>${el("cbc:PaymentDueDate", dueDate)}${
+          iban ? `<cac:PayeeFinancialAccount>${el("cbc:ID", iban)}</cac:PayeeFinancialAccount>` : ""
+        }</cac:PaymentMeans>`
+      : "",
+    exchange,
+    "<cac:TaxTotal>",
+    money("cbc:TaxAmount", totalVat, currency),
+    ...[...byRate.entries()].map(
+      ([rate, t]) =>
+        `<cac:TaxSubtotal>${money("cbc:TaxableAmount", t.taxable, currency)}${money("cbc:TaxAmount", t.tax, currency)}${el("cbc:Percent", qtyStr(rate))}${taxCategoryXml(rate)}</cac:TaxSubtotal>`
+    ),
+    "</cac:TaxTotal>",
+    tev > 0 ? withholdingXml(totalVat, tev, currency) : "",
+    "<cac:LegalMonetaryTotal>",
+    money("cbc:LineExtensionAmount", totalNet, currency),
+    money("cbc:TaxExclusiveAmount", totalNet, currency),
+    money("cbc:TaxInclusiveAmount", totalNet + totalVat, currency),
+    money("cbc:AllowanceTotalAmount", totalAllowance, currency),
+    money("cbc:PayableAmount", totalNet + totalVat - withheld, currency),
+    "</cac:LegalMonetaryTotal>",
+    ...lineXml,
+    "</Invoice>",
+    "",
+  ].join("\n");
+}
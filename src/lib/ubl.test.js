@@ -0,0 +1,229 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from "vitest";
+import { calcLine, toNumber } from "./calc.js";
+import { calcLineTry, fxFields, invoiceFxRate } from "./currency.js";
+import { buildUblInvoice, parseUblInvoice, readXmlDocuments } from "./ubl.js";
+
+const NS = 'xmlns="urn:oasis:names:specification:ubl:schema:xsd:Invoice-2" xmlns:cac="urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2" xmlns:cbc="urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2"';
+
+const SUPPLIER = `
+  <cac:AccountingSupplierParty><cac:Party>
+    <cac:PartyIdentification><cbc:ID schemeID="MERSISNO">0123456789000015</cbc:ID></cac:PartyIdentification>
+    <cac:PartyIdentification><cbc:ID schemeID="VKN">0123456789</cbc:ID></cac:PartyIdentification>
+    <cac:PartyName><cbc:Name>Aras Hırdavat A.Ş.</cbc:Name></cac:PartyName>
+    <cac:PostalAddress><cbc:StreetName>Moda Cd.</cbc:StreetName><cbc:BuildingNumber>5</cbc:BuildingNumber><cbc:CitySubdivisionName>Kadıköy</cbc:CitySubdivisionName><cbc:CityName>İstanbul</cbc:CityName></cac:PostalAddress>
+    <cac:PartyTaxScheme><cac:TaxScheme><cbc:Name>Kadıköy</cbc:Name></cac:TaxScheme></cac:PartyTaxScheme>
+  </cac:Party></cac:AccountingSupplierParty>`;
+
+const vat = (percent) => `<cac:TaxTotal><cac:TaxSubtotal><cbc:Percent>${percent}</cbc:Percent><cac:TaxCategory><cac:TaxScheme><cbc:TaxTypeCode>0015</cbc:TaxTypeCode></cac:TaxScheme></cac:TaxCategory></cac:TaxSubtotal></cac:TaxTotal>`;
+
+describe("UBL-TR fatura okuma", () => {
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+    <Invoice ${NS}>
+      <cbc:ProfileID>TICARIFATURA</cbc:ProfileID>
+      <cbc:ID>ARS2025000000123</cbc:ID>
+      <cbc:UUID>5b0e1c9a-3c1e-4f6b-9a51-0d6a2e7c1f00</cbc:UUID>
+      <cbc:IssueDate>2025-12-05</cbc:IssueDate>
+      <cbc:InvoiceTypeCode>SATIS</cbc:InvoiceTypeCode>
+      <cbc:DocumentCurrencyCode>TRY</cbc:DocumentCurrencyCode>
+      ${SUPPLIER}
+      <cac:PaymentMeans><cbc:PaymentMeansCode>42</cbc:PaymentMeansCode><cbc:PaymentDueDate>2026-01-04</cbc:PaymentDueDate></cac:PaymentMeans>
+      <cac:InvoiceLine>
+        <cbc:ID>1</cbc:ID>
+        <cbc:InvoicedQuantity unitCode="PA">8</cbc:InvoicedQuantity>
+        <cbc:LineExtensionAmount currencyID="TRY">90.00</cbc:LineExtensionAmount>
+        <cac:AllowanceCharge><cbc:ChargeIndicator>false</cbc:ChargeIndicator><cbc:MultiplierFactorNumeric>0.1</cbc:MultiplierFactorNumeric><cbc:Amount>10</cbc:Amount><cbc:BaseAmount>100</cbc:BaseAmount></cac:AllowanceCharge>
+        ${vat(20)}
+        <cac:Item><cbc:Name>Vida M6 (100'lü)</cbc:Name></cac:Item>
+        <cac:Price><cbc:PriceAmount currencyID="TRY">12.5</cbc:PriceAmount></cac:Price>
+      </cac:InvoiceLine>
+      <cac:InvoiceLine>
+        <cbc:ID>2</cbc:ID>
+        <cbc:InvoicedQuantity unitCode="KGM">2.125</cbc:InvoicedQuantity>
+        <cbc:LineExtensionAmount currencyID="TRY">4.25</cbc:LineExtensionAmount>
+        ${vat(1)}
+        <cac:Item><cbc:Description>Çivi</cbc:Description></cac:Item>
+        <cac:Price><cbc:PriceAmount currencyID="TRY">2</cbc:PriceAmount></cac:Price>
+      </cac:InvoiceLine>
+      <cac:LegalMonetaryTotal><cbc:PayableAmount currencyID="TRY">112.29</cbc:PayableAmount></cac:LegalMonetaryTotal>
+    </Invoice>`;
+  const parsed = parseUblInvoice(xml);
+
+  it("başlık: numara, ETTN, vade günü; VKN MERSİS numarasından ayırt edilir", () => {
+    expect(parsed.invoice).toMatchObject({ invoiceNo: "ARS2025000000123", date: "2025-12-05", ettn: "5b0e1c9a-3c1e-4f6b-9a51-0d6a2e7c1f00", currencyCode: "TRY", paymentTermDays: "30", tevfikatRate: "0" });
+    expect(parsed.supplier).toEqual({ name: "Aras Hırdavat A.Ş.", taxId: "0123456789", taxIdScheme: "VKN", taxOffice: "Kadıköy", address: "Moda Cd. No:5 Kadıköy / İstanbul" });
+    expect(parsed.warnings).toEqual([]);
+  });
+
+  it("kalem: birim kodu, tutar iskontosu orana çevrilir; ad yoksa açıklama", () => {
+    expect(parsed.lines[0]).toMatchObject({ invoiceItem: "Vida M6 (100'lü)", unitType: "Paket", qty: "8", unitPrice: "12.5", discountRate: "10", vatRate: "20" });
+    expect(parsed.lines[1]).toMatchObject({ invoiceItem: "Çivi", unitType: "Kg", vatRate: "1" });
+  });
+
+  it("nokta + 3 haneli kesir binlik ayırıcı sanılmayacak biçimde yazılır", () => {
+    expect(parsed.lines[1].qty).toBe("2.1250");
+    expect(toNumber(parsed.lines[1].qty)).toBe(2.125);
+    expect(calcLine(parsed.lines[1]).totalNet).toBeCloseTo(4.25);
+  });
+});
+
+describe("aktarılamayanlar uyarı olarak raporlanır", () => {
+  const doc = (body, head = "") => `<Invoice ${NS}><cbc:ID>X1</cbc:ID><cbc:IssueDate>2025-12-05</cbc:IssueDate>${head}${SUPPLIER}${body}</Invoice>`;
+  const line = (inner, { id = 1, unit = "C62", qty = 3, price = 10 } = {}) =>
+    `<cac:InvoiceLine><cbc:ID>${id}</cbc:ID><cbc:InvoicedQuantity unitCode="${unit}">${qty}</cbc:InvoicedQuantity>${inner}<cac:Item><cbc:Name>Kalem ${id}</cbc:Name></cac:Item><cac:Price><cbc:PriceAmount>${price}</cbc:PriceAmount></cac:Price></cac:InvoiceLine>`;
+
+  it("bilinmeyen birim, ek ücret, ÖTV ve eksik KDV", () => {
+    const otv = `<cac:TaxTotal><cac:TaxSubtotal><cbc:Percent>25</cbc:Percent><cac:TaxCategory><cac:TaxScheme><cbc:Name>ÖTV</cbc:Name><cbc:TaxTypeCode>0071</cbc:TaxTypeCode></cac:TaxScheme></cac:TaxCategory></cac:TaxSubtotal></cac:TaxTotal>`;
+    const charge = `<cac:AllowanceCharge><cbc:ChargeIndicator>true</cbc:ChargeIndicator><cbc:Amount>5</cbc:Amount></cac:AllowanceCharge>`;
+    const { lines, warnings } = parseUblInvoice(doc(line(charge + otv, { unit: "XYZ" }) + line("", { id: 2 })));
+    expect(lines[0]).toMatchObject({ unitType: "Adet", vatRate: "0", discountRate: "0" });
+    expect(warnings).toEqual([
+      'Satır 1: birim kodu "XYZ" tanınmadı, Adet olarak aktarıldı.',
+      "Satır 1: ek ücret 5 aktarılmadı.",
+      "Satır 1: ÖTV vergisi (%25) aktarılmadı.",
+      "Satır 1: KDV bulunamadı, %0 aktarıldı.",
+      "Satır 2: KDV bulunamadı, %0 aktarıldı.",
+    ]);
+  });
+
+  it("satır tutarı ve ödenecek tutar farkları", () => {
+    const { warnings } = parseUblInvoice(
+      doc(line(`<cbc:LineExtensionAmount>31</cbc:LineExtensionAmount>${vat(20)}`) + `<cac:LegalMonetaryTotal><cbc:PayableAmount>40</cbc:PayableAmount></cac:LegalMonetaryTotal>`)
+    );
+    expect(warnings).toEqual(["Satır 1: satır tutarı 31 ≠ hesaplanan 30.", "Ödenecek tutar 40 ≠ hesaplanan 36."]);
+  });
+
+  it("tevkifat: farklı oranlarda ilki uygulanır ve uyarılır", () => {
+    const wht = (p) => `<cac:WithholdingTaxTotal><cac:TaxSubtotal><cbc:Percent>${p}</cbc:Percent></cac:TaxSubtotal></cac:WithholdingTaxTotal>`;
+    const { invoice, warnings } = parseUblInvoice(doc(line(vat(20) + wht(50)) + line(vat(20) + wht(70), { id: 2 })));
+    expect(invoice.tevfikatRate).toBe("50");
+    expect(warnings).toEqual(["Farklı tevkifat oranları (50, 70); %50 uygulandı."]);
+  });
+
+  it("belge iskontosu kalemlere net tutarları oranında dağıtılır", () => {
+    const discount = `<cac:AllowanceCharge><cbc:ChargeIndicator>false</cbc:ChargeIndicator><cbc:Amount>12</cbc:Amount></cac:AllowanceCharge>`;
+    const { invoice, lines, warnings } = parseUblInvoice(doc(line(vat(20), { qty: 1, price: 100 }) + line(vat(20), { id: 2, qty: 1, price: 20 }) + discount));
+    expect(lines.map((l) => l.discountRate)).toEqual(["10", "10"]);
+    expect(invoice.discountTotal).toBe(12);
+    expect(warnings).toEqual(["Belge iskontosu 12 kalemlere dağıtıldı."]);
+  });
+
+  it("iade faturası, dövizli fatura kuru ve şahıs tedarikçi (TCKN)", () => {
+    const xml = `<Invoice ${NS}><cbc:ID>I1</cbc:ID><cbc:IssueDate>2025-12-05</cbc:IssueDate><cbc:InvoiceTypeCode>IADE</cbc:InvoiceTypeCode><cbc:DocumentCurrencyCode>eur</cbc:DocumentCurrencyCode>
+      <cac:PricingExchangeRate><cbc:CalculationRate>36.4521</cbc:CalculationRate></cac:PricingExchangeRate>
+      <cac:AccountingSupplierParty><cac:Party>
+        <cac:PartyIdentification><cbc:ID schemeID="tckn">10000000146</cbc:ID></cac:PartyIdentification>
+        <cac:Person><cbc:FirstName>Ali</cbc:FirstName><cbc:FamilyName>Veli</cbc:FamilyName></cac:Person>
+      </cac:Party></cac:AccountingSupplierParty>${line(vat(20))}</Invoice>`;
+    const { invoice, supplier, warnings } = parseUblInvoice(xml);
+    expect(invoice).toMatchObject({ currencyCode: "EUR", exchangeRate: "36.4521", paymentTermDays: "" });
+    expect(supplier).toMatchObject({ name: "Ali Veli", taxId: "10000000146", taxIdScheme: "TCKN" });
+    expect(warnings).toEqual(["İade faturası; tutarlar alış faturası gibi aktarıldı."]);
+  });
+});
+
+describe("dövizli fatura kuru", () => {
+  const eurLine = `<cac:InvoiceLine><cbc:ID>1</cbc:ID><cbc:InvoicedQuantity unitCode="C62">2</cbc:InvoicedQuantity>${vat(20)}<cac:Item><cbc:Name>Toner</cbc:Name></cac:Item><cac:Price><cbc:PriceAmount>50</cbc:PriceAmount></cac:Price></cac:InvoiceLine>`;
+
+  it("üç ondalıklı kur binlik sayılmaz; TRY toplamı kurla hesaplanır", () => {
+    const xml = `<Invoice ${NS}><cbc:ID>K1</cbc:ID><cbc:IssueDate>2025-12-05</cbc:IssueDate><cbc:DocumentCurrencyCode>EUR</cbc:DocumentCurrencyCode>
+      <cac:PricingExchangeRate><cbc:CalculationRate>35.125</cbc:CalculationRate></cac:PricingExchangeRate>${SUPPLIER}${eurLine}</Invoice>`;
+    const { invoice, lines } = parseUblInvoice(xml);
+    expect(invoice.exchangeRate).toBe("35.1250");
+    const fxRate = invoiceFxRate(fxFields(invoice));
+    expect(fxRate).toBe(35.125);
+    expect(lines.reduce((s, l) => s + calcLineTry({ ...l, fxRate }).totalNet, 0)).toBeCloseTo(3512.5);
+  });
+
+  it("kur yoksa boş kalır (kur tablosundan bulunur)", () => {
+    const xml = `<Invoice ${NS}><cbc:ID>K2</cbc:ID><cbc:IssueDate>2025-12-05</cbc:IssueDate><cbc:DocumentCurrencyCode>EUR</cbc:DocumentCurrencyCode>${SUPPLIER}${eurLine}</Invoice>`;
+    expect(parseUblInvoice(xml).invoice.exchangeRate).toBe("");
+  });
+});
+
+describe("okunamayan belgeler", () => {
+  it.each([
+    ["<Invoice><unclosed></Invoice>", "XML okunamadı."],
+    ["<ApplicationResponse/>", "UBL fatura değil (kök eleman: ApplicationResponse)."],
+    ["<Invoice><ID>1</ID></Invoice>", "Fatura tarihi (IssueDate) yok."],
+    ["<Invoice><IssueDate>2025-12-01</IssueDate></Invoice>", "Tedarikçi (AccountingSupplierParty) okunamadı."],
+    ["<Invoice><IssueDate>2025-12-01</IssueDate><AccountingSupplierParty><Party><PartyName><Name>A</Name></PartyName></Party></AccountingSupplierParty></Invoice>", "Fatura kalemi (InvoiceLine) yok."],
+  ])("%s", (xml, message) => {
+    expect(() => parseUblInvoice(xml)).toThrow(message);
+  });
+});
+
+describe("dosya ve zip okuma", () => {
+  const file = (name, content, extra = {}) => ({
+    name,
+    text: async () => content,
+    arrayBuffer: async () => (content instanceof Uint8Array ? content : new TextEncoder().encode(content)).buffer,
+    ...extra,
+  });
+
+  it("klasör seçiminde göreli yol kullanılır; XML dışındaki dosyalar atlanır", async () => {
+    const docs = await readXmlDocuments([file("a.XML", "<Invoice/>", { webkitRelativePath: "Aralık/a.XML" }), file("not.txt", "x")]);
+    expect(docs).toEqual([{ fileName: "Aralık/a.XML", text: "<Invoice/>" }]);
+  });
+
+  it("zip içindeki XML'ler açılır; açılamayan zip hata olarak döner", async () => {
+    const XLSX = await import("xlsx");
+    const zip = XLSX.CFB.utils.cfb_new();
+    XLSX.CFB.utils.cfb_add(zip, "/faturalar/f1.xml", new TextEncoder().encode("<Invoice>ş</Invoice>"));
+    XLSX.CFB.utils.cfb_add(zip, "/beni-oku.txt", new TextEncoder().encode("-"));
+    const bytes = new Uint8Array(XLSX.CFB.write(zip, { fileType: "zip", type: "array" }));
+
+    const docs = await readXmlDocuments([file("aralik.zip", bytes), file("bozuk.zip", "zip değil")]);
+    expect(docs).toEqual([
+      { fileName: "aralik.zip › faturalar/f1.xml", text: "<Invoice>ş</Invoice>" },
+      { fileName: "bozuk.zip", error: "ZIP açılamadı." },
+    ]);
+  });
+});
+
+describe("UBL-TR dışa aktarma", () => {
+  const supplier = { name: "Aras & Ortakları <A.Ş.>", taxId: "012 345 6789", taxOffice: "Kadıköy", address: "Moda Cd. 5", iban: "TR33 0006 1005 1978 6457 8413 26" };
+  const buyer = { name: "Ali Veli", taxId: "10000000146", taxOffice: "", address: "" };
+  const lines = [
+    { invoiceItem: "Vida M6", unitType: "Paket", qty: "8", unitPrice: "12,5", discountRate: "10", vatRate: "20" },
+    { invoiceItem: "Kitap", unitType: "Adet", qty: "1,5", unitPrice: "40", discountRate: "", vatRate: "0" },
+  ];
+  const invoice = { invoiceNo: "ARS2025000000123", date: "2025-12-05", currencyCode: "EUR", exchangeRate: "36,45", tevfikatRate: "50" };
+  const xml = buildUblInvoice({ invoice, lines, supplier, buyer, uuid: "7f1c2d3e-0000-4000-8000-000000000001", dueDate: "2026-01-04" });
+
+  it("kendi okuyucumuzla geri okunduğunda fatura, kalemler ve tedarikçi aynen döner", () => {
+    const parsed = parseUblInvoice(xml);
+    expect(parsed.warnings).toEqual([]);
+    expect(parsed.invoice).toMatchObject({ invoiceNo: "ARS2025000000123", ettn: "7f1c2d3e-0000-4000-8000-000000000001", currencyCode: "EUR", exchangeRate: "36.45", tevfikatRate: "50", paymentTermDays: "30" });
+    expect(parsed.supplier).toMatchObject({ name: "Aras & Ortakları <A.Ş.>", taxId: "0123456789", taxIdScheme: "VKN", taxOffice: "Kadıköy" });
+    expect(parsed.lines.map((l) => [l.invoiceItem, l.unitType, toNumber(l.qty), toNumber(l.unitPrice), toNumber(l.discountRate), toNumber(l.vatRate)])).toEqual([
+      ["Vida M6", "Paket", 8, 12.5, 10, 20],
+      ["Kitap", "Adet", 1.5, 40, 0, 0],
+    ]);
+  });
+
+  it("elle girilen kur (36,45) xs:decimal olarak yazılır", () => {
+    expect(xml).toContain("<cbc:CalculationRate>36.45</cbc:CalculationRate>");
+  });
+
+  it("tevkifatlı faturanın tipi TEVKIFAT, ödenecek tutar tevkifat düşülmüş", () => {
+    expect(xml).toContain("<cbc:InvoiceTypeCode>TEVKIFAT</cbc:InvoiceTypeCode>");
+    // net 90 + 60 = 150, KDV 18, tevkifat 9
+    expect(xml).toContain('<cbc:PayableAmount currencyID="EUR">159.00</cbc:PayableAmount>');
+    expect(xml).toContain('<cbc:AllowanceTotalAmount currencyID="EUR">10.00</cbc:AllowanceTotalAmount>');
+  });
+
+  it("%0 KDV'li kalem muafiyet kodu ile yazılır; alıcı TCKN şemasıyla", () => {
+    expect(xml).toMatch(/<cbc:Percent>0<\/cbc:Percent><cac:TaxCategory><cbc:TaxExemptionReasonCode>\d+<\/cbc:TaxExemptionReasonCode>/);
+    expect(xml).toContain('<cbc:ID schemeID="TCKN">10000000146</cbc:ID>');
+    expect(xml).toContain("<cac:PayeeFinancialAccount><cbc:ID>TR330006100519786457841326</cbc:ID></cac:PayeeFinancialAccount>");
+  });
+
+  it("vadesiz, IBAN'sız TL fatura: ödeme bilgisi ve kur yazılmaz, tip SATIS", () => {
+    const plain = buildUblInvoice({ invoice: { invoiceNo: "A1", date: "2025-12-05" }, lines: lines.slice(0, 1), supplier: { ...supplier, iban: "" }, buyer, uuid: "u", dueDate: "" });
+    expect(plain).not.toContain("PaymentMeans");
+    expect(plain).not.toContain("PricingExchangeRate");
+    expect(plain).toContain("<cbc:InvoiceTypeCode>SATIS</cbc:InvoiceTypeCode>");
+    expect(plain).toContain("<cbc:DocumentCurrencyCode>TRY</cbc:DocumentCurrencyCode>");
+  });
+});
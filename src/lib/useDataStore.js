@@ -0,0 +1,238 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { withAudit } from "./audit.js";
+import { COLLECTIONS, pickCollections } from "./backend.js";
+
+/**
+ * Uygulama verisinin tek kaynağı.
+ * - Açılışta backend'den yükler (yerel backend ilk açılışta seed verisini yazar).
+ * - setInvoices / setLines gibi setter'lar normal useState gibi kullanılır;
+ *   state değiştikçe yalnızca değişen kayıtlar backend'e yazılır (write-through).
+ * - Yerel depolama kullanılamazsa seed ile bellekte çalışır, status = "error".
+ * - Yazım hatasında kayıtlı durum ilerlemez: yazılamayan değişiklikler sonraki değişiklikte ya da retry() ile yeniden gönderilir.
+ * - Geri al / yinele: her kullanıcı işleminden önceki veri anlık görüntüsü saklanır.
+ *   Aynı olay içinde art arda çağrılan setter'lar (ör. tedarikçi adı + faturalar) tek adım sayılır.
+ *   Geri alınan durum da aynı write-through ile backend'e yazılır.
+ * - Denetim izi: her değişiklik (geri al / yinele dahil) options.actor adıyla auditLog'a eklenir (src/lib/audit.js).
+ */
+
+const EMPTY = pickCollections(null);
+
+/** Saklanan en fazla geri alma adımı */
+const HISTORY_LIMIT = 100;
+
+const fresh = (data) => ({ data, past: [], future: [], batch: null });
+
+/** Yeni kayıtlar create, referansı değişenler update, kaybolan id'ler remove */
+export function diffCollection(prev, next) {
+  const prevById = new Map(prev.map((x) => [x.id, x]));
+  const nextIds = new Set();
+  const create = [];
+  const update = [];
+  for (const rec of next) {
+    nextIds.add(rec.id);
+    const old = prevById.get(rec.id);
+    if (!old) create.push(rec);
+    else if (old !== rec) update.push(rec);
+  }
+  const remove = prev.filter((x) => !nextIds.has(x.id)).map((x) => x.id);
+  return { create, update, remove };
+}
+
+export function useDataStore(backend, seed, { actor = "" } = {}) {
+  // data + geçmiş birlikte tutulur; setter güncellemesi ile geçmiş kaydı aynı anda oluşur
+  const [state, setState] = useState(() => fresh(EMPTY));
+  const { data } = state;
+  const [status, setStatus] = useState("loading"); // loading | ready | error
+  const [error, setError] = useState(null);
+  const [pendingWrites, setPendingWrites] = useState(0);
+  const [loadToken, setLoadToken] = useState(0);
+
+  // Backend'e yazıldığı doğrulanmış son durum (koleksiyon bazında ilerler); null iken write-through kapalıdır
+  const persistedRef = useRef(null);
+  // Yazım kuyruğuna en son eklenen durum
+  const queuedRef = useRef(null);
+  // Yükleme / sıfırlamada artar; önceki nesilden kalan yazımlar atlanır
+  const generationRef = useRef(0);
+  const writeQueueRef = useRef(Promise.resolve());
+  // Aynı görev içindeki setter çağrılarını tek geçmiş adımında toplar
+  const batchRef = useRef(null);
+  const actorRef = useRef(actor);
+
+  useEffect(() => {
+    actorRef.current = actor;
+  }, [actor]);
+
+  const auditMeta = (via) => ({ at: new Date().toISOString(), user: actorRef.current, via });
+
+  useEffect(() => {
+    let cancelled = false;
+    persistedRef.current = null;
+    queuedRef.current = null;
+    generationRef.current += 1;
+    backend
+      .load(seed)
+      .then((loaded) => {
+        if (cancelled) return;
+        const snapshot = pickCollections(loaded);
+        persistedRef.current = snapshot;
+        queuedRef.current = snapshot;
+        setState(fresh(snapshot));
+        setError(null);
+        setStatus("ready");
+      })
+      .catch((e) => {
+        if (cancelled) return;
+        setState(fresh(backend.kind === "local" ? pickCollections(seed) : EMPTY));
+        setError(e);
+        setStatus("error");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [backend, seed, loadToken]);
+
+  /**
+   * target durumunu kuyruğa ekler. Fark, sırası gelince doğrulanmış son duruma göre alınır;
+   * yalnızca başarıyla yazılan koleksiyonlar doğrulanmış sayılır, kalanlar bir sonraki yazımda yeniden gider.
+   */
+  const enqueueWrite = useCallback(
+    (target) => {
+      queuedRef.current = target;
+      const generation = generationRef.current;
+      // Yazımlar sırayla gider (aynı kayda create → update sırası korunur)
+      writeQueueRef.current = writeQueueRef.current.then(async () => {
+        const prev = persistedRef.current;
+        if (!prev || generation !== generationRef.current) return;
+        const changed = COLLECTIONS.filter((c) => prev[c] !== target[c]);
+        if (changed.length === 0) return;
+
+        setPendingWrites((n) => n + 1);
+        const results = await Promise.allSettled(changed.map((c) => backend.applyChanges(c, diffCollection(prev[c], target[c]))));
+        setPendingWrites((n) => n - 1);
+        // Bu arada yeniden yükleme / sıfırlama olduysa sonuç yok sayılır
+        if (generation !== generationRef.current) return;
+
+        const next = { ...prev };
+        changed.forEach((c, i) => {
+          if (results[i].status === "fulfilled") next[c] = target[c];
+        });
+        persistedRef.current = next;
+        const failed = results.find((r) => r.status === "rejected");
+        if (failed) {
+          setError(failed.reason);
+          setStatus("error");
+        } else {
+          setError(null);
+          setStatus("ready");
+        }
+      });
+    },
+    [backend]
+  );
+
+  // Write-through
+  useEffect(() => {
+    if (!persistedRef.current || queuedRef.current === data) return;
+    enqueueWrite(data);
+  }, [data, enqueueWrite]);
+
+  const setters = useMemo(
+    () =>
+      Object.fromEntries(
+        COLLECTIONS.map((c) => [
+          c,
+          (next) => {
+            if (!batchRef.current) {
+              const token = {};
+              batchRef.current = token;
+              queueMicrotask(() => {
+                if (batchRef.current === token) batchRef.current = null;
+              });
+            }
+            const batch = batchRef.current;
+            const meta = auditMeta("");
+            setState((s) => {
+              const value = typeof next === "function" ? next(s.data[c]) : next;
+              if (value === s.data[c]) return s;
+              const nextData = withAudit(s.data, { ...s.data, [c]: value }, meta);
+              // Bu işlemin ilk değişikliği: önceki durum geçmişe eklenir, yinele listesi boşalır
+              if (s.batch === batch) return { ...s, data: nextData };
+              return { data: nextData, past: [...s.past, s.data].slice(-HISTORY_LIMIT), future: [], batch };
+            });
+          },
+        ])
+      ),
+    []
+  );
+
+  // Geri alınan anlık görüntünün auditLog'u kullanılmaz; güncel kayıtlara geri alma kayıtları eklenir
+  const undo = useCallback(() => {
+    const meta = auditMeta("undo");
+    setState((s) =>
+      s.past.length === 0 ? s : { data: withAudit(s.data, s.past.at(-1), meta), past: s.past.slice(0, -1), future: [s.data, ...s.future], batch: null }
+    );
+  }, []);
+
+  const redo = useCallback(() => {
+    const meta = auditMeta("redo");
+    setState((s) =>
+      s.future.length === 0 ? s : { data: withAudit(s.data, s.future[0], meta), past: [...s.past, s.data], future: s.future.slice(1), batch: null }
+    );
+  }, []);
+
+  const resetTo = useCallback(
+    async (next) => {
+      const snapshot = pickCollections(next);
+      generationRef.current += 1;
+      setPendingWrites((n) => n + 1);
+      try {
+        await backend.replaceAll(snapshot);
+        persistedRef.current = snapshot;
+        queuedRef.current = snapshot;
+        setError(null);
+        setStatus("ready");
+      } catch (e) {
+        persistedRef.current = null;
+        queuedRef.current = null;
+        setError(e);
+        setStatus("error");
+      } finally {
+        setPendingWrites((n) => n - 1);
+      }
+      // Tümünü değiştirme (temizle / örnek veri) geri alınamaz
+      setState(fresh(snapshot));
+    },
+    [backend]
+  );
+
+  const clearAll = useCallback(() => resetTo(EMPTY), [resetTo]);
+  const reseed = useCallback(() => resetTo(seed), [resetTo, seed]);
+
+  /** Yerel değişiklikleri bırakıp backend'den yeniden yükler */
+  const reload = useCallback(() => {
+    setStatus("loading");
+    setLoadToken((n) => n + 1);
+  }, []);
+
+  /** Yazılamamış değişiklikleri yeniden gönderir; veri hiç yüklenemediyse yüklemeyi yeniden dener */
+  const retry = useCallback(() => {
+    if (persistedRef.current) enqueueWrite(queuedRef.current);
+    else reload();
+  }, [enqueueWrite, reload]);
+
+  return {
+    data,
+    status,
+    error,
+    saving: pendingWrites > 0,
+    setters,
+    clearAll,
+    reseed,
+    reload,
+    retry,
+    undo,
+    redo,
+    canUndo: state.past.length > 0,
+    canRedo: state.future.length > 0,
+  };
+}
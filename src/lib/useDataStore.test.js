@@ -0,0 +1,235 @@
+// @vitest-environment jsdom
+import { act, createElement, useEffect } from "react";
+import { createRoot } from "react-dom/client";
+import { afterEach, beforeAll, describe, expect, it } from "vitest";
+import { pickCollections } from "./backend.js";
+import { diffCollection, useDataStore } from "./useDataStore.js";
+
+const USD = { id: "R1", currency: "USD", rate: 32 };
+const EUR = { id: "R2", currency: "EUR", rate: 35 };
+const CAT = { id: "C1", name: "Bağlantı Elemanları" };
+
+describe("diffCollection", () => {
+  it("yeni id create, referansı değişen update, kaybolan id remove olur", () => {
+    const usd2 = { ...USD, rate: 33 };
+    expect(diffCollection([USD, EUR], [usd2, CAT])).toEqual({ create: [CAT], update: [usd2], remove: ["R2"] });
+  });
+
+  it("aynı referans değişiklik sayılmaz, içerik aynı olsa bile yeni nesne update sayılır", () => {
+    expect(diffCollection([USD], [USD])).toEqual({ create: [], update: [], remove: [] });
+    expect(diffCollection([USD], [{ ...USD }]).update).toHaveLength(1);
+  });
+
+  it("boş listeler arasında fark yoktur, tümü silinince bütün id'ler remove olur", () => {
+    expect(diffCollection([], [])).toEqual({ create: [], update: [], remove: [] });
+    expect(diffCollection([USD, EUR], []).remove).toEqual(["R1", "R2"]);
+  });
+});
+
+/** Yazımları kaydeden backend; failNext'teki koleksiyonlar bir kez hata verir */
+function fakeBackend(initial) {
+  const writes = [];
+  const failNext = new Set();
+  return {
+    writes,
+    failNext,
+    kind: "test",
+    load: async () => pickCollections(initial),
+    async applyChanges(collection, changes) {
+      writes.push([collection, changes]);
+      if (failNext.delete(collection)) throw new Error(`${collection} yazılamadı`);
+    },
+    replaceAll: async () => {},
+  };
+}
+
+let container;
+let root;
+let store;
+
+/** Hook'un her render'daki dönüş değerini teste iletir */
+function Probe({ backend, seed, onStore }) {
+  const result = useDataStore(backend, seed, { actor: "Test" });
+  useEffect(() => {
+    onStore(result);
+  });
+  return null;
+}
+
+const flush = () => act(() => new Promise((r) => setTimeout(r, 0)));
+
+async function mount(backend) {
+  container = document.createElement("div");
+  root = createRoot(container);
+  await act(async () => root.render(createElement(Probe, { backend, seed: null, onStore: (s) => (store = s) })));
+  await flush();
+}
+
+beforeAll(() => {
+  globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+});
+
+describe("useDataStore yazım kuyruğu", () => {
+  afterEach(() => {
+    act(() => root.unmount());
+    store = null;
+  });
+
+  it("yalnızca değişen koleksiyon yazılır", async () => {
+    const backend = fakeBackend({ exchangeRates: [USD], categories: [CAT] });
+    await mount(backend);
+    expect(store.status).toBe("ready");
+
+    await act(async () => store.setters.exchangeRates((rs) => [...rs, EUR]));
+    await flush();
+
+    expect(backend.writes).toEqual([["exchangeRates", { create: [EUR], update: [], remove: [] }]]);
+  });
+
+  it("yazılamayan koleksiyon sonraki değişiklikte yeniden gönderilir, yazılan tekrar gönderilmez", async () => {
+    const backend = fakeBackend({ exchangeRates: [USD], categories: [] });
+    await mount(backend);
+
+    backend.failNext.add("exchangeRates");
+    await act(async () => {
+      store.setters.exchangeRates((rs) => [...rs, EUR]);
+      store.setters.categories([CAT]);
+    });
+    await flush();
+    expect(store.status).toBe("error");
+    expect(store.error.message).toBe("exchangeRates yazılamadı");
+
+    backend.writes.length = 0;
+    const usd2 = { ...USD, rate: 33 };
+    await act(async () => store.setters.exchangeRates((rs) => rs.map((r) => (r.id === "R1" ? usd2 : r))));
+    await flush();
+
+    // Fark son doğrulanan duruma göre alınır: EUR hâlâ create olarak gider, categories yeniden yazılmaz
+    expect(backend.writes).toEqual([["exchangeRates", { create: [EUR], update: [usd2], remove: [] }]]);
+    expect(store.status).toBe("ready");
+    expect(store.error).toBeNull();
+  });
+
+  it("retry yazılamayan değişiklikleri yeni değişiklik beklemeden gönderir", async () => {
+    const backend = fakeBackend({ exchangeRates: [USD] });
+    await mount(backend);
+
+    backend.failNext.add("exchangeRates");
+    await act(async () => store.setters.exchangeRates([]));
+    await flush();
+    expect(store.status).toBe("error");
+
+    await act(async () => store.retry());
+    await flush();
+    expect(backend.writes).toEqual([
+      ["exchangeRates", { create: [], update: [], remove: ["R1"] }],
+      ["exchangeRates", { create: [], update: [], remove: ["R1"] }],
+    ]);
+    expect(store.status).toBe("ready");
+
+    // Doğrulanan durum ilerlediği için yeniden deneme bir daha yazım üretmez
+    await act(async () => store.retry());
+    await flush();
+    expect(backend.writes).toHaveLength(2);
+  });
+
+  it("art arda yapılan değişiklikler sırayla ve her biri bir öncekine göre yazılır", async () => {
+    const backend = fakeBackend({ exchangeRates: [] });
+    await mount(backend);
+
+    const usd2 = { ...USD, rate: 33 };
+    await act(async () => store.setters.exchangeRates([USD]));
+    await act(async () => store.setters.exchangeRates([usd2]));
+    await act(async () => store.setters.exchangeRates([]));
+    await flush();
+
+    expect(backend.writes).toEqual([
+      ["exchangeRates", { create: [USD], update: [], remove: [] }],
+      ["exchangeRates", { create: [], update: [usd2], remove: [] }],
+      ["exchangeRates", { create: [], update: [], remove: ["R1"] }],
+    ]);
+  });
+});
+
+describe("useDataStore geri al / yinele", () => {
+  afterEach(() => {
+    act(() => root.unmount());
+    store = null;
+  });
+
+  it("aynı olay içindeki setter çağrıları tek adımda geri alınır", async () => {
+    await mount(fakeBackend({ exchangeRates: [USD], categories: [] }));
+
+    await act(async () => {
+      store.setters.exchangeRates((rs) => [...rs, EUR]);
+      store.setters.categories([CAT]);
+    });
+    expect(store.canUndo).toBe(true);
+
+    await act(async () => store.undo());
+    expect(store.data.exchangeRates).toEqual([USD]);
+    expect(store.data.categories).toEqual([]);
+    expect(store.canUndo).toBe(false);
+    expect(store.canRedo).toBe(true);
+  });
+
+  it("ayrı olaylardaki değişiklikler ayrı adımlardır, yinele sırayla yeniden uygular", async () => {
+    await mount(fakeBackend({ exchangeRates: [] }));
+
+    await act(async () => store.setters.exchangeRates([USD]));
+    await act(async () => store.setters.exchangeRates([USD, EUR]));
+
+    await act(async () => store.undo());
+    expect(store.data.exchangeRates).toEqual([USD]);
+    await act(async () => store.undo());
+    expect(store.data.exchangeRates).toEqual([]);
+
+    await act(async () => store.redo());
+    expect(store.data.exchangeRates).toEqual([USD]);
+    expect(store.canRedo).toBe(true);
+  });
+
+  it("değer değiştirmeyen setter geçmiş adımı oluşturmaz", async () => {
+    await mount(fakeBackend({ exchangeRates: [USD] }));
+
+    await act(async () => store.setters.exchangeRates((rs) => rs));
+    expect(store.canUndo).toBe(false);
+  });
+
+  it("geri almadan sonra yapılan yeni değişiklik yinele listesini boşaltır", async () => {
+    await mount(fakeBackend({ exchangeRates: [] }));
+
+    await act(async () => store.setters.exchangeRates([USD]));
+    await act(async () => store.undo());
+    await act(async () => store.setters.exchangeRates([EUR]));
+
+    expect(store.canRedo).toBe(false);
+    await act(async () => store.undo());
+    expect(store.data.exchangeRates).toEqual([]);
+  });
+
+  it("geri alınan durum da backend'e yazılır", async () => {
+    const backend = fakeBackend({ exchangeRates: [USD] });
+    await mount(backend);
+
+    await act(async () => store.setters.exchangeRates([]));
+    await flush();
+    await act(async () => store.undo());
+    await flush();
+
+    expect(backend.writes).toEqual([
+      ["exchangeRates", { create: [], update: [], remove: ["R1"] }],
+      ["exchangeRates", { create: [USD], update: [], remove: [] }],
+    ]);
+  });
+
+  it("geçmiş en fazla 100 adım tutar", async () => {
+    await mount(fakeBackend({ exchangeRates: [] }));
+
+    for (let i = 1; i <= 101; i++) await act(async () => store.setters.exchangeRates([{ ...USD, rate: i }]));
+    for (let i = 0; i < 100; i++) await act(async () => store.undo());
+
+    expect(store.canUndo).toBe(false);
+    expect(store.data.exchangeRates).toEqual([{ ...USD, rate: 1 }]);
+  });
+});
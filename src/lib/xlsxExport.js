@@ -0,0 +1,88 @@
+import { columnLetter, toNumber } from "./calc.js";
+import { withHeaderStyle } from "./xlsxHeaderStyle.js";
+
+/**
+ * Çok sayfalı XLSX: tipli hücreler (sayı / tarih), TR biçimleri, isteğe bağlı formül sütunları
+ * - Sütun: { key, label, type?: "text" | "number" | "money" | "rate" | "date", width?, total?, formula? }
+ * - formula(ref): aynı satırdaki hücre adresleri için ref(key) → "G2"; değer (v) yine hesaplanıp yazılır,
+ *   Excel yeniden hesaplamasa da dosya doğru görünür.
+ * - Başlık satırında filtre + sütun genişlikleri; başlık kalın, gri dolgulu ve alt çizgili (src/lib/xlsxHeaderStyle.js).
+ */
+
+const FORMATS = {
+  money: "#,##0.00",
+  rate: "#,##0.0000",
+  date: "dd.mm.yyyy",
+};
+
+const DEFAULT_WIDTH = { text: 18, number: 10, money: 14, rate: 10, date: 11 };
+
+/** Sütunun harfi (başka sayfaya formülle başvurmak için) */
+export function columnOf(columns, key) {
+  return columnLetter(columns.findIndex((c) => c.key === key));
+}
+
+/** "YYYY-MM-DD" → Excel seri günü (1900 tarih sistemi) */
+function dateSerial(iso) {
+  const m = String(iso ?? "").match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (!m) return null;
+  return (Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])) - Date.UTC(1899, 11, 30)) / 86400000;
+}
+
+function cellOf(type, value) {
+  if (value == null || value === "") return null;
+  if (type === "date") {
+    const serial = dateSerial(value);
+    return serial == null ? { t: "s", v: String(value) } : { t: "n", v: serial, z: FORMATS.date };
+  }
+  if (type === "number" || type === "money" || type === "rate") {
+    const n = typeof value === "number" ? value : toNumber(value);
+    return FORMATS[type] ? { t: "n", v: n, z: FORMATS[type] } : { t: "n", v: n };
+  }
+  return { t: "s", v: String(value) };
+}
+
+/** Sayfa nesnesi (SheetJS worksheet); totals → son satıra "Toplam" (total: true sütunlarda) */
+function buildSheet({ columns, rows, withFormulas = false, totals = false }) {
+  const ws = {};
+  const letters = columns.map((_, i) => columnLetter(i));
+  columns.forEach((c, i) => (ws[`${letters[i]}1`] = { t: "s", v: c.label }));
+
+  rows.forEach((row, r) => {
+    const excelRow = r + 2;
+    const ref = (key) => `${columnOf(columns, key)}${excelRow}`;
+    columns.forEach((c, i) => {
+      const cell = cellOf(c.type, row[c.key]) ?? (withFormulas && c.formula ? cellOf(c.type, 0) : null);
+      if (!cell) return;
+      if (withFormulas && c.formula) cell.f = c.formula(ref);
+      ws[`${letters[i]}${excelRow}`] = cell;
+    });
+  });
+
+  let lastRow = rows.length + 1;
+  if (totals && rows.length) {
+    lastRow += 1;
+    ws[`A${lastRow}`] = { t: "s", v: "Toplam" };
+    columns.forEach((c, i) => {
+      if (!c.total) return;
+      const sum = rows.reduce((s, row) => s + toNumber(row[c.key] ?? 0), 0);
+      const cell = cellOf(c.type, sum);
+      if (withFormulas) cell.f = `SUM(${letters[i]}2:${letters[i]}${lastRow - 1})`;
+      ws[`${letters[i]}${lastRow}`] = cell;
+    });
+  }
+
+  const end = `${letters[letters.length - 1]}${lastRow}`;
+  ws["!ref"] = `A1:${end}`;
+  ws["!autofilter"] = { ref: `A1:${letters[letters.length - 1]}${rows.length + 1}` };
+  ws["!cols"] = columns.map((c) => ({ wch: c.width ?? Math.max(DEFAULT_WIDTH[c.type ?? "text"], c.label.length + 2) }));
+  return ws;
+}
+
+/** sheets: [{ name, columns, rows, withFormulas?, totals? }] → xlsx dosya içeriği (ArrayBuffer) */
+export async function buildWorkbook(sheets) {
+  const XLSX = await import("xlsx");
+  const wb = XLSX.utils.book_new();
+  for (const s of sheets) XLSX.utils.book_append_sheet(wb, buildSheet(s), s.name.slice(0, 31));
+  return withHeaderStyle(XLSX, XLSX.write(wb, { bookType: "xlsx", type: "array" }));
+}
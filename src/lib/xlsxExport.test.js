@@ -0,0 +1,77 @@
+import { describe, expect, it } from "vitest";
+import * as XLSX from "xlsx";
+import { buildWorkbook, columnOf } from "./xlsxExport.js";
+
+const columns = [
+  { key: "invoiceNo", label: "Fatura No" },
+  { key: "date", label: "Tarih", type: "date" },
+  { key: "qty", label: "Miktar", type: "number" },
+  { key: "price", label: "Fiyat", type: "money", width: 20 },
+  { key: "total", label: "Tutar", type: "money", total: true, formula: (ref) => `${ref("qty")}*${ref("price")}` },
+];
+
+async function readBack(sheets) {
+  const data = await buildWorkbook(sheets);
+  return XLSX.read(new Uint8Array(data), { type: "array", cellFormula: true, cellNF: true });
+}
+
+describe("columnOf", () => {
+  it("anahtarın sütun harfi; Z'den sonra AA", () => {
+    const wide = Array.from({ length: 28 }, (_, i) => ({ key: `k${i}` }));
+    expect(columnOf(columns, "invoiceNo")).toBe("A");
+    expect(columnOf(columns, "total")).toBe("E");
+    expect(columnOf(wide, "k26")).toBe("AA");
+  });
+});
+
+describe("buildWorkbook", () => {
+  const rows = [
+    { invoiceNo: "00123", date: "2025-11-03", qty: 10, price: "1.234,5", total: 12345 },
+    { invoiceNo: "A-2", date: "03.11.2025", qty: 4, price: 1, total: "" },
+  ];
+
+  it("metin sütunu baştaki sıfırları korur; tarih seri gün, para TR biçimli sayı", async () => {
+    const ws = (await readBack([{ name: "Alımlar", columns, rows }])).Sheets.Alımlar;
+    expect(ws.A2).toMatchObject({ t: "s", v: "00123" });
+    expect(ws.B2).toMatchObject({ t: "n", v: 45964, z: "dd.mm.yyyy" });
+    expect(ws.D2).toMatchObject({ t: "n", v: 1234.5, z: "#,##0.00" });
+    expect(ws.E2.f).toBeUndefined();
+  });
+
+  it("tarih okunamazsa metin olarak yazılır; boş değer hücre açmaz", async () => {
+    const ws = (await readBack([{ name: "Alımlar", columns, rows }])).Sheets.Alımlar;
+    expect(ws.B3).toMatchObject({ t: "s", v: "03.11.2025" });
+    expect(ws.E3).toBeUndefined();
+  });
+
+  it("formül sütunu aynı satıra başvurur; değer boşsa 0 ile yazılır; toplam SUM", async () => {
+    const ws = (await readBack([{ name: "Alımlar", columns, rows, withFormulas: true, totals: true }])).Sheets.Alımlar;
+    expect(ws.E2).toMatchObject({ v: 12345, f: "C2*D2" });
+    expect(ws.E3).toMatchObject({ v: 0, f: "C3*D3" });
+    expect(ws.A4.v).toBe("Toplam");
+    expect(ws.C4).toBeUndefined();
+    expect(ws.E4).toMatchObject({ v: 12345, f: "SUM(E2:E3)" });
+    expect(ws["!ref"]).toBe("A1:E4");
+    expect(ws["!autofilter"].ref).toBe("A1:E3");
+  });
+
+  it("satır yoksa toplam satırı eklenmez", async () => {
+    const ws = (await readBack([{ name: "Boş", columns, rows: [], totals: true }])).Sheets.Boş;
+    expect(ws["!ref"]).toBe("A1:E1");
+    expect(ws.A2).toBeUndefined();
+  });
+
+  it("sütun genişliği: verilen, yoksa tür varsayılanı ya da başlık uzunluğu", async () => {
+    const data = await buildWorkbook([{ name: "S", columns, rows }]);
+    const ws = XLSX.read(new Uint8Array(data), { type: "array", cellStyles: true }).Sheets.S;
+    expect(ws["!cols"].map((c) => c.wch)).toEqual([18, 11, 10, 20, 14]);
+  });
+
+  it("sayfalar sırayla eklenir; ad 31 karakterle sınırlanır", async () => {
+    const wb = await readBack([
+      { name: "X".repeat(40), columns, rows },
+      { name: "Özet", columns, rows },
+    ]);
+    expect(wb.SheetNames).toEqual(["X".repeat(31), "Özet"]);
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * XLSX başlık satırı stili (kalın, gri dolgu, alt çizgi)
+ * - SheetJS CE hücre stili yazmaz; stil, yazılmış dosyanın (zip) styles.xml ve sayfa XML'lerine metin olarak eklenir.
+ * - Yalnızca withHeaderStyle dışarı açıktır. Beklenen XML yapısı bulunamazsa (SheetJS çıktısı değişirse)
+ *   dosya stilsiz ama bozulmadan döner: stil yalnızca görünüm içindir.
+ */
+
+const HEADER_FONT = '<font><b/><sz val="12"/><color theme="1"/><name val="Calibri"/><family val="2"/><scheme val="minor"/></font>';
+const HEADER_FILL = '<fill><patternFill patternType="solid"><fgColor rgb="FFE2E8F0"/><bgColor indexed="64"/></patternFill></fill>';
+const HEADER_BORDER = '<border><left/><right/><top/><bottom style="thin"><color rgb="FF94A3B8"/></bottom><diagonal/></border>';
+
+/** <tag count="n">…</tag> listesine öğe ekler; eklenen öğenin sırası döner */
+function appendToList(xml, tag, element) {
+  const re = new RegExp(`<${tag} count="(\\d+)"([^>]*)>([\\s\\S]*?)</${tag}>`);
+  const m = xml.match(re);
+  if (!m) throw new Error(`styles.xml: <${tag}> bulunamadı`);
+  const index = Number(m[1]);
+  return { xml: xml.replace(re, `<${tag} count="${index + 1}"${m[2]}>${m[3]}${element}</${tag}>`), index };
+}
+
+/** Başlık stilini styles.xml'e ekler; sayfa hücrelerinde kullanılacak cellXfs sırası döner */
+function addHeaderStyle(stylesXml) {
+  const font = appendToList(stylesXml, "fonts", HEADER_FONT);
+  const fill = appendToList(font.xml, "fills", HEADER_FILL);
+  const border = appendToList(fill.xml, "borders", HEADER_BORDER);
+  const xf = `<xf numFmtId="0" fontId="${font.index}" fillId="${fill.index}" borderId="${border.index}" xfId="0" applyFont="1" applyFill="1" applyBorder="1"/>`;
+  const cell = appendToList(border.xml, "cellXfs", xf);
+  return { xml: cell.xml, styleIndex: cell.index };
+}
+
+/** Sayfa XML'inde 1. satırdaki stilsiz hücrelere stil verir */
+function styleHeaderRow(sheetXml, styleIndex) {
+  return sheetXml.replace(/<row r="1"[^>]*>[\s\S]*?<\/row>/, (row) => row.replace(/<c r="([A-Z]+1)"(?![^>]*\ss=)/g, `<c r="$1" s="${styleIndex}"`));
+}
+
+/** XLSX: SheetJS modülü; data: XLSX.write çıktısı → başlıkları stillenmiş dosya (olmazsa data aynen) */
+export function withHeaderStyle(XLSX, data) {
+  try {
+    const zip = XLSX.CFB.read(new Uint8Array(data), { type: "array" });
+    const text = (path) => new TextDecoder().decode(XLSX.CFB.find(zip, path).content);
+    const put = (path, xml) => XLSX.CFB.utils.cfb_add(zip, path, new TextEncoder().encode(xml));
+
+    const { xml, styleIndex } = addHeaderStyle(text("/xl/styles.xml"));
+    put("/xl/styles.xml", xml);
+    for (const full of zip.FullPaths) {
+      const m = full.match(/\/(xl\/worksheets\/sheet\d+\.xml)$/);
+      if (m) put("/" + m[1], styleHeaderRow(text("/" + m[1]), styleIndex));
+    }
+    return XLSX.CFB.write(zip, { fileType: "zip", type: "array", compression: true });
+  } catch {
+    return data;
+  }
+}
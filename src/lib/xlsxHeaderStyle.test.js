@@ -0,0 +1,61 @@
+import { describe, expect, it } from "vitest";
+import * as XLSX from "xlsx";
+import { withHeaderStyle } from "./xlsxHeaderStyle.js";
+
+/** İki sayfalı, SheetJS'in yazdığı haliyle (stilsiz) dosya; B1 sayı biçimli olduğu için kendi stiliyle gelir */
+function workbook() {
+  const wb = XLSX.utils.book_new();
+  const ws = { A1: { t: "s", v: "Fatura No" }, B1: { t: "n", v: 1, z: "#,##0.00" }, A10: { t: "s", v: "A-10" }, "!ref": "A1:B10" };
+  XLSX.utils.book_append_sheet(wb, ws, "Alımlar");
+  XLSX.utils.book_append_sheet(wb, { A1: { t: "s", v: "Özet" }, A2: { t: "n", v: 5 }, "!ref": "A1:A2" }, "Özet");
+  return XLSX.write(wb, { bookType: "xlsx", type: "array" });
+}
+
+function files(data) {
+  const zip = XLSX.CFB.read(new Uint8Array(data), { type: "array" });
+  return (path) => new TextDecoder().decode(XLSX.CFB.find(zip, path).content);
+}
+
+/** Dosyadaki bir parçayı değiştirip yeniden paketler */
+function replacePart(data, path, xml) {
+  const zip = XLSX.CFB.read(new Uint8Array(data), { type: "array" });
+  XLSX.CFB.utils.cfb_add(zip, path, new TextEncoder().encode(xml));
+  return XLSX.CFB.write(zip, { fileType: "zip", type: "array" });
+}
+
+describe("XLSX başlık stili", () => {
+  it("stil listelerin sonuna eklenir, sayılar artar ve her sayfanın 1. satırı bu stili kullanır", () => {
+    const before = files(workbook())("/xl/styles.xml");
+    const out = files(withHeaderStyle(XLSX, workbook()));
+    const styles = out("/xl/styles.xml");
+    const count = (xml, tag) => Number(xml.match(new RegExp(`<${tag} count="(\\d+)"`))[1]);
+
+    for (const tag of ["fonts", "fills", "borders", "cellXfs"]) expect(count(styles, tag)).toBe(count(before, tag) + 1);
+    expect(styles).toContain("FFE2E8F0");
+    const header = String(count(before, "cellXfs"));
+    expect(out("/xl/worksheets/sheet1.xml")).toContain(`<c r="A1" s="${header}"`);
+    expect(out("/xl/worksheets/sheet2.xml")).toContain(`<c r="A1" s="${header}"`);
+  });
+
+  it("kendi stili olan başlık hücresi ve 1. satır dışındaki hücreler (A10 dahil) değişmez", () => {
+    const before = files(workbook())("/xl/worksheets/sheet1.xml");
+    const sheet = files(withHeaderStyle(XLSX, workbook()))("/xl/worksheets/sheet1.xml");
+    expect(sheet).toContain(before.match(/<c r="B1"[^>]*>/)[0]);
+    expect(sheet).toMatch(/<c r="A10"(?![^>]*\ss=)[^>]*>/);
+    expect(files(withHeaderStyle(XLSX, workbook()))("/xl/worksheets/sheet2.xml")).toMatch(/<c r="A2"(?![^>]*\ss=)[^>]*>/);
+  });
+
+  it("okunabilir kalır: değerler ve sayfa adları korunur", () => {
+    const wb = XLSX.read(new Uint8Array(withHeaderStyle(XLSX, workbook())), { type: "array" });
+    expect(wb.SheetNames).toEqual(["Alımlar", "Özet"]);
+    expect(wb.Sheets.Alımlar.A10.v).toBe("A-10");
+  });
+
+  it.each([
+    ["stil listesi beklenen biçimde değil", (data) => replacePart(data, "/xl/styles.xml", "<styleSheet/>")],
+    ["dosya zip değil", () => new TextEncoder().encode("xlsx değil").buffer],
+  ])("%s: dosya stilsiz ve değiştirilmeden döner", (_, make) => {
+    const data = make(workbook());
+    expect(withHeaderStyle(XLSX, data)).toBe(data);
+  });
+});